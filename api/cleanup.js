@@ -2,22 +2,26 @@
  * Cleanup Cron - /api/cleanup
  * 
  * Prunes expired data and maintains database health using v5 file-based storage.
- * - Tokens: Remove after 30 days with no signals
- * - Wallets: Remove low-score wallets not seen in 7 days
+ * What gets pruned or archived is decided by the retention policy
+ * (lib/retention.js, overridable with RETENTION_POLICY). Defaults:
+ * - Tokens: Keep ≥5x peaks (hall of fame), remove winners after 7 days
+ *   and everything else after 30 days with no signals
+ * - Wallets: Keep ≥2 star / ranked wallets, remove the rest when not seen in 7 days
  * - Signals: Remove from recentSignals after 7 days
  * 
+ * /api/cleanup?dryRun=true lists what would be pruned/archived without saving.
+ * 
  * Trigger: External cron ping (e.g., daily at 04:00 UTC)
  */
 
 import { TelegramDBv5, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
+import { getStorageBackend } from '../lib/db-storage.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
-// All chains to process
-const CHAINS = ['sol', 'eth', 'bsc', 'base'];
-
-async function processChain(chain) {
-  console.log(`\n🧹 Cleaning ${chain.toUpperCase()}...`);
+async function processChain(chain, dryRun) {
+  console.log(`\n🧹 Cleaning ${chain.toUpperCase()}${dryRun ? ' (dry run)' : ''}...`);
   
   const chainId = CHAIN_IDS[chain];
   const db = new TelegramDBv5(BOT_TOKEN, chainId);
@@ -30,24 +34,34 @@ async function processChain(chain) {
     return { tokens: 0, wallets: 0, signals: 0 };
   }
   
-  // Use v5's built-in pruning
-  const result = db.pruneOldData(30);
+  // Evaluate the retention policy
+  const { plan, archived, ...counts } = db.pruneOldData({ dryRun });
+  const toArchive = Object.values(plan).flat().filter(p => p.action === 'archive').length;
+  
+  console.log(`   📊 ${dryRun ? 'Would prune' : 'Pruned'}: ${counts.tokens} tokens, ${counts.wallets} wallets, ${counts.signals} signals (${toArchive} archived)`);
+  
+  if (dryRun) {
+    return { ...counts, archived: toArchive, plan };
+  }
   
-  console.log(`   📊 Pruned: ${result.tokens} tokens, ${result.wallets} wallets, ${result.signals} signals`);
+  // Archive before the records disappear from the saved DB
+  await db.writeArchive(archived);
   
   // Save if changes were made
-  if (result.tokens > 0 || result.wallets > 0 || result.signals > 0) {
+  if (counts.tokens > 0 || counts.wallets > 0 || counts.signals > 0) {
     await db.save();
   }
   
-  return result;
+  return { ...counts, archived: toArchive };
 }
 
 export default async function handler(req, res) {
   const startTime = Date.now();
-  console.log(`\n🧹 [Cleanup] Starting at ${new Date().toISOString()}`);
+  const dryRun = req.query?.dryRun === 'true';
+  console.log(`\n🧹 [Cleanup] Starting at ${new Date().toISOString()}${dryRun ? ' (dry run)' : ''}`);
   
-  if (!BOT_TOKEN) {
+  // Bot token is only optional when the DB lives in local storage
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
     return res.status(500).json({ ok: false, error: 'Missing Telegram config' });
   }
   
@@ -56,15 +70,17 @@ export default async function handler(req, res) {
     totalTokens: 0,
     totalWallets: 0,
     totalSignals: 0,
+    totalArchived: 0,
   };
   
   try {
-    for (const chain of CHAINS) {
-      const chainResult = await processChain(chain);
+    for (const chain of ENABLED_CHAINS) {
+      const chainResult = await processChain(chain, dryRun);
       results.chains[chain] = chainResult;
       results.totalTokens += chainResult.tokens || 0;
       results.totalWallets += chainResult.wallets || 0;
       results.totalSignals += chainResult.signals || 0;
+      results.totalArchived += chainResult.archived || 0;
       
       // Small delay between chains
       await new Promise(r => setTimeout(r, 200));
@@ -75,11 +91,13 @@ export default async function handler(req, res) {
     
     return res.status(200).json({
       ok: true,
+      dryRun,
       duration,
       pruned: {
         tokens: results.totalTokens,
         wallets: results.totalWallets,
         signals: results.totalSignals,
+        archived: results.totalArchived,
       },
       chains: results.chains,
     });
@@ -0,0 +1,72 @@
+/**
+ * Export Endpoint - /api/export
+ * 
+ * Streams a chain's (or all chains') DB records as CSV or NDJSON for analysis.
+ * See lib/db-export.js for types and columns.
+ * 
+ * Usage:
+ *   /api/export?chain=sol&type=tokens&format=csv
+ *   /api/export?chain=all&type=wallets&format=ndjson&columns=addr,stars,normalizedScore
+ *   /api/export?type=tokens&from=2026-01-01&to=2026-02-01&timeField=lastSig
+ * 
+ * Wallet data is not public: set EXPORT_API_KEY to require ?key= (or a Bearer token).
+ */
+
+import { getStorageBackend } from '../lib/db-storage.js';
+import { parseExportOptions, exportChains, formatHeader, formatRow } from '../lib/db-export.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const EXPORT_API_KEY = process.env.EXPORT_API_KEY;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+};
+
+export default async function handler(req, res) {
+  if (EXPORT_API_KEY) {
+    const bearer = (req.headers?.authorization || '').replace(/^Bearer\s+/i, '');
+    if (req.query.key !== EXPORT_API_KEY && bearer !== EXPORT_API_KEY) {
+      return res.status(401).json({ ok: false, error: 'Invalid export key' });
+    }
+  }
+  
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
+    return res.status(500).json({ ok: false, error: 'Missing Telegram config' });
+  }
+  
+  let options;
+  try {
+    options = parseExportOptions(req.query);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  
+  const { chains, type, format, columns } = options;
+  const chainLabel = chains.length === 1 ? chains[0] : 'all';
+  console.log(`📤 [Export] ${chainLabel} ${type} as ${format}`);
+  
+  let rows = 0;
+  try {
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${chainLabel}-${type}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200);
+    res.write(formatHeader(columns, format));
+    
+    for await (const row of exportChains(BOT_TOKEN, options)) {
+      res.write(formatRow(row, columns, format));
+      rows++;
+    }
+    
+    console.log(`✅ [Export] ${rows} rows`);
+    res.end();
+  } catch (error) {
+    console.error('❌ [Export] Error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+    // Headers are out: end the stream so the client sees a truncated file
+    res.end();
+  }
+}
@@ -9,17 +9,19 @@
  *   /gains sol         - Shows SOL only
  *   /gains 24h         - Shows all chains, 24h period
  *   /gains sol 24h     - Shows SOL, 24h period
+ *   /gains alltime     - All-time, including archived (pruned) tokens
  *   Inline button      - Switch time periods & chains
  * 
  * POST /api/gains (webhook mode - for Telegram bot)
  * GET /api/gains?period=7d&chain=all (API mode - for testing)
  */
 
-import { TelegramDBv5, CHAIN_IDS, CHANNELS } from '../lib/telegram-db-v5.js';
+import { TelegramDBv5, LeaderboardManager, CHAIN_IDS, CHANNELS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS, getEnabledChains } from '../lib/chains.js';
 import pnlHandler from './pnl.js';
+import * as telegram from '../lib/telegram-client.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const CHAINS = ['sol', 'eth', 'bsc', 'base'];
 
 // ============================================================
 // CONFIG
@@ -28,19 +30,19 @@ const CHAINS = ['sol', 'eth', 'bsc', 'base'];
 const PERIODS = {
   '1h': '1h', '6h': '6h', '12h': '12h', '24h': '24h',
   '2d': '2d', '3d': '3d', '7d': '7d', '1w': '7d', '2w': '2w', '4w': '4w',
+  'alltime': 'all', // Not 'all' - that word selects all chains
 };
 
 const PERIOD_LABELS = {
   '1h': '1h', '6h': '6h', '12h': '12h', '24h': '24h',
   '2d': '2d', '3d': '3d', '7d': '1w', '1w': '1w', '2w': '2w', '4w': '4w',
+  'all': 'All time',
 };
 
-// Chain emoji (updated per request)
+// Chain emoji (registry, BSC updated per request)
 const CHAIN_EMOJI = {
-  sol: '🟣',
-  eth: '🔷',
+  ...Object.fromEntries(getEnabledChains().map(c => [c.key, c.emoji])),
   bsc: '🔸',
-  base: '🔵',
   all: '🌐',
 };
 
@@ -64,25 +66,14 @@ const BRACKETS = [
 // TELEGRAM API HELPERS
 // ============================================================
 
+// Queued per chat with 429 handling (lib/telegram-client.js); replies and
+// edits Telegram still refuses go to the retry list (update-prices replays it)
 async function api(method, params = {}) {
-  const res = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/${method}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(params),
-  });
-  return res.json();
+  return telegram.callTelegram(BOT_TOKEN, method, params);
 }
 
 async function sendMessage(chatId, text, replyMarkup = null, replyToMessageId = null) {
-  const params = {
-    chat_id: chatId,
-    text,
-    parse_mode: 'HTML',
-    disable_web_page_preview: true,
-  };
-  if (replyMarkup) params.reply_markup = replyMarkup;
-  if (replyToMessageId) params.reply_to_message_id = replyToMessageId;
-  return api('sendMessage', params);
+  return telegram.sendMessage(BOT_TOKEN, chatId, text, { replyMarkup, replyTo: replyToMessageId, persist: true });
 }
 
 async function editMessage(chatId, messageId, text, replyMarkup = null) {
@@ -94,7 +85,9 @@ async function editMessage(chatId, messageId, text, replyMarkup = null) {
     disable_web_page_preview: true,
   };
   if (replyMarkup) params.reply_markup = replyMarkup;
-  return api('editMessageText', params);
+  const result = await api('editMessageText', params);
+  if (telegram.isRetryable(result)) await telegram.addPendingSend('editMessageText', params);
+  return result;
 }
 
 async function answerCallback(callbackId, text = '') {
@@ -113,7 +106,7 @@ async function answerCallback(callbackId, text = '') {
  * Returns ALL tokens for stats, with top 15 separately for display
  */
 async function loadGainsData(chain, period) {
-  const chainsToLoad = chain === 'all' ? CHAINS : [chain];
+  const chainsToLoad = chain === 'all' ? ENABLED_CHAINS : [chain];
   const results = {};
   
   for (const c of chainsToLoad) {
@@ -122,8 +115,10 @@ async function loadGainsData(chain, period) {
     
     const db = new TelegramDBv5(BOT_TOKEN, chainId);
     await db.load();
+    // All-time includes tokens cleanup moved to the archive
+    const archivedTokens = period === 'all' ? await db.getArchivedTokens() : {};
     // Get ALL tokens (pass 0 for no limit) for accurate stats
-    const data = db.getGainsLeaderboard(period, 0);
+    const data = db.getGainsLeaderboard(period, 0, archivedTokens);
     data.chainKey = c;
     // Store top 15 for display, keep all for stats
     data.topTokens = data.tokens.slice(0, 15);
@@ -483,7 +478,7 @@ function formatAllChainsMessage(chainResults, period) {
  * Build inline keyboard
  */
 function buildPeriodKeyboard(currentPeriod, chain) {
-  const periods = ['1h', '6h', '12h', '24h', '2d', '3d', '1w', '2w', '4w'];
+  const periods = ['1h', '6h', '12h', '24h', '2d', '3d', '1w', '2w', '4w', 'all'];
   const rows = [];
   
   // Row 1: periods
@@ -507,7 +502,7 @@ function buildPeriodKeyboard(currentPeriod, chain) {
   rows.push(row2);
   
   // Row 3: chains
-  const chainOptions = ['all', 'sol', 'eth', 'bsc', 'base'];
+  const chainOptions = ['all', ...ENABLED_CHAINS];
   const row3 = chainOptions.map(c => ({
     text: c === chain ? `•${CHAIN_EMOJI[c]}•` : CHAIN_EMOJI[c],
     callback_data: `gains:${c}:${currentPeriod}`,
@@ -527,8 +522,8 @@ export default async function handler(req, res) {
     const period = PERIODS[req.query.period] || req.query.period || '7d';
     const chain = req.query.chain || 'all';
     
-    if (chain !== 'all' && !CHAIN_IDS[chain]) {
-      return res.status(400).json({ error: 'Invalid chain. Use: all, sol, eth, bsc, base' });
+    if (chain !== 'all' && !ENABLED_CHAINS.includes(chain)) {
+      return res.status(400).json({ error: `Invalid chain. Use: all, ${ENABLED_CHAINS.join(', ')}` });
     }
     
     try {
@@ -552,6 +547,9 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
+  // Retry list in the leaderboard config (outlives this instance)
+  telegram.setRetryStore(new LeaderboardManager(BOT_TOKEN).retryStore());
+  
   try {
     const update = req.body;
     
@@ -575,7 +573,7 @@ export default async function handler(req, res) {
         return res.status(200).json({ ok: true });
       }
       
-      if (chain !== 'all' && !CHAIN_IDS[chain]) {
+      if (chain !== 'all' && !ENABLED_CHAINS.includes(chain)) {
         await answerCallback(id, 'Invalid chain');
         return res.status(200).json({ ok: true });
       }
@@ -614,7 +612,7 @@ export default async function handler(req, res) {
     for (const arg of args) {
       const lower = arg.toLowerCase();
       if (PERIODS[lower]) period = PERIODS[lower];
-      else if (lower === 'all' || CHAIN_IDS[lower]) chain = lower;
+      else if (lower === 'all' || ENABLED_CHAINS.includes(lower)) chain = lower;
     }
     
     const chainResults = await loadGainsData(chain, period);
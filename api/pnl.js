@@ -5,18 +5,19 @@
  * 
  * Usage:
  *   /pnl <chain> <token_address>  - Generate PnL card for token
- *   Chains: sol, eth, bsc, base
+ *   Chains: enabled chains (lib/chains.js)
  * 
  * POST /api/pnl (webhook mode - for Telegram bot)
  * GET /api/pnl?addr=<address>&chain=sol (API mode - for testing)
  */
 
-import { TelegramDBv5, CHAIN_IDS, CHANNELS } from '../lib/telegram-db-v5.js';
+import { TelegramDBv5, LeaderboardManager, CHAIN_IDS, CHANNELS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
 import { generatePnlCardHtml, formatMcap, formatPrice, formatMult, multToPercent, getChainInfo, formatTimeDiff } from '../card-generator/pnl-generator.js';
 import { generatePnlCard } from '../card-generator/puppeteer-card.js';
+import * as telegram from '../lib/telegram-client.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const CHAINS = ['sol', 'eth', 'bsc', 'base'];
 const PRIVATE_CHANNEL = CHANNELS.private;
 
 // Channel config
@@ -27,39 +28,19 @@ const BOT_USERNAME = '@aialphasignals';
 // TELEGRAM API HELPERS
 // ============================================================
 
+// Queued per chat with 429 handling (lib/telegram-client.js); replies
+// Telegram still refuses go to the retry list (update-prices replays it)
 async function api(method, params = {}) {
-  const res = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/${method}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(params),
-  });
-  return res.json();
+  return telegram.callTelegram(BOT_TOKEN, method, params);
 }
 
-async function sendMessage(chatId, text, replyToMessageId = null) {
-  const params = {
-    chat_id: chatId,
-    text,
-    parse_mode: 'HTML',
-    disable_web_page_preview: true,
-  };
-  if (replyToMessageId) params.reply_to_message_id = replyToMessageId;
-  return api('sendMessage', params);
+async function sendMessage(chatId, text, replyToMessageId = null, persist = true) {
+  return telegram.sendMessage(BOT_TOKEN, chatId, text, { replyTo: replyToMessageId, persist });
 }
 
+// A card that can't be sent is kept as its caption
 async function sendPhoto(chatId, photoBuffer, caption = '', replyToMessageId = null) {
-  const formData = new FormData();
-  formData.append('chat_id', chatId);
-  formData.append('photo', new Blob([photoBuffer], { type: 'image/png' }), 'pnl-card.png');
-  if (caption) formData.append('caption', caption);
-  formData.append('parse_mode', 'HTML');
-  if (replyToMessageId) formData.append('reply_to_message_id', replyToMessageId);
-
-  const res = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendPhoto`, {
-    method: 'POST',
-    body: formData,
-  });
-  return res.json();
+  return telegram.sendPhoto(BOT_TOKEN, chatId, photoBuffer, caption, { replyTo: replyToMessageId, fileName: 'pnl-card.png', persist: true });
 }
 
 async function deleteMessage(chatId, messageId) {
@@ -93,6 +74,13 @@ async function findTokenInChain(chain, address) {
         return { chain, address: addr, token };
       }
     }
+    
+    // Pruned by cleanup: look in the archive
+    const archived = await db.findArchivedToken(normalizedAddr);
+    if (archived) {
+      console.log(`   Found archived token ${archived.record.sym} on ${chain} (${archived.month})`);
+      return { chain, address: archived.address, token: archived.record };
+    }
   } catch (err) {
     console.log(`   Error searching ${chain}:`, err.message);
   }
@@ -106,7 +94,7 @@ async function findTokenInChain(chain, address) {
 async function findToken(address) {
   const normalizedAddr = address.toLowerCase().trim();
   
-  for (const chain of CHAINS) {
+  for (const chain of ENABLED_CHAINS) {
     const result = await findTokenInChain(chain, normalizedAddr);
     if (result) return result;
   }
@@ -261,17 +249,19 @@ export default async function handler(req, res) {
   const messageId = update.message.message_id;
   const text = update.message.text.trim();
   
+  // Retry list in the leaderboard config (outlives this instance)
+  telegram.setRetryStore(new LeaderboardManager(BOT_TOKEN).retryStore());
+  
   // Parse command: /pnl <chain> <address>
   const parts = text.split(/\s+/);
   const chainArg = parts[1]?.toLowerCase();
   const address = parts[2];
   
   // Validate chain tag
-  const validChains = ['sol', 'eth', 'bsc', 'base'];
-  if (!chainArg || !validChains.includes(chainArg)) {
+  if (!chainArg || !ENABLED_CHAINS.includes(chainArg)) {
     await sendMessage(chatId, 
       '❌ <b>Usage:</b> <code>/pnl &lt;chain&gt; &lt;token_address&gt;</code>\n\n' +
-      '<b>Chains:</b> sol, eth, bsc, base\n\n' +
+      `<b>Chains:</b> ${ENABLED_CHAINS.join(', ')}\n\n` +
       'Examples:\n' +
       '<code>/pnl sol So11111111111111111111111111111111111111112</code>\n' +
       '<code>/pnl eth 0x1234...abcd</code>',
@@ -289,8 +279,8 @@ export default async function handler(req, res) {
     return res.status(200).json({ ok: true });
   }
   
-  // Send "searching" message (we'll delete it later)
-  const searchingMsg = await sendMessage(chatId, `🔍 Looking up token on ${chainArg.toUpperCase()}...`, messageId);
+  // Send "searching" message (we'll delete it later, not worth a retry)
+  const searchingMsg = await sendMessage(chatId, `🔍 Looking up token on ${chainArg.toUpperCase()}...`, messageId, false);
   const searchingMsgId = searchingMsg?.result?.message_id;
   
   try {
@@ -1,58 +1,99 @@
 /**
- * Vercel API Handler for Signal Polling (Solana - Default)
- * 
- * Triggered by external cron (cron-job.org).
+ * Vercel API Handler for Signal Polling - /api/poll?chain=<key>
+ *
+ * Triggered by external cron (cron-job.org), one job per enabled chain
+ * (cadence: chain.poll.everyMin in lib/chains.js). Defaults to Solana.
  * Polls OKX signals, scores wallets, posts to Telegram.
- * Only posts signals with avgScore > 0 (quality filter).
- * 
- * No KV required - uses in-memory dedup + score filtering.
+ * Only posts signals with avgScore > 0 (quality filter), then routes them
+ * to the destinations whose filters pass (DESTINATIONS_JSON, lib/destinations.js).
+ *
+ * USE_TELEGRAM_DB=true: stores signals to the chain DB + smart money exit alerts,
+ *   and parks posts that failed for /api/retry-failed
+ * SIMULATOR_URL: sends new signals to the Trading Simulator
+ *
+ * Wallet histories, candles and entry scores are reused across polls and
+ * chains (lib/market-cache.js); `cache` in the response counts this poll's
+ * hits and misses.
  */
 
 import { monitorSignals } from '../index.js';
+import { getChain, ENABLED_CHAINS } from '../lib/chains.js';
+import { getMarketCacheStats } from '../lib/market-cache.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-const CHAIN_ID = 501; // Solana
+const USE_DB = process.env.USE_TELEGRAM_DB === 'true'; // Enable via env var
+const SIMULATOR_URL = process.env.SIMULATOR_URL || null; // Optional: trading simulator API
+const SIMULATOR_MIN_SCORE = parseFloat(process.env.SIMULATOR_MIN_SCORE) || 0.3;
 
-// In-memory dedup (per instance, resets on cold start - acceptable)
-const seenSignals = new Set();
+// In-memory dedup per chain (per instance, resets on cold start - acceptable)
+const seenSignalsByChain = new Map();
 
-export default async function handler(req, res) {
+/**
+ * Poll one chain (also used by the per-chain /api/poll-* handlers)
+ * @param {string} chainKey - Chain registry key
+ */
+export async function pollChain(chainKey, req, res) {
   const startTime = Date.now();
-  
-  console.log(`\n🚀 [Solana] Poll triggered at ${new Date().toISOString()}`);
+  const chain = getChain(chainKey);
+
+  if (!chain || !chain.enabled || chain.key !== chainKey) {
+    return res.status(400).json({ ok: false, error: `Unknown chain: ${chainKey} (expected ${ENABLED_CHAINS.join(', ')})` });
+  }
+
+  console.log(`\n🚀 [${chain.label}] Poll at ${new Date().toISOString()} (db=${USE_DB}, sim=${!!SIMULATOR_URL})`);
 
   if (!BOT_TOKEN || !CHAT_ID) {
     return res.status(500).json({ ok: false, error: 'Missing Telegram config' });
   }
 
+  if (!seenSignalsByChain.has(chain.key)) seenSignalsByChain.set(chain.key, new Set());
+  const seenSignals = seenSignalsByChain.get(chain.key);
+  const cacheBefore = getMarketCacheStats();
+
   try {
     const result = await monitorSignals({
-      chainId: CHAIN_ID,
+      chainId: chain.id,
       trend: '1',
-      pageSize: 10,
+      pageSize: chain.poll.pageSize,
       botToken: BOT_TOKEN,
       chatId: CHAT_ID,
       scoreWallets: true,
       minWallets: 1,
       minScore: 0,           // Only post signals with avgScore > 0
-      seenSignals,           // In-memory dedup
+      seenSignals,
+      useDB: USE_DB,
+      simulatorUrl: SIMULATOR_URL,
+      simulatorMinScore: SIMULATOR_MIN_SCORE,
+      trackExits: USE_DB,
     });
 
     const duration = Date.now() - startTime;
-    console.log(`✅ [Solana] Complete in ${duration}ms - ${result.newSignals} posted, ${result.skippedByScore} filtered`);
+    const cacheAfter = getMarketCacheStats();
+    const cache = { hits: cacheAfter.hits - cacheBefore.hits, misses: cacheAfter.misses - cacheBefore.misses };
+    console.log(`✅ [${chain.label}] Complete in ${duration}ms - ${result.newSignals} posted, ${result.skippedByScore} filtered (cache: ${cache.hits} hits, ${cache.misses} misses)`);
 
     return res.status(200).json({
       ok: true,
-      chain: 'Solana',
+      chain: chain.label,
       duration,
       newSignals: result.newSignals,
       skippedByScore: result.skippedByScore,
+      skippedByRoute: result.skippedByRoute,
+      parked: result.parked,
+      exitAlerts: result.exitAlerts,
+      cache,
       tracked: seenSignals.size,
+      dbEnabled: USE_DB,
+      simulatorEnabled: !!SIMULATOR_URL,
     });
 
   } catch (error) {
-    console.error('❌ [Solana] Poll error:', error);
+    console.error(`❌ [${chain.label}] Error:`, error);
     return res.status(500).json({ ok: false, error: error.message });
   }
 }
+
+export default async function handler(req, res) {
+  return pollChain(String(req.query?.chain || 'sol').toLowerCase(), req, res);
+}
@@ -0,0 +1,64 @@
+/**
+ * Retry Failed Signals Cron - /api/retry-failed
+ *
+ * Replays signal posts that the poll parked after a retryable failure
+ * (dead letters in the chain DBs, see lib/dead-letter.js). Entries older
+ * than DEAD_LETTER_MAX_AGE_MS or past DEAD_LETTER_MAX_ATTEMPTS are dropped.
+ *
+ * Trigger: External cron ping (e.g., every 5 minutes)
+ */
+
+import { retryFailedSignals } from '../index.js';
+import { getEnabledChains } from '../lib/chains.js';
+import { initializeDB, saveDB } from '../lib/db-integration-v5.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TIMEOUT_LIMIT = 45000; // Leave 15s for the DB saves (Vercel 60s limit)
+
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  console.log(`\n📮 [Retry Failed] Starting at ${new Date().toISOString()}`);
+
+  if (!BOT_TOKEN) {
+    return res.status(500).json({ ok: false, error: 'Missing Telegram config' });
+  }
+
+  const results = { chains: {}, sent: 0, dropped: 0, pending: 0 };
+
+  try {
+    for (const chain of getEnabledChains()) {
+      if (Date.now() - startTime > TIMEOUT_LIMIT) {
+        console.warn(`   ⏱️ Time limit reached, ${chain.name} and later chains wait for the next run.`);
+        break;
+      }
+
+      console.log(`\n📊 Processing ${chain.name}...`);
+      const db = await initializeDB(BOT_TOKEN, chain.id);
+      if (db.getDeadLetters().length === 0) {
+        console.log(`   ℹ️ No failed signals for ${chain.name}`);
+        continue;
+      }
+
+      const chainResult = await retryFailedSignals(db, { botToken: BOT_TOKEN, deadline: startTime + TIMEOUT_LIMIT });
+      await saveDB(db);
+
+      results.chains[chain.name] = chainResult;
+      results.sent += chainResult.sent;
+      results.dropped += chainResult.dropped;
+      results.pending += chainResult.pending;
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`\n✅ [Retry Failed] Complete in ${duration}ms - ${results.sent} sent, ${results.dropped} dropped, ${results.pending} pending`);
+
+    return res.status(200).json({
+      ok: true,
+      duration,
+      ...results,
+    });
+
+  } catch (error) {
+    console.error('❌ [Retry Failed] Error:', error);
+    return res.status(500).json({ ok: false, error: error.message });
+  }
+}
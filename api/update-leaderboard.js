@@ -10,7 +10,7 @@
  * - reset=true: Force reset of leaderboard config (recreate all messages)
  * 
  * Flow:
- * 1. Load all chain databases (sol, eth, bsc, base)
+ * 1. Load all enabled chain databases (lib/chains.js)
  * 2. Calculate trending tokens (all chains combined)
  * 3. Calculate top wallets (7d performance)
  * 4. Edit pinned leaderboard messages (private: full data, public: anonymized)
@@ -18,6 +18,8 @@
  */
 
 import { TelegramDBv5, LeaderboardManager, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
+import { setRetryStore } from '../lib/telegram-client.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
@@ -29,7 +31,7 @@ export default async function handler(req, res) {
   try {
     // Load all chain databases
     const dbs = {};
-    const chains = ['sol', 'eth', 'bsc', 'base'];
+    const chains = ENABLED_CHAINS;
     
     for (const chain of chains) {
       console.log(`\n📂 Loading ${chain.toUpperCase()} database...`);
@@ -41,6 +43,7 @@ export default async function handler(req, res) {
     
     // Update leaderboards
     const leaderboardManager = new LeaderboardManager(BOT_TOKEN);
+    setRetryStore(leaderboardManager.retryStore()); // Failed edits land in this config
     
     // Force reset if requested - clear config to recreate all messages
     if (forceReset) {
@@ -51,6 +54,8 @@ export default async function handler(req, res) {
       leaderboardManager.config = {
         leaderboards: {},
         summaries: { private: null, public: null },
+        snapshots: leaderboardManager.config.snapshots || {}, // Keep DB snapshot index
+        pendingSends: leaderboardManager.config.pendingSends || [],
         updatedAt: Date.now(),
       };
     }
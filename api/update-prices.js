@@ -7,21 +7,17 @@
  * Trigger: External cron ping (e.g., every 15 minutes)
  */
 
-import { TelegramDBv5, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { TelegramDBv5, LeaderboardManager, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { getEnabledChains } from '../lib/chains.js';
+import { getStorageBackend } from '../lib/db-storage.js';
 import { getTokenPrices } from '../lib/price-fetcher.js';
+import { applyPriceUpdate, MAX_SIGNAL_AGE_MS } from '../lib/price-tracking.js';
+import { sendMessage, retryPendingSends, setRetryStore } from '../lib/telegram-client.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const PRIVATE_CHANNEL = '-1003474351030';
 const PUBLIC_CHANNEL = '-1003627230339';
 
-// All chains to process
-const CHAINS = [
-  { id: 501, name: 'SOL', tag: 'solana', key: 'sol' },
-  { id: 1, name: 'ETH', tag: 'ethereum', key: 'eth' },
-  { id: 56, name: 'BSC', tag: 'bsc', key: 'bsc' },
-  { id: 8453, name: 'BASE', tag: 'base', key: 'base' },
-];
-
 // Performance thresholds for posting updates
 const THRESHOLDS = {
   // Gains (positive multipliers)
@@ -36,32 +32,12 @@ const THRESHOLDS = {
   RUG: 0.25,      // -75% loss
 };
 
-// Minimum liquidity to consider token not rugged (USD)
-const MIN_LIQUIDITY_USD = 1000;
-
-// Only post updates for signals newer than this
-const MAX_SIGNAL_AGE_MS = 48 * 60 * 60 * 1000; // 48 hours
-const MAX_TRACKING_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days for winners
-
+/**
+ * Send via the Telegram client: long updates are split, and posts Telegram
+ * still refuses (rate limit, outage) go to the retry list for the next run
+ */
 async function sendTelegramMessage(text, chatId = PRIVATE_CHANNEL, replyToMsgId = null) {
-  const body = {
-    chat_id: chatId,
-    text,
-    parse_mode: 'HTML',
-    disable_web_page_preview: true,
-  };
-  
-  // Reply to original signal message if provided
-  if (replyToMsgId) {
-    body.reply_to_message_id = replyToMsgId;
-  }
-  
-  const res = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-  return res.json();
+  return sendMessage(BOT_TOKEN, chatId, text, { replyTo: replyToMsgId, persist: true });
 }
 
 /**
@@ -223,118 +199,15 @@ async function processChain(chain, allPerformers) {
   let performerCount = 0;
   
   for (const [addr, token] of Object.entries(tokens)) {
-    // Note: We still update archived tokens for ATH tracking (leaderboards)
-    // But we won't report or archive them again
-    const isArchived = token.archived || false;
-
-    const priceData = prices[addr.toLowerCase()];
-    
-    if (!priceData || priceData.priceUsd <= 0) continue;
-    
-    const currentPrice = priceData.priceUsd;
-    const liquidity = priceData.liquidity || 0;
-    
-    // Detect rugged tokens (liquidity dried up)
-    const isRugged = liquidity < MIN_LIQUIDITY_USD;
-    const wasRugged = token.rugged || false;
-    const newlyRugged = isRugged && !wasRugged;
-    
-    // Update rugged status in token
-    if (isRugged) {
-      token.rugged = true;
-      token.ruggedAt = token.ruggedAt || Date.now();
-      token.archived = true; // Archive rugged tokens immediately after reporting
-    }
-    
-    // Entry price = first signal price (p0)
-    const entryPrice = token.p0 || 0;
-    if (entryPrice <= 0) continue;
-    
-    // SANITY CHECK: Validate price is reasonable
-    // Reject prices that would create >10000x multipliers (likely API corruption)
-    const potentialMult = currentPrice / entryPrice;
-    if (potentialMult > 10000 || potentialMult < 0.0000001) {
-      console.log(`   ⚠️ SKIPPED ${token.sym}: Suspicious mult ${potentialMult.toExponential(2)} (price: ${currentPrice}, entry: ${entryPrice})`);
-      continue;
-    }
-    
-    // Track ATH (all-time high) and ATL (all-time low) since signal
-    const previousATH = token.pPeak || entryPrice;
-    const previousATL = token.pLow || entryPrice;
-    
-    const isNewATH = currentPrice > previousATH;
-    const isNewATL = currentPrice < previousATL;
-    
-    // Update ATH/ATL if new extremes
-    if (isNewATH) {
-      token.pPeak = currentPrice;
-    }
-    if (isNewATL) {
-      token.pLow = currentPrice;
-    }
-    
-    // Calculate current multiplier (current price vs entry)
-    const currentMultiplier = currentPrice / entryPrice;
-    const signalAge = Date.now() - (token.firstSeen || 0);
-    
-    // Update token with current price
-    token.pNow = currentPrice;
-    token.mult = currentMultiplier;
-    
-    // Update peak multiplier
-    if (isNewATH) {
-      token.peakMult = currentPrice / entryPrice;
-    }
-    
-    // ============================================================
-    // JOURNEY TRACKING (for analytics, not displayed)
-    // ============================================================
-    const peakMult = token.peakMult || 1;
-    const lowMult = token.pLow ? (token.pLow / entryPrice) : 1;
-    
-    // hitPeakAfterDip: Token went below entry (-35% or more) then recovered to peak above entry
-    // This indicates resilience - the token recovered from a significant dip
-    if (!token.hitPeakAfterDip && lowMult <= 0.65 && peakMult >= 1.0) {
-      token.hitPeakAfterDip = true;
-      console.log(`   📈 Journey: ${token.sym} recovered from ${((1-lowMult)*100).toFixed(0)}% dip to ${((peakMult-1)*100).toFixed(0)}% peak`);
-    }
-    
-    // dippedAfterPeak: Token achieved 1.5x+ then fell below entry (pump and dump pattern)
-    if (!token.dippedAfterPeak && peakMult >= 1.5 && currentMultiplier < 1.0) {
-      token.dippedAfterPeak = true;
-      console.log(`   📉 Journey: ${token.sym} peaked at ${((peakMult-1)*100).toFixed(0)}% then dumped to ${((currentMultiplier-1)*100).toFixed(0)}%`);
-    }
-    
-    // Archive Logic (only for non-archived tokens)
-    // 1. Hard Dump: 50% drop from ATH
-    const peakPrice = token.pPeak || entryPrice;
-    const dropFromPeak = (peakPrice - currentPrice) / peakPrice;
-    let justArchived = false;
-    
-    if (!isArchived && dropFromPeak >= 0.5) {
-      token.archived = true;
-      justArchived = true;
-    }
-    
-    // 2. Time Limit (only for non-archived tokens):
-    // - Winners (> entry): Track for 7 days
-    // - Losers (< entry): Track for 48 hours
-    const isWinner = currentMultiplier >= 1.0;
-    const maxAge = isWinner ? MAX_TRACKING_AGE_MS : MAX_SIGNAL_AGE_MS;
-    
-    if (!isArchived && signalAge > maxAge) {
-      token.archived = true;
-      justArchived = true;
-    }
-    
-    // Record final performance when archiving
-    if (justArchived) {
-      db.finalizeToken(token);
-    }
-    
-    db.updateToken(addr, token);
+    const update = applyPriceUpdate(db, addr, token, prices[addr.toLowerCase()]);
+    if (!update) continue;
     updated++;
     
+    const {
+      entryPrice, currentPrice, liquidity, currentMultiplier, signalAge,
+      isNewATH, isNewATL, isRugged, newlyRugged, isArchived, justArchived,
+    } = update;
+    
     // Reporting Logic (skip for already archived tokens, but report if just archived)
     let shouldReport = false;
     let reportType = null;
@@ -417,7 +290,8 @@ export default async function handler(req, res) {
   const startTime = Date.now();
   console.log(`\n🔄 [Update Prices] Starting at ${new Date().toISOString()}`);
   
-  if (!BOT_TOKEN) {
+  // Bot token is only optional when the DB lives in local storage
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
     return res.status(500).json({ ok: false, error: 'Missing Telegram config' });
   }
   
@@ -431,9 +305,17 @@ export default async function handler(req, res) {
   // Collect all performers across chains
   const allPerformers = [];
   
+  // Retry list in the leaderboard config, shared with gains/pnl/leaderboards
+  setRetryStore(new LeaderboardManager(BOT_TOKEN).retryStore());
+  
   try {
+    // Posts the previous runs (and other handlers) could not deliver
+    if (BOT_TOKEN) {
+      results.retried = await retryPendingSends(BOT_TOKEN);
+    }
+    
     // Process all chains and collect performers
-    for (const chain of CHAINS) {
+    for (const chain of getEnabledChains()) {
       const chainResult = await processChain(chain, allPerformers);
       results.chains[chain.name] = { updated: chainResult.updated, performers: chainResult.performers };
       results.totalUpdated += chainResult.updated;
@@ -447,7 +329,9 @@ export default async function handler(req, res) {
     if (allPerformers.length > 0) {
       // Send to PRIVATE channel (full details)
       const privateMsg = formatAggregatedMessage(allPerformers, PRIVATE_CHANNEL, false);
-      if (privateMsg) {
+      if (privateMsg && !BOT_TOKEN) {
+        console.log(`\n📝 Performance update (no bot configured):\n${privateMsg}`);
+      } else if (privateMsg) {
         const result = await sendTelegramMessage(privateMsg, PRIVATE_CHANNEL);
         if (result.ok) {
           console.log(`\n📨 Sent performance update to PRIVATE channel (${allPerformers.length} tokens)`);
@@ -9,6 +9,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getChain } from '../lib/chains.js';
 
 // Get __dirname equivalent in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -147,33 +148,13 @@ export function getMultTier(mult) {
  * Get chain info including SVG
  */
 export function getChainInfo(chain) {
-  const chains = {
-    sol: { 
-      name: 'SOL', 
-      color: '#9945FF', 
-      gradient: 'linear-gradient(135deg, #9945FF 0%, #14F195 100%)',
-      svg: CHAIN_SVGS.sol,
-    },
-    eth: { 
-      name: 'ETH', 
-      color: '#627EEA', 
-      gradient: 'linear-gradient(135deg, #627EEA 0%, #A8B8EA 100%)',
-      svg: CHAIN_SVGS.eth,
-    },
-    bsc: { 
-      name: 'BSC', 
-      color: '#F3BA2F', 
-      gradient: 'linear-gradient(135deg, #F3BA2F 0%, #FFE066 100%)',
-      svg: CHAIN_SVGS.bsc,
-    },
-    base: { 
-      name: 'BASE', 
-      color: '#0052FF', 
-      gradient: 'linear-gradient(135deg, #0052FF 0%, #66A3FF 100%)',
-      svg: CHAIN_SVGS.base,
-    },
+  const info = getChain(chain) || getChain('sol');
+  return {
+    name: info.name,
+    color: info.card.color,
+    gradient: info.card.gradient,
+    svg: CHAIN_SVGS[info.key] || '',
   };
-  return chains[chain] || chains.sol;
 }
 
 /**
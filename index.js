@@ -17,12 +17,16 @@ import {
   updateTokenMsgId,
   updateTokenSecurity,
   getTokenLastMsgId,
+  updateDestinationMsgId,
+  getDestinationMsgId,
   isSignalSeen,
   getTokenEnhancement,
+  getTokenSignalHistory,
   getWalletEnhancement,
   getWalletReputation,
   categorizeWallets,
   initializeDB,
+  loadWalletRecords,
   getSeenSignalsFromDB,
   saveDB,
   pinIndexAfterUpdate,
@@ -32,6 +36,22 @@ import { generateChart } from './lib/chart-generator.js';
 import { fetchSecurity } from './lib/security-fetcher.js';
 import { getTokenPrice } from './lib/price-fetcher.js';
 import { resolveENS, batchResolveENS } from './lib/ens-resolver.js';
+import {
+  fetchFilterActivity,
+  fetchSignalDetail,
+  fetchWalletProfile,
+  fetchCandles,
+  OkxError,
+} from './lib/okx-client.js';
+import { scoreWalletEntries, scoreWalletBatch } from './lib/entry-scoring.js';
+import { getScoringProfile } from './lib/scoring-profiles.js';
+import { getWalletScore } from './lib/market-cache.js';
+import { matchWalletExits, recordWalletExits } from './lib/exit-tracking.js';
+import { installHttpFixtures } from './lib/http-fixtures.js';
+import { CHAINS, getChain } from './lib/chains.js';
+import { loadDestinations, signalFacts, routeSignal } from './lib/destinations.js';
+import * as telegram from './lib/telegram-client.js';
+import { buildDeadLetter, planDeadLetters, parkChart, loadChart, dropChart } from './lib/dead-letter.js';
 
 // Channel IDs
 const PRIVATE_CHANNEL = '-1003474351030';
@@ -47,48 +67,10 @@ const SIGNAL_LABELS = {
   '3': 'Whales'
 };
 
-const CHAIN_NAMES = {
-  501: 'SOL',
-  1: 'ETH',
-  56: 'BSC',
-  8453: 'BASE'
-};
-
-const CHAIN_EXPLORERS = {
-  501: { name: 'Solscan', wallet: 'https://solscan.io/account/', token: 'https://solscan.io/token/' },
-  1: { name: 'Etherscan', wallet: 'https://etherscan.io/address/', token: 'https://etherscan.io/token/' },
-  56: { name: 'BscScan', wallet: 'https://bscscan.com/address/', token: 'https://bscscan.com/token/' },
-  8453: { name: 'Basescan', wallet: 'https://basescan.org/address/', token: 'https://basescan.org/token/' }
-};
-
-// DEX tools links
-const DEX_LINKS = {
-  501: {
-    dextools: 'https://www.dextools.io/app/en/solana/pair-explorer/',
-    dexscreener: 'https://dexscreener.com/solana/'
-  },
-  1: {
-    dextools: 'https://www.dextools.io/app/en/ether/pair-explorer/',
-    dexscreener: 'https://dexscreener.com/ethereum/'
-  },
-  56: {
-    dextools: 'https://www.dextools.io/app/en/bnb/pair-explorer/',
-    dexscreener: 'https://dexscreener.com/bsc/'
-  },
-  8453: {
-    dextools: 'https://www.dextools.io/app/en/base/pair-explorer/',
-    dexscreener: 'https://dexscreener.com/base/'
-  }
-};
-
-const LOOKBACK_MS = 8 * 60 * 60 * 1000;
-const LOOKFORWARD_MS = 24 * 60 * 60 * 1000;
-
-// Scoring endpoints
-const ENDPOINTS = {
-  tradingHistory: 'https://web3.okx.com/priapi/v1/dx/market/v2/pnl/token-list',
-  candles: 'https://web3.okx.com/priapi/v5/dex/token/market/dex-token-hlc-candles',
-};
+// Chain names, explorers and DEX links by chainId (chains.js)
+const CHAIN_NAMES = Object.fromEntries(Object.values(CHAINS).map(c => [c.id, c.name]));
+const CHAIN_EXPLORERS = Object.fromEntries(Object.values(CHAINS).map(c => [c.id, c.explorer]));
+const DEX_LINKS = Object.fromEntries(Object.values(CHAINS).map(c => [c.id, c.dex]));
 
 // ============================================================
 // UTILITY FUNCTIONS
@@ -167,218 +149,6 @@ function escapeHtml(text) {
     .replace(/>/g, '&gt;');
 }
 
-// ============================================================
-// API FUNCTIONS
-// ============================================================
-
-async function fetchJson(url, options = {}) {
-  const res = await fetch(url, {
-    headers: { 'Content-Type': 'application/json' },
-    ...options
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
-}
-
-async function fetchFilterActivity(chainId = 501, trend = '1', pageSize = 10) {
-  const t = Date.now();
-  const url = `https://web3.okx.com/priapi/v1/dx/market/v2/smartmoney/signal/filter-activity-overview?t=${t}`;
-  
-  const body = {
-    chainId,
-    trend,
-    signalLabelList: [1, 2, 3],
-    protocolIdList: [],
-    tokenMetricsFilter: {},
-    signalMetricsFilter: {},
-    pageSize
-  };
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-
-  const json = await res.json();
-  if (json.code !== 0) throw new Error(`API Error: ${json.error_message || json.msg}`);
-  return json.data;
-}
-
-async function fetchSignalDetail(chainId, tokenAddress, batchId, batchIndex) {
-  const t = Date.now();
-  const url = `https://web3.okx.com/priapi/v1/dx/market/v2/smartmoney/signal-detail?` +
-    `chainId=${chainId}&tokenContractAddress=${tokenAddress}&batchId=${batchId}&batchIndex=${batchIndex}&t=${t}`;
-
-  const json = await fetchJson(url);
-  if (json.code !== 0) throw new Error(`API Error: ${json.error_message || json.msg}`);
-  return json.data;
-}
-
-async function fetchWalletProfile(chainId, walletAddress) {
-  const t = Date.now();
-  const url = `https://web3.okx.com/priapi/v1/dx/market/v2/pnl/wallet-profile/query/address/info?chainId=${chainId}&walletAddress=${walletAddress}&t=${t}`;
-  
-  try {
-    const json = await fetchJson(url);
-    if (json.code !== 0) return null;
-    
-    // Extract KOL link from response
-    // Structure: data.t[0].e.kolTwitterLink
-    if (json.data?.t?.[0]?.e?.kolTwitterLink) {
-      return json.data.t[0].e.kolTwitterLink;
-    }
-    return null;
-  } catch (e) {
-    console.log(`   ⚠️ Failed to fetch profile for ${walletAddress}: ${e.message}`);
-    return null;
-  }
-}
-
-async function fetchTradingHistory(chainId, walletAddress, limit = 30) {
-  const allTokens = [];
-  let offset = 0;
-  
-  while (allTokens.length < limit) {
-    const url = `${ENDPOINTS.tradingHistory}?walletAddress=${walletAddress}&chainId=${chainId}&isAsc=false&sortType=2&offset=${offset}&limit=20&filterRisk=false&filterSmallBalance=false&filterEmptyBalance=false&t=${Date.now()}`;
-    
-    const data = await fetchJson(url);
-    if (data.code !== 0) break;
-    
-    allTokens.push(...data.data.tokenList);
-    if (!data.data.hasNext || allTokens.length >= limit) break;
-    offset = data.data.offset;
-    await sleep(50);
-  }
-  
-  return allTokens.slice(0, limit);
-}
-
-async function fetchCandles(chainId, tokenAddress, limit = 300, bar = '15m') {
-  const url = `${ENDPOINTS.candles}?chainId=${chainId}&address=${tokenAddress}&bar=${bar}&limit=${limit}&t=${Date.now()}`;
-  
-  try {
-    const data = await fetchJson(url);
-    if (data.code !== '0' && data.code !== 0) return [];
-    
-    return (data.data || []).map(c => ({
-      timestamp: parseInt(c[0], 10),
-      open: parseFloat(c[1]),
-      high: parseFloat(c[2]),
-      low: parseFloat(c[3]),
-      close: parseFloat(c[4]),
-    }));
-  } catch {
-    return [];
-  }
-}
-
-// ============================================================
-// SCORING (Relative Entry Timing - Before/After Context)
-// 
-// Scores range from -2 to +2:
-// +2: Bought the dip, price mooned after (excellent timing)
-// +1: Good entry, price pumped after
-//  0: Neutral entry
-// -1: Poor entry, bought pump, price dipped after
-// -2: Terrible entry, bought pump, price dumped after
-// ============================================================
-
-function classifyBefore(entryPrice, beforeMin, beforeMax) {
-  const riseToEntry = ((entryPrice - beforeMin) / beforeMin) * 100;
-  const fallToEntry = ((beforeMax - entryPrice) / beforeMax) * 100;
-  
-  if (riseToEntry > 25 && riseToEntry > fallToEntry) return 'pumped_to';
-  if (riseToEntry > 10 && riseToEntry > fallToEntry) return 'rose_to';
-  if (fallToEntry > 25 && fallToEntry > riseToEntry) return 'dumped_to';
-  if (fallToEntry > 10 && fallToEntry > riseToEntry) return 'fell_to';
-  return 'flat';
-}
-
-function classifyAfter(entryPrice, afterMin, afterMax) {
-  const pctUp = ((afterMax - entryPrice) / entryPrice) * 100;
-  const pctDown = ((entryPrice - afterMin) / entryPrice) * 100;
-  
-  if (pctUp > 25 && pctUp > pctDown) return 'moon';
-  if (pctUp > 10 && pctUp > pctDown) return 'pump';
-  if (pctDown > 25 && pctDown > pctUp) return 'dump';
-  if (pctDown > 10 && pctDown > pctUp) return 'dip';
-  return 'flat';
-}
-
-function scoreBuy(beforeCtx, afterCtx) {
-  const matrix = {
-    'dumped_to': { 'moon': 2, 'pump': 1, 'flat': 0, 'dip': -1, 'dump': -2 },
-    'fell_to': { 'moon': 2, 'pump': 1, 'flat': 0, 'dip': -1, 'dump': -2 },
-    'flat': { 'moon': 2, 'pump': 1, 'flat': 0, 'dip': -1, 'dump': -2 },
-    'rose_to': { 'moon': 1, 'pump': 0, 'flat': -1, 'dip': -2, 'dump': -2 },
-    'pumped_to': { 'moon': 0, 'pump': -1, 'flat': -1, 'dip': -2, 'dump': -2 },
-  };
-  return matrix[beforeCtx]?.[afterCtx] ?? 0;
-}
-
-function scoreEntry(entryPrice, entryTime, candles) {
-  const beforeCandles = candles.filter(c => 
-    c.timestamp < entryTime && c.timestamp >= entryTime - LOOKBACK_MS
-  );
-  const afterCandles = candles.filter(c => 
-    c.timestamp > entryTime && c.timestamp <= entryTime + LOOKFORWARD_MS
-  );
-  
-  const beforeMin = beforeCandles.length > 0 ? Math.min(...beforeCandles.map(c => c.low)) : entryPrice;
-  const beforeMax = beforeCandles.length > 0 ? Math.max(...beforeCandles.map(c => c.high)) : entryPrice;
-  const afterMin = afterCandles.length > 0 ? Math.min(...afterCandles.map(c => c.low)) : entryPrice;
-  const afterMax = afterCandles.length > 0 ? Math.max(...afterCandles.map(c => c.high)) : entryPrice;
-  
-  const beforeCtx = classifyBefore(entryPrice, beforeMin, beforeMax);
-  const afterCtx = classifyAfter(entryPrice, afterMin, afterMax);
-  
-  return scoreBuy(beforeCtx, afterCtx);
-}
-
-/**
- * Score a wallet's entry quality (simplified - 7d tokens only)
- */
-async function scoreWalletEntries(walletAddress, chainId, maxTokens = 15) {
-  const tokens = await fetchTradingHistory(chainId, walletAddress, maxTokens);
-  
-  const now = Date.now();
-  const sevenDaysAgo = now - 7 * 24 * 60 * 60 * 1000;
-  const recentTokens = tokens.filter(t => 
-    t.latestTime && parseInt(t.latestTime, 10) >= sevenDaysAgo
-  );
-  
-  if (recentTokens.length === 0) return { avgScore: 0, count: 0 };
-  
-  const scores = [];
-  
-  for (const token of recentTokens.slice(0, 10)) {
-    const tokenAddress = token.tokenContractAddress;
-    const buyAvgPrice = parseFloat(token.buyAvgPrice) || 0;
-    const buyCount = token.totalTxBuy || 0;
-    
-    if (buyCount > 0 && buyAvgPrice > 0) {
-      const candles = await fetchCandles(chainId, tokenAddress);
-      
-      if (candles.length > 0) {
-        const closestCandle = candles.reduce((best, c) => 
-          Math.abs(c.close - buyAvgPrice) < Math.abs(best.close - buyAvgPrice) ? c : best
-        );
-        const score = scoreEntry(buyAvgPrice, closestCandle.timestamp, candles);
-        for (let i = 0; i < Math.min(buyCount, 5); i++) {
-          scores.push(score);
-        }
-      }
-    }
-    
-    await sleep(30);
-  }
-  
-  const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
-  
-  return { avgScore, count: scores.length };
-}
-
 // ============================================================
 // TELEGRAM FORMATTING (HTML)
 // ============================================================
@@ -409,6 +179,14 @@ function buildScoreDots(walletDetails) {
   return sorted.map(w => scoreEmoji(w.entryScore)).join('');
 }
 
+/**
+ * Note for signals posted before every wallet was scored (time/rate limit)
+ */
+function formatPartialScores(signal) {
+  const partial = signal.partialScores;
+  return partial ? `⏳ <i>Partial score: ${partial.scored}/${partial.total} wallets scored</i>\n` : '';
+}
+
 /**
  * Format a signal for PRIVATE channel (HTML)
  * Full wallet details with explorer links
@@ -466,6 +244,7 @@ function formatSignalMessage(signal, walletDetails, options = {}) {
   if (scoreDots) {
     msg += `${scoreDots}\n`;
   }
+  msg += formatPartialScores(signal);
   
   msg += `${SEPARATOR}\n`;
   
@@ -623,6 +402,7 @@ function formatRedactedSignalMessage(signal, walletDetails, options = {}) {
   if (scoreDots) {
     msg += `${scoreDots}\n`;
   }
+  msg += formatPartialScores(signal);
   
   msg += `${SEPARATOR}\n`;
   
@@ -657,6 +437,79 @@ function formatRedactedSignalMessage(signal, walletDetails, options = {}) {
   return msg;
 }
 
+/**
+ * Format a COMPACT signal (HTML) for high-volume destinations
+ * Three lines: header, stats, token link + contract
+ */
+function formatCompactSignalMessage(signal, walletDetails, options = {}) {
+  const explorer = CHAIN_EXPLORERS[signal.chainId] || CHAIN_EXPLORERS[501];
+  const { tokenHistory } = options;
+
+  const scoredWallets = walletDetails.filter(w => w.entryScore !== undefined);
+  const signalAvgScore = scoredWallets.length > 0
+    ? scoredWallets.reduce((sum, w) => sum + w.entryScore, 0) / scoredWallets.length
+    : 0;
+  const rating = signalRating(signalAvgScore);
+
+  // ===== HEADER =====
+  const isNewToken = !tokenHistory || !tokenHistory.signalCount || tokenHistory.signalCount === 0;
+  const signalEmoji = isNewToken ? '🆕' : '🚨';
+  let msg = `#${signal.chainName} ${signalEmoji} <b>${SIGNAL_LABELS[signal.signalLabel] || ''}</b> ${rating.emoji} ${signalAvgScore.toFixed(2)}${signal.partialScores ? ' ⏳' : ''}`;
+  msg += ` │ <b><a href="${explorer.token}${signal.tokenAddress}">$${escapeHtml(signal.tokenSymbol)}</a></b>\n`;
+
+  // Format: "3 wallets │ MCap $1.2M │ Age 2h │ up +40.0%"
+  let statsLine = `${walletDetails.length} wallet${walletDetails.length !== 1 ? 's' : ''} │ MCap ${formatUsd(signal.mcapAtSignal)} │ Age ${signal.tokenAge}`;
+  const maxPct = parseFloat(signal.maxPctGain) || 0;
+  if (maxPct !== 0) {
+    statsLine += ` │ ${maxPct >= 0 ? 'up' : 'down'} ${formatPct(maxPct)}`;
+  }
+  msg += `${statsLine}\n`;
+  msg += `<code>${signal.tokenAddress}</code>`;
+
+  return msg;
+}
+
+/**
+ * Format a smart money EXIT alert (HTML)
+ * Posted as a reply in the token's signal thread
+ * @param {Object} exitSignal - { chainId, chainName, batchId, batchIndex, price }
+ * @param {Object} token - Tracked token record
+ * @param {Array} exits - From matchWalletExits() (best multiple first)
+ */
+function formatExitAlert(exitSignal, token, exits) {
+  const explorer = CHAIN_EXPLORERS[exitSignal.chainId] || CHAIN_EXPLORERS[501];
+
+  // ===== HEADER =====
+  let msg = `#${exitSignal.chainName} 🚪 <b>Smart Money Exit</b> │ $${escapeHtml(token.sym || '???')}\n`;
+  msg += `${SEPARATOR}\n`;
+
+  // Format: "2 of 5 signal wallets sold │ now 1.80x"
+  const signalWallets = Math.max(token.wallets?.length || 0, exits.length);
+  let summaryLine = `${exits.length} of ${signalWallets} signal wallet${signalWallets !== 1 ? 's' : ''} sold`;
+  const price = parseFloat(exitSignal.price);
+  if (token.p0 > 0 && price > 0) {
+    summaryLine += ` │ now <b>${(price / token.p0).toFixed(2)}x</b>`;
+  }
+  msg += `${summaryLine}\n\n`;
+
+  // ===== WALLETS =====
+  for (const exit of exits) {
+    const displayName = exit.seller?.ensName || `${exit.walletAddress.slice(0, 6)}...${exit.walletAddress.slice(-4)}`;
+    msg += `<a href="${explorer.wallet}${exit.walletAddress}">${escapeHtml(displayName)}</a>`;
+    if (typeof exit.score === 'number') {
+      msg += ` ${scoreEmoji(exit.score)} ${exit.score >= 0 ? '+' : ''}${exit.score.toFixed(2)}`;
+    }
+    msg += ` │ sold at <b>${exit.exitMult.toFixed(2)}x</b>\n`;
+  }
+
+  // ===== TIMESTAMP =====
+  const sigId = `${exitSignal.batchId}-${exitSignal.batchIndex}`;
+  msg += `\n${SEPARATOR}\n`;
+  msg += `<i><a href="https://t.me/#${sigId}">${formatUtcTime()}</a></i>`;
+
+  return msg;
+}
+
 // ============================================================
 // TELEGRAM API
 // ============================================================
@@ -808,64 +661,129 @@ async function sendToSimulator(simulatorUrl, signal, avgScore, chainName, isLowS
   }
 }
 
-async function sendTelegramMessage(botToken, chatId, text, replyToMsgId = null, inlineKeyboard = null) {
-  const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-  
-  const body = {
-    chat_id: chatId,
-    text,
-    parse_mode: 'HTML',
-    disable_web_page_preview: true,
-  };
-  
-  // Reply to previous message if provided (for chaining signals)
-  if (replyToMsgId) {
-    body.reply_to_message_id = replyToMsgId;
-    body.allow_sending_without_reply = true; // Don't fail if original deleted
-  }
-  
-  // Add inline keyboard if provided
-  if (inlineKeyboard) {
-    body.reply_markup = inlineKeyboard;
+/**
+ * Send a message through the Telegram client (per-chat queue, 429 retries,
+ * split over 4096 characters)
+ */
+async function sendTelegramMessage(botToken, chatId, text, replyToMsgId = null, inlineKeyboard = null, topicId = null) {
+  return telegram.sendMessage(botToken, chatId, text, { replyTo: replyToMsgId, replyMarkup: inlineKeyboard, topicId });
+}
+
+/**
+ * Send a chart through the Telegram client (captions over 1024 characters
+ * continue in a reply)
+ */
+async function sendTelegramPhoto(botToken, chatId, photoBuffer, caption, replyToMsgId = null, inlineKeyboard = null, topicId = null) {
+  return telegram.sendPhoto(botToken, chatId, photoBuffer, caption, { replyTo: replyToMsgId, replyMarkup: inlineKeyboard, topicId });
+}
+
+// ============================================================
+// DESTINATIONS (routing: lib/destinations.js)
+// ============================================================
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * POST a signal to a webhook destination
+ * @returns {Object} { ok, description? } (same shape as Telegram results)
+ */
+async function sendWebhook(url, payload) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    return res.ok ? { ok: true } : { ok: false, error_code: res.status, description: `HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, description: err.message };
   }
-  
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-  
-  return res.json();
 }
 
-async function sendTelegramPhoto(botToken, chatId, photoBuffer, caption, replyToMsgId = null, inlineKeyboard = null) {
-  const url = `https://api.telegram.org/bot${botToken}/sendPhoto`;
-  
-  const formData = new FormData();
-  formData.append('chat_id', chatId);
-  formData.append('caption', caption);
-  formData.append('parse_mode', 'HTML');
-  // formData.append('disable_web_page_preview', 'true'); // Not supported for photos
-  
-  // Append photo buffer
-  const blob = new Blob([photoBuffer], { type: 'image/png' });
-  formData.append('photo', blob, 'chart.png');
+/**
+ * Post a signal to one destination in its format
+ * Telegram: chart photo (not for compact) with text fallback, in the destination's topic
+ * Webhook: JSON payload + formatted text (wallets only for the full format)
+ * @param {Object} post - { messages: {full, redacted, compact}, buttons: {private, public}, chartBuffer, replyToMsgId, payload }
+ */
+async function deliverToDestination(botToken, dest, post) {
+  const text = post.messages[dest.format];
+
+  if (dest.type === 'webhook') {
+    const { wallets, ...payload } = post.payload;
+    return sendWebhook(dest.url, {
+      ...payload,
+      ...(dest.format === 'full' ? { wallets } : {}),
+      destination: dest.name,
+      format: dest.format,
+      text,
+    });
+  }
 
-  if (replyToMsgId) {
-    formData.append('reply_to_message_id', replyToMsgId);
-    formData.append('allow_sending_without_reply', 'true');
+  const buttons = dest.format === 'redacted' ? post.buttons.public : post.buttons.private;
+  let result;
+  if (post.chartBuffer && dest.format !== 'compact') {
+    try {
+      result = await sendTelegramPhoto(botToken, dest.chatId, post.chartBuffer, text, post.replyToMsgId, buttons, dest.topicId);
+    } catch (e) {
+      console.warn(`   ⚠️ ${dest.name} photo exception: ${e.message}`);
+      result = null;
+    }
   }
-  
-  if (inlineKeyboard) {
-    formData.append('reply_markup', JSON.stringify(inlineKeyboard));
+
+  // Fallback to text if photo failed or no chart
+  if (!result || !result.ok) {
+    if (result && !result.ok) {
+      console.warn(`   ⚠️ ${dest.name} photo failed (${result.description}), falling back to text...`);
+    }
+    result = await sendTelegramMessage(botToken, dest.chatId, text, post.replyToMsgId, buttons, dest.topicId);
+  }
+  return result;
+}
+
+/**
+ * Post a signal to several destinations, each replying in its own thread
+ * @param {Object} replyTo - { destName: msgId }
+ * @returns {Object} { posted, msgIds: { destName: msgId }, failed: [{ dest, result }] }
+ */
+async function deliverToDestinations(botToken, destinations, post, replyTo = {}) {
+  let posted = 0;
+  const msgIds = {};
+  const failed = [];
+  for (const dest of destinations) {
+    const replyToMsgId = replyTo[dest.name] || null;
+    let result;
+    try {
+      result = await deliverToDestination(botToken, dest, { ...post, replyToMsgId });
+    } catch (err) {
+      result = { ok: false, description: err.message };
+    }
+    if (!result.ok) {
+      console.log(`   ❌ ${dest.name} error: ${result.description}`);
+      failed.push({ dest, result });
+      continue;
+    }
+    
+    posted++;
+    const replyInfo = replyToMsgId ? ` (reply to ${replyToMsgId})` : '';
+    console.log(`   ✅ Posted to ${dest.name} (${dest.format})${replyInfo}`);
+    if (result.result?.message_id) msgIds[dest.name] = result.result.message_id;
+  }
+  return { posted, msgIds, failed };
+}
+
+/**
+ * Store the message ids later posts reply to
+ * (primary: token.lastMsgId, others: token.msgIds[name])
+ */
+async function recordMsgIds(db, tokenAddress, destinations, msgIds) {
+  for (const dest of destinations) {
+    const msgId = msgIds[dest.name];
+    if (!msgId) continue;
+    if (dest.primary) await updateTokenMsgId(db, tokenAddress, msgId, false);
+    else updateDestinationMsgId(db, tokenAddress, dest.name, msgId);
   }
-  
-  const res = await fetch(url, {
-    method: 'POST',
-    body: formData,
-  });
-  
-  return res.json();
 }
 
 // ============================================================
@@ -874,12 +792,14 @@ async function sendTelegramPhoto(botToken, chatId, photoBuffer, caption, replyTo
 
 /**
  * Process a single signal
+ * @param {Object} config - { scoreWallets, deadline: stop scoring wallets at this time (ms) }
  */
 async function processSignal(activity, tokenInfo, overviewList, config) {
   const { chainId, tokenAddress } = parseTokenKey(activity.tokenKey);
   const tokenData = tokenInfo[activity.tokenKey] || {};
   const overview = overviewList.find(o => o.tokenKey === activity.tokenKey) || {};
   const labelIndex = parseInt(activity.signalLabel) - 1;
+  const profile = getScoringProfile(chainId);
   
   // Build signal object
   const signal = {
@@ -902,6 +822,7 @@ async function processSignal(activity, tokenInfo, overviewList, config) {
     volumeInSignal: activity.volume,
     maxMultiplier: overview.maxIncreaseMultiplier || '0',
     maxPctGain: overview.maxIncreasePercentage || '0',
+    scoringProfile: profile.id,
   };
   
   // Fetch wallet details
@@ -913,39 +834,127 @@ async function processSignal(activity, tokenInfo, overviewList, config) {
     console.log(`   🎤 Fetching KOL profiles for ${walletDetails.length} wallets...`);
     for (const wallet of walletDetails) {
       if (wallet.addressInfo?.kolAddress) {
-        const realUrl = await fetchWalletProfile(chainId, wallet.walletAddress);
-        if (realUrl) {
-          wallet.addressInfo.kolTwitterLink = realUrl;
+        try {
+          const realUrl = await fetchWalletProfile(chainId, wallet.walletAddress);
+          if (realUrl) {
+            wallet.addressInfo.kolTwitterLink = realUrl;
+          }
+        } catch (err) {
+          if (!(err instanceof OkxError)) throw err;
+          console.log(`   ⚠️ Failed to fetch profile for ${wallet.walletAddress}: ${err.message}`);
         }
-        await sleep(200); // Rate limit niceness
       }
     }
   }
   
-  // Score wallets if enabled
+  // Score wallets if enabled (in parallel; what is scored by the deadline is posted)
   if (config.scoreWallets) {
+    const { scores, stopped } = await scoreWalletBatch(
+      walletDetails.map(w => w.walletAddress),
+      (address, concurrency, signal) => getWalletScore(chainId, address, profile.id,
+        () => scoreWalletEntries(address, chainId, profile.entry, { concurrency, signal })),
+      { deadline: config.deadline },
+    );
     for (const wallet of walletDetails) {
-      try {
-        const scoring = await scoreWalletEntries(wallet.walletAddress, chainId, 10);
-        wallet.entryScore = scoring.count > 0 ? scoring.avgScore : undefined;
-        wallet.entryCount = scoring.count;
-      } catch (err) {
-        console.error(`Failed to score ${wallet.walletAddress}:`, err.message);
-        wallet.entryScore = undefined;
-      }
-      await sleep(100);
+      const scoring = scores.get(wallet.walletAddress);
+      wallet.entryScore = scoring?.count > 0 ? scoring.avgScore : undefined;
+      if (scoring) wallet.entryCount = scoring.count;
+    }
+    if (stopped) {
+      signal.partialScores = { scored: scores.size, total: walletDetails.length };
+      console.log(`   ⏳ Partial scores (${stopped}): ${scores.size}/${walletDetails.length} wallets scored`);
     }
   }
   
   return { signal, walletDetails };
 }
 
+/**
+ * Process sell-side (trend=2) activity: exit alerts for tracked tokens
+ * Replies in the token's signal thread and records the exits on the wallets
+ * Dedup: seenSignals (exit-batchId-batchIndex) + one exit per wallet/token.
+ * Handled exits of tracked tokens are persisted like buy signals (DB seen
+ * list + /tmp), so a cold start does not re-alert them; failed sends are kept
+ * out of seenSignals too, and are retried next run.
+ * @returns {number} Exit alerts posted
+ */
+async function processExits(db, config) {
+  const { chainId, pageSize, botToken, chatId, topicId = null, seenSignals, deadline } = config;
+  const chainName = CHAIN_NAMES[chainId] || `Chain${chainId}`;
+
+  console.log(`\n🚪 Polling exits (chain=${chainId}, trend=2)...`);
+  const data = await fetchFilterActivity(chainId, '2', pageSize);
+  const sortedActivities = [...data.activityList].sort((a, b) => b.id - a.id);
+
+  let exitAlerts = 0;
+  for (const activity of sortedActivities) {
+    if (Date.now() > deadline) {
+      console.warn(`   ⏱️ Time limit reached, remaining exits will be picked up next run.`);
+      break;
+    }
+
+    const exitKey = `exit-${activity.batchId}-${activity.batchIndex}`;
+    if (seenSignals.has(exitKey)) continue;
+
+    // Only tokens we signalled
+    const { tokenAddress } = parseTokenKey(activity.tokenKey);
+    const token = db.getToken(tokenAddress);
+    if (!token) {
+      seenSignals.add(exitKey);
+      continue;
+    }
+
+    try {
+      const detail = await fetchSignalDetail(chainId, tokenAddress, activity.batchId, activity.batchIndex);
+      const sellers = detail.addresses || [];
+      await loadWalletRecords(db, sellers);
+
+      const exits = matchWalletExits(db, tokenAddress, sellers, activity.price);
+      if (exits.length === 0) {
+        console.log(`   ⏭️ ${token.sym}: no signal wallets among ${sellers.length} seller(s)`);
+        seenSignals.add(exitKey);
+        db.addSeenSignal(exitKey);
+        await saveSignalId(chainName, exitKey);
+        continue;
+      }
+
+      const msg = formatExitAlert({ ...activity, chainId, chainName }, token, exits);
+      const replyToMsgId = getTokenLastMsgId(db, tokenAddress);
+      const result = await sendTelegramMessage(botToken, chatId, msg, replyToMsgId, null, topicId);
+      if (!result.ok) {
+        console.log(`   ❌ Telegram error: ${result.description}`);
+        continue;
+      }
+
+      recordWalletExits(db, tokenAddress, exits, activity.price, parseInt(activity.eventTime) || Date.now());
+      seenSignals.add(exitKey);
+      db.addSeenSignal(exitKey);
+      await saveSignalId(chainName, exitKey);
+      exitAlerts++;
+      const replyInfo = replyToMsgId ? ` (reply to ${replyToMsgId})` : '';
+      console.log(`   ✅ Exit alert ${token.sym}: ${exits.length} wallet(s)${replyInfo}`);
+    } catch (err) {
+      console.error(`   ❌ Error processing exit ${activity.id}:`, err.message);
+    }
+
+    await sleep(200);
+  }
+
+  return exitAlerts;
+}
+
 /**
  * Main monitor function
  * 
  * Deduplication: in-memory Set (resets on cold start, acceptable)
  * Filtering: Only post signals with avgScore > minScore (default 0)
+ * Routing: Each destination then applies its own filters and format
+ *          (destinations option, else DESTINATIONS_JSON, else the private chat)
  * DB Storage: When useDB=true, stores signals/tokens/wallets to Telegram channels
+ * Exits: When trackExits=true (needs the DB), posts smart money exit alerts
+ *        to the primary destination
+ * Failed posts: Retryable failures are parked in the DB for /api/retry-failed
+ *        (retryFailedSignals), see lib/dead-letter.js
  */
 async function monitorSignals(config) {
   const {
@@ -961,9 +970,12 @@ async function monitorSignals(config) {
     useDB = false,           // Enable Telegram DB storage
     simulatorUrl = null,     // Trading simulator API URL (optional)
     simulatorMinScore = 0.3, // Only send to simulator if avgScore >= this
+    trackExits = false,      // Poll sell-side activity for exit alerts (requires DB)
+    destinations = loadDestinations({ chatId }), // Where signals go (lib/destinations.js)
   } = config;
   
   const chainName = CHAIN_NAMES[chainId] || `Chain${chainId}`;
+  const primaryDestination = destinations.find(d => d.primary) || null;
   
   console.log(`\n📡 Polling signals (chain=${chainId}, trend=${trend}, minScore=${minScore}, db=${useDB})...`);
   
@@ -1000,16 +1012,21 @@ async function monitorSignals(config) {
   
   let newSignals = 0;
   let skippedByScore = 0;
+  let skippedByRoute = 0;
+  let parked = 0;
   
   // Sort by ID descending to process newest first
   const sortedActivities = [...data.activityList].sort((a, b) => b.id - a.id);
   
   const startTime = Date.now();
   const TIMEOUT_LIMIT = 45000; // 45 seconds (leave 15s buffer for Vercel 60s limit)
+  const POST_RESERVE_MS = 10000; // Security check, chart and posts of a signal scored up to its deadline
+  // Scoring ends early enough for the signal to post by TIMEOUT_LIMIT; saves use the 15s buffer
+  const scoreDeadline = startTime + TIMEOUT_LIMIT - POST_RESERVE_MS;
 
   for (const activity of sortedActivities) {
-    // Timeout Guard
-    if (Date.now() - startTime > TIMEOUT_LIMIT) {
+    // Timeout Guard (a signal starting after the scoring deadline would post unscored)
+    if (Date.now() - startTime > TIMEOUT_LIMIT || (scoreWallets && Date.now() >= scoreDeadline)) {
       console.warn(`   ⏱️ Time limit reached (${TIMEOUT_LIMIT}ms), stopping processing to avoid timeout. Remaining signals will be picked up next run.`);
       break;
     }
@@ -1036,8 +1053,9 @@ async function monitorSignals(config) {
         activity, 
         data.tokenInfo, 
         data.overviewList,
-        { scoreWallets }
+        { scoreWallets, deadline: scoreDeadline }
       );
+      const allWalletDetails = walletDetails; // Before the new-wallet filter (signal log)
       
       // Security Check
       let security = null;
@@ -1065,6 +1083,8 @@ async function monitorSignals(config) {
       let walletCategories = null;
       
       if (db) {
+        // Sharded DB: pull only the wallet partitions this signal touches
+        await loadWalletRecords(db, walletDetails);
         tokenHistory = getTokenEnhancement(db, signal.tokenAddress);
         // Get previous message ID for reply chaining
         replyToMsgId = getTokenLastMsgId(db, signal.tokenAddress);
@@ -1137,8 +1157,26 @@ async function monitorSignals(config) {
         console.log(`   ⚠️ DexScreener fetch failed: ${slipErr.message}`);
       }
       
-      // ===== ENS RESOLUTION (ETH chain only) =====
-      if (signal.chainId === 1) {
+      // Check if signal is a loss (negative score or negative gain)
+      const maxPctGain = parseFloat(signal.maxPctGain) || 0;
+      const isLoss = signalAvgScore < 0 || maxPctGain < 0;
+      
+      // ===== ROUTING =====
+      // Per-destination filters (after the DexScreener MCap correction)
+      const facts = signalFacts(signal, { avgScore: signalAvgScore, walletCount: walletDetails.length, security, isLoss });
+      const { matched, skipped } = routeSignal(destinations, facts);
+      for (const { dest, reason } of skipped) {
+        console.log(`   ⏭️ ${dest.name}: ${reason}`);
+      }
+      if (matched.length === 0) {
+        console.log(`   ⏭️ Skipping ${activity.id}: no destination matched`);
+        skippedByRoute++;
+        await saveSignalId(chainName, signalKey);
+        continue;
+      }
+      
+      // ===== ENS RESOLUTION (ENS chains only, see chains.js) =====
+      if (getChain(signal.chainId)?.ens) {
         try {
           const ethAddresses = walletDetails.map(w => w.walletAddress);
           const ensMap = await batchResolveENS(ethAddresses);
@@ -1161,17 +1199,15 @@ async function monitorSignals(config) {
       // Pass db for wallet reputation lookup
       const msg = formatSignalMessage(signal, walletDetails, { tokenHistory, walletCategories, db, security });
       const redactedMsg = formatRedactedSignalMessage(signal, walletDetails, { tokenHistory, walletCategories, db, security });
+      const compactMsg = formatCompactSignalMessage(signal, walletDetails, { tokenHistory });
       const privateButtons = buildPrivateButtons(signal.chainId, signal.tokenAddress);
       const publicButtons = buildPublicButtons(signal.chainId, signal.tokenAddress);
       
-      // Check if signal is a loss (negative score or negative gain)
-      const maxPctGain = parseFloat(signal.maxPctGain) || 0;
-      const isLoss = signalAvgScore < 0 || maxPctGain < 0;
-      
-      if (botToken && chatId) {
-        // Generate Chart
+      if (botToken) {
+        // Generate Chart (only Telegram full/redacted posts carry one)
         let chartBuffer = null;
-        try {
+        const needsChart = matched.some(d => d.type === 'telegram' && d.format !== 'compact');
+        if (needsChart) try {
           const tokenData = data.tokenInfo[activity.tokenKey] || {};
           const tokenLogo = tokenData.tokenLogoUrl || tokenData.logoUrl || null;
           
@@ -1180,12 +1216,11 @@ async function monitorSignals(config) {
           if (tokenHistory) {
             if (tokenHistory.firstSeen) signalTimestamps.push(tokenHistory.firstSeen);
             if (tokenHistory.lastSig) signalTimestamps.push(tokenHistory.lastSig);
-            // Add all historical signals
-            if (tokenHistory.signals && Array.isArray(tokenHistory.signals)) {
-              tokenHistory.signals.forEach(s => {
-                if (s.time) signalTimestamps.push(s.time);
-              });
-            }
+            // Add all historical signals (from the signal log once token.signals is truncated)
+            const signalHistory = await getTokenSignalHistory(db, signal.tokenAddress);
+            signalHistory.forEach(s => {
+              if (s.time) signalTimestamps.push(s.time);
+            });
           }
           // Unique and sort
           const uniqueTimestamps = [...new Set(signalTimestamps)].sort((a, b) => a - b);
@@ -1243,7 +1278,7 @@ async function monitorSignals(config) {
           console.log(`   📊 Generating chart for ${signal.tokenSymbol} with timestamps:`, uniqueTimestamps);
 
           chartBuffer = await generateChart(
-            CHAIN_NAMES[signal.chainId]?.toLowerCase() || 'sol',
+            getChain(signal.chainId)?.key || 'sol',
             signal.tokenSymbol,
             tokenLogo,
             priceData, // Pass real data
@@ -1254,84 +1289,76 @@ async function monitorSignals(config) {
           console.error('   ⚠️ Chart generation failed:', err.message);
         }
 
-        // Send to PRIVATE channel (full details)
-        let result;
-        if (chartBuffer) {
-          try {
-            result = await sendTelegramPhoto(botToken, chatId, chartBuffer, msg, replyToMsgId, privateButtons);
-          } catch (e) {
-            console.warn(`   ⚠️ Private photo exception: ${e.message}`);
-            result = null;
-          }
-        }
+        // Post to every matched destination, replying in its own thread
+        const post = {
+          messages: { full: msg, redacted: redactedMsg, compact: compactMsg },
+          buttons: { private: privateButtons, public: publicButtons },
+          chartBuffer,
+          payload: {
+            signalId: signalKey,
+            chain: facts.chain,
+            label: facts.label,
+            tokenAddress: signal.tokenAddress,
+            symbol: signal.tokenSymbol,
+            price: parseFloat(signal.priceAtSignal) || 0,
+            mcap: facts.mcap,
+            avgScore: signalAvgScore,
+            scoringProfile: signal.scoringProfile,
+            partialScores: signal.partialScores || null,
+            walletCount: facts.walletCount,
+            security: facts.security,
+            wallets: walletDetails.map(w => ({ address: w.walletAddress, score: w.entryScore ?? null })),
+          },
+        };
         
-        // Fallback to text if photo failed or no chart
-        if (!result || !result.ok) {
-          if (result && !result.ok) {
-            console.warn(`   ⚠️ Private photo failed (${result.description}), falling back to text...`);
+        const replyTo = {};
+        for (const dest of matched) {
+          replyTo[dest.name] = dest.primary
+            ? replyToMsgId
+            : (db ? getDestinationMsgId(db, signal.tokenAddress, dest.name) : null);
+        }
+        const { posted, msgIds, failed } = await deliverToDestinations(botToken, matched, post, replyTo);
+
+        // Retryable failures wait in the DB for /api/retry-failed (dead-letter.js)
+        const retryable = failed.filter(f => telegram.isRetryable(f.result));
+        if (retryable.length > 0 && db) {
+          const entry = buildDeadLetter(signal, {
+            id: signalKey,
+            destinations: retryable.map(f => f.dest),
+            post,
+            replyTo: Object.fromEntries(retryable.map(f => [f.dest.name, replyTo[f.dest.name]])),
+            // Nothing posted: the DB records the signal with the first replayed post
+            store: posted > 0 ? null : { signal, walletDetails, avgScore: signalAvgScore, security, logWallets: allWalletDetails },
+            error: retryable[0].result.description,
+          });
+          entry.chart = await parkChart(db, signalKey, chartBuffer);
+          db.putDeadLetter(entry);
+          parked++;
+          console.log(`   📮 Parked for retry: ${retryable.map(f => f.dest.name).join(', ')}`);
+          
+          if (posted === 0) {
+            // Seen, so the next poll does not post it a second time
+            db.addSeenSignal(`${signal.batchId}_${signal.batchIndex}`);
+            await saveSignalId(chainName, signalKey);
           }
-          result = await sendTelegramMessage(botToken, chatId, msg, replyToMsgId, privateButtons);
+        } else if (retryable.length > 0) {
+          console.log(`   ⚠️ Not parked for retry (needs the DB): ${retryable.map(f => f.dest.name).join(', ')}`);
         }
 
-        if (result.ok) {
-          const replyInfo = replyToMsgId ? ` (reply to ${replyToMsgId})` : '';
-          console.log(`   ✅ Posted to PRIVATE (avgScore: ${signalAvgScore.toFixed(2)})${replyInfo}`);
+        if (posted > 0) {
           // Persist signal ID to /tmp for cold start recovery
           await saveSignalId(chainName, signalKey);
           
           // Store to Telegram DB for tracking (if enabled)
           if (db) {
             try {
-              await storeSignalData(db, signal, walletDetails, signalAvgScore, security);
-              // Store the private message ID for future reply chaining
-              await updateTokenMsgId(db, signal.tokenAddress, result.result.message_id, false);
+              await storeSignalData(db, signal, walletDetails, signalAvgScore, security, allWalletDetails);
+              await recordMsgIds(db, signal.tokenAddress, matched, msgIds);
             } catch (dbErr) {
               console.warn(`   ⚠️ DB store failed (non-fatal): ${dbErr.message}`);
             }
           }
           
-          /* DISABLED PUBLIC CHANNEL
-          // Send to PUBLIC channel (redacted) - WITH reply chaining to public messages
-          // Skip public channel for losses (negative score or negative gain)
-          if (isLoss) {
-            console.log(`   ⏭️ Skipping PUBLIC (loss signal: score=${signalAvgScore.toFixed(2)}, gain=${maxPctGain.toFixed(1)}%)`);
-          } else try {
-            const publicReplyId = db ? getTokenLastMsgId(db, signal.tokenAddress, true) : null;
-            let publicResult;
-            
-            // Try sending with photo first
-            if (chartBuffer) {
-              try {
-                publicResult = await sendTelegramPhoto(botToken, PUBLIC_CHANNEL, chartBuffer, redactedMsg, publicReplyId, publicButtons);
-              } catch (e) {
-                console.warn(`   ⚠️ Public photo exception: ${e.message}`);
-                publicResult = null;
-              }
-            }
-            
-            // Fallback to text if photo failed or no chart
-            if (!publicResult || !publicResult.ok) {
-              if (publicResult && !publicResult.ok) {
-                console.warn(`   ⚠️ Public photo failed (${publicResult.description}), falling back to text...`);
-              }
-              publicResult = await sendTelegramMessage(botToken, PUBLIC_CHANNEL, redactedMsg, publicReplyId, publicButtons);
-            }
-
-            if (publicResult.ok) {
-              const pubReplyInfo = publicReplyId ? ` (reply to ${publicReplyId})` : '';
-              console.log(`   ✅ Posted to PUBLIC (redacted)${pubReplyInfo}`);
-              // Store the public message ID for public reply chaining
-              if (db) {
-                await updateTokenMsgId(db, signal.tokenAddress, publicResult.result.message_id, true);
-              }
-            } else {
-              console.log(`   ⚠️ Public channel error: ${publicResult.description}`);
-            }
-          } catch (pubErr) {
-            console.log(`   ⚠️ Public channel failed (non-fatal): ${pubErr.message}`);
-          }
-          */
-          
           // Send to Trading Simulator (if configured and score passes threshold)
           // ONLY for new signals (no history)
           const isNewToken = !tokenHistory || !tokenHistory.signalCount || tokenHistory.signalCount === 0;
@@ -1344,8 +1371,6 @@ async function monitorSignals(config) {
           } else if (simulatorUrl && !isNewToken) {
             console.log(`   ⏭️ Skipping Simulator: Subsequent signal (count: ${tokenHistory?.signalCount})`);
           }
-        } else {
-          console.log(`   ❌ Telegram error: ${result.description}`);
         }
       } else {
         console.log(`   📝 Message (no bot configured):\n${msg}`);
@@ -1360,6 +1385,21 @@ async function monitorSignals(config) {
     await sleep(200);
   }
   
+  // Exit alerts for tracked tokens (same DB, saved below)
+  let exitAlerts = 0;
+  if (db && trackExits && primaryDestination) {
+    try {
+      exitAlerts = await processExits(db, {
+        chainId, pageSize, botToken, seenSignals,
+        chatId: primaryDestination.chatId,
+        topicId: primaryDestination.topicId,
+        deadline: startTime + TIMEOUT_LIMIT,
+      });
+    } catch (err) {
+      console.warn(`   ⚠️ Exit tracking failed: ${err.message}`);
+    }
+  }
+  
   // Save DB after batch (v5 file-based storage)
   if (db) {
     try {
@@ -1370,15 +1410,95 @@ async function monitorSignals(config) {
     }
   }
   
-  console.log(`   📊 Processed ${newSignals} new signal(s), skipped ${skippedByScore} by score`);
+  console.log(`   📊 Processed ${newSignals} new signal(s), skipped ${skippedByScore} by score, ${skippedByRoute} by routing, ${parked} parked for retry`);
   
   return { 
     newSignals, 
     skippedByScore,
+    skippedByRoute,
+    parked,
+    exitAlerts,
     seenSignals, 
   };
 }
 
+// ============================================================
+// DEAD LETTERS (parked by monitorSignals, lib/dead-letter.js)
+// ============================================================
+
+/**
+ * Replay signal posts that failed with a retryable error
+ * Each destination replies to the token's current thread in it (the parked
+ * reply target if it has none). Entries past the age/attempt limits are
+ * dropped. The caller saves the DB.
+ * @param {TelegramDBv5} db - Chain DB
+ * @param {Object} config - { botToken, deadline, now }
+ * @returns {Object} { sent, dropped, pending }
+ */
+async function retryFailedSignals(db, config) {
+  const { botToken, deadline = Infinity, now = Date.now() } = config;
+  const { due, expired } = planDeadLetters(db.getDeadLetters(), now);
+  let sent = 0;
+
+  for (const { entry, reason } of expired) {
+    console.log(`   🗑️ Dropping ${entry.sym} (${entry.id}): ${reason}`);
+    db.removeDeadLetter(entry.id);
+    await dropChart(db, entry.chart);
+  }
+
+  for (const entry of due) {
+    if (Date.now() > deadline) {
+      console.warn(`   ⏱️ Time limit reached, remaining dead letters wait for the next run.`);
+      break;
+    }
+
+    console.log(`   📮 Retrying ${entry.sym} (${entry.id}, attempt ${(entry.attempts || 0) + 1}): ${entry.destinations.map(d => d.name).join(', ')}`);
+    const chartBuffer = await loadChart(db, entry.chart);
+    const replyTo = {};
+    for (const dest of entry.destinations) {
+      const current = dest.primary
+        ? getTokenLastMsgId(db, entry.token)
+        : getDestinationMsgId(db, entry.token, dest.name);
+      replyTo[dest.name] = current || entry.replyTo?.[dest.name] || null;
+    }
+
+    const { posted, msgIds, failed } = await deliverToDestinations(botToken, entry.destinations, { ...entry.post, chartBuffer }, replyTo);
+
+    if (posted > 0) {
+      try {
+        if (entry.store) {
+          const { signal, walletDetails, avgScore, security, logWallets } = entry.store;
+          await loadWalletRecords(db, logWallets);
+          await storeSignalData(db, signal, walletDetails, avgScore, security, logWallets);
+        }
+        await recordMsgIds(db, entry.token, entry.destinations, msgIds);
+      } catch (dbErr) {
+        console.warn(`   ⚠️ DB store failed (non-fatal): ${dbErr.message}`);
+      }
+    }
+
+    const retryable = failed.filter(f => telegram.isRetryable(f.result));
+    if (retryable.length === 0) {
+      db.removeDeadLetter(entry.id);
+      await dropChart(db, entry.chart);
+      if (posted > 0) sent++;
+      continue;
+    }
+
+    db.putDeadLetter({
+      ...entry,
+      destinations: retryable.map(f => f.dest),
+      attempts: (entry.attempts || 0) + 1,
+      lastError: retryable[0].result.description,
+      store: posted > 0 ? null : entry.store,
+    });
+  }
+
+  const pending = db.getDeadLetters().length;
+  console.log(`   📮 Dead letters: ${sent} sent, ${expired.length} dropped, ${pending} pending`);
+  return { sent, dropped: expired.length, pending };
+}
+
 // ============================================================
 // CLI / LOCAL TESTING
 // ============================================================
@@ -1386,6 +1506,9 @@ async function monitorSignals(config) {
 async function main() {
   console.log('🚀 Signal Monitor Pipeline - Test Mode\n');
   
+  // HTTP_FIXTURES=record|replay: capture or replay provider responses
+  installHttpFixtures();
+  
   // For testing, don't send to Telegram - just print
   const config = {
     chainId: 501,
@@ -1407,8 +1530,12 @@ async function main() {
 // Export for Vercel
 export {
   monitorSignals,
+  retryFailedSignals,
   processSignal,
   formatSignalMessage,
+  formatCompactSignalMessage,
+  formatExitAlert,
+  processExits,
   sendTelegramMessage,
   scoreWalletEntries,
   CHAIN_EXPLORERS,
@@ -0,0 +1,193 @@
+/**
+ * Backtest - Replay stored signals through alternative scoring configurations
+ *
+ * Measures what a different matrix, band, window or posting threshold would
+ * have posted, from data we already keep (scripts/backtest.js loads it):
+ * - signals: Signal log entries (signal-log.js) with their wallet lists
+ * - history: { walletAddress: OKX trading-history tokens }
+ * - candles: { tokenAddress: 15m candles } of wallet history tokens (scoring)
+ * - trades:  { walletAddress: { tokenAddress: wallet trades } } (scoring,
+ *            tokens without trades fall back to the buy-average heuristic)
+ * - outcomeCandles: { tokenAddress: 1H candles } of signal tokens
+ * - tokens:  Chain DB token records (outcome fallback)
+ *
+ * A configuration is { name, minScore, minWallets, profile } plus scoring
+ * overrides (entry-scoring.js resolveScoring(): beforeBands, afterBands,
+ * lookbackMs, lookforwardMs, historyLimit, maxTokens, historyWindowMs, matrix) applied to
+ * the entry settings of `profile` (scoring-profiles.js, default: the chain's
+ * active profile). Per configuration every wallet is re-scored as the
+ * pipeline would have at the signal time (history and candles cut there) and
+ * the signal posts when its average score > minScore.
+ *
+ * Outcome of a signal: peak multiple of the token within OUTCOME_WINDOW_MS
+ * after it (signal token candles, else the DB peak since the first signal).
+ * A rug is a drop to RUG_MULT of the signal price in that window, or a token
+ * the price cron marked rugged.
+ *
+ * Limits: trading history is as fetched, not as of the signal (older trades
+ * may have fallen off the list), and the log keeps every signal wallet,
+ * including repeat wallets the pipeline left out of the live score.
+ */
+
+import {
+  DEFAULT_SCORING, resolveScoring, selectRecentTokens, scoreTokenEntry, averageEntries,
+} from './entry-scoring.js';
+import { getProfileById } from './scoring-profiles.js';
+import { MAX_SIGNAL_AGE_MS } from './price-tracking.js';
+
+export const WIN_MULTIPLES = [1.25, 1.5, 2];
+export const OUTCOME_WINDOW_MS = MAX_SIGNAL_AGE_MS;
+export const RUG_MULT = 0.25;
+
+// The pipeline's posting filters (api/poll.js)
+export const CURRENT_CONFIG = { name: 'current', minScore: 0, minWallets: 1 };
+
+// ============================================================
+// CONFIGS
+// ============================================================
+
+/**
+ * Validate a configuration and resolve its scoring
+ * @param {Object} spec - { name, minScore, minWallets, profile, ...scoring overrides }
+ * @param {Object} base - Entry scoring when spec has no profile (the chain's active one)
+ * @returns {Object} { name, minScore, minWallets, scoring }
+ */
+export function resolveBacktestConfig(spec, base = DEFAULT_SCORING) {
+  const { name, minScore = 0, minWallets = 1, profile, ...overrides } = spec || {};
+  if (!name || typeof name !== 'string') throw new Error('Backtest config: missing name');
+  if (!Number.isFinite(minScore)) throw new Error(`Backtest config ${name}: minScore must be a number`);
+  if (!Number.isInteger(minWallets) || minWallets < 1) throw new Error(`Backtest config ${name}: minWallets must be a positive integer`);
+
+  try {
+    const entry = profile ? getProfileById(profile).entry : base;
+    return { name, minScore, minWallets, scoring: resolveScoring(overrides, entry) };
+  } catch (err) {
+    throw new Error(`Backtest config ${name}: ${err.message}`);
+  }
+}
+
+// ============================================================
+// REPLAY
+// ============================================================
+
+/**
+ * Score a wallet as of a past time
+ * @param {Array} history - Trading-history tokens of the wallet
+ * @param {Object} candles - { tokenAddress: candles }
+ * @param {number} asOf - Signal time (ms): later trades and candles are ignored
+ * @param {Object} trades - { tokenAddress: wallet trades } of this wallet
+ * @returns {{ avgScore, count }}
+ */
+export function rescoreWallet(history, candles, asOf, scoring, trades = {}) {
+  const traded = (history || []).filter(t => parseInt(t.latestTime, 10) <= asOf);
+  const entries = [];
+  for (const token of selectRecentTokens(traded, asOf, scoring)) {
+    const address = token.tokenContractAddress;
+    const known = (candles[address] || []).filter(c => c.timestamp <= asOf);
+    const buys = trades[address]?.filter(t => t.time <= asOf) ?? null;
+    const entry = scoreTokenEntry(token, known, scoring, buys);
+    if (entry) entries.push(entry);
+  }
+  return averageEntries(entries);
+}
+
+/**
+ * What happened to the token after a signal
+ * @param {Object} signal - Signal log entry { time, price }
+ * @param {Array} candles - Signal token candles
+ * @param {Object} token - Chain DB token record (fallback)
+ * @returns {Object|null} { peakMult, rugged, source }, null = no price data
+ */
+export function signalOutcome(signal, candles = [], token = null, windowMs = OUTCOME_WINDOW_MS) {
+  const price = signal.price || token?.p0;
+  if (!(price > 0)) return null;
+
+  const window = candles.filter(c => c.timestamp >= signal.time && c.timestamp <= signal.time + windowMs);
+  if (window.length > 0) {
+    const high = Math.max(...window.map(c => c.high));
+    const low = Math.min(...window.map(c => c.low));
+    return { peakMult: high / price, rugged: Boolean(token?.rugged) || low <= price * RUG_MULT, source: 'candles' };
+  }
+  if (token?.pPeak > 0) {
+    return { peakMult: token.pPeak / price, rugged: Boolean(token.rugged), source: 'db' };
+  }
+  return null;
+}
+
+/**
+ * Replay signals through each configuration
+ * @param {Object} data - { signals, history, candles, trades, outcomeCandles, tokens }
+ * @param {Array} configs - From resolveBacktestConfig()
+ * @returns {Array} One summary per configuration (see summarizeRun)
+ */
+export function runBacktest(data, configs) {
+  const { signals, history = {}, candles = {}, trades = {}, outcomeCandles = {}, tokens = {} } = data;
+  const outcomes = new Map(signals.map(s => [s.id, signalOutcome(s, outcomeCandles[s.token], tokens[s.token])]));
+
+  return configs.map(config => {
+    const posted = [];
+    for (const signal of signals) {
+      if (signal.wallets.length < config.minWallets) continue;
+
+      const scored = signal.wallets
+        .map(w => rescoreWallet(history[w.addr], candles, signal.time, config.scoring, trades[w.addr]))
+        .filter(r => r.count > 0);
+      const avgScore = scored.length > 0
+        ? scored.reduce((sum, r) => sum + r.avgScore, 0) / scored.length
+        : 0;
+      if (avgScore > config.minScore) posted.push(signal);
+    }
+    return summarizeRun(config, signals.length, posted.map(s => outcomes.get(s.id)));
+  });
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Hit rates over the posted signals that have an outcome
+ * @returns {Object} { name, minScore, signals, posted, withOutcome,
+ *   winRate: { 1.25, 1.5, 2 } (0-1), medianPeak, rugRate } (rates null without outcomes)
+ */
+export function summarizeRun(config, total, outcomes) {
+  const known = outcomes.filter(Boolean);
+  const rate = n => (known.length > 0 ? n / known.length : null);
+
+  return {
+    name: config.name,
+    minScore: config.minScore,
+    signals: total,
+    posted: outcomes.length,
+    withOutcome: known.length,
+    winRate: Object.fromEntries(WIN_MULTIPLES.map(m => [m, rate(known.filter(o => o.peakMult >= m).length)])),
+    medianPeak: median(known.map(o => o.peakMult).sort((a, b) => a - b)),
+    rugRate: rate(known.filter(o => o.rugged).length),
+  };
+}
+
+// ============================================================
+// REPORT
+// ============================================================
+
+const pct = value => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+/**
+ * Report table, one row per configuration
+ */
+export function formatBacktestReport(results) {
+  const header = ['Config', 'Posted', ...WIN_MULTIPLES.map(m => `>=${m}x`), 'Median', 'Rugs'];
+  const rows = results.map(r => [
+    r.name,
+    `${r.posted}/${r.signals}`,
+    ...WIN_MULTIPLES.map(m => pct(r.winRate[m])),
+    r.medianPeak === null ? '-' : `${r.medianPeak.toFixed(2)}x`,
+    pct(r.rugRate),
+  ]);
+
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+  return [line(header), ...rows.map(line)].join('\n');
+}
@@ -0,0 +1,265 @@
+/**
+ * Chain Registry - Everything the pipeline knows about a chain
+ *
+ * One entry per chain key (sol, eth, ...). Modules read ids, provider slugs,
+ * explorer/DEX links, theme colours and the DB channel from here, so adding
+ * a chain is a config entry:
+ * - id:          OKX chain index, also the DB chainId
+ * - family:      'svm' (RugCheck security) | 'evm' (GoPlus security)
+ * - dexscreener: DexScreener chainId slug
+ * - goplus:      GoPlus chain id (EVM only)
+ * - ens:         Resolve ENS names for wallets
+ * - dbChannel:   Telegram DB channel (required for DB_STORAGE=telegram)
+ * - poll:        { everyMin, pageSize } for /api/poll?chain=<key>
+ * - enabled:     Included in polling, leaderboards, price updates, cleanup
+ *
+ * CHAINS_JSON (env) adds chains or overrides fields, merged per entry:
+ *   {"arb": {"enabled": true, "dbChannel": "-100..."}}
+ */
+
+const REGISTRY = {
+  sol: {
+    id: 501,
+    name: 'SOL',
+    label: 'Solana',
+    family: 'svm',
+    dexscreener: 'solana',
+    goplus: null,
+    emoji: '🟣',
+    explorer: { name: 'Solscan', wallet: 'https://solscan.io/account/', token: 'https://solscan.io/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/solana/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/solana/',
+    },
+    theme: {
+      color: '#9945FF', // Purple
+      bgGradient: ['#1a1a1a', '#0f0518'], // Dark gray to dark purple tint
+      icon: 'https://web3.okx.com/cdn/wallet/logo/SOL-20220525.png',
+    },
+    card: { color: '#9945FF', gradient: 'linear-gradient(135deg, #9945FF 0%, #14F195 100%)' },
+    dbChannel: '-1003359608037',
+    poll: { everyMin: 1, pageSize: 10 },
+    enabled: true,
+  },
+  eth: {
+    id: 1,
+    name: 'ETH',
+    label: 'Ethereum',
+    family: 'evm',
+    dexscreener: 'ethereum',
+    goplus: '1',
+    ens: true,
+    emoji: '🔷',
+    explorer: { name: 'Etherscan', wallet: 'https://etherscan.io/address/', token: 'https://etherscan.io/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/ether/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/ethereum/',
+    },
+    theme: {
+      color: '#C0C0C0', // Silver
+      bgGradient: ['#1a1a1a', '#101010'],
+      icon: 'https://web3.okx.com/cdn/wallet/logo/ETH-20220328.png',
+    },
+    card: { color: '#627EEA', gradient: 'linear-gradient(135deg, #627EEA 0%, #A8B8EA 100%)' },
+    dbChannel: '-1003584605646',
+    poll: { everyMin: 2, pageSize: 10 },
+    enabled: true,
+  },
+  bsc: {
+    id: 56,
+    name: 'BSC',
+    label: 'BSC',
+    family: 'evm',
+    dexscreener: 'bsc',
+    goplus: '56',
+    emoji: '🔶',
+    explorer: { name: 'BscScan', wallet: 'https://bscscan.com/address/', token: 'https://bscscan.com/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/bnb/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/bsc/',
+    },
+    theme: {
+      color: '#F3BA2F', // Yellow
+      bgGradient: ['#1a1a1a', '#181200'],
+      icon: 'https://web3.okx.com/cdn/web3/oklinkadmin/picture/new_bsc_chain_color.png',
+    },
+    card: { color: '#F3BA2F', gradient: 'linear-gradient(135deg, #F3BA2F 0%, #FFE066 100%)' },
+    dbChannel: '-1003672339048',
+    poll: { everyMin: 3, pageSize: 10 },
+    enabled: true,
+  },
+  base: {
+    id: 8453,
+    name: 'BASE',
+    label: 'Base',
+    family: 'evm',
+    dexscreener: 'base',
+    goplus: '8453',
+    emoji: '🔵',
+    explorer: { name: 'Basescan', wallet: 'https://basescan.org/address/', token: 'https://basescan.org/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/base/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/base/',
+    },
+    theme: {
+      color: '#0052FF', // Blue
+      bgGradient: ['#1a1a1a', '#00081a'],
+      icon: 'https://web3.okx.com/cdn/wallet/logo/base_20800_new.png',
+    },
+    card: { color: '#0052FF', gradient: 'linear-gradient(135deg, #0052FF 0%, #66A3FF 100%)' },
+    dbChannel: '-1003269677620',
+    poll: { everyMin: 4, pageSize: 10 },
+    enabled: true,
+  },
+
+  // Not enabled yet: needs a DB channel (Telegram storage) + cron
+  arb: {
+    id: 42161,
+    name: 'ARB',
+    label: 'Arbitrum',
+    family: 'evm',
+    dexscreener: 'arbitrum',
+    goplus: '42161',
+    emoji: '💠',
+    explorer: { name: 'Arbiscan', wallet: 'https://arbiscan.io/address/', token: 'https://arbiscan.io/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/arbitrum/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/arbitrum/',
+    },
+    theme: { color: '#28A0F0', bgGradient: ['#1a1a1a', '#00101a'], icon: null },
+    card: { color: '#28A0F0', gradient: 'linear-gradient(135deg, #28A0F0 0%, #96D2FA 100%)' },
+    dbChannel: null,
+    poll: { everyMin: 5, pageSize: 10 },
+    enabled: false,
+  },
+  polygon: {
+    id: 137,
+    name: 'POL',
+    label: 'Polygon',
+    family: 'evm',
+    dexscreener: 'polygon',
+    goplus: '137',
+    emoji: '🟪',
+    explorer: { name: 'PolygonScan', wallet: 'https://polygonscan.com/address/', token: 'https://polygonscan.com/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/polygon/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/polygon/',
+    },
+    theme: { color: '#8247E5', bgGradient: ['#1a1a1a', '#0d0518'], icon: null },
+    card: { color: '#8247E5', gradient: 'linear-gradient(135deg, #8247E5 0%, #C3A5F5 100%)' },
+    dbChannel: null,
+    poll: { everyMin: 5, pageSize: 10 },
+    enabled: false,
+  },
+  avax: {
+    id: 43114,
+    name: 'AVAX',
+    label: 'Avalanche',
+    family: 'evm',
+    dexscreener: 'avalanche',
+    goplus: '43114',
+    emoji: '🔺',
+    explorer: { name: 'Snowtrace', wallet: 'https://snowtrace.io/address/', token: 'https://snowtrace.io/token/' },
+    dex: {
+      dextools: 'https://www.dextools.io/app/en/avalanche/pair-explorer/',
+      dexscreener: 'https://dexscreener.com/avalanche/',
+    },
+    theme: { color: '#E84142', bgGradient: ['#1a1a1a', '#1a0505'], icon: null },
+    card: { color: '#E84142', gradient: 'linear-gradient(135deg, #E84142 0%, #F5A0A1 100%)' },
+    dbChannel: null,
+    poll: { everyMin: 5, pageSize: 10 },
+    enabled: false,
+  },
+};
+
+const REQUIRED_FIELDS = ['id', 'name', 'family', 'dexscreener', 'explorer', 'dex'];
+const FAMILIES = ['svm', 'evm'];
+
+// Defaults for entries that leave out the cosmetic fields
+const DEFAULT_THEME = { color: '#C0C0C0', bgGradient: ['#1a1a1a', '#101010'], icon: null };
+const DEFAULT_CARD = { color: '#C0C0C0', gradient: 'linear-gradient(135deg, #808080 0%, #E0E0E0 100%)' };
+const DEFAULT_POLL = { everyMin: 5, pageSize: 10 };
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Merge CHAINS_JSON overrides into the registry and validate every entry
+ * @param {Object} registry - Built-in entries
+ * @param {string} [json] - CHAINS_JSON
+ * @returns {Object} { key: entry } with entry.key set
+ */
+export function buildRegistry(registry = REGISTRY, json = process.env.CHAINS_JSON) {
+  let overrides = {};
+  if (json) {
+    try {
+      overrides = JSON.parse(json);
+    } catch (err) {
+      throw new Error(`Invalid CHAINS_JSON: ${err.message}`);
+    }
+  }
+
+  const chains = {};
+  const seenIds = new Map();
+  for (const key of new Set([...Object.keys(registry), ...Object.keys(overrides)])) {
+    const base = registry[key] || {};
+    const override = overrides[key] || {};
+    const chain = {
+      enabled: true,
+      goplus: null,
+      ens: false,
+      emoji: '🔗',
+      dbChannel: null,
+      ...base,
+      ...override,
+      key,
+      theme: { ...DEFAULT_THEME, ...base.theme, ...override.theme },
+      card: { ...DEFAULT_CARD, ...base.card, ...override.card },
+      poll: { ...DEFAULT_POLL, ...base.poll, ...override.poll },
+    };
+    chain.label = chain.label || chain.name;
+
+    const missing = REQUIRED_FIELDS.filter(field => chain[field] === undefined || chain[field] === null);
+    if (missing.length > 0) throw new Error(`Chain ${key}: missing ${missing.join(', ')}`);
+    chain.id = Number(chain.id);
+    if (!Number.isInteger(chain.id)) throw new Error(`Chain ${key}: id must be an integer`);
+    if (!FAMILIES.includes(chain.family)) throw new Error(`Chain ${key}: unknown family ${chain.family}`);
+    if (seenIds.has(chain.id)) throw new Error(`Chain ${key}: id ${chain.id} already used by ${seenIds.get(chain.id)}`);
+    seenIds.set(chain.id, key);
+
+    chains[key] = chain;
+  }
+  return chains;
+}
+
+export const CHAINS = buildRegistry();
+
+// Keys of enabled chains, in registry order
+export const ENABLED_CHAINS = Object.values(CHAINS).filter(c => c.enabled).map(c => c.key);
+
+// id → key and key → id (all registered chains, so disabled chains' DBs stay readable)
+export const CHAIN_KEYS = Object.fromEntries(Object.values(CHAINS).map(c => [c.id, c.key]));
+export const CHAIN_IDS = Object.fromEntries(Object.values(CHAINS).map(c => [c.key, c.id]));
+
+// ============================================================
+// LOOKUP
+// ============================================================
+
+/**
+ * Get a chain by key ('sol') or id (501 / '501')
+ * @returns {Object|null} Registry entry
+ */
+export function getChain(keyOrId) {
+  if (keyOrId === undefined || keyOrId === null) return null;
+  if (CHAINS[keyOrId]) return CHAINS[keyOrId];
+  const key = CHAIN_KEYS[Number(keyOrId)];
+  return key ? CHAINS[key] : null;
+}
+
+/**
+ * Enabled chain entries, in registry order
+ */
+export function getEnabledChains() {
+  return ENABLED_CHAINS.map(key => CHAINS[key]);
+}
@@ -3,6 +3,7 @@ import { createCanvas, registerFont, loadImage } from 'canvas';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { CHAINS } from './chains.js';
 
 // Register Chart.js components
 Chart.register(...registerables);
@@ -106,32 +107,8 @@ function registerCustomFonts() {
   }
 }
 
-const THEMES = {
-  sol: {
-    color: '#9945FF', // Purple
-    bgGradient: ['#1a1a1a', '#0f0518'], // Dark gray to dark purple tint
-    name: 'Solana',
-    icon: 'https://web3.okx.com/cdn/wallet/logo/SOL-20220525.png'
-  },
-  eth: {
-    color: '#C0C0C0', // Silver
-    bgGradient: ['#1a1a1a', '#101010'],
-    name: 'Ethereum',
-    icon: '	https://web3.okx.com/cdn/wallet/logo/ETH-20220328.png'
-  },
-  bsc: {
-    color: '#F3BA2F', // Yellow
-    bgGradient: ['#1a1a1a', '#181200'],
-    name: 'BSC',
-    icon: '	https://web3.okx.com/cdn/web3/oklinkadmin/picture/new_bsc_chain_color.png'
-  },
-  base: {
-    color: '#0052FF', // Blue
-    bgGradient: ['#1a1a1a', '#00081a'],
-    name: 'Base',
-    icon: 'https://web3.okx.com/cdn/wallet/logo/base_20800_new.png'
-  }
-};
+// Chain themes (colour, background, icon) from the chain registry
+const THEMES = Object.fromEntries(Object.values(CHAINS).map(c => [c.key, { ...c.theme, name: c.label }]));
 
 // ============================================================
 // MOCK DATA GENERATOR (Fallback)
@@ -162,7 +139,7 @@ function generateMockData(startTime, endTime, points = 150) {
 
 /**
  * Generates a signal chart image buffer
- * @param {string} chainKey - 'sol', 'eth', 'bsc', 'base'
+ * @param {string} chainKey - Chain registry key ('sol', 'eth', ...)
  * @param {string} tokenSymbol - e.g. 'WIF'
  * @param {string} tokenLogoUrl - URL to token image
  * @param {Array<{x: number, y: number}>} priceData - Array of price points (timestamps and values)
@@ -0,0 +1,89 @@
+/**
+ * DB Archive - Indexed, chunked storage for pruned tokens/wallets
+ *
+ * Cleanup moves expired records into the archive channel as immutable
+ * chunk documents, one or more per chain and month:
+ *
+ *   sol-archive-2026-01-001.json   { chain, month, seq, archivedAt, tokens, wallets }
+ *
+ * Each chain has one index document, rewritten on every archive run:
+ *
+ *   sol-archive-index.json         { chain, chunks: [...], tokens: { addr: seq }, wallets: { addr: seq } }
+ *
+ * The chain DB keeps a pointer to its index (archiveIndex), so lookups are
+ * index download + one chunk download.
+ *
+ * ARCHIVE_CHUNK_RECORDS: max tokens + wallets per chunk (default 1000)
+ */
+
+export const CHUNK_RECORDS = parseInt(process.env.ARCHIVE_CHUNK_RECORDS, 10) || 1000;
+
+/**
+ * Archive chunk file name
+ */
+export function chunkFileName(chain, month, seq) {
+  return `${chain}-archive-${month}-${String(seq).padStart(3, '0')}.json`;
+}
+
+/**
+ * Archive index file name
+ */
+export function indexFileName(chain) {
+  return `${chain}-archive-index.json`;
+}
+
+/**
+ * Empty index document
+ */
+export function emptyIndex(chain) {
+  return { chain, chunks: [], tokens: {}, wallets: {} };
+}
+
+/**
+ * Split archived records into chunk-sized { tokens, wallets } groups
+ */
+export function splitIntoChunks(archived, size = CHUNK_RECORDS) {
+  const records = [
+    ...Object.entries(archived.tokens || {}).map(([addr, r]) => ['tokens', addr, r]),
+    ...Object.entries(archived.wallets || {}).map(([addr, r]) => ['wallets', addr, r]),
+  ];
+
+  const chunks = [];
+  for (let i = 0; i < records.length; i += size) {
+    const chunk = { tokens: {}, wallets: {} };
+    for (const [type, addr, record] of records.slice(i, i + size)) {
+      chunk[type][addr] = record;
+    }
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Add an uploaded chunk to the index (a re-archived address points to its newest chunk)
+ */
+export function addChunkToIndex(index, chunk, meta, ref) {
+  index.chunks.push({
+    seq: meta.seq,
+    month: meta.month,
+    archivedAt: meta.archivedAt,
+    messageId: ref.messageId,
+    fileId: ref.fileId,
+    tokens: Object.keys(chunk.tokens).length,
+    wallets: Object.keys(chunk.wallets).length,
+  });
+  for (const type of ['tokens', 'wallets']) {
+    for (const addr of Object.keys(chunk[type])) {
+      index[type][addr] = meta.seq;
+    }
+  }
+}
+
+/**
+ * Find the indexed key for an address (exact, then case-insensitive for EVM)
+ */
+export function findIndexedKey(map, address) {
+  if (map[address] !== undefined) return address;
+  const lower = address.toLowerCase();
+  return Object.keys(map).find(key => key.toLowerCase() === lower) || null;
+}
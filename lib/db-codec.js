@@ -0,0 +1,191 @@
+/**
+ * DB Codec - On-disk encoding of v5 DB documents
+ *
+ * Documents are stored as:
+ *
+ *   "SPDB" | version (1 byte) | compression (1 byte) | layout (1 byte) | payload
+ *
+ * Files without the marker are plain JSON (pre-codec), so old documents
+ * keep loading and are rewritten in the new format on the next save.
+ *
+ * Compression (DB_COMPRESSION): brotli (default), gzip, none
+ * Layout (DB_COMPACT_LAYOUT=true): dictionary-encodes the address keys that
+ * repeat across records - wallet.tokens keys and token.wallets entries
+ * become indexes into a per-document address table ($dict).
+ */
+
+import zlib from 'zlib';
+
+const MAGIC = Buffer.from('SPDB');
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = MAGIC.length + 3;
+
+const COMPRESSION = { none: 0, gzip: 1, brotli: 2 };
+const LAYOUT = { plain: 0, dict: 1 };
+
+/**
+ * Get the configured encoding options
+ */
+export function getCodecOptions() {
+  const compression = (process.env.DB_COMPRESSION || 'brotli').toLowerCase();
+  if (!(compression in COMPRESSION)) {
+    throw new Error(`Unknown DB_COMPRESSION: ${compression}`);
+  }
+  return {
+    compression,
+    layout: process.env.DB_COMPACT_LAYOUT === 'true' ? 'dict' : 'plain',
+  };
+}
+
+// ============================================================
+// DICTIONARY LAYOUT
+// ============================================================
+
+/**
+ * Replace repeated addresses with indexes into an address table
+ */
+function toDictLayout(doc) {
+  const addresses = [];
+  const indexOf = new Map();
+  const ref = (addr) => {
+    if (!indexOf.has(addr)) {
+      indexOf.set(addr, addresses.length);
+      addresses.push(addr);
+    }
+    return indexOf.get(addr);
+  };
+
+  const result = { ...doc };
+
+  if (doc.tokens) {
+    result.tokens = {};
+    for (const [addr, token] of Object.entries(doc.tokens)) {
+      result.tokens[addr] = Array.isArray(token?.wallets)
+        ? { ...token, wallets: token.wallets.map(ref) }
+        : token;
+    }
+  }
+
+  if (doc.wallets) {
+    result.wallets = {};
+    for (const [addr, wallet] of Object.entries(doc.wallets)) {
+      if (!wallet?.tokens) {
+        result.wallets[addr] = wallet;
+        continue;
+      }
+      // [index, entry] pairs (integer object keys would lose insertion order)
+      const tokens = Object.entries(wallet.tokens).map(([tokenAddr, entry]) => [ref(tokenAddr), entry]);
+      result.wallets[addr] = { ...wallet, tokens };
+    }
+  }
+
+  result.$dict = addresses;
+  return result;
+}
+
+/**
+ * Resolve address indexes back to addresses
+ */
+function fromDictLayout(doc) {
+  const { $dict: addresses = [], ...result } = doc;
+
+  if (result.tokens) {
+    for (const token of Object.values(result.tokens)) {
+      if (Array.isArray(token?.wallets)) {
+        token.wallets = token.wallets.map(i => addresses[i]);
+      }
+    }
+  }
+
+  if (result.wallets) {
+    for (const wallet of Object.values(result.wallets)) {
+      if (!Array.isArray(wallet?.tokens)) continue;
+      const tokens = {};
+      for (const [i, entry] of wallet.tokens) {
+        tokens[addresses[i]] = entry;
+      }
+      wallet.tokens = tokens;
+    }
+  }
+
+  return result;
+}
+
+// ============================================================
+// ENCODE / DECODE
+// ============================================================
+
+/**
+ * Encode a document for storage
+ * @param {Object} doc - DB document
+ * @param {Object} options - { compression, layout } (default: from env)
+ * @returns {{ buffer: Buffer, rawBytes: number, compression: string, layout: string }}
+ */
+export function encodeDocument(doc, options = getCodecOptions()) {
+  const { compression, layout } = options;
+  const raw = Buffer.from(JSON.stringify(doc));
+  const payload = layout === 'dict' ? Buffer.from(JSON.stringify(toDictLayout(doc))) : raw;
+
+  let body;
+  if (compression === 'brotli') {
+    body = zlib.brotliCompressSync(payload, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: payload.length,
+      },
+    });
+  } else if (compression === 'gzip') {
+    body = zlib.gzipSync(payload, { level: 9 });
+  } else {
+    body = payload;
+  }
+
+  const header = Buffer.from([FORMAT_VERSION, COMPRESSION[compression], LAYOUT[layout]]);
+  return {
+    buffer: Buffer.concat([MAGIC, header, body]),
+    rawBytes: raw.length,
+    compression,
+    layout,
+  };
+}
+
+/**
+ * Decode a stored document (codec format or legacy plain JSON)
+ */
+export function decodeDocument(buffer) {
+  if (buffer.length < HEADER_BYTES || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return JSON.parse(buffer.toString('utf8'));
+  }
+
+  const version = buffer[MAGIC.length];
+  if (version > FORMAT_VERSION) {
+    throw new Error(`Unsupported DB format version ${version}`);
+  }
+
+  const compression = buffer[MAGIC.length + 1];
+  const layout = buffer[MAGIC.length + 2];
+  const body = buffer.subarray(HEADER_BYTES);
+
+  let payload;
+  if (compression === COMPRESSION.brotli) {
+    payload = zlib.brotliDecompressSync(body);
+  } else if (compression === COMPRESSION.gzip) {
+    payload = zlib.gunzipSync(body);
+  } else if (compression === COMPRESSION.none) {
+    payload = body;
+  } else {
+    throw new Error(`Unknown DB compression id ${compression}`);
+  }
+
+  const doc = JSON.parse(payload.toString('utf8'));
+  return layout === LAYOUT.dict ? fromDictLayout(doc) : doc;
+}
+
+/**
+ * Human-readable byte size
+ */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${bytes}B`;
+}
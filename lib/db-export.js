@@ -0,0 +1,178 @@
+/**
+ * DB Export - Tokens, wallets, signals and stats as CSV / NDJSON
+ *
+ * Shared by /api/export and scripts/export-db.js. Rows are generated one at
+ * a time so both can stream large chains.
+ *
+ * Types:
+ * - tokens:  token records + peakMult (same as the gains leaderboard)
+ * - wallets: wallet records + reputation (getWalletReputation(): winRate, stars, normalizedScore)
+ * - signals: recentSignals (last 7 days)
+ * - stats:   finalized daily/weekly/monthly periods (stats.history)
+ *
+ * Options: chain (or 'all'), type, format (csv|ndjson), columns (comma list),
+ * from/to (ms or ISO date) applied to timeField (tokens: firstSeen or lastSig).
+ */
+
+import { TelegramDBv5, CHAIN_IDS, calcPeakMult } from './telegram-db-v5.js';
+import { getWalletReputation } from './db-integration-v5.js';
+import { ENABLED_CHAINS } from './chains.js';
+
+export const EXPORT_CHAINS = ENABLED_CHAINS;
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+export const EXPORT_COLUMNS = {
+  tokens: ['chain', 'addr', 'sym', 'p0', 'pNow', 'pPeak', 'pLow', 'mult', 'peakMult', 'scnt', 'avgScr', 'mc0', 'firstSeen', 'lastSig', 'rugged', 'sec'],
+  wallets: ['chain', 'addr', 'scnt', 'avgScr', 'consistency', 'lastSeen', 'tags', 'totalEntries', 'wins', 'winRate', 'avgPeak', 'stars', 'normalizedScore'],
+  signals: ['chain', 'id', 'token', 'sym', 'time', 'price', 'avgScr', 'prof', 'msgId'],
+  stats: ['chain', 'period', 'start', 'signals', 'tokens', 'wins', 'losses', 'rugs', 'peakGainsPct', 'lossesPct', 'peaked1_5x', 'peaked2x', 'peaked5x', 'peaked10x'],
+};
+
+// Fields from/to can filter on (first = default)
+const TIME_FIELDS = {
+  tokens: ['firstSeen', 'lastSig'],
+  wallets: ['lastSeen'],
+  signals: ['time'],
+  stats: ['start'],
+};
+
+const STATS_PERIODS = { daily: 'date', weekly: 'weekStart', monthly: 'month' };
+
+/**
+ * Parse a timestamp option (ms or anything Date.parse accepts)
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid ${name}: ${value}`);
+  return ms;
+}
+
+/**
+ * Validate export options (query string or CLI flags)
+ * @returns {{ chains, type, format, columns, from, to, timeField }}
+ */
+export function parseExportOptions(params = {}) {
+  const chain = params.chain || 'all';
+  const type = params.type || 'tokens';
+  const format = params.format || 'csv';
+
+  if (chain !== 'all' && !CHAIN_IDS[chain]) throw new Error(`Unknown chain: ${chain}`);
+  if (!EXPORT_COLUMNS[type]) throw new Error(`Unknown type: ${type} (expected ${Object.keys(EXPORT_COLUMNS).join(', ')})`);
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+
+  const columns = params.columns
+    ? String(params.columns).split(',').map(c => c.trim()).filter(Boolean)
+    : EXPORT_COLUMNS[type];
+  const unknown = columns.filter(c => !EXPORT_COLUMNS[type].includes(c));
+  if (unknown.length > 0) throw new Error(`Unknown ${type} columns: ${unknown.join(', ')}`);
+
+  const timeField = params.timeField || TIME_FIELDS[type][0];
+  if (!TIME_FIELDS[type].includes(timeField)) {
+    throw new Error(`timeField for ${type} must be one of ${TIME_FIELDS[type].join(', ')}`);
+  }
+
+  return {
+    chains: chain === 'all' ? EXPORT_CHAINS : [chain],
+    type,
+    format,
+    columns,
+    from: parseTime(params.from, 'from'),
+    to: parseTime(params.to, 'to'),
+    timeField,
+  };
+}
+
+// ============================================================
+// ROWS
+// ============================================================
+
+function* tokenRows(db) {
+  for (const [addr, token] of Object.entries(db.getAllTokens())) {
+    yield { addr, ...token, peakMult: calcPeakMult(token) };
+  }
+}
+
+function* walletRows(db) {
+  const tokenPeaks = db.getTokenPeaks();
+  for (const [addr, wallet] of Object.entries(db.db?.wallets || {})) {
+    const { winRate, avgPeak, totalEntries, wins, stars, normalizedScore } = getWalletReputation(db, addr, tokenPeaks);
+    yield { addr, ...wallet, totalEntries, wins, winRate, avgPeak, stars, normalizedScore };
+  }
+}
+
+function* signalRows(db) {
+  yield* db.getRecentSignals();
+}
+
+function* statsRows(db) {
+  const history = db.db?.stats?.history || {};
+  for (const [period, key] of Object.entries(STATS_PERIODS)) {
+    for (const entry of history[period] || []) {
+      yield { period, ...entry, start: entry[key] };
+    }
+  }
+}
+
+const ROW_SOURCES = {
+  tokens: tokenRows,
+  wallets: walletRows,
+  signals: signalRows,
+  stats: statsRows,
+};
+
+/**
+ * Rows of one chain, filtered by time range
+ */
+export function* exportRows(db, chain, options) {
+  const { type, from, to, timeField } = options;
+
+  for (const row of ROW_SOURCES[type](db)) {
+    const raw = row[timeField];
+    const time = typeof raw === 'string' && !/^\d+$/.test(raw) ? Date.parse(raw) : Number(raw);
+    if (from !== null && !(time >= from)) continue;
+    if (to !== null && !(time <= to)) continue;
+    yield { chain, ...row };
+  }
+}
+
+/**
+ * Load each chain and yield its rows
+ */
+export async function* exportChains(botToken, options) {
+  for (const chain of options.chains) {
+    const db = new TelegramDBv5(botToken, CHAIN_IDS[chain]);
+    await db.load();
+    yield* exportRows(db, chain, options);
+  }
+}
+
+// ============================================================
+// FORMATS
+// ============================================================
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) value = value.join('|');
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Header line for the format (CSV only)
+ */
+export function formatHeader(columns, format) {
+  return format === 'csv' ? `${columns.join(',')}\n` : '';
+}
+
+/**
+ * One output line for a row
+ */
+export function formatRow(row, columns, format) {
+  if (format === 'csv') {
+    return `${columns.map(c => csvValue(row[c])).join(',')}\n`;
+  }
+  const picked = {};
+  for (const c of columns) picked[c] = row[c] ?? null;
+  return `${JSON.stringify(picked)}\n`;
+}
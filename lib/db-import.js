@@ -0,0 +1,181 @@
+/**
+ * DB Import - Rebuild a chain DB by replaying historical signals
+ *
+ * Input is NDJSON, one record per line:
+ *
+ *   { "signal": {...}, "walletDetails": [...], "security": { "status": "SAFE" } }
+ *   { "price": { "tokenAddress": "...", "time": 1767225600000, "priceUsd": 0.0012, "liquidity": 52000 } }
+ *
+ * signal / walletDetails have the shape processSignal() (index.js) builds,
+ * price records are optional extra observations (e.g. from candles).
+ * Records are replayed in time order the way the live pipeline sees them:
+ * - Signals: repeat wallets are filtered (categorizeWallets), the signal is
+ *   stored only if its average entry score is above minScore (as in
+ *   monitorSignals), then storeSignalData() at the signal's time
+ * - Prices: an update-prices run every `interval` (stats rollovers +
+ *   applyPriceUpdate() with the latest observed price), so tokens peak,
+ *   rug and get archived/finalized like they would have live
+ */
+
+import readline from 'readline';
+import { storeSignalData, categorizeWallets } from './db-integration-v5.js';
+import { applyPriceUpdate } from './price-tracking.js';
+
+// Cron interval of /api/update-prices
+export const UPDATE_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Parse one NDJSON line
+ * @returns {Object|null} { type: 'signal' | 'price', time, ... } (null for blank lines)
+ */
+export function parseImportLine(line, lineNo) {
+  if (!line.trim()) return null;
+
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (err) {
+    throw new Error(`Line ${lineNo}: ${err.message}`);
+  }
+
+  if (record.signal) {
+    const { signal } = record;
+    const time = Number(signal.eventTime);
+    if (!signal.tokenAddress || !signal.batchId || signal.batchIndex === undefined || !Number.isFinite(time)) {
+      throw new Error(`Line ${lineNo}: signal needs tokenAddress, batchId, batchIndex and eventTime`);
+    }
+    return {
+      type: 'signal',
+      time,
+      signal,
+      walletDetails: (record.walletDetails || []).filter(w => w?.walletAddress),
+      security: record.security || null,
+    };
+  }
+
+  if (record.price) {
+    const { tokenAddress, priceUsd, liquidity } = record.price;
+    const time = Number(record.price.time);
+    if (!tokenAddress || !(Number(priceUsd) > 0) || !Number.isFinite(time)) {
+      throw new Error(`Line ${lineNo}: price needs tokenAddress, time and priceUsd > 0`);
+    }
+    return {
+      type: 'price',
+      time,
+      tokenAddress,
+      priceUsd: Number(priceUsd),
+      liquidity: liquidity === undefined || liquidity === null ? null : Number(liquidity),
+    };
+  }
+
+  throw new Error(`Line ${lineNo}: expected a signal or price record`);
+}
+
+/**
+ * Read and parse an NDJSON stream, sorted by time (input order for ties)
+ */
+export async function readImportRecords(stream) {
+  const records = [];
+  let lineNo = 0;
+
+  for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    const record = parseImportLine(line, ++lineNo);
+    if (record) records.push(record);
+  }
+  return records.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replay records into a DB (normally a fresh document)
+ * @param {TelegramDBv5} db - Chain DB with db.db set
+ * @param {Array} records - From readImportRecords()
+ * @param {Object} options
+ * @param {number} options.minScore - Store signals with avgScore above this (default 0)
+ * @param {number} options.interval - update-prices interval (ms)
+ * @param {number} options.until - Keep running price updates up to this time (default: last record)
+ * @returns {Object} Counts: signals, duplicates, filtered, otherChain, prices, archived, from, to
+ */
+export async function replayRecords(db, records, options = {}) {
+  const { minScore = 0, interval = UPDATE_INTERVAL_MS } = options;
+  const until = options.until ?? records[records.length - 1]?.time ?? 0;
+  const counts = { signals: 0, duplicates: 0, filtered: 0, otherChain: 0, prices: 0, archived: 0 };
+
+  const seen = new Set();
+  const prices = new Map(); // token → { priceUsd, liquidity, fresh }
+  let nextRun = records[0]?.time ?? null;
+
+  // update-prices runs due up to `end`
+  const runUpdates = (end) => {
+    while (nextRun !== null && nextRun <= end) {
+      db.checkRollovers(nextRun);
+
+      for (const [addr, observed] of prices) {
+        const token = db.getToken(addr);
+        // Archived tokens only take new observations (ATH tracking)
+        if (!token || (token.archived && !observed.fresh)) {
+          prices.delete(addr);
+          continue;
+        }
+        const update = applyPriceUpdate(db, addr, token, observed, nextRun);
+        if (update?.justArchived) counts.archived++;
+        observed.fresh = false;
+      }
+
+      nextRun += interval;
+      // Nothing tracked: skip to the last run before `end`
+      if (prices.size === 0 && nextRun < end) {
+        nextRun += Math.floor((end - nextRun) / interval) * interval;
+      }
+    }
+  };
+
+  for (const record of records) {
+    runUpdates(record.time);
+
+    if (record.type === 'price') {
+      prices.set(record.tokenAddress, { priceUsd: record.priceUsd, liquidity: record.liquidity, fresh: true });
+      counts.prices++;
+      continue;
+    }
+
+    const { signal, walletDetails } = record;
+    if (signal.chainId && Number(signal.chainId) !== db.chainId) {
+      counts.otherChain++;
+      continue;
+    }
+
+    const sigKey = `${signal.batchId}_${signal.batchIndex}`;
+    if (seen.has(sigKey)) {
+      counts.duplicates++;
+      continue;
+    }
+    seen.add(sigKey);
+
+    // Same filtering as monitorSignals(): new wallets only, avgScore > minScore
+    const { newWallets } = categorizeWallets(db, signal.tokenAddress, walletDetails);
+    const scoredWallets = newWallets.filter(w => w.entryScore !== undefined && w.entryScore !== null);
+    const avgScore = scoredWallets.length > 0
+      ? scoredWallets.reduce((sum, w) => sum + w.entryScore, 0) / scoredWallets.length
+      : 0;
+    if (avgScore <= minScore) {
+      counts.filtered++;
+      continue;
+    }
+
+    await storeSignalData(db, signal, newWallets, avgScore, record.security, walletDetails, record.time);
+    counts.signals++;
+
+    const signalPrice = parseFloat(signal.priceAtSignal);
+    if (signalPrice > 0) {
+      prices.set(signal.tokenAddress, { priceUsd: signalPrice, liquidity: null, fresh: true });
+    }
+  }
+
+  runUpdates(until);
+
+  return {
+    ...counts,
+    from: records[0]?.time ?? null,
+    to: records[records.length - 1]?.time ?? null,
+  };
+}
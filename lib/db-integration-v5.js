@@ -9,6 +9,7 @@
  * - Token aggregation
  * - Wallet aggregation  
  * - Dedup via file-based storage
+ * - Append-only signal log (full history, see signal-log.js)
  */
 
 import {
@@ -17,6 +18,9 @@ import {
   calcWalletStars,
   CHAIN_IDS,
 } from './telegram-db-v5.js';
+import { BASE_SHARDS } from './db-shards.js';
+import { buildLogEntry } from './signal-log.js';
+import { getScoringProfile } from './scoring-profiles.js';
 
 // Re-export for compatibility
 export { CHAIN_IDS };
@@ -48,8 +52,11 @@ function calcConsistency(scores) {
 
 /**
  * Store a processed signal and update all related records
+ * @param {Array} logWallets - Full wallet list for the signal log
+ *   (walletDetails may already be filtered to new wallets)
+ * @param {number} now - Processing time (ms) for firstSeen/lastSeen
  */
-async function storeSignalData(db, signal, walletDetails, avgScore, security) {
+async function storeSignalData(db, signal, walletDetails, avgScore, security, logWallets = walletDetails, now = Date.now()) {
   const results = { signal: false, token: false, wallets: 0, index: false };
   
   try {
@@ -84,6 +91,7 @@ async function storeSignalData(db, signal, walletDetails, avgScore, security) {
         time: signal.eventTime,
         price: signalPrice,
         score: avgScore,
+        prof: signal.scoringProfile,
       });
       // Keep last 20 signals max
       if (token.signals.length > 20) token.signals.shift();
@@ -123,13 +131,14 @@ async function storeSignalData(db, signal, walletDetails, avgScore, security) {
         peakMult: 1,
         scnt: 1,
         avgScr: avgScore,
-        firstSeen: Date.now(),
+        firstSeen: now,
         mc0: parseFloat(signal.mcapAtSignal) || null,  // Market cap at first signal
         // Signal history for chart plotting
         signals: [{
           time: signal.eventTime,
           price: signalPrice,
           score: avgScore,
+          prof: signal.scoringProfile,
         }],
         // Journey tracking (updated by update-prices.js)
         hitPeakAfterDip: false,  // Went below entry then achieved peak above entry
@@ -168,7 +177,7 @@ async function storeSignalData(db, signal, walletDetails, avgScore, security) {
       if (wallet) {
         // Update existing wallet
         wallet.scnt = (wallet.scnt || 0) + 1;
-        wallet.lastSeen = Date.now();
+        wallet.lastSeen = now;
         wallet.avgScr = updateAvg(wallet.avgScr || 0, wallet.scnt - 1, entryScore);
         
         // Track scores for consistency
@@ -192,7 +201,7 @@ async function storeSignalData(db, signal, walletDetails, avgScore, security) {
           scnt: 1,
           avgScr: entryScore,
           consistency: 100,
-          lastSeen: Date.now(),
+          lastSeen: now,
           tags: w.tags || [],
           scores: [entryScore],
           tokens: {
@@ -216,9 +225,13 @@ async function storeSignalData(db, signal, walletDetails, avgScore, security) {
       time: signal.eventTime,
       price: signalPrice,
       avgScr: avgScore,
+      prof: signal.scoringProfile,
       msgId: null, // Updated after posting
     });
     
+    // 5. Append to the signal log (token.signals only keeps the last 20)
+    db.appendSignalLog(buildLogEntry(signal, logWallets, avgScore, security));
+    
     results.index = true;
     console.log(`   💾 Updated index: ${Object.keys(db.getAllTokens()).length} tokens`);
 
@@ -258,6 +271,18 @@ async function updateTokenMsgId(db, tokenAddress, msgId, isPublic = false) {
   }
 }
 
+/**
+ * Store the message ID of a non-primary destination (token.msgIds[name])
+ * Used for reply chaining in that destination (see destinations.js)
+ */
+function updateDestinationMsgId(db, tokenAddress, destName, msgId) {
+  const token = db.getToken(tokenAddress);
+  if (!token) return;
+  token.msgIds = { ...token.msgIds, [destName]: msgId };
+  db.updateToken(tokenAddress, token);
+  console.log(`   💾 Stored ${destName} msgId ${msgId} for ${token.sym}`);
+}
+
 /**
  * Update token security status (e.g. if it becomes SCAM later)
  */
@@ -280,6 +305,13 @@ function getTokenLastMsgId(db, tokenAddress, isPublic = false) {
   return isPublic ? (token?.publicMsgId || null) : (token?.lastMsgId || null);
 }
 
+/**
+ * Get the last message ID of a non-primary destination (for reply chaining)
+ */
+function getDestinationMsgId(db, tokenAddress, destName) {
+  return db.getToken(tokenAddress)?.msgIds?.[destName] || null;
+}
+
 /**
  * Check if a signal has been seen before
  */
@@ -312,6 +344,27 @@ function getTokenEnhancement(db, tokenAddress) {
   };
 }
 
+/**
+ * Get every signal time/price for a token (for chart markers)
+ * Reads the signal log only when token.signals has been truncated.
+ */
+async function getTokenSignalHistory(db, tokenAddress) {
+  const token = db?.getToken(tokenAddress);
+  if (!token) return [];
+  
+  const recent = token.signals || [];
+  if ((token.scnt || 0) <= recent.length) return recent;
+  
+  try {
+    const logged = await db.getTokenSignals(tokenAddress);
+    const entries = logged.map(e => ({ time: e.time, price: e.price, score: e.avgScr }));
+    return entries.length > recent.length ? entries : recent;
+  } catch (err) {
+    console.log(`   ⚠️ Signal log read failed: ${err.message}`);
+    return recent;
+  }
+}
+
 /**
  * Identify which wallets are new vs repeat buyers for a token
  */
@@ -353,16 +406,16 @@ function getWalletEnhancement(db, walletAddress) {
 
 /**
  * Calculate wallet reputation based on historical performance
+ * @param {Object} tokenPeaks - db.getTokenPeaks(), pass it in when scoring many wallets
  */
-function getWalletReputation(db, walletAddress) {
+function getWalletReputation(db, walletAddress, tokenPeaks = db.getTokenPeaks()) {
   const wallet = db.getWallet(walletAddress);
+  const { ranking } = getScoringProfile(db.chainKey);
   
   if (!wallet || !wallet.tokens || Object.keys(wallet.tokens).length === 0) {
     return { winRate: 0, avgPeak: 0, totalEntries: 0, wins: 0, stars: 0, normalizedScore: 0, isNew: true };
   }
   
-  const tokenPeaks = db.getTokenPeaks();
-  
   let wins = 0;
   let totalPeak = 0;
   let counted = 0;
@@ -378,7 +431,7 @@ function getWalletReputation(db, walletAddress) {
   
   if (counted === 0) {
     // Calculate normalizedScore even for wallets with no tracked peaks
-    const normalizedScore = calcWalletRankScore(wallet, tokenPeaks);
+    const normalizedScore = calcWalletRankScore(wallet, tokenPeaks, ranking);
     return { winRate: 0, avgPeak: 0, totalEntries: Object.keys(wallet.tokens).length, wins: 0, stars: 0, normalizedScore, isNew: true };
   }
   
@@ -386,8 +439,8 @@ function getWalletReputation(db, walletAddress) {
   const avgPeak = totalPeak / counted;
   
   // Calculate star rating and normalized score (0-100)
-  const stars = calcWalletStars(wallet, tokenPeaks);
-  const normalizedScore = calcWalletRankScore(wallet, tokenPeaks);
+  const stars = calcWalletStars(wallet, tokenPeaks, ranking);
+  const normalizedScore = calcWalletRankScore(wallet, tokenPeaks, ranking);
   
   return {
     winRate: Math.round(winRate),
@@ -402,13 +455,22 @@ function getWalletReputation(db, walletAddress) {
 
 /**
  * Initialize DB and load from Telegram file
+ * (sharded DBs skip wallet shards - see loadWalletRecords)
  */
 async function initializeDB(botToken, chainId) {
   const db = new TelegramDBv5(botToken, chainId);
-  await db.load();
+  await db.load({ shards: BASE_SHARDS });
   return db;
 }
 
+/**
+ * Load the wallet records a signal touches (no-op for single-file DBs)
+ */
+async function loadWalletRecords(db, walletDetails) {
+  if (!db) return;
+  await db.ensureWallets(walletDetails.map(w => w.walletAddress));
+}
+
 /**
  * Get seen signal keys from DB (for dedup)
  */
@@ -437,12 +499,16 @@ export {
   updateTokenMsgId,
   updateTokenSecurity,
   getTokenLastMsgId,
+  updateDestinationMsgId,
+  getDestinationMsgId,
   isSignalSeen,
   getTokenEnhancement,
+  getTokenSignalHistory,
   getWalletEnhancement,
   getWalletReputation,
   categorizeWallets,
   initializeDB,
+  loadWalletRecords,
   getSeenSignalsFromDB,
   saveDB,
   pinIndexAfterUpdate,
@@ -0,0 +1,271 @@
+/**
+ * DB Merge - Conflict resolution for concurrent v5 saves
+ *
+ * poll-*, update-prices and cleanup all load → mutate → save the same
+ * chain document. When the stored revision has moved since our load,
+ * TelegramDBv5.save() re-loads the remote copy and calls mergeDB() to
+ * reapply our pending mutations (the diff between base and local) on top of it.
+ *
+ * Three-way merge: base (what we loaded), local (what we want to write),
+ * remote (what is stored now). Only fields we changed are written back.
+ *
+ * Field strategies:
+ * - counter:  remote + (local - base)        e.g. scnt
+ * - max/min:  keep the extreme value         e.g. pPeak / pLow
+ * - union:    set union of primitive arrays  e.g. token.wallets
+ * - byTime:   union of {time} entries        e.g. token.signals
+ * - object:   per-key merge of sub-records   e.g. wallet.tokens
+ * - (default) local wins
+ *
+ * The signal log index (signalLog) is merged per segment, see signal-log.js.
+ * Dead letters (deadLetters) are merged by id, see dead-letter.js.
+ */
+
+import { mergeSegmentIndex } from './signal-log.js';
+
+// ============================================================
+// FIELD STRATEGIES
+// ============================================================
+
+const TOKEN_FIELDS = {
+  scnt: 'counter',
+  pPeak: 'max',
+  peakMult: 'max',
+  pLow: 'min',
+  wallets: 'union',
+  signals: 'byTime',
+  msgIds: 'object',
+};
+
+const WALLET_FIELDS = {
+  scnt: 'counter',
+  exits: 'counter',
+  tokens: 'object',
+  tags: 'union',
+};
+
+const STATS_PERIODS = {
+  daily: 'date',
+  weekly: 'weekStart',
+  monthly: 'month',
+};
+
+const MAX_SEEN_SIGNALS = 200;
+const RECENT_SIGNAL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeField(strategy, base, local, remote) {
+  if (remote === undefined) return local;
+
+  switch (strategy) {
+    case 'counter':
+      return (remote || 0) + ((local || 0) - (base || 0));
+    case 'max':
+      return Math.max(local || 0, remote || 0);
+    case 'min': {
+      const values = [local, remote].filter(v => v > 0);
+      return values.length > 0 ? Math.min(...values) : local;
+    }
+    case 'union':
+      return [...new Set([...(remote || []), ...(local || [])])];
+    case 'byTime': {
+      const seen = new Set((remote || []).map(e => e.time));
+      const added = (local || []).filter(e => !seen.has(e.time));
+      return [...(remote || []), ...added].sort((a, b) => a.time - b.time);
+    }
+    case 'object':
+      return mergeRecords(base || {}, local || {}, remote || {});
+    default:
+      return local;
+  }
+}
+
+/**
+ * Merge one record field by field (only fields changed locally are applied)
+ */
+function mergeRecord(base, local, remote, strategies = {}) {
+  const result = { ...remote };
+  const keys = new Set([...Object.keys(base), ...Object.keys(local)]);
+
+  for (const key of keys) {
+    if (isEqual(local[key], base[key])) continue;
+
+    if (!(key in local)) {
+      delete result[key];
+      continue;
+    }
+    result[key] = mergeField(strategies[key], base[key], local[key], remote[key]);
+  }
+
+  return result;
+}
+
+/**
+ * Merge a keyed collection of records (tokens, wallets, wallet.tokens)
+ */
+function mergeRecords(base = {}, local = {}, remote = {}, strategies = {}) {
+  const result = { ...remote };
+  const keys = new Set([...Object.keys(base), ...Object.keys(local)]);
+
+  for (const key of keys) {
+    const b = base[key];
+    const l = local[key];
+    const r = remote[key];
+
+    if (isEqual(l, b)) continue; // Untouched locally, remote wins
+
+    if (l === undefined) {
+      // Deleted locally (pruned) - keep only if remote changed it meanwhile
+      if (r !== undefined && !isEqual(r, b)) continue;
+      delete result[key];
+    } else if (r === undefined) {
+      // Created locally, or changed locally but deleted remotely
+      result[key] = l;
+    } else if (typeof l !== 'object' || l === null) {
+      result[key] = l;
+    } else {
+      result[key] = mergeRecord(b || {}, l, r, strategies);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merge seen signal keys (newest first, capped)
+ */
+function mergeSeenSignals(base = [], local = [], remote = []) {
+  const baseSet = new Set(base);
+  const remoteSet = new Set(remote);
+  const added = local.filter(k => !baseSet.has(k) && !remoteSet.has(k));
+  return [...added, ...remote].slice(0, MAX_SEEN_SIGNALS);
+}
+
+/**
+ * Merge recent signals by id (local edits such as msgId win)
+ */
+function mergeRecentSignals(base = [], local = [], remote = []) {
+  const baseById = new Map(base.map(s => [s.id, s]));
+  const byId = new Map(remote.map(s => [s.id, s]));
+
+  for (const signal of local) {
+    if (!isEqual(signal, baseById.get(signal.id))) {
+      byId.set(signal.id, { ...byId.get(signal.id), ...signal });
+    }
+  }
+
+  const cutoff = Date.now() - RECENT_SIGNAL_WINDOW_MS;
+  return [...byId.values()]
+    .filter(s => s.time > cutoff)
+    .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Merge dead letters by id (local replays and removals win)
+ */
+function mergeDeadLetters(base = [], local = [], remote = []) {
+  const baseById = new Map(base.map(e => [e.id, e]));
+  const localIds = new Set(local.map(e => e.id));
+  const byId = new Map(remote.map(e => [e.id, e]));
+
+  for (const id of baseById.keys()) {
+    if (!localIds.has(id)) byId.delete(id);
+  }
+  for (const entry of local) {
+    if (!isEqual(entry, baseById.get(entry.id))) byId.set(entry.id, entry);
+  }
+
+  return [...byId.values()].sort((a, b) => a.parkedAt - b.parkedAt);
+}
+
+/**
+ * Add local numeric deltas to a stats section
+ */
+function mergeCounters(base = {}, local = {}, remote = {}) {
+  const result = { ...remote };
+  for (const [key, value] of Object.entries(local)) {
+    if (typeof value === 'number') {
+      result[key] = (remote[key] || 0) + (value - (base[key] || 0));
+    } else if (!(key in remote)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Merge stats (lifetime + rolling periods + history)
+ */
+function mergeStats(base, local, remote) {
+  if (!local) return remote;
+  if (!remote) return local;
+
+  const b = base || {};
+  const result = { ...remote };
+
+  result.lifetime = mergeCounters(b.lifetime, local.lifetime, remote.lifetime);
+
+  let localRolledAhead = false;
+  for (const [period, periodKey] of Object.entries(STATS_PERIODS)) {
+    const l = local[period] || {};
+    const r = remote[period] || {};
+    const bp = b[period]?.[periodKey] === l[periodKey] ? b[period] : {};
+
+    if (l[periodKey] === r[periodKey]) {
+      result[period] = mergeCounters(bp, l, r);
+    } else if ((l[periodKey] || '') > (r[periodKey] || '')) {
+      // We rolled over, remote has not
+      result[period] = l;
+      localRolledAhead = true;
+    }
+  }
+
+  if (localRolledAhead) result.history = local.history;
+  result.lastUpdated = Math.max(local.lastUpdated || 0, remote.lastUpdated || 0);
+
+  return result;
+}
+
+// ============================================================
+// DOCUMENT MERGE
+// ============================================================
+
+/**
+ * Three-way merge of a v5 chain document
+ * @param {Object} base - Document as it was loaded
+ * @param {Object} local - Document with our pending mutations
+ * @param {Object} remote - Document currently stored
+ * @returns {Object} Merged document (revision is set by the caller)
+ */
+export function mergeDB(base, local, remote) {
+  const b = base || {};
+  const merged = { ...remote };
+
+  // Scalars and unknown sections: local wins if we changed them
+  for (const key of Object.keys(local)) {
+    if (!isEqual(local[key], b[key])) merged[key] = local[key];
+  }
+
+  merged.tokens = mergeRecords(b.tokens, local.tokens, remote.tokens, TOKEN_FIELDS);
+  merged.wallets = mergeRecords(b.wallets, local.wallets, remote.wallets, WALLET_FIELDS);
+  merged.lastSigs = mergeSeenSignals(b.lastSigs, local.lastSigs, remote.lastSigs);
+  merged.recentSignals = mergeRecentSignals(b.recentSignals, local.recentSignals, remote.recentSignals);
+  if (local.deadLetters || remote.deadLetters) {
+    merged.deadLetters = mergeDeadLetters(b.deadLetters, local.deadLetters, remote.deadLetters);
+  }
+  merged.stats = mergeStats(b.stats, local.stats, remote.stats);
+  if (!merged.stats) delete merged.stats;
+  if (local.signalLog || remote.signalLog) {
+    merged.signalLog = mergeSegmentIndex(local.signalLog, remote.signalLog);
+  }
+
+  return merged;
+}
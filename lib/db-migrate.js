@@ -0,0 +1,611 @@
+/**
+ * DB Migrate - Legacy DB versions (v1-v4) → v5
+ *
+ * Every historical layout gets an explicit schema version and one ordered
+ * migration step to the next version. Steps are pure (doc in, doc out) and
+ * only run while doc.version < CURRENT_VERSION, so re-running the pipeline
+ * on an already migrated document is a no-op.
+ *
+ * Versioned input documents (see normalizeDump for raw channel exports):
+ *
+ *   v1 { version: 1, chainId, signals: [], tokens: [], wallets: [], lastseen: [] }
+ *      telegram-db.js records (type: signal | token | wallet | lastseen)
+ *   v2 { version: 2, chainId, index, signals: [], tokens: [], wallets: [], perf: [] }
+ *      telegram-db-v2.js compact records (idx / sig / tok / wal / perf)
+ *   v3 { version: 3, chainId, index, signals: {}, tokens: {}, wallets: {} }
+ *      telegram-db-v3.js per-channel records (keyed like the channel hashtags)
+ *   v4 same as v3 + chain, index.trackedTokens, index.tokenPeaks
+ *      telegram-db-v4.js / db-integration.js
+ *   v5 telegram-db-v5.js file document
+ *
+ * Known loss: v3/v4 keyed tokens and wallets by address prefix; full
+ * addresses are recovered from trackedTokens / v1-v2 records where possible.
+ */
+
+import { CHAIN_KEYS } from './chains.js';
+
+export const CURRENT_VERSION = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEEN_SIGNALS = 200;
+const MAX_TOKEN_SIGNALS = 20;
+const MAX_TOKEN_WALLETS = 50;
+const RECENT_SIGNAL_WINDOW_MS = 7 * DAY_MS;
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function num(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function avg(values) {
+  const nums = values.filter(v => typeof v === 'number');
+  return nums.length > 0 ? nums.reduce((a, b) => a + b, 0) / nums.length : 0;
+}
+
+function maxOf(values) {
+  const nums = values.filter(v => typeof v === 'number');
+  return nums.length > 0 ? Math.max(...nums) : null;
+}
+
+/**
+ * Find the full address for an address prefix
+ */
+function resolveAddress(prefix, fullAddresses) {
+  if (!prefix) return prefix;
+  return fullAddresses.find(addr => addr.startsWith(prefix)) || prefix;
+}
+
+// ============================================================
+// MIGRATION STEPS
+// ============================================================
+
+/**
+ * v1 → v2: verbose key-value records → compact records
+ */
+function v1ToV2(doc, notes) {
+  const chainId = doc.chainId;
+
+  const signals = (doc.signals || []).map(r => ({
+    c: r.chainId ?? chainId,
+    bid: r.batchId,
+    bix: r.batchIndex,
+    tok: r.tokenAddress,
+    sym: r.tokenSymbol,
+    p0: num(r.priceAtSignal),
+    mc: num(r.mcap),
+    t: r.eventTime || r._ts,
+    scr: num(r.avgScore),
+    wcnt: r.walletCount || (r.wallets || []).length,
+    ws: (r.wallets || []).map(w => [w.addr, num(w.score)]),
+  }));
+
+  const tokens = (doc.tokens || []).map(r => {
+    const sigs = signals.filter(s => s.tok === r.tokenAddress);
+    return {
+      c: r.chainId ?? chainId,
+      addr: r.tokenAddress,
+      sym: r.tokenSymbol,
+      first: r.firstSeen || r._ts,
+      scnt: Math.max(r.signalCount || 0, sigs.length),
+      wcnt: 0,
+      sigs: sigs.map(s => [s.t, s.p0, s.scr]),
+      wals: [...new Set(sigs.flatMap(s => s.ws.map(([addr]) => addr)))],
+      px: (r.prices || []).map(p => [p.ts, num(p.price)]),
+    };
+  });
+
+  const wallets = (doc.wallets || []).map(r => ({
+    c: r.chainId ?? chainId,
+    addr: r.walletAddress,
+    first: r.firstSeen || r._ts,
+    scnt: r.entryCount || 0,
+    avgScr: r.avgScore || 0,
+    ents: [],
+    scrs: r.scores || [],
+  }));
+
+  const lastSeen = [...(doc.lastseen || [])].sort((a, b) => (b.lastUpdate || 0) - (a.lastUpdate || 0))[0];
+  const index = {
+    c: chainId,
+    last: lastSeen?.lastSignalId ? String(lastSeen.lastSignalId).replace('-', '_') : null, // v1 used batchId-batchIndex
+    cnt: signals.length,
+    toks: tokens.length,
+    wals: wallets.length,
+  };
+
+  notes.push(`${signals.length} signals, ${tokens.length} tokens, ${wallets.length} wallets`);
+  return { version: 2, chainId, index, signals, tokens, wallets, perf: [] };
+}
+
+/**
+ * v2 → v3: flat records → per-channel records with performance fields
+ */
+function v2ToV3(doc, notes) {
+  const signals = {};
+  for (const s of doc.signals || []) {
+    signals[`${s.bid}_${s.bix}`] = {
+      bid: s.bid,
+      bix: s.bix,
+      tok: s.tok,
+      sym: s.sym,
+      p0: s.p0,
+      mc0: s.mc ?? null,
+      t0: s.t,
+      scr: s.scr,
+      wcnt: s.wcnt,
+      ws: s.ws || [],
+      pxHigh: null,
+      pxNow: null,
+      mult: null,
+      outcome: null,
+    };
+  }
+
+  // perf snapshots → signal performance fields
+  let perfApplied = 0;
+  for (const p of doc.perf || []) {
+    const signal = signals[`${p.bid}_${p.bix}`];
+    const snaps = p.snaps || [];
+    if (!signal || snaps.length === 0) continue;
+    const last = snaps[snaps.length - 1];
+    signal.pxHigh = maxOf(snaps.map(s => s[1]));
+    signal.pxNow = last[1];
+    signal.mult = last[2] ?? null;
+    perfApplied++;
+  }
+
+  const tokens = {};
+  for (const t of doc.tokens || []) {
+    const sigs = t.sigs || [];
+    tokens[t.addr.slice(0, 16)] = {
+      addr: t.addr,
+      sym: t.sym,
+      first: t.first,
+      scnt: t.scnt || sigs.length,
+      sigs: sigs.map(([time, price, score]) => [time, price, score, null]),
+      wals: t.wals || [],
+      p0: sigs[0]?.[1] ?? t.px?.[0]?.[1] ?? null,
+      pHigh: maxOf((t.px || []).map(p => p[1])),
+      avgScr: avg(sigs.map(s => s[2])),
+      winRate: 0,
+    };
+  }
+
+  const wallets = {};
+  for (const w of doc.wallets || []) {
+    const ents = w.ents || [];
+    wallets[w.addr.slice(0, 16)] = {
+      addr: w.addr,
+      first: w.first,
+      last: maxOf(ents.map(e => e[0])) || w.first,
+      scnt: w.scnt || ents.length,
+      toks: ents.map(([time, tok, price]) => [tok, time, price, null]),
+      avgScr: w.avgScr || 0,
+      scrs: w.scrs || [],
+      wins: 0,
+      losses: 0,
+      winRate: 0,
+      consistency: 0,
+    };
+  }
+
+  const sigKeys = Object.values(signals)
+    .sort((a, b) => (a.t0 || 0) - (b.t0 || 0))
+    .map(s => `${s.bid}_${s.bix}`);
+  const idx = doc.index || {};
+  if (idx.last && !sigKeys.includes(idx.last)) sigKeys.push(idx.last);
+
+  const index = {
+    c: idx.c ?? doc.chainId,
+    lastSigs: sigKeys.slice(-100),
+    totalSigs: idx.cnt || sigKeys.length,
+    totalToks: idx.toks || Object.keys(tokens).length,
+    totalWals: idx.wals || Object.keys(wallets).length,
+    topWals: [],
+    bestSigs: [],
+    avgSigScore: avg(Object.values(signals).map(s => s.scr)),
+  };
+
+  notes.push(`${Object.keys(signals).length} signals (${perfApplied} with perf), ${Object.keys(tokens).length} tokens, ${Object.keys(wallets).length} wallets`);
+  return { version: 3, chainId: doc.chainId, index, signals, tokens, wallets };
+}
+
+/**
+ * v3 → v4: add chain key, tracked tokens and token peaks to the index
+ */
+function v3ToV4(doc, notes) {
+  const index = { ...(doc.index || {}) };
+
+  if (!index.trackedTokens) {
+    index.trackedTokens = Object.values(doc.tokens || {})
+      .map(t => ({
+        addr: t.addr,
+        sym: t.sym,
+        p0: t.p0,
+        pPeak: t.pHigh ?? t.p0,
+        scnt: t.scnt,
+        avgScr: t.avgScr,
+        firstSeen: t.first,
+        lastSig: maxOf((t.sigs || []).map(s => s[0])) || t.first,
+        lastMsgId: null,
+      }))
+      .sort((a, b) => (a.lastSig || 0) - (b.lastSig || 0))
+      .slice(-15);
+  }
+
+  if (!index.tokenPeaks) {
+    index.tokenPeaks = {};
+    for (const s of Object.values(doc.signals || {})) {
+      if (!s.tok || !s.p0 || !s.pxHigh) continue;
+      const peak = s.pxHigh / s.p0;
+      if (!index.tokenPeaks[s.tok] || peak > index.tokenPeaks[s.tok].peak) {
+        index.tokenPeaks[s.tok] = { peak, entry: s.p0 };
+      }
+    }
+  }
+
+  notes.push(`${index.trackedTokens.length} tracked tokens, ${Object.keys(index.tokenPeaks).length} token peaks`);
+  return {
+    ...doc,
+    version: 4,
+    chain: doc.chain || CHAIN_KEYS[doc.chainId] || null,
+    index,
+  };
+}
+
+/**
+ * v4 → v5: multi-channel records → single file document
+ */
+function v4ToV5(doc, notes) {
+  const chainId = doc.chainId ?? doc.index?.c;
+  const index = doc.index || {};
+  const now = Date.now();
+
+  // db-integration.js kept trackedTokens as an array; tolerate keyed objects too
+  const tracked = Array.isArray(index.trackedTokens)
+    ? index.trackedTokens
+    : Object.entries(index.trackedTokens || {}).map(([addr, t]) => ({ addr, ...t }));
+
+  const fullTokenAddrs = tracked.map(t => t.addr).filter(Boolean);
+  const tokens = {};
+
+  // Token channel records (keyed by prefix)
+  for (const [key, t] of Object.entries(doc.tokens || {})) {
+    const addr = resolveAddress(t.addr || key, fullTokenAddrs);
+    const sigs = t.sigs || [];
+    const p0 = t.p0 ?? sigs[0]?.[1] ?? 0;
+    const entryPrices = sigs.map(s => s[1]).filter(p => p > 0);
+    tokens[addr] = {
+      sym: t.sym || '???',
+      p0,
+      pNow: p0,
+      pPeak: t.pHigh ?? p0,
+      pLow: entryPrices.length > 0 ? Math.min(...entryPrices) : p0,
+      mult: 1,
+      peakMult: p0 > 0 && t.pHigh ? t.pHigh / p0 : 1,
+      scnt: t.scnt || sigs.length || 1,
+      avgScr: t.avgScr || 0,
+      firstSeen: t.first || now,
+      lastSig: maxOf(sigs.map(s => s[0])) || t.first || now,
+      lastMsgId: null,
+      rugged: false,
+      wallets: (t.wals || []).slice(-MAX_TOKEN_WALLETS),
+      signals: sigs.slice(-MAX_TOKEN_SIGNALS).map(([time, price, score]) => ({ time, price, score })),
+    };
+  }
+
+  // Index trackedTokens (full addresses, freshest price data)
+  for (const t of tracked) {
+    if (!t.addr) continue;
+    const existing = tokens[t.addr] || {};
+    // db-integration.js only kept p0/pPeak: the entry price stands in for now/low
+    const p0 = t.p0 || t.entryPrice || existing.p0 || 0;
+    const pPeak = t.pPeak || t.peakPrice || existing.pPeak || p0;
+    tokens[t.addr] = {
+      ...existing,
+      sym: t.sym || t.symbol || existing.sym || '???',
+      p0,
+      pNow: t.pNow || t.currentPrice || existing.pNow || p0,
+      pPeak,
+      pLow: t.pLow || existing.pLow || p0,
+      mult: t.mult || t.multiplier || existing.mult || 1,
+      peakMult: Math.max(t.peakMult || t.mult || 1, p0 > 0 ? pPeak / p0 : 1, existing.peakMult || 1),
+      scnt: Math.max(t.scnt || t.signalCount || 1, existing.scnt || 0),
+      avgScr: t.avgScr || t.avgScore || existing.avgScr || 0,
+      firstSeen: t.firstSeen || existing.firstSeen || now,
+      lastSig: t.lastSig || t.lastSignal || existing.lastSig || now,
+      lastMsgId: t.lastMsgId || t.msgId || null,
+      rugged: t.rugged || false,
+      wallets: t.wallets || existing.wallets || [],
+      signals: existing.signals || [],
+    };
+  }
+
+  // tokenPeaks: { prefix: multiplier } or { prefix: { peak, entry } }
+  for (const [prefix, peak] of Object.entries(index.tokenPeaks || {})) {
+    const addr = resolveAddress(prefix, Object.keys(tokens));
+    const mult = typeof peak === 'number' ? peak : peak?.peak;
+    if (tokens[addr] && mult > 0) {
+      tokens[addr].peakMult = Math.max(tokens[addr].peakMult || 1, mult);
+    }
+  }
+
+  // Wallet channel records (keyed by prefix)
+  const wallets = {};
+  for (const [key, w] of Object.entries(doc.wallets || {})) {
+    const walletTokens = {};
+    for (const [tok, time, entry, peak] of w.toks || []) {
+      walletTokens[resolveAddress(tok, Object.keys(tokens))] = {
+        entry,
+        time,
+        ...(typeof peak === 'number' ? { peak } : {}),
+      };
+    }
+    wallets[w.addr || key] = {
+      scnt: w.scnt || 0,
+      avgScr: w.avgScr || 0,
+      consistency: w.consistency || 100,
+      lastSeen: w.last || w.first || now,
+      tags: [],
+      scores: (w.scrs || []).slice(-10),
+      tokens: walletTokens,
+    };
+  }
+
+  // Signal channel records → recentSignals (7d window, like v5)
+  const cutoff = now - RECENT_SIGNAL_WINDOW_MS;
+  const allSignals = Object.values(doc.signals || {});
+  const recentSignals = allSignals
+    .filter(s => (s.t0 || 0) > cutoff)
+    .map(s => ({
+      id: `${s.bid}_${s.bix}`,
+      token: resolveAddress(s.tok, Object.keys(tokens)),
+      sym: s.sym,
+      time: s.t0,
+      price: s.p0,
+      avgScr: s.scr,
+      msgId: null,
+    }))
+    .sort((a, b) => b.time - a.time);
+
+  notes.push(`${Object.keys(tokens).length} tokens, ${Object.keys(wallets).length} wallets, ${recentSignals.length}/${allSignals.length} signals inside the 7d window`);
+  return {
+    chain: doc.chain || CHAIN_KEYS[chainId] || 'sol',
+    chainId,
+    version: 5,
+    rev: 0,
+    updatedAt: now,
+    lastSigs: [...(index.lastSigs || [])].reverse().slice(0, MAX_SEEN_SIGNALS), // v4 appended, v5 prepends
+    tokens,
+    wallets,
+    recentSignals,
+  };
+}
+
+export const MIGRATION_STEPS = [
+  { from: 1, to: 2, name: 'key-value records → compact records', up: v1ToV2 },
+  { from: 2, to: 3, name: 'flat records → per-channel records', up: v2ToV3 },
+  { from: 3, to: 4, name: 'add tracked tokens + token peaks', up: v3ToV4 },
+  { from: 4, to: 5, name: 'multi-channel records → file document', up: v4ToV5 },
+];
+
+// ============================================================
+// INPUT PARSING
+// ============================================================
+
+/**
+ * Parse a "#key\n{json}" record message (v1 wraps the JSON in <code>)
+ * @param {string|Array} text - Message text (Telegram Desktop exports use entity arrays)
+ */
+export function parseRecordMessage(text) {
+  const str = Array.isArray(text)
+    ? text.map(part => (typeof part === 'string' ? part : part.text || '')).join('')
+    : String(text || '');
+
+  const newline = str.indexOf('\n');
+  if (!str.startsWith('#') || newline < 0) return null;
+
+  const body = str.slice(newline + 1).trim()
+    .replace(/^<code>/, '')
+    .replace(/<\/code>$/, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+  try {
+    return { key: str.slice(1, newline), record: JSON.parse(body) };
+  } catch {
+    return null;
+  }
+}
+
+function messageTexts(messages) {
+  const list = Array.isArray(messages) ? messages : messages?.messages || [];
+  return list.map(m => (typeof m === 'string' || Array.isArray(m) ? m : m.text));
+}
+
+function parseRecords(messages) {
+  return messageTexts(messages).map(parseRecordMessage).filter(Boolean);
+}
+
+const V1_TYPES = { signal: 'signals', token: 'tokens', wallet: 'wallets', lastseen: 'lastseen' };
+const V2_PREFIXES = { idx: 'index', sig: 'signals', tok: 'tokens', wal: 'wallets', perf: 'perf' };
+
+/**
+ * Turn a raw dump into a versioned document
+ *
+ * Accepts:
+ * - a versioned document (has `version`)
+ * - a v5 document without `version` (tokens + lastSigs)
+ * - a pinned v4 index message text ("#main\n{...}")
+ * - a message list / Telegram Desktop export ({ messages: [...] }) of v1 or v2 records
+ * - { chainId, channels: { index, signals, tokens, wallets } } message lists of v3/v4 records
+ *
+ * @param {*} input - Parsed JSON dump (or message text)
+ * @param {Object} options
+ * @param {number} options.chainId - Chain ID when the dump does not carry one
+ */
+export function normalizeDump(input, options = {}) {
+  if (typeof input === 'string') {
+    input = { channels: { index: [input] } };
+  }
+
+  if (input.version && !input.channels && !input.messages) return input;
+  if (input.tokens && input.lastSigs && !Array.isArray(input.tokens)) {
+    return { ...input, version: CURRENT_VERSION };
+  }
+
+  const chainId = input.chainId ?? options.chainId ?? null;
+
+  // v3/v4: one message list per channel
+  if (input.channels) {
+    const doc = { chainId, index: null, signals: {}, tokens: {}, wallets: {} };
+    let hasV4Fields = false;
+
+    for (const [channel, messages] of Object.entries(input.channels)) {
+      for (const { key, record } of parseRecords(messages)) {
+        if (record._chain) hasV4Fields = true;
+        if (channel === 'index') {
+          if (key === 'main') doc.index = record;
+        } else if (doc[channel]) {
+          doc[channel][key] = record;
+        }
+      }
+    }
+
+    if (doc.index?.trackedTokens || doc.index?.tokenPeaks) hasV4Fields = true;
+    doc.chainId = doc.chainId ?? doc.index?.c ?? null;
+    return { ...doc, version: hasV4Fields ? 4 : 3 };
+  }
+
+  // v1/v2: all record types in one channel
+  const records = parseRecords(input);
+  if (records.some(({ record }) => record._key || V1_TYPES[record.type])) {
+    const doc = { version: 1, chainId, signals: [], tokens: [], wallets: [], lastseen: [] };
+    for (const { record } of records) {
+      const bucket = V1_TYPES[record.type];
+      if (bucket) doc[bucket].push(record);
+      if (doc.chainId === null && record.chainId) doc.chainId = record.chainId;
+    }
+    return doc;
+  }
+
+  const doc = { version: 2, chainId, index: null, signals: [], tokens: [], wallets: [], perf: [] };
+  for (const { key, record } of records) {
+    const bucket = V2_PREFIXES[key.split('_')[0]];
+    if (bucket === 'index') doc.index = record;
+    else if (bucket) doc[bucket].push(record);
+    if (doc.chainId === null && record.c) doc.chainId = record.c;
+  }
+  return doc;
+}
+
+// ============================================================
+// PIPELINE
+// ============================================================
+
+/**
+ * Run all migration steps needed to reach CURRENT_VERSION
+ * @param {Object} doc - Versioned document (see normalizeDump)
+ * @returns {{ doc: Object, steps: Array<{ from, to, name, notes }> }}
+ */
+export function migrate(doc) {
+  const steps = [];
+  let current = doc;
+
+  if (!current.version) {
+    throw new Error('Document has no schema version (run normalizeDump first)');
+  }
+  if (current.version > CURRENT_VERSION) {
+    throw new Error(`Document version ${current.version} is newer than ${CURRENT_VERSION}`);
+  }
+
+  while (current.version < CURRENT_VERSION) {
+    const step = MIGRATION_STEPS.find(s => s.from === current.version);
+    if (!step) throw new Error(`No migration step from v${current.version}`);
+
+    const notes = [];
+    current = step.up(current, notes);
+    steps.push({ from: step.from, to: step.to, name: step.name, notes });
+  }
+
+  return { doc: current, steps };
+}
+
+/**
+ * Fold a migrated document into an existing v5 document
+ * Existing records win; only missing tokens, wallets and signals are added,
+ * so applying the same dump twice changes nothing.
+ */
+export function mergeIntoCurrent(current, migrated) {
+  const recentById = new Map((current.recentSignals || []).map(s => [s.id, s]));
+  for (const s of migrated.recentSignals || []) {
+    if (!recentById.has(s.id)) recentById.set(s.id, s);
+  }
+
+  return {
+    ...current,
+    lastSigs: [...new Set([...(current.lastSigs || []), ...(migrated.lastSigs || [])])].slice(0, MAX_SEEN_SIGNALS),
+    tokens: { ...migrated.tokens, ...current.tokens },
+    wallets: { ...migrated.wallets, ...current.wallets },
+    recentSignals: [...recentById.values()].sort((a, b) => b.time - a.time),
+  };
+}
+
+// ============================================================
+// DIFF REPORT
+// ============================================================
+
+function diffKeyed(before = {}, after = {}) {
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!(key in before)) result.added.push(key);
+    else if (!(key in after)) result.removed.push(key);
+    else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) result.changed.push(key);
+    else result.unchanged++;
+  }
+  return result;
+}
+
+/**
+ * Compare two v5 documents (e.g. current DB vs. DB after applying a migration)
+ */
+export function diffDocuments(before, after) {
+  const beforeSigs = new Set(before?.lastSigs || []);
+  const beforeRecent = new Set((before?.recentSignals || []).map(s => s.id));
+
+  return {
+    tokens: diffKeyed(before?.tokens, after?.tokens),
+    wallets: diffKeyed(before?.wallets, after?.wallets),
+    lastSigs: { added: (after?.lastSigs || []).filter(k => !beforeSigs.has(k)) },
+    recentSignals: { added: (after?.recentSignals || []).filter(s => !beforeRecent.has(s.id)).map(s => s.id) },
+  };
+}
+
+/**
+ * Format a diff as log lines
+ * @param {Object} diff - From diffDocuments()
+ * @param {number} sample - Keys listed per section
+ */
+export function formatDiffReport(diff, sample = 5) {
+  const lines = [];
+  const list = (keys) => `${keys.slice(0, sample).join(', ')}${keys.length > sample ? ', ...' : ''}`;
+
+  for (const section of ['tokens', 'wallets']) {
+    const d = diff[section];
+    lines.push(`${section}: +${d.added.length} added, ~${d.changed.length} changed, -${d.removed.length} removed, ${d.unchanged} unchanged`);
+    if (d.added.length) lines.push(`   + ${list(d.added)}`);
+    if (d.changed.length) lines.push(`   ~ ${list(d.changed)}`);
+    if (d.removed.length) lines.push(`   - ${list(d.removed)}`);
+  }
+  for (const section of ['lastSigs', 'recentSignals']) {
+    const added = diff[section].added;
+    lines.push(`${section}: +${added.length}${added.length ? ` (${list(added)})` : ''}`);
+  }
+
+  return lines;
+}
@@ -0,0 +1,490 @@
+/**
+ * DB Schema - Declared v5 record schemas + integrity checks
+ *
+ * Tokens are written by storeSignalData() (db-integration-v5.js) and
+ * update-prices.js, wallets by storeSignalData(), stats by TelegramDBv5.
+ * validateDocument() checks field types and cross-record consistency;
+ * repairDocument() fixes what can be derived from other fields.
+ *
+ * Field spec: '<type>' optional, '<type>!' required, '<type>?' optional + nullable
+ *
+ * Issue levels:
+ * - error: bad type / NaN / missing required field (breaks scoring or display)
+ * - warn:  inconsistent but usable (e.g. peakMult ≠ pPeak/p0, dangling refs)
+ */
+
+const MAX_SEEN_SIGNALS = 200;
+const MULT_TOLERANCE = 0.01; // 1% rounding slack for derived multipliers
+
+const VALIDATION_MODES = ['warn', 'strict', 'off'];
+
+/**
+ * Get the configured validation mode (DB_VALIDATE)
+ * - warn (default): log a summary on load/save
+ * - strict: also refuse to save a document with errors
+ * - off: skip validation
+ */
+export function getValidationMode() {
+  const mode = (process.env.DB_VALIDATE || 'warn').toLowerCase();
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Unknown DB_VALIDATE: ${mode}`);
+  }
+  return mode;
+}
+
+// ============================================================
+// TYPES + SCHEMAS
+// ============================================================
+
+const TYPES = {
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  price: v => typeof v === 'number' && Number.isFinite(v) && v >= 0,
+  count: v => Number.isInteger(v) && v >= 0,
+  timestamp: v => (typeof v === 'number' || typeof v === 'string') && Number.isFinite(Number(v)) && Number(v) > 0,
+  boolean: v => typeof v === 'boolean',
+  msgId: v => Number.isInteger(v) && v > 0,
+  array: v => Array.isArray(v),
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+};
+
+export const TOKEN_SCHEMA = {
+  sym: 'string!',
+  p0: 'price!',             // Entry price (first signal)
+  pNow: 'price',
+  pPeak: 'price',
+  pLow: 'price',
+  mult: 'number',           // pNow / p0
+  peakMult: 'number',       // pPeak / p0
+  scnt: 'count!',
+  avgScr: 'number',
+  mc0: 'number?',
+  firstSeen: 'timestamp',
+  lastSig: 'timestamp',
+  lastMsgId: 'msgId?',
+  publicMsgId: 'msgId?',
+  msgIds: 'object',         // { destination: msgId } (non-primary destinations)
+  rugged: 'boolean',
+  ruggedAt: 'timestamp',
+  archived: 'boolean',
+  hitPeakAfterDip: 'boolean',
+  dippedAfterPeak: 'boolean',
+  lastDumpReported: 'boolean',
+  sec: 'string?',
+  wallets: 'array',         // Wallet address prefixes
+  signals: 'array',         // [{ time, price, score, prof }]
+};
+
+export const TOKEN_SIGNAL_SCHEMA = {
+  time: 'timestamp!',
+  price: 'price!',
+  score: 'number',
+  prof: 'string',           // Scoring profile id (scoring-profiles.js)
+};
+
+export const WALLET_SCHEMA = {
+  scnt: 'count!',
+  avgScr: 'number',
+  consistency: 'number',
+  lastSeen: 'timestamp',
+  tags: 'array',
+  scores: 'array',
+  tokens: 'object',         // { tokenAddr: { entry, score, time, exit?, exitMult?, exitTime? } }
+  exits: 'count',           // Exits recorded (exit-tracking.js)
+};
+
+export const WALLET_TOKEN_SCHEMA = {
+  entry: 'price!',
+  score: 'number',
+  time: 'timestamp',
+  peak: 'number',
+  exit: 'price',            // Sell price (first sell after the signal)
+  exitMult: 'number',       // exit / entry
+  exitTime: 'timestamp',
+};
+
+export const RECENT_SIGNAL_SCHEMA = {
+  id: 'string!',
+  token: 'string!',
+  sym: 'string',
+  time: 'timestamp!',
+  price: 'price',
+  avgScr: 'number',
+  prof: 'string',
+  msgId: 'msgId?',
+  publicMsgId: 'msgId?',
+};
+
+// Stats sections: every counter is numeric, plus the period key
+export const STATS_SECTIONS = {
+  lifetime: null,
+  daily: 'date',
+  weekly: 'weekStart',
+  monthly: 'month',
+};
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+function parseSpec(spec) {
+  return {
+    type: spec.replace(/[!?]$/, ''),
+    required: spec.endsWith('!'),
+    nullable: spec.endsWith('?'),
+  };
+}
+
+function describe(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Check one record against a schema
+ */
+function checkFields(record, schema, path, issues) {
+  if (!TYPES.object(record)) {
+    issues.push({ level: 'error', path, code: 'type', message: `expected object, got ${describe(record)}` });
+    return;
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const { type, required, nullable } = parseSpec(spec);
+    const value = record[field];
+
+    if (value === undefined || (value === null && !nullable)) {
+      if (required || value === null) {
+        issues.push({ level: 'error', path: `${path}.${field}`, code: 'missing', message: `${field} is ${describe(value === undefined ? undefined : value)}` });
+      }
+      continue;
+    }
+    if (value === null) continue;
+
+    if (!TYPES[type](value)) {
+      issues.push({ level: 'error', path: `${path}.${field}`, code: 'type', message: `${field} should be ${type}, got ${describe(value)} (${JSON.stringify(value)})` });
+    }
+  }
+}
+
+function nearlyEqual(a, b) {
+  return Math.abs(a - b) <= Math.max(Math.abs(b) * MULT_TOLERANCE, 1e-9);
+}
+
+/**
+ * Token consistency (derived multipliers, price ordering)
+ */
+function checkToken(addr, token, issues) {
+  const path = `tokens.${addr}`;
+  checkFields(token, TOKEN_SCHEMA, path, issues);
+  if (!TYPES.object(token)) return;
+
+  for (const [i, signal] of (Array.isArray(token.signals) ? token.signals : []).entries()) {
+    checkFields(signal, TOKEN_SIGNAL_SCHEMA, `${path}.signals[${i}]`, issues);
+  }
+
+  const { p0, pNow, pPeak, pLow, mult, peakMult } = token;
+  if (!(TYPES.price(p0) && p0 > 0)) return;
+
+  if (TYPES.price(pPeak) && TYPES.number(peakMult) && pPeak > p0 && !nearlyEqual(peakMult, pPeak / p0)) {
+    issues.push({ level: 'warn', path: `${path}.peakMult`, code: 'derived', message: `peakMult ${peakMult} ≠ pPeak/p0 ${(pPeak / p0).toFixed(4)}` });
+  }
+  if (TYPES.price(pNow) && TYPES.number(mult) && pNow > 0 && !nearlyEqual(mult, pNow / p0)) {
+    issues.push({ level: 'warn', path: `${path}.mult`, code: 'derived', message: `mult ${mult} ≠ pNow/p0 ${(pNow / p0).toFixed(4)}` });
+  }
+  if (TYPES.price(pPeak) && TYPES.price(pLow) && pLow > 0 && pLow > pPeak) {
+    issues.push({ level: 'warn', path: `${path}.pLow`, code: 'order', message: `pLow ${pLow} > pPeak ${pPeak}` });
+  }
+}
+
+/**
+ * Wallet fields + references to tokens
+ */
+function checkWallet(addr, wallet, tokens, issues) {
+  const path = `wallets.${addr}`;
+  checkFields(wallet, WALLET_SCHEMA, path, issues);
+  if (!TYPES.object(wallet) || !TYPES.object(wallet.tokens)) return;
+
+  for (const [tokenAddr, entry] of Object.entries(wallet.tokens)) {
+    checkFields(entry, WALLET_TOKEN_SCHEMA, `${path}.tokens.${tokenAddr}`, issues);
+    if (tokens && !tokens[tokenAddr]) {
+      issues.push({ level: 'warn', path: `${path}.tokens.${tokenAddr}`, code: 'dangling', message: 'references a pruned token' });
+    }
+  }
+}
+
+function checkStats(stats, issues) {
+  for (const [section, periodKey] of Object.entries(STATS_SECTIONS)) {
+    const data = stats[section];
+    if (!TYPES.object(data)) {
+      issues.push({ level: 'error', path: `stats.${section}`, code: 'missing', message: `stats.${section} is ${describe(data)}` });
+      continue;
+    }
+    if (periodKey && !TYPES.string(data[periodKey])) {
+      issues.push({ level: 'error', path: `stats.${section}.${periodKey}`, code: 'missing', message: `${periodKey} is ${describe(data[periodKey])}` });
+    }
+    for (const [key, value] of Object.entries(data)) {
+      if (key === periodKey) continue;
+      if (!TYPES.number(value)) {
+        issues.push({ level: 'error', path: `stats.${section}.${key}`, code: 'type', message: `${key} should be number, got ${describe(value)}` });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a (possibly partially loaded) v5 document
+ * @param {Object} doc - Chain document
+ * @param {Object} options
+ * @param {boolean} options.checkRefs - Check wallet → token references (needs all tokens loaded)
+ * @returns {Array<{ level, path, code, message }>}
+ */
+export function validateDocument(doc, options = {}) {
+  const { checkRefs = true } = options;
+  const issues = [];
+
+  if (!TYPES.object(doc)) {
+    return [{ level: 'error', path: '', code: 'type', message: 'document is not an object' }];
+  }
+  if (doc.version !== 5) {
+    issues.push({ level: 'error', path: 'version', code: 'version', message: `version is ${doc.version}, expected 5` });
+  }
+  for (const [field, type] of [['tokens', 'object'], ['wallets', 'object'], ['lastSigs', 'array'], ['recentSignals', 'array']]) {
+    if (!TYPES[type](doc[field])) {
+      issues.push({ level: 'error', path: field, code: 'missing', message: `${field} should be ${type}` });
+    }
+  }
+
+  const tokens = TYPES.object(doc.tokens) ? doc.tokens : {};
+  for (const [addr, token] of Object.entries(tokens)) {
+    checkToken(addr, token, issues);
+  }
+
+  for (const [addr, wallet] of Object.entries(TYPES.object(doc.wallets) ? doc.wallets : {})) {
+    checkWallet(addr, wallet, checkRefs ? tokens : null, issues);
+  }
+
+  if (Array.isArray(doc.recentSignals)) {
+    const seen = new Set();
+    doc.recentSignals.forEach((signal, i) => {
+      checkFields(signal, RECENT_SIGNAL_SCHEMA, `recentSignals[${i}]`, issues);
+      if (seen.has(signal?.id)) {
+        issues.push({ level: 'warn', path: `recentSignals[${i}]`, code: 'duplicate', message: `duplicate id ${signal.id}` });
+      }
+      seen.add(signal?.id);
+      if (checkRefs && signal?.token && !tokens[signal.token]) {
+        issues.push({ level: 'warn', path: `recentSignals[${i}].token`, code: 'dangling', message: `token ${signal.token} not in tokens` });
+      }
+    });
+  }
+
+  if (Array.isArray(doc.lastSigs)) {
+    const unique = new Set(doc.lastSigs);
+    if (unique.size !== doc.lastSigs.length) {
+      issues.push({ level: 'warn', path: 'lastSigs', code: 'duplicate', message: `${doc.lastSigs.length - unique.size} duplicate keys` });
+    }
+    if (doc.lastSigs.length > MAX_SEEN_SIGNALS) {
+      issues.push({ level: 'warn', path: 'lastSigs', code: 'size', message: `${doc.lastSigs.length} keys (max ${MAX_SEEN_SIGNALS})` });
+    }
+  }
+
+  if (doc.stats !== undefined) {
+    checkStats(doc.stats, issues);
+  }
+
+  return issues;
+}
+
+/**
+ * One-line summary of validation issues
+ */
+export function summarizeIssues(issues) {
+  const errors = issues.filter(i => i.level === 'error').length;
+  const warnings = issues.length - errors;
+  const codes = {};
+  for (const issue of issues) codes[issue.code] = (codes[issue.code] || 0) + 1;
+  const byCode = Object.entries(codes).map(([code, n]) => `${code}: ${n}`).join(', ');
+  return `${errors} errors, ${warnings} warnings${byCode ? ` (${byCode})` : ''}`;
+}
+
+// ============================================================
+// REPAIR
+// ============================================================
+
+function validPrice(v) {
+  return TYPES.price(v) && v > 0;
+}
+
+/**
+ * Rebuild token prices/multipliers from whatever is still valid
+ */
+function repairToken(token) {
+  let fixes = 0;
+  const set = (field, value) => {
+    if (token[field] !== value) {
+      token[field] = value;
+      fixes++;
+    }
+  };
+  const drop = (field) => {
+    if (field in token) {
+      delete token[field];
+      fixes++;
+    }
+  };
+
+  if (Array.isArray(token.signals)) {
+    const signals = token.signals.filter(s => TYPES.timestamp(s?.time) && validPrice(s?.price));
+    if (signals.length !== token.signals.length) set('signals', signals);
+  }
+
+  if (!validPrice(token.p0)) {
+    const firstPrice = token.signals?.find(s => validPrice(s.price))?.price;
+    if (firstPrice) set('p0', firstPrice);
+  }
+  const p0 = token.p0;
+
+  if (validPrice(p0)) {
+    if (!validPrice(token.pNow)) set('pNow', p0);
+    if (!validPrice(token.pPeak)) set('pPeak', Math.max(p0, token.pNow));
+    if (!validPrice(token.pLow)) set('pLow', Math.min(p0, token.pNow));
+    if (token.pLow > token.pPeak) set('pLow', Math.min(p0, token.pNow));
+
+    const mult = token.pNow / p0;
+    if (!TYPES.number(token.mult) || !nearlyEqual(token.mult, mult)) set('mult', mult);
+
+    const peakMult = Math.max(token.pPeak / p0, 1);
+    if (!TYPES.number(token.peakMult) || (token.pPeak > p0 && !nearlyEqual(token.peakMult, peakMult))) {
+      set('peakMult', peakMult);
+    }
+  }
+
+  if (!TYPES.count(token.scnt)) set('scnt', Math.max(Math.round(Number(token.scnt)) || 0, token.signals?.length || 1));
+  if ('avgScr' in token && !TYPES.number(token.avgScr)) set('avgScr', 0);
+  if ('mc0' in token && token.mc0 !== null && !TYPES.number(token.mc0)) set('mc0', null);
+  for (const field of ['lastMsgId', 'publicMsgId']) {
+    if (field in token && token[field] !== null && !TYPES.msgId(token[field])) set(field, null);
+  }
+  for (const field of ['firstSeen', 'lastSig', 'ruggedAt']) {
+    if (field in token && !TYPES.timestamp(token[field])) drop(field);
+  }
+  if ('wallets' in token && !Array.isArray(token.wallets)) set('wallets', []);
+
+  return fixes;
+}
+
+function repairWallet(wallet, tokens) {
+  let fixes = 0;
+
+  if (!TYPES.count(wallet.scnt)) {
+    wallet.scnt = Math.max(Math.round(Number(wallet.scnt)) || 0, wallet.scores?.length || 1);
+    fixes++;
+  }
+  for (const field of ['avgScr', 'consistency']) {
+    if (field in wallet && !TYPES.number(wallet[field])) {
+      wallet[field] = field === 'consistency' ? 100 : 0;
+      fixes++;
+    }
+  }
+  if (Array.isArray(wallet.scores) && wallet.scores.some(s => !TYPES.number(s))) {
+    wallet.scores = wallet.scores.filter(s => TYPES.number(s));
+    fixes++;
+  }
+  if (!TYPES.object(wallet.tokens)) {
+    wallet.tokens = {};
+    fixes++;
+  }
+
+  for (const [tokenAddr, entry] of Object.entries(wallet.tokens)) {
+    if ((tokens && !tokens[tokenAddr]) || !validPrice(entry?.entry)) {
+      delete wallet.tokens[tokenAddr];
+      fixes++;
+    }
+  }
+
+  return fixes;
+}
+
+/**
+ * Repair a v5 document in place
+ * Records that cannot be repaired (e.g. a token with no valid entry price,
+ * a recent signal without id/time or token) are removed.
+ * @param {Object} doc - Chain document
+ * @param {Object} options
+ * @param {boolean} options.checkRefs - Drop wallet → token refs to missing tokens
+ * @returns {{ fixed: number, removed: number }}
+ */
+export function repairDocument(doc, options = {}) {
+  const { checkRefs = true } = options;
+  let fixed = 0;
+  let removed = 0;
+
+  for (const [field, empty] of [['tokens', {}], ['wallets', {}], ['lastSigs', []], ['recentSignals', []]]) {
+    const ok = Array.isArray(empty) ? Array.isArray(doc[field]) : TYPES.object(doc[field]);
+    if (!ok) {
+      doc[field] = empty;
+      fixed++;
+    }
+  }
+
+  for (const [addr, token] of Object.entries(doc.tokens)) {
+    if (!TYPES.object(token)) {
+      delete doc.tokens[addr];
+      removed++;
+      continue;
+    }
+    fixed += repairToken(token);
+    if (!validPrice(token.p0)) {
+      delete doc.tokens[addr];
+      removed++;
+    } else if (!TYPES.string(token.sym)) {
+      token.sym = '???';
+      fixed++;
+    }
+  }
+
+  for (const [addr, wallet] of Object.entries(doc.wallets)) {
+    if (!TYPES.object(wallet)) {
+      delete doc.wallets[addr];
+      removed++;
+      continue;
+    }
+    fixed += repairWallet(wallet, checkRefs ? doc.tokens : null);
+  }
+
+  const seenIds = new Set();
+  const recent = doc.recentSignals.filter(s => {
+    if (!TYPES.string(s?.id) || !TYPES.timestamp(s?.time) || !TYPES.string(s?.token) || seenIds.has(s.id)) return false;
+    if (checkRefs && !doc.tokens[s.token]) return false; // Tokens outlive the 7d window, so this is stale
+    seenIds.add(s.id);
+    return true;
+  });
+  removed += doc.recentSignals.length - recent.length;
+  doc.recentSignals = recent;
+
+  const lastSigs = [...new Set(doc.lastSigs)].slice(0, MAX_SEEN_SIGNALS);
+  if (lastSigs.length !== doc.lastSigs.length) {
+    doc.lastSigs = lastSigs;
+    fixed++;
+  }
+
+  if (TYPES.object(doc.stats)) {
+    for (const [section, periodKey] of Object.entries(STATS_SECTIONS)) {
+      const data = doc.stats[section];
+      if (!TYPES.object(data)) continue;
+      for (const [key, value] of Object.entries(data)) {
+        if (key !== periodKey && !TYPES.number(value)) {
+          data[key] = 0;
+          fixed++;
+        }
+      }
+    }
+  }
+
+  if (doc.version !== 5) {
+    doc.version = 5;
+    fixed++;
+  }
+
+  return { fixed, removed };
+}
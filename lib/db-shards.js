@@ -0,0 +1,156 @@
+/**
+ * DB Shards - Split layout for large v5 chain databases
+ *
+ * Bots can only download files up to 20MB via getFile, so once a chain
+ * document approaches DB_SHARD_THRESHOLD_BYTES it is split into shards:
+ *
+ *   {chain}-manifest.json  (pinned)  → { format: 'sharded', rev, walletShards, shards: { name: ref } }
+ *   {chain}-meta.json                → lastSigs + misc top-level fields
+ *   {chain}-tokens.json              → tokens
+ *   {chain}-recentSignals.json       → recentSignals
+ *   {chain}-stats.json               → stats
+ *   {chain}-wallets-{i}.json         → wallets, hash-partitioned by address
+ *
+ * Callers load only the shards they need (e.g. poll skips wallet shards
+ * and pulls the few wallet partitions a signal touches).
+ */
+
+import { mergeDB } from './db-merge.js';
+
+export const SHARD_THRESHOLD_BYTES = parseInt(process.env.DB_SHARD_THRESHOLD_BYTES, 10) || 15 * 1024 * 1024;
+
+export const BASE_SHARDS = ['meta', 'tokens', 'recentSignals', 'stats'];
+
+// Top-level keys that live in their own shard (or the manifest)
+const NON_META_KEYS = new Set(['tokens', 'wallets', 'recentSignals', 'stats', 'rev', 'updatedAt']);
+
+const MIN_WALLET_SHARDS = 4;
+const MAX_WALLET_SHARDS = 256;
+const MIN_WALLET_SHARD_BYTES = 64 * 1024; // A small threshold must not explode the partition count
+
+// ============================================================
+// NAMING
+// ============================================================
+
+export function isManifestFile(fileName) {
+  return Boolean(fileName && fileName.endsWith('-manifest.json'));
+}
+
+/**
+ * FNV-1a hash of a wallet address (case-insensitive for EVM)
+ */
+function hashAddress(address) {
+  let hash = 0x811c9dc5;
+  const str = String(address).toLowerCase();
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function walletShardName(address, walletShards) {
+  return `wallets-${hashAddress(address) % walletShards}`;
+}
+
+/**
+ * All shard names of a manifest
+ */
+export function allShardNames(walletShards) {
+  const names = [...BASE_SHARDS];
+  for (let i = 0; i < walletShards; i++) names.push(`wallets-${i}`);
+  return names;
+}
+
+/**
+ * Expand a shard selection ('wallets' = every wallet partition)
+ */
+export function expandShardNames(names, walletShards) {
+  const expanded = [];
+  for (const name of names) {
+    if (name === 'wallets') {
+      for (let i = 0; i < walletShards; i++) expanded.push(`wallets-${i}`);
+    } else {
+      expanded.push(name);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Pick a power-of-two partition count so each wallet shard starts at
+ * about a quarter of the threshold (room to grow), but no smaller than
+ * MIN_WALLET_SHARD_BYTES and no more than MAX_WALLET_SHARDS partitions
+ */
+export function calcWalletShardCount(wallets, threshold = SHARD_THRESHOLD_BYTES) {
+  const bytes = Buffer.byteLength(JSON.stringify(wallets || {}));
+  const target = Math.max(threshold / 4, MIN_WALLET_SHARD_BYTES);
+  const needed = Math.min(Math.ceil(bytes / target), MAX_WALLET_SHARDS);
+  return Math.max(MIN_WALLET_SHARDS, 2 ** Math.ceil(Math.log2(Math.max(needed, 1))));
+}
+
+// ============================================================
+// SPLIT / APPLY
+// ============================================================
+
+/**
+ * Split a (possibly partial) document into shard payloads
+ * @param {Object} doc - Chain document
+ * @param {number} walletShards - Wallet partition count
+ * @param {Set<string>} names - Only build these shards (default: all)
+ */
+export function buildShards(doc, walletShards, names = null) {
+  const meta = {};
+  for (const [key, value] of Object.entries(doc || {})) {
+    if (!NON_META_KEYS.has(key)) meta[key] = value;
+  }
+
+  const shards = {
+    meta,
+    tokens: { tokens: doc?.tokens || {} },
+    recentSignals: { recentSignals: doc?.recentSignals || [] },
+    stats: { stats: doc?.stats || null },
+  };
+
+  for (let i = 0; i < walletShards; i++) {
+    shards[`wallets-${i}`] = { wallets: {} };
+  }
+  for (const [addr, wallet] of Object.entries(doc?.wallets || {})) {
+    shards[walletShardName(addr, walletShards)].wallets[addr] = wallet;
+  }
+
+  if (!names) return shards;
+  return Object.fromEntries(Object.entries(shards).filter(([name]) => names.has(name)));
+}
+
+/**
+ * Write a shard payload into a document (replaces that shard's records)
+ */
+export function applyShard(doc, name, data, walletShards) {
+  if (name.startsWith('wallets-')) {
+    if (!doc.wallets) doc.wallets = {};
+    for (const addr of Object.keys(doc.wallets)) {
+      if (walletShardName(addr, walletShards) === name) delete doc.wallets[addr];
+    }
+    Object.assign(doc.wallets, data?.wallets || {});
+  } else if (name === 'meta') {
+    Object.assign(doc, data || {});
+  } else if (name === 'stats') {
+    if (data?.stats) doc.stats = data.stats;
+    else delete doc.stats;
+  } else {
+    doc[name] = data?.[name] ?? (name === 'tokens' ? {} : []);
+  }
+}
+
+/**
+ * Three-way merge of one shard (see db-merge.js)
+ */
+export function mergeShard(base, local, remote) {
+  const merged = mergeDB(base, local, remote);
+  const result = {};
+  for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    result[key] = merged[key];
+  }
+  return result;
+}
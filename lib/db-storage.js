@@ -0,0 +1,431 @@
+/**
+ * DB Storage Adapters
+ *
+ * Pluggable persistence backends for TelegramDBv5 and LeaderboardManager.
+ * Every backend exposes the same document-channel model that Telegram gives us:
+ * a channel holds numbered document messages, one of which is pinned as the head.
+ *
+ * Backends (selected with DB_STORAGE):
+ * - telegram: sendDocument / editMessageMedia / getFile (default, production)
+ * - file:     JSON files under DB_STORAGE_PATH (default ./.data)
+ * - sqlite:   single SQLite file at DB_SQLITE_PATH (default ./.data/signal-db.sqlite)
+ *
+ * Adapter interface:
+ * - getPinned()                                  → { messageId, fileId, fileUniqueId, fileName, text } | null
+ * - upload(buffer, fileName, caption)            → { messageId, fileId, fileUniqueId }
+ * - update(messageId, buffer, fileName, caption) → { messageId, fileId, fileUniqueId }
+ * - download(fileId)                             → Buffer
+ * - pin(messageId)
+ * - remove(messageId)                            (never the pinned head)
+ *
+ * fileUniqueId changes on every write, so callers can detect that a
+ * document moved without downloading it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_DATA_DIR = '.data';
+
+/**
+ * Get the configured storage backend name
+ */
+export function getStorageBackend() {
+  return (process.env.DB_STORAGE || 'telegram').toLowerCase();
+}
+
+// ============================================================
+// TELEGRAM ADAPTER
+// ============================================================
+
+export class TelegramStorage {
+  constructor(botToken, channel) {
+    this.botToken = botToken;
+    this.apiBase = `https://api.telegram.org/bot${botToken}`;
+    this.channel = channel;
+  }
+
+  async api(method, params = {}) {
+    const res = await fetch(`${this.apiBase}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(`TG API ${method}: ${json.description}`);
+    return json.result;
+  }
+
+  async apiForm(method, formData) {
+    const res = await fetch(`${this.apiBase}/${method}`, {
+      method: 'POST',
+      body: formData,
+    });
+    const json = await res.json();
+    if (!json.ok) throw new Error(`TG API ${method}: ${json.description}`);
+    return json.result;
+  }
+
+  /**
+   * Read the pinned message of the channel
+   */
+  async getPinned() {
+    const chat = await this.api('getChat', { chat_id: this.channel });
+    const pinned = chat.pinned_message;
+    if (!pinned) return null;
+
+    return {
+      messageId: pinned.message_id,
+      fileId: pinned.document?.file_id || null,
+      fileUniqueId: pinned.document?.file_unique_id || null,
+      fileName: pinned.document?.file_name || null,
+      text: pinned.text || null,
+    };
+  }
+
+  /**
+   * Send a new document message
+   */
+  async upload(buffer, fileName, caption) {
+    const formData = new FormData();
+    formData.append('chat_id', this.channel);
+    formData.append('document', new Blob([buffer], { type: 'application/json' }), fileName);
+    if (caption) formData.append('caption', caption);
+
+    const result = await this.apiForm('sendDocument', formData);
+    return {
+      messageId: result.message_id,
+      fileId: result.document.file_id,
+      fileUniqueId: result.document.file_unique_id,
+    };
+  }
+
+  /**
+   * Replace the document of an existing message
+   */
+  async update(messageId, buffer, fileName, caption) {
+    const formData = new FormData();
+    formData.append('chat_id', this.channel);
+    formData.append('message_id', messageId);
+    formData.append('media', JSON.stringify({
+      type: 'document',
+      media: 'attach://document',
+      caption,
+    }));
+    formData.append('document', new Blob([buffer], { type: 'application/json' }), fileName);
+
+    const result = await this.apiForm('editMessageMedia', formData);
+    return {
+      messageId: result.message_id,
+      fileId: result.document.file_id,
+      fileUniqueId: result.document.file_unique_id,
+    };
+  }
+
+  /**
+   * Download document content
+   */
+  async download(fileId) {
+    const file = await this.api('getFile', { file_id: fileId });
+    const fileUrl = `https://api.telegram.org/file/bot${this.botToken}/${file.file_path}`;
+
+    const res = await fetch(fileUrl);
+    if (!res.ok) throw new Error(`File download HTTP ${res.status}`);
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  async pin(messageId) {
+    await this.api('pinChatMessage', {
+      chat_id: this.channel,
+      message_id: messageId,
+      disable_notification: true,
+    });
+  }
+
+  async remove(messageId) {
+    await this.api('deleteMessage', {
+      chat_id: this.channel,
+      message_id: messageId,
+    });
+  }
+}
+
+// ============================================================
+// LOCAL FILE ADAPTER
+// ============================================================
+
+/**
+ * Stores each channel as a directory:
+ *   <root>/<namespace>/index.json   - message index + pinned pointer
+ *   <root>/<namespace>/files/<id>   - document contents
+ */
+export class LocalFileStorage {
+  constructor(rootDir, namespace) {
+    this.dir = path.join(rootDir, namespace);
+    this.filesDir = path.join(this.dir, 'files');
+    this.indexPath = path.join(this.dir, 'index.json');
+  }
+
+  readIndex() {
+    try {
+      return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    } catch {
+      return { nextMessageId: 1, pinned: null, messages: {} };
+    }
+  }
+
+  writeIndex(index) {
+    this.writeAtomic(this.indexPath, JSON.stringify(index, null, 2));
+  }
+
+  writeAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  async getPinned() {
+    const index = this.readIndex();
+    const message = index.pinned ? index.messages[index.pinned] : null;
+    if (!message) return null;
+
+    return {
+      messageId: index.pinned,
+      fileId: message.fileId,
+      fileUniqueId: message.fileId,
+      fileName: message.fileName,
+      text: null,
+    };
+  }
+
+  async upload(buffer, fileName, caption) {
+    const index = this.readIndex();
+    const messageId = index.nextMessageId++;
+    const fileId = this.newFileId(messageId, fileName);
+
+    this.writeAtomic(path.join(this.filesDir, fileId), buffer);
+    index.messages[messageId] = { fileId, fileName, caption: caption || null, updatedAt: Date.now() };
+    this.writeIndex(index);
+
+    return { messageId, fileId, fileUniqueId: fileId };
+  }
+
+  async update(messageId, buffer, fileName, caption) {
+    const index = this.readIndex();
+    const previous = index.messages[messageId];
+    if (!previous) throw new Error(`Message ${messageId} not found`);
+
+    // New file per write (like Telegram). The previous file is kept for
+    // readers that resolved the old pointer; the one before it is dropped.
+    const fileId = this.newFileId(messageId, fileName);
+    this.writeAtomic(path.join(this.filesDir, fileId), buffer);
+    index.messages[messageId] = {
+      fileId,
+      previousFileId: previous.fileId,
+      fileName,
+      caption: caption || null,
+      updatedAt: Date.now(),
+    };
+    this.writeIndex(index);
+    if (previous.previousFileId) {
+      fs.rmSync(path.join(this.filesDir, previous.previousFileId), { force: true });
+    }
+
+    return { messageId: Number(messageId), fileId, fileUniqueId: fileId };
+  }
+
+  newFileId(messageId, fileName) {
+    const suffix = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    return `${messageId}-${suffix}-${fileName}`;
+  }
+
+  async download(fileId) {
+    return fs.readFileSync(path.join(this.filesDir, path.basename(fileId)));
+  }
+
+  async pin(messageId) {
+    const index = this.readIndex();
+    if (!index.messages[messageId]) throw new Error(`Message ${messageId} not found`);
+    index.pinned = Number(messageId);
+    this.writeIndex(index);
+  }
+
+  async remove(messageId) {
+    const index = this.readIndex();
+    const message = index.messages[messageId];
+    if (!message) return;
+    if (index.pinned === Number(messageId)) throw new Error(`Message ${messageId} is pinned`);
+
+    delete index.messages[messageId];
+    this.writeIndex(index);
+    for (const fileId of [message.fileId, message.previousFileId].filter(Boolean)) {
+      fs.rmSync(path.join(this.filesDir, fileId), { force: true });
+    }
+  }
+}
+
+// ============================================================
+// SQLITE ADAPTER
+// ============================================================
+
+// One connection per database file, shared by all channels
+const sqliteConnections = new Map();
+
+async function openSqlite(dbPath) {
+  if (sqliteConnections.has(dbPath)) return sqliteConnections.get(dbPath);
+
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (err) {
+    throw new Error(`SQLite storage requires the better-sqlite3 package (${err.message})`);
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const conn = new Database(dbPath);
+  conn.pragma('journal_mode = WAL');
+  conn.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      channel    TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      file_name  TEXT NOT NULL,
+      caption    TEXT,
+      data       BLOB NOT NULL,
+      rev        INTEGER NOT NULL DEFAULT 1,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (channel, message_id)
+    );
+    CREATE TABLE IF NOT EXISTS pins (
+      channel    TEXT PRIMARY KEY,
+      message_id INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS revisions (
+      channel    TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      rev        INTEGER NOT NULL,
+      data       BLOB NOT NULL,
+      PRIMARY KEY (channel, message_id, rev)
+    );
+  `);
+
+  sqliteConnections.set(dbPath, conn);
+  return conn;
+}
+
+export class SqliteStorage {
+  constructor(dbPath, namespace) {
+    this.dbPath = dbPath;
+    this.channel = namespace;
+  }
+
+  async conn() {
+    return openSqlite(this.dbPath);
+  }
+
+  async getPinned() {
+    const db = await this.conn();
+    const row = db.prepare(`
+      SELECT d.message_id, d.file_name, d.rev FROM pins p
+      JOIN documents d ON d.channel = p.channel AND d.message_id = p.message_id
+      WHERE p.channel = ?
+    `).get(this.channel);
+    if (!row) return null;
+
+    const fileId = `${this.channel}:${row.message_id}:${row.rev}`;
+    return {
+      messageId: row.message_id,
+      fileId,
+      fileUniqueId: fileId,
+      fileName: row.file_name,
+      text: null,
+    };
+  }
+
+  async upload(buffer, fileName, caption) {
+    const db = await this.conn();
+    const insert = db.transaction(() => {
+      const { next } = db.prepare('SELECT COALESCE(MAX(message_id), 0) + 1 AS next FROM documents WHERE channel = ?').get(this.channel);
+      db.prepare('INSERT INTO documents (channel, message_id, file_name, caption, data, updated_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(this.channel, next, fileName, caption || null, buffer, Date.now());
+      return next;
+    });
+    const messageId = insert();
+    const fileId = `${this.channel}:${messageId}:1`;
+
+    return { messageId, fileId, fileUniqueId: fileId };
+  }
+
+  // Each write bumps rev (part of the fileId). The previous revision is kept
+  // for readers that resolved the old pointer, like the file adapter does;
+  // older ones are dropped.
+  async update(messageId, buffer, fileName, caption) {
+    const db = await this.conn();
+    const write = db.transaction(() => {
+      const current = db.prepare('SELECT rev, data FROM documents WHERE channel = ? AND message_id = ?').get(this.channel, messageId);
+      if (!current) return null;
+
+      db.prepare('INSERT OR REPLACE INTO revisions (channel, message_id, rev, data) VALUES (?, ?, ?, ?)')
+        .run(this.channel, messageId, current.rev, current.data);
+      db.prepare('DELETE FROM revisions WHERE channel = ? AND message_id = ? AND rev < ?').run(this.channel, messageId, current.rev);
+      return db.prepare('UPDATE documents SET file_name = ?, caption = ?, data = ?, rev = rev + 1, updated_at = ? WHERE channel = ? AND message_id = ? RETURNING rev')
+        .get(fileName, caption || null, buffer, Date.now(), this.channel, messageId);
+    });
+    const row = write();
+    if (!row) throw new Error(`Message ${messageId} not found`);
+
+    const fileId = `${this.channel}:${messageId}:${row.rev}`;
+    return { messageId: Number(messageId), fileId, fileUniqueId: fileId };
+  }
+
+  async download(fileId) {
+    const db = await this.conn();
+    const [, messageId, rev] = String(fileId).split(':').map(part => parseInt(part, 10));
+    const row = db.prepare(`
+      SELECT data FROM documents WHERE channel = ? AND message_id = ? AND rev = ?
+      UNION ALL
+      SELECT data FROM revisions WHERE channel = ? AND message_id = ? AND rev = ?
+    `).get(this.channel, messageId, rev, this.channel, messageId, rev);
+    if (!row) throw new Error(`File ${fileId} not found`);
+    return Buffer.from(row.data);
+  }
+
+  async pin(messageId) {
+    const db = await this.conn();
+    db.prepare('INSERT INTO pins (channel, message_id) VALUES (?, ?) ON CONFLICT(channel) DO UPDATE SET message_id = excluded.message_id')
+      .run(this.channel, messageId);
+  }
+
+  async remove(messageId) {
+    const db = await this.conn();
+    const pinned = db.prepare('SELECT message_id FROM pins WHERE channel = ?').get(this.channel);
+    if (pinned?.message_id === Number(messageId)) throw new Error(`Message ${messageId} is pinned`);
+    db.prepare('DELETE FROM documents WHERE channel = ? AND message_id = ?').run(this.channel, messageId);
+    db.prepare('DELETE FROM revisions WHERE channel = ? AND message_id = ?').run(this.channel, messageId);
+  }
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Create the storage adapter for one channel
+ * @param {string} botToken - Telegram bot token (telegram backend only)
+ * @param {string} channel - Telegram chat ID of the channel
+ * @param {string} namespace - Local name for the channel (e.g. 'sol', 'archive')
+ */
+export function createStorage(botToken, channel, namespace) {
+  const backend = getStorageBackend();
+
+  switch (backend) {
+    case 'file':
+      return new LocalFileStorage(process.env.DB_STORAGE_PATH || DEFAULT_DATA_DIR, namespace);
+    case 'sqlite':
+      return new SqliteStorage(process.env.DB_SQLITE_PATH || path.join(DEFAULT_DATA_DIR, 'signal-db.sqlite'), namespace);
+    case 'telegram':
+      return new TelegramStorage(botToken, channel);
+    default:
+      throw new Error(`Unknown DB_STORAGE backend: ${backend}`);
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Dead Letters - Signal posts that failed, parked for /api/retry-failed
+ *
+ * When a destination refuses a signal with a retryable error (Telegram
+ * outage, 429 past the queue wait, webhook down), monitorSignals() parks it
+ * in the chain DB (db.deadLetters, merged by id) instead of losing it. An
+ * entry holds everything the replay needs without re-running the pipeline:
+ * - destinations: The destinations still owed the post (config at park time)
+ * - post:         Formatted messages, buttons and webhook payload
+ * - chart:        { messageId, fileId } of the chart PNG in the archive
+ *                 channel, null = post as text
+ * - replyTo:      { destName: msgId } reply targets at park time
+ * - store:        storeSignalData() arguments when no destination took the
+ *                 signal yet (the DB records it with the first successful post)
+ *
+ * Entries older than DEAD_LETTER_MAX_AGE_MS (from the signal time) or past
+ * DEAD_LETTER_MAX_ATTEMPTS replays are dropped, not posted late.
+ */
+
+export const DEAD_LETTER_MAX_AGE_MS = parseInt(process.env.DEAD_LETTER_MAX_AGE_MS, 10) || 30 * 60 * 1000;
+export const DEAD_LETTER_MAX_ATTEMPTS = parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS, 10) || 5;
+
+// Per chain DB, oldest dropped first
+export const MAX_DEAD_LETTERS = 50;
+
+// ============================================================
+// ENTRIES
+// ============================================================
+
+/**
+ * Build a dead letter for the destinations that failed a signal
+ * @param {Object} signal - From processSignal()
+ * @param {Object} options
+ * @param {string} options.id - Signal key (batchId-batchIndex)
+ * @param {Array} options.destinations - Failed destinations
+ * @param {Object} options.post - { messages, buttons, payload } as sent
+ * @param {Object} options.replyTo - { destName: msgId }
+ * @param {Object} options.store - storeSignalData() arguments, null if already stored
+ * @param {string} options.error - Last error description
+ */
+export function buildDeadLetter(signal, { id, destinations, post, replyTo = {}, store = null, error = null, now = Date.now() }) {
+  const formats = new Set(destinations.map(d => d.format));
+  return {
+    id,
+    token: signal.tokenAddress,
+    sym: signal.tokenSymbol,
+    signalTime: parseInt(signal.eventTime) || now,
+    parkedAt: now,
+    attempts: 0,
+    lastError: error,
+    destinations,
+    post: {
+      messages: Object.fromEntries(Object.entries(post.messages).filter(([format]) => formats.has(format))),
+      buttons: post.buttons,
+      payload: post.payload,
+    },
+    chart: null,
+    replyTo,
+    store,
+  };
+}
+
+/**
+ * Split dead letters into the ones to replay now and the ones to drop
+ * @returns {{ due: Array, expired: Array<{ entry, reason }> }}
+ */
+export function planDeadLetters(entries, now = Date.now(), { maxAgeMs = DEAD_LETTER_MAX_AGE_MS, maxAttempts = DEAD_LETTER_MAX_ATTEMPTS } = {}) {
+  const due = [];
+  const expired = [];
+  for (const entry of entries) {
+    const ageMs = now - (entry.signalTime || entry.parkedAt);
+    if (ageMs > maxAgeMs) {
+      expired.push({ entry, reason: `${Math.round(ageMs / 60000)}m old` });
+    } else if ((entry.attempts || 0) >= maxAttempts) {
+      expired.push({ entry, reason: `${entry.attempts} attempts` });
+    } else {
+      due.push(entry);
+    }
+  }
+  return { due, expired };
+}
+
+// ============================================================
+// CHARTS (archive channel)
+// ============================================================
+
+/**
+ * Keep a chart for the replay
+ * @returns {Object|null} { messageId, fileId }, null if it could not be stored
+ */
+export async function parkChart(db, id, buffer) {
+  if (!buffer) return null;
+  try {
+    const { messageId, fileId } = await db.archiveStorage.upload(buffer, `chart-${id}.png`, `📉 Dead letter chart | ${id}`);
+    return { messageId, fileId };
+  } catch (err) {
+    console.log(`   ⚠️ Could not park chart (${err.message}), replay will post text`);
+    return null;
+  }
+}
+
+/**
+ * Download a parked chart (null = post as text)
+ */
+export async function loadChart(db, chart) {
+  if (!chart) return null;
+  try {
+    return await db.archiveStorage.download(chart.fileId);
+  } catch (err) {
+    console.log(`   ⚠️ Parked chart unavailable: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Delete a parked chart (best effort)
+ */
+export async function dropChart(db, chart) {
+  if (!chart) return;
+  try {
+    await db.archiveStorage.remove(chart.messageId);
+  } catch (err) {
+    console.log(`   ⚠️ Could not delete parked chart ${chart.messageId}: ${err.message}`);
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Destinations - Where a signal is posted, and which signals each one takes
+ *
+ * One poll fans out to every destination whose filters pass:
+ *   { name: 'sol-kol', type: 'telegram', chatId: '-100...', topicId: 12,
+ *     format: 'compact', filters: { chains: ['sol'], labels: ['kol'] } }
+ *   { name: 'conviction', type: 'telegram', chatId: '-100...',
+ *     filters: { minScore: 1, minWallets: 3, security: ['SAFE'] } }
+ *   { name: 'bot', type: 'webhook', url: 'https://...', format: 'redacted' }
+ *
+ * - type:    'telegram' (chatId, optional forum topicId) | 'webhook' (url, JSON POST)
+ * - format:  'full' | 'redacted' | 'compact'
+ * - primary: The destination whose message ids chain replies, exit alerts
+ *            and leaderboard links (token.lastMsgId). Other destinations
+ *            chain replies through token.msgIds[name].
+ *
+ * Filters (all optional, every one set must pass):
+ * - chains:                 Chain keys (lib/chains.js)
+ * - labels:                 'smart_money' | 'kol' | 'whale'
+ * - minScore:               Signal avgScore >= this (the poll's minScore still applies first)
+ * - minWallets:             New wallets in the signal >= this
+ * - security:               Statuses: 'SAFE' | 'RISK' | 'UNKNOWN' (SCAM is never posted)
+ * - minMcap / maxMcap:      USD at signal
+ * - minAgeHours / maxAgeHours: Token age (unknown age fails both)
+ * - skipLosses:             Skip negative score or negative gain signals
+ *
+ * DESTINATIONS_JSON (env, JSON array) replaces the default, a single
+ * primary 'private' destination posting full messages to the poll's chat.
+ * Telegram destinations without chatId post to the poll's chat.
+ */
+
+import { getChain } from './chains.js';
+
+export const DESTINATION_TYPES = ['telegram', 'webhook'];
+export const FORMATS = ['full', 'redacted', 'compact'];
+
+// OKX signalLabel → filter label
+export const SIGNAL_LABEL_KEYS = {
+  '1': 'smart_money',
+  '2': 'kol',
+  '3': 'whale',
+};
+
+const FILTER_KEYS = [
+  'chains', 'labels', 'minScore', 'minWallets', 'security',
+  'minMcap', 'maxMcap', 'minAgeHours', 'maxAgeHours', 'skipLosses',
+];
+const NUMERIC_FILTERS = ['minScore', 'minWallets', 'minMcap', 'maxMcap', 'minAgeHours', 'maxAgeHours'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Load destinations for a poll (DESTINATIONS_JSON or the default)
+ * @param {Object} defaults - { chatId } of the poll
+ * @param {string} [json] - DESTINATIONS_JSON
+ * @returns {Array} Validated destinations, with defaults applied
+ */
+export function loadDestinations({ chatId } = {}, json = process.env.DESTINATIONS_JSON) {
+  if (!json) {
+    return [{ name: 'private', type: 'telegram', chatId, topicId: null, format: 'full', primary: true, filters: {} }];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid DESTINATIONS_JSON: ${err.message}`);
+  }
+  if (!Array.isArray(entries)) throw new Error('Invalid DESTINATIONS_JSON: expected an array');
+
+  const destinations = entries.map(entry => validateDestination(entry, chatId));
+
+  const names = new Set();
+  for (const dest of destinations) {
+    if (names.has(dest.name)) throw new Error(`Destination ${dest.name}: duplicate name`);
+    names.add(dest.name);
+  }
+  if (destinations.filter(d => d.primary).length > 1) {
+    throw new Error('DESTINATIONS_JSON: only one destination can be primary');
+  }
+  return destinations;
+}
+
+function validateDestination(entry, chatId) {
+  const name = entry?.name;
+  if (!name || typeof name !== 'string') throw new Error('Destination: missing name');
+
+  const dest = {
+    type: 'telegram',
+    format: 'full',
+    primary: false,
+    topicId: null,
+    ...entry,
+    filters: { ...entry.filters },
+  };
+
+  if (!DESTINATION_TYPES.includes(dest.type)) throw new Error(`Destination ${name}: unknown type ${dest.type}`);
+  if (!FORMATS.includes(dest.format)) throw new Error(`Destination ${name}: unknown format ${dest.format}`);
+  if (dest.type === 'telegram') {
+    dest.chatId = dest.chatId || chatId;
+    if (!dest.chatId) throw new Error(`Destination ${name}: missing chatId`);
+  } else {
+    if (!dest.url) throw new Error(`Destination ${name}: missing url`);
+    if (dest.primary) throw new Error(`Destination ${name}: webhooks cannot be primary`);
+  }
+
+  const { filters } = dest;
+  const unknown = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`Destination ${name}: unknown filter ${unknown.join(', ')}`);
+  for (const key of NUMERIC_FILTERS) {
+    if (key in filters && !Number.isFinite(filters[key])) throw new Error(`Destination ${name}: ${key} must be a number`);
+  }
+  for (const key of ['chains', 'labels', 'security']) {
+    if (key in filters && !Array.isArray(filters[key])) throw new Error(`Destination ${name}: ${key} must be an array`);
+  }
+  const badChains = (filters.chains || []).filter(key => !getChain(key));
+  if (badChains.length > 0) throw new Error(`Destination ${name}: unknown chain ${badChains.join(', ')}`);
+  const labelKeys = Object.values(SIGNAL_LABEL_KEYS);
+  const badLabels = (filters.labels || []).filter(label => !labelKeys.includes(label));
+  if (badLabels.length > 0) throw new Error(`Destination ${name}: unknown label ${badLabels.join(', ')}`);
+
+  return dest;
+}
+
+// ============================================================
+// MATCHING
+// ============================================================
+
+/**
+ * Collect what destination filters test from a processed signal
+ * @param {Object} signal - From processSignal()
+ * @param {Object} context - { avgScore, walletCount, security, isLoss, now }
+ */
+export function signalFacts(signal, { avgScore = 0, walletCount = 0, security = null, isLoss = false, now = Date.now() } = {}) {
+  return {
+    chain: getChain(signal.chainId)?.key || null,
+    label: SIGNAL_LABEL_KEYS[signal.signalLabel] || null,
+    avgScore,
+    walletCount,
+    security: security?.status || 'UNKNOWN',
+    mcap: parseFloat(signal.mcapAtSignal) || 0,
+    ageHours: signal.tokenAgeRaw ? (now - signal.tokenAgeRaw) / HOUR_MS : null,
+    isLoss,
+  };
+}
+
+/**
+ * Test a destination's filters against signal facts
+ * @returns {string|null} Why the destination skips the signal, or null if it takes it
+ */
+export function matchDestination(dest, facts) {
+  const f = dest.filters || {};
+
+  if (f.chains && !f.chains.includes(facts.chain)) return `chain ${facts.chain}`;
+  if (f.labels && !f.labels.includes(facts.label)) return `label ${facts.label}`;
+  if (f.minScore !== undefined && facts.avgScore < f.minScore) return `avgScore ${facts.avgScore.toFixed(2)} < ${f.minScore}`;
+  if (f.minWallets !== undefined && facts.walletCount < f.minWallets) return `${facts.walletCount} wallet(s) < ${f.minWallets}`;
+  if (f.security && !f.security.includes(facts.security)) return `security ${facts.security}`;
+  if (f.minMcap !== undefined && facts.mcap < f.minMcap) return `mcap ${Math.round(facts.mcap)} < ${f.minMcap}`;
+  if (f.maxMcap !== undefined && facts.mcap > f.maxMcap) return `mcap ${Math.round(facts.mcap)} > ${f.maxMcap}`;
+  if (f.minAgeHours !== undefined || f.maxAgeHours !== undefined) {
+    if (facts.ageHours === null) return 'token age unknown';
+    if (f.minAgeHours !== undefined && facts.ageHours < f.minAgeHours) return `age ${facts.ageHours.toFixed(1)}h < ${f.minAgeHours}h`;
+    if (f.maxAgeHours !== undefined && facts.ageHours > f.maxAgeHours) return `age ${facts.ageHours.toFixed(1)}h > ${f.maxAgeHours}h`;
+  }
+  if (f.skipLosses && facts.isLoss) return 'loss signal';
+  return null;
+}
+
+/**
+ * Split destinations into the ones that take a signal and the skipped ones
+ * @returns {{ matched: Array, skipped: Array<{ dest, reason }> }}
+ */
+export function routeSignal(destinations, facts) {
+  const matched = [];
+  const skipped = [];
+  for (const dest of destinations) {
+    const reason = matchDestination(dest, facts);
+    if (reason) skipped.push({ dest, reason });
+    else matched.push(dest);
+  }
+  return { matched, skipped };
+}
@@ -0,0 +1,359 @@
+/**
+ * Entry Scoring - Relative entry timing (before/after context)
+ *
+ * Scores range from -2 to +2:
+ * +2: Bought the dip, price mooned after (excellent timing)
+ * +1: Good entry, price pumped after
+ *  0: Neutral entry
+ * -1: Poor entry, bought pump, price dipped after
+ * -2: Terrible entry, bought pump, price dumped after
+ *
+ * Each buy is scored at its own time and price (the wallet's trades of the
+ * token, weighted by USD size). The trades come in one list per wallet,
+ * grouped by token. When a token has none (or the list cannot be fetched),
+ * the buy average is placed on the candle whose close is nearest (heuristic).
+ * Histories, trades and candles come through market-cache.js.
+ *
+ * scoreWalletBatch() scores a signal's wallets in parallel within
+ * SCORE_CONCURRENCY (env, default OKX_RATE_LIMIT: more requests in flight
+ * would only queue at the OKX rate limiter) and stops at a deadline or on a
+ * rate limit, returning the scores it has. Wallets cut off at the deadline
+ * are aborted and start no further OKX requests.
+ *
+ * Bands, matrix, windows and history size form a scoring config. The
+ * pipeline uses the chain's scoring profile (scoring-profiles.js, built on
+ * DEFAULT_SCORING); the backtest (backtest.js) replays stored signals
+ * through alternatives built with resolveScoring().
+ */
+
+import { OkxRateLimitError, OKX_RATE_LIMIT } from './okx-client.js';
+import { getTradingHistory, getCandles, getWalletTrades } from './market-cache.js';
+
+export const LOOKBACK_MS = 8 * 60 * 60 * 1000;
+export const LOOKFORWARD_MS = 24 * 60 * 60 * 1000;
+
+// Trading history considered for a wallet score
+export const HISTORY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+export const HISTORY_LIMIT = 15;
+export const MAX_HISTORY_TOKENS = 10;
+const MAX_BUYS_PER_TOKEN = 5;
+
+// Wallet + token scoring requests in flight at once
+export const SCORE_CONCURRENCY = parseInt(process.env.SCORE_CONCURRENCY, 10) || Math.max(1, Math.floor(OKX_RATE_LIMIT));
+
+export const BEFORE_CONTEXTS = ['dumped_to', 'fell_to', 'flat', 'rose_to', 'pumped_to'];
+export const AFTER_CONTEXTS = ['moon', 'pump', 'flat', 'dip', 'dump'];
+
+export const DEFAULT_SCORING = {
+  beforeBands: [10, 25], // % move into the entry: rose_to/fell_to, pumped_to/dumped_to
+  afterBands: [10, 25],  // % move after the entry: pump/dip, moon/dump
+  lookbackMs: LOOKBACK_MS,
+  lookforwardMs: LOOKFORWARD_MS,
+  historyLimit: HISTORY_LIMIT,         // Trading-history tokens fetched per wallet (newest first)
+  maxTokens: MAX_HISTORY_TOKENS,       // Of those, newest recent ones scored
+  historyWindowMs: HISTORY_WINDOW_MS,  // Only tokens traded this recently
+  matrix: {
+    'dumped_to': { 'moon': 2, 'pump': 1, 'flat': 0, 'dip': -1, 'dump': -2 },
+    'fell_to': { 'moon': 2, 'pump': 1, 'flat': 0, 'dip': -1, 'dump': -2 },
+    'flat': { 'moon': 2, 'pump': 1, 'flat': 0, 'dip': -1, 'dump': -2 },
+    'rose_to': { 'moon': 1, 'pump': 0, 'flat': -1, 'dip': -2, 'dump': -2 },
+    'pumped_to': { 'moon': 0, 'pump': -1, 'flat': -1, 'dip': -2, 'dump': -2 },
+  },
+};
+
+/**
+ * Build a scoring config from overrides of a base config
+ * (matrix rows are merged per cell)
+ * @param {Object} base - Config the overrides apply to (default: DEFAULT_SCORING)
+ * @throws {Error} On unknown fields, contexts or malformed values
+ */
+export function resolveScoring(overrides = {}, base = DEFAULT_SCORING) {
+  const unknown = Object.keys(overrides).filter(key => !(key in DEFAULT_SCORING));
+  if (unknown.length > 0) throw new Error(`Scoring: unknown field ${unknown.join(', ')}`);
+
+  const scoring = { ...base, ...overrides, matrix: {} };
+  for (const key of ['beforeBands', 'afterBands']) {
+    const [move, bigMove] = scoring[key] || [];
+    if (!(Number.isFinite(move) && Number.isFinite(bigMove) && move > 0 && bigMove >= move)) {
+      throw new Error(`Scoring: ${key} must be [move %, big move %] with 0 < move <= big move`);
+    }
+  }
+  for (const key of ['lookbackMs', 'lookforwardMs', 'historyWindowMs']) {
+    if (!(scoring[key] > 0)) throw new Error(`Scoring: ${key} must be a positive number`);
+  }
+  for (const key of ['historyLimit', 'maxTokens']) {
+    if (!(Number.isInteger(scoring[key]) && scoring[key] > 0)) throw new Error(`Scoring: ${key} must be a positive integer`);
+  }
+  if (scoring.maxTokens > scoring.historyLimit) {
+    throw new Error(`Scoring: maxTokens (${scoring.maxTokens}) cannot exceed historyLimit (${scoring.historyLimit})`);
+  }
+
+  for (const [before, row] of Object.entries(overrides.matrix || {})) {
+    if (!BEFORE_CONTEXTS.includes(before)) throw new Error(`Scoring: unknown before context ${before}`);
+    for (const [after, score] of Object.entries(row)) {
+      if (!AFTER_CONTEXTS.includes(after)) throw new Error(`Scoring: unknown after context ${after}`);
+      if (!Number.isFinite(score)) throw new Error(`Scoring: matrix.${before}.${after} must be a number`);
+    }
+  }
+  for (const before of BEFORE_CONTEXTS) {
+    scoring.matrix[before] = { ...base.matrix[before], ...overrides.matrix?.[before] };
+  }
+  return scoring;
+}
+
+export function classifyBefore(entryPrice, beforeMin, beforeMax, [move, bigMove] = DEFAULT_SCORING.beforeBands) {
+  const riseToEntry = ((entryPrice - beforeMin) / beforeMin) * 100;
+  const fallToEntry = ((beforeMax - entryPrice) / beforeMax) * 100;
+  
+  if (riseToEntry > bigMove && riseToEntry > fallToEntry) return 'pumped_to';
+  if (riseToEntry > move && riseToEntry > fallToEntry) return 'rose_to';
+  if (fallToEntry > bigMove && fallToEntry > riseToEntry) return 'dumped_to';
+  if (fallToEntry > move && fallToEntry > riseToEntry) return 'fell_to';
+  return 'flat';
+}
+
+export function classifyAfter(entryPrice, afterMin, afterMax, [move, bigMove] = DEFAULT_SCORING.afterBands) {
+  const pctUp = ((afterMax - entryPrice) / entryPrice) * 100;
+  const pctDown = ((entryPrice - afterMin) / entryPrice) * 100;
+  
+  if (pctUp > bigMove && pctUp > pctDown) return 'moon';
+  if (pctUp > move && pctUp > pctDown) return 'pump';
+  if (pctDown > bigMove && pctDown > pctUp) return 'dump';
+  if (pctDown > move && pctDown > pctUp) return 'dip';
+  return 'flat';
+}
+
+export function scoreBuy(beforeCtx, afterCtx, matrix = DEFAULT_SCORING.matrix) {
+  return matrix[beforeCtx]?.[afterCtx] ?? 0;
+}
+
+export function scoreEntry(entryPrice, entryTime, candles, scoring = DEFAULT_SCORING) {
+  const beforeCandles = candles.filter(c => 
+    c.timestamp < entryTime && c.timestamp >= entryTime - scoring.lookbackMs
+  );
+  const afterCandles = candles.filter(c => 
+    c.timestamp > entryTime && c.timestamp <= entryTime + scoring.lookforwardMs
+  );
+  
+  const beforeMin = beforeCandles.length > 0 ? Math.min(...beforeCandles.map(c => c.low)) : entryPrice;
+  const beforeMax = beforeCandles.length > 0 ? Math.max(...beforeCandles.map(c => c.high)) : entryPrice;
+  const afterMin = afterCandles.length > 0 ? Math.min(...afterCandles.map(c => c.low)) : entryPrice;
+  const afterMax = afterCandles.length > 0 ? Math.max(...afterCandles.map(c => c.high)) : entryPrice;
+  
+  const beforeCtx = classifyBefore(entryPrice, beforeMin, beforeMax, scoring.beforeBands);
+  const afterCtx = classifyAfter(entryPrice, afterMin, afterMax, scoring.afterBands);
+  
+  return scoreBuy(beforeCtx, afterCtx, scoring.matrix);
+}
+
+/**
+ * Trading-history tokens a wallet score is built from: of the newest
+ * historyLimit, those traded within historyWindowMs before `now`, newest maxTokens
+ */
+export function selectRecentTokens(tokens, now = Date.now(), scoring = DEFAULT_SCORING) {
+  const since = now - scoring.historyWindowMs;
+  return tokens
+    .slice(0, scoring.historyLimit)
+    .filter(t => parseInt(t.latestTime, 10) >= since)
+    .slice(0, scoring.maxTokens);
+}
+
+/**
+ * Whether a trading-history token has buys to score
+ */
+export function hasBuys(token) {
+  return (token.totalTxBuy || 0) > 0 && (parseFloat(token.buyAvgPrice) || 0) > 0;
+}
+
+/**
+ * USD-weighted score of buys at their own time and price (equal weights
+ * unless every buy has a size). Buys outside the candles are not scored.
+ * @returns {number|null} null = no buy inside the candles
+ */
+export function scoreBuys(buys, candles, scoring = DEFAULT_SCORING) {
+  const first = Math.min(...candles.map(c => c.timestamp));
+  const last = Math.max(...candles.map(c => c.timestamp));
+  const covered = buys.filter(b => b.time >= first && b.time <= last);
+  if (covered.length === 0) return null;
+
+  const sized = covered.every(b => b.usd > 0);
+  let total = 0;
+  let weight = 0;
+  for (const buy of covered) {
+    const size = sized ? buy.usd : 1;
+    total += scoreEntry(buy.price, buy.time, candles, scoring) * size;
+    weight += size;
+  }
+  return total / weight;
+}
+
+/**
+ * Score one trading-history token on its candles
+ * @param {Array|null} trades - The wallet's trades of the token, null = unknown (heuristic)
+ * @returns {{ score, weight, source }|null} weight = buys counted (max 5),
+ *   source = 'trades' | 'heuristic', null = nothing to score
+ */
+export function scoreTokenEntry(token, candles, scoring = DEFAULT_SCORING, trades = null) {
+  if (!hasBuys(token) || candles.length === 0) return null;
+  const weight = Math.min(token.totalTxBuy, MAX_BUYS_PER_TOKEN);
+
+  const buys = (trades || []).filter(t => t.type === 'buy');
+  if (buys.length > 0) {
+    // Known buy times outside the candles: no guess, the heuristic is what misplaces them
+    const score = scoreBuys(buys, candles, scoring);
+    return score === null ? null : { score, weight, source: 'trades' };
+  }
+  
+  const buyAvgPrice = parseFloat(token.buyAvgPrice);
+  const closestCandle = candles.reduce((best, c) => 
+    Math.abs(c.close - buyAvgPrice) < Math.abs(best.close - buyAvgPrice) ? c : best
+  );
+  return {
+    score: scoreEntry(buyAvgPrice, closestCandle.timestamp, candles, scoring),
+    weight,
+    source: 'heuristic',
+  };
+}
+
+/**
+ * A wallet's trades grouped by token address (order kept)
+ * @param {Array} trades - From fetchWalletTrades() (okx-client.js)
+ * @returns {Object} { tokenAddress: [{ time, type, price, usd }] }
+ */
+export function tradesByToken(trades) {
+  const byToken = {};
+  for (const { token, ...trade } of trades || []) {
+    (byToken[token] = byToken[token] || []).push(trade);
+  }
+  return byToken;
+}
+
+/**
+ * Buy-weighted average of token entry scores
+ * @returns {{ avgScore, count }} count = buys scored (0 = no score)
+ */
+export function averageEntries(entries) {
+  const count = entries.reduce((sum, e) => sum + e.weight, 0);
+  const total = entries.reduce((sum, e) => sum + e.score * e.weight, 0);
+  return { avgScore: count > 0 ? total / count : 0, count };
+}
+
+/**
+ * Run fn over items with at most `limit` in flight
+ * @param {Function} [canStart] - () => false stops starting new items
+ */
+async function mapLimit(items, limit, fn, canStart = () => true) {
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length > 0 && canStart()) {
+      await fn(queue.shift());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+}
+
+/**
+ * Score a wallet's entry quality (simplified - recent tokens only)
+ * @param {Object} scoring - Scoring config (the chain profile's entry settings)
+ * @param {Object} [options] - { concurrency: tokens scored at once (default 1),
+ *   signal: AbortSignal, no request is started once it is aborted }
+ * @throws {Error} The abort reason when aborted (no partial score)
+ */
+export async function scoreWalletEntries(walletAddress, chainId, scoring = DEFAULT_SCORING, { concurrency = 1, signal } = {}) {
+  const tokens = await getTradingHistory(chainId, walletAddress, scoring.historyLimit);
+  const scored = selectRecentTokens(tokens, Date.now(), scoring).filter(hasBuys);
+  if (scored.length === 0) return averageEntries([]);
+  signal?.throwIfAborted();
+  
+  let trades = {};
+  try {
+    trades = tradesByToken(await getWalletTrades(chainId, walletAddress));
+  } catch (err) {
+    if (err instanceof OkxRateLimitError) throw err;
+    console.log(`   ⚠️ Trades unavailable for ${walletAddress} (${err.message}), using buy averages`);
+  }
+  
+  const entries = [];
+  let rateLimited = null;
+  await mapLimit(scored, concurrency, async (token) => {
+    const tokenAddress = token.tokenContractAddress;
+    let candles = [];
+    try {
+      candles = await getCandles(chainId, tokenAddress);
+    } catch (err) {
+      // Rate limited even after retries: stop scoring this wallet
+      if (err instanceof OkxRateLimitError) {
+        rateLimited = err;
+        return;
+      }
+      console.log(`   ⚠️ Candles skipped for ${tokenAddress}: ${err.message}`);
+    }
+    if (candles.length === 0) return;
+    
+    const entry = scoreTokenEntry(token, candles, scoring, trades[tokenAddress] || null);
+    if (entry) entries.push(entry);
+  }, () => !rateLimited && !signal?.aborted);
+  
+  if (rateLimited) throw rateLimited;
+  signal?.throwIfAborted();
+  return averageEntries(entries);
+}
+
+/**
+ * Score a signal's wallets in parallel, within a request budget and deadline
+ *
+ * Up to `concurrency` wallets are scored at once; with fewer wallets the
+ * spare budget goes to their tokens. No wallet starts after the deadline,
+ * and wallets still running at the deadline are left unscored and aborted
+ * (their AbortSignal fires, so they stop starting requests). A rate limit
+ * stops the batch. Other errors leave only that wallet unscored.
+ *
+ * @param {string[]} walletAddresses
+ * @param {Function} score - (address, tokenConcurrency, signal) => Promise<{ avgScore, count }>
+ * @param {Object} [options] - { concurrency, deadline (ms timestamp) }
+ * @returns {Promise<{ scores: Map, stopped: null|'time limit'|'rate limit' }>}
+ *   scores: address → { avgScore, count }; stopped: why wallets were left unscored
+ */
+export async function scoreWalletBatch(walletAddresses, score, { concurrency = SCORE_CONCURRENCY, deadline = Infinity } = {}) {
+  const scores = new Map();
+  const walletSlots = Math.max(1, Math.min(concurrency, walletAddresses.length));
+  const tokenSlots = Math.max(1, Math.floor(concurrency / walletSlots));
+  let stopped = null;
+  let done = false;
+  let closed = false; // Past the deadline: late results are dropped
+  const abandon = new AbortController();
+
+  const canStart = () => {
+    if (!stopped && Date.now() >= deadline) stopped = 'time limit';
+    return !stopped;
+  };
+  const batch = mapLimit(walletAddresses, walletSlots, async (address) => {
+    try {
+      const result = await score(address, tokenSlots, abandon.signal);
+      if (!closed) scores.set(address, result);
+    } catch (err) {
+      if (closed) return;
+      console.error(`Failed to score ${address}:`, err.message);
+      // Still rate limited after retries: leave the remaining wallets unscored
+      if (err instanceof OkxRateLimitError) stopped = stopped || 'rate limit';
+    }
+  }, canStart).then(() => { done = true; });
+
+  if (Number.isFinite(deadline)) {
+    let timer;
+    const timeUp = new Promise(resolve => {
+      timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+    });
+    await Promise.race([batch, timeUp]);
+    clearTimeout(timer);
+    if (!done) {
+      closed = true;
+      stopped = stopped || 'time limit';
+      abandon.abort(new Error('scoring time limit'));
+    }
+  } else {
+    await batch;
+  }
+
+  return { scores, stopped };
+}
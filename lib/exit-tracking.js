@@ -0,0 +1,68 @@
+/**
+ * Exit Tracking - Match sell-side (trend=2) activity to signalled wallets
+ *
+ * A sell signal only matters here if the token is tracked and some of the
+ * sellers were in one of its buy signals (wallet.tokens[tokenAddr]).
+ * Each wallet exits a token once: the first sell seen records
+ * { exit, exitMult, exitTime } on its token entry (kept for scoring) and
+ * bumps wallet.exits. Later partial sells are ignored.
+ */
+
+/**
+ * Find signalled wallets among the sellers of a tracked token
+ * @param {TelegramDBv5} db - Chain DB (seller wallet records loaded)
+ * @param {string} tokenAddress - Token address
+ * @param {Array} sellers - Wallet details from fetchSignalDetail()
+ * @param {number} exitPrice - Price of the sell activity
+ * @returns {Array} [{ walletAddress, entry, score, exitMult, seller }], best multiple first
+ */
+export function matchWalletExits(db, tokenAddress, sellers, exitPrice) {
+  const token = db.getToken(tokenAddress);
+  const price = parseFloat(exitPrice);
+  if (!token || !(price > 0)) return [];
+
+  const exits = [];
+  for (const seller of sellers) {
+    const entry = db.getWallet(seller.walletAddress)?.tokens?.[tokenAddress];
+    if (!entry || entry.exitTime) continue;
+
+    // Wallet entry price, else the token's first signal price
+    const entryPrice = entry.entry || token.p0;
+    if (!(entryPrice > 0)) continue;
+
+    exits.push({
+      walletAddress: seller.walletAddress,
+      entry: entryPrice,
+      score: entry.score,
+      exitMult: Math.round((price / entryPrice) * 100) / 100,
+      seller,
+    });
+  }
+
+  return exits.sort((a, b) => b.exitMult - a.exitMult);
+}
+
+/**
+ * Record exits on the wallet records
+ * @param {TelegramDBv5} db - Chain DB
+ * @param {string} tokenAddress - Token address
+ * @param {Array} exits - From matchWalletExits()
+ * @param {number} exitPrice - Price of the sell activity
+ * @param {number} now - Sell time (ms)
+ */
+export function recordWalletExits(db, tokenAddress, exits, exitPrice, now = Date.now()) {
+  const price = parseFloat(exitPrice);
+
+  for (const { walletAddress, exitMult } of exits) {
+    const wallet = db.getWallet(walletAddress);
+    if (!wallet?.tokens?.[tokenAddress]) continue;
+
+    db.updateWallet(walletAddress, {
+      exits: (wallet.exits || 0) + 1,
+      tokens: {
+        ...wallet.tokens,
+        [tokenAddress]: { ...wallet.tokens[tokenAddress], exit: price, exitMult, exitTime: now },
+      },
+    });
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * HTTP Fixtures - Record and replay outbound fetch() calls
+ *
+ * Every provider the pipeline talks to (OKX, DexScreener, RugCheck,
+ * ensdata, Telegram) is reached through the global fetch(), so the
+ * recorder wraps that one function:
+ *
+ *   record   Real requests; each response is appended to the fixture file
+ *   replay   No network; responses are served from the fixture file and a
+ *            request that was never recorded throws
+ *
+ * Requests are matched on method + URL (+ body for JSON/text bodies).
+ * Volatile query parameters (OKX `t`) and bot tokens are stripped from the
+ * URL before matching and storing, so fixtures carry no credentials.
+ * Repeated requests replay their responses in recorded order, then keep
+ * returning the last one. Requests with a body that differs from the
+ * recording (e.g. Telegram messages with a timestamp) fall back to the
+ * responses recorded for the same URL.
+ *
+ * Replay also moves Date.now() back to the recording time (the clock then
+ * runs normally), so time windows such as the 7-day trading history filter
+ * select the same records as during the recording.
+ *
+ * HTTP_FIXTURES: record | replay (unset = off)
+ * HTTP_FIXTURES_FILE: fixture file (default fixtures/http/default.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_FILE = 'fixtures/http/default.json';
+const VOLATILE_PARAMS = ['t'];
+const MODES = ['record', 'replay'];
+
+let active = null; // { mode, file, recordedAt, entries, cursors, realFetch, realNow }
+
+/**
+ * URL as stored in fixtures: no bot token, no volatile params
+ */
+export function normalizeUrl(url) {
+  const parsed = new URL(String(url));
+  if (parsed.hostname === 'api.telegram.org') {
+    parsed.pathname = parsed.pathname.replace(/\/bot[^/]+/, '/bot<token>');
+  }
+  for (const param of VOLATILE_PARAMS) parsed.searchParams.delete(param);
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+function hashBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body !== 'string') return null; // FormData / streams: match on URL only
+  return crypto.createHash('sha1').update(body).digest('hex').slice(0, 16);
+}
+
+function requestInfo(input, init = {}) {
+  const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+  const method = (init.method || input.method || 'GET').toUpperCase();
+  return { method, url: normalizeUrl(url), bodyHash: hashBody(init.body) };
+}
+
+function isText(contentType) {
+  return /json|text|xml|javascript/.test(contentType || '');
+}
+
+// ============================================================
+// FIXTURE FILE
+// ============================================================
+
+function readFixtures(file) {
+  if (!fs.existsSync(file)) return { recordedAt: null, entries: [] };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { recordedAt: data.recordedAt || null, entries: data.entries || [] };
+}
+
+function writeFixtures(file, recordedAt, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: 1, recordedAt, entries }, null, 2));
+}
+
+// ============================================================
+// RECORD / REPLAY
+// ============================================================
+
+async function recordFetch(input, init) {
+  const info = requestInfo(input, init);
+  const res = await active.realFetch(input, init);
+
+  const buffer = Buffer.from(await res.clone().arrayBuffer());
+  const contentType = res.headers.get('content-type') || '';
+  const text = isText(contentType);
+
+  active.entries.push({
+    ...info,
+    status: res.status,
+    contentType,
+    body: text ? buffer.toString('utf8') : buffer.toString('base64'),
+    encoding: text ? 'utf8' : 'base64',
+  });
+  writeFixtures(active.file, active.recordedAt, active.entries);
+  return res;
+}
+
+/**
+ * Next recorded entry for a request (exact body first, then same URL)
+ */
+function findEntry(info) {
+  const sameUrl = active.entries.filter(e => e.method === info.method && e.url === info.url);
+  const sameBody = sameUrl.filter(e => e.bodyHash === info.bodyHash);
+  const [key, candidates] = sameBody.length > 0
+    ? [`${info.method} ${info.url} ${info.bodyHash}`, sameBody]
+    : [`${info.method} ${info.url}`, sameUrl];
+  if (candidates.length === 0) return null;
+
+  const i = active.cursors.get(key) || 0;
+  active.cursors.set(key, i + 1);
+  return candidates[Math.min(i, candidates.length - 1)];
+}
+
+async function replayFetch(input, init) {
+  const info = requestInfo(input, init);
+  const entry = findEntry(info);
+  if (!entry) {
+    throw new Error(`No recorded response for ${info.method} ${info.url} (${active.file})`);
+  }
+
+  const body = entry.status === 204 || entry.status === 304
+    ? null
+    : Buffer.from(entry.body, entry.encoding === 'base64' ? 'base64' : 'utf8');
+  return new Response(body, {
+    status: entry.status,
+    headers: entry.contentType ? { 'content-type': entry.contentType } : {},
+  });
+}
+
+/**
+ * Wrap the global fetch() in record or replay mode
+ * @param {Object} options
+ * @param {string} options.mode - 'record' | 'replay' (default: HTTP_FIXTURES, unset = no-op)
+ * @param {string} options.file - Fixture file (default: HTTP_FIXTURES_FILE)
+ * @param {boolean} options.shiftClock - Replay: start Date.now() at the recording time (default true)
+ * @returns {string|null} Active mode
+ */
+export function installHttpFixtures(options = {}) {
+  const mode = options.mode || process.env.HTTP_FIXTURES;
+  if (!mode) return null;
+  if (!MODES.includes(mode)) throw new Error(`Unknown HTTP_FIXTURES mode: ${mode} (expected ${MODES.join(', ')})`);
+
+  uninstallHttpFixtures();
+  const file = options.file || process.env.HTTP_FIXTURES_FILE || DEFAULT_FILE;
+  // Recording starts a fresh file; replay reads the recording
+  const recording = mode === 'replay' ? readFixtures(file) : { recordedAt: Date.now(), entries: [] };
+  active = {
+    mode,
+    file,
+    ...recording,
+    cursors: new Map(),
+    realFetch: globalThis.fetch,
+    realNow: Date.now,
+  };
+  globalThis.fetch = mode === 'record' ? recordFetch : replayFetch;
+
+  if (mode === 'replay' && recording.recordedAt && options.shiftClock !== false) {
+    const { realNow } = active;
+    const offset = recording.recordedAt - realNow();
+    Date.now = () => realNow() + offset;
+  }
+  console.log(`   🎞️ HTTP fixtures: ${mode} (${file}${mode === 'replay' ? `, ${active.entries.length} responses` : ''})`);
+  return mode;
+}
+
+/**
+ * Restore the real fetch()
+ */
+export function uninstallHttpFixtures() {
+  if (!active) return;
+  globalThis.fetch = active.realFetch;
+  Date.now = active.realNow;
+  active = null;
+}
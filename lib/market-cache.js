@@ -0,0 +1,232 @@
+/**
+ * Market Cache - OKX candles, wallet histories/trades and entry scores,
+ * shared across polls and chains
+ *
+ * Popular tokens and repeat wallets show up in signal after signal; without
+ * a cache every one of them costs trading-history and trades calls plus a
+ * candle call per token, which is what runs polls into their time limit.
+ *
+ * Two layers:
+ * - Memory: per process (warm serverless instance, local run), newest
+ *   MARKET_CACHE_MAX_ENTRIES entries
+ * - Disk:   one JSON file per key under MARKET_CACHE_DIR (default
+ *           /tmp/market-cache, 'off' = memory only), read when the memory
+ *           layer misses (later invocations, other chains' polls)
+ *
+ * Freshness:
+ * - Candles (chain/token/bar/limit): TTL follows the newest bar. A live
+ *   chart (newest bar still forming) is refetched after a third of a bar, a
+ *   quiet one (newest bar within a day) after one bar, a dead one after 6h.
+ * - Wallet trading history, wallet trades and entry scores
+ *   (per scoring profile): WALLET_CACHE_TTL_MS (default 10 min)
+ *
+ * Failed fetches are not cached, nor are empty candle lists (new tokens).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fetchTradingHistory, fetchCandles, fetchWalletTrades } from './okx-client.js';
+
+export const WALLET_CACHE_TTL_MS = parseInt(process.env.WALLET_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+const MAX_MEMORY_ENTRIES = parseInt(process.env.MARKET_CACHE_MAX_ENTRIES, 10) || 2000;
+
+const DEAD_CHART_TTL_MS = 6 * 60 * 60 * 1000;
+const QUIET_CHART_MS = 24 * 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+const BAR_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, H: 60 * 60 * 1000, D: 24 * 60 * 60 * 1000 };
+
+const memory = new Map();   // key → { value, expires }
+const inflight = new Map(); // key → pending load (one fetch per key at a time)
+const stats = { hits: 0, misses: 0 };
+let lastPrune = 0;
+
+// ============================================================
+// STORE
+// ============================================================
+
+function cacheDir() {
+  const dir = process.env.MARKET_CACHE_DIR || '/tmp/market-cache';
+  return dir === 'off' ? null : dir;
+}
+
+function filePath(dir, key) {
+  return path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+}
+
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+  if (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+}
+
+async function readEntry(key, now) {
+  const hit = memory.get(key);
+  if (hit && hit.expires > now) {
+    remember(key, hit);
+    return hit;
+  }
+  memory.delete(key);
+
+  const dir = cacheDir();
+  if (!dir) return null;
+  try {
+    const entry = JSON.parse(await fs.readFile(filePath(dir, key), 'utf8'));
+    if (entry.key === key && entry.expires > now) {
+      remember(key, entry);
+      return entry;
+    }
+  } catch {
+    // Not cached on disk (or unreadable): fetch
+  }
+  return null;
+}
+
+async function writeEntry(key, value, ttlMs, now) {
+  const entry = { key, value, expires: now + ttlMs };
+  remember(key, entry);
+
+  const dir = cacheDir();
+  if (!dir) return;
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath(dir, key), JSON.stringify(entry));
+    if (now - lastPrune > PRUNE_EVERY_MS) {
+      lastPrune = now;
+      await pruneDisk(dir, now);
+    }
+  } catch (err) {
+    console.log(`   ⚠️ Market cache write failed (${err.message}), memory only`);
+  }
+}
+
+/**
+ * Delete expired cache files
+ */
+async function pruneDisk(dir, now) {
+  for (const name of await fs.readdir(dir)) {
+    const file = path.join(dir, name);
+    try {
+      const { expires } = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (!(expires > now)) await fs.unlink(file);
+    } catch {
+      await fs.unlink(file).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Cached value of `key`, loaded (and stored for ttl(value) ms) on a miss
+ * Concurrent misses of one key share a single load.
+ * @param {Function} ttl - value => ms to keep it (0 = do not cache)
+ */
+export async function cached(key, ttl, load, now = Date.now()) {
+  const entry = await readEntry(key, now);
+  if (entry) {
+    stats.hits++;
+    return entry.value;
+  }
+  if (inflight.has(key)) {
+    stats.hits++;
+    return inflight.get(key);
+  }
+
+  stats.misses++;
+  const pending = (async () => {
+    const value = await load();
+    const ttlMs = ttl(value);
+    if (ttlMs > 0) await writeEntry(key, value, ttlMs, now);
+    return value;
+  })();
+  inflight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+/**
+ * Forget the memory layer and the hit counts (tests, new runs); disk entries expire on their own
+ */
+export function clearMarketCache() {
+  memory.clear();
+  stats.hits = 0;
+  stats.misses = 0;
+}
+
+/**
+ * Hits and misses since the last clear
+ */
+export function getMarketCacheStats() {
+  return { ...stats, entries: memory.size };
+}
+
+// ============================================================
+// MARKET DATA
+// ============================================================
+
+/**
+ * Length of a candle bar ('15m', '1H', '1D')
+ */
+export function barMs(bar) {
+  const match = /^(\d+)([smhHD])$/.exec(bar);
+  return match ? parseInt(match[1], 10) * BAR_UNITS[match[2]] : 15 * BAR_UNITS.m;
+}
+
+/**
+ * How long a candle series stays fresh, from the age of its newest bar
+ * @returns {number} ms (0 = do not cache)
+ */
+export function candleTtl(candles, bar, now = Date.now()) {
+  if (candles.length === 0) return 0;
+
+  const period = barMs(bar);
+  const newest = Math.max(...candles.map(c => c.timestamp));
+  const age = now - newest;
+  if (age < period) return Math.round(period / 3); // Newest bar still forming
+  if (age < QUIET_CHART_MS) return period;
+  return DEAD_CHART_TTL_MS;
+}
+
+/**
+ * fetchCandles() through the cache
+ */
+export async function getCandles(chainId, tokenAddress, limit = 300, bar = '15m') {
+  return cached(
+    `candles:${chainId}:${tokenAddress}:${bar}:${limit}`,
+    candles => candleTtl(candles, bar),
+    () => fetchCandles(chainId, tokenAddress, limit, bar),
+  );
+}
+
+/**
+ * fetchTradingHistory() through the cache
+ */
+export async function getTradingHistory(chainId, walletAddress, limit = 30) {
+  return cached(
+    `history:${chainId}:${walletAddress}:${limit}`,
+    () => WALLET_CACHE_TTL_MS,
+    () => fetchTradingHistory(chainId, walletAddress, limit),
+  );
+}
+
+/**
+ * fetchWalletTrades() through the cache
+ */
+export async function getWalletTrades(chainId, walletAddress) {
+  return cached(
+    `trades:${chainId}:${walletAddress}`,
+    () => WALLET_CACHE_TTL_MS,
+    () => fetchWalletTrades(chainId, walletAddress),
+  );
+}
+
+/**
+ * A wallet's entry score under a scoring profile, scored by `score` on a miss
+ * @param {Function} score - () => Promise<{ avgScore, count }>
+ */
+export async function getWalletScore(chainId, walletAddress, profileId, score) {
+  return cached(`score:${chainId}:${walletAddress}:${profileId}`, () => WALLET_CACHE_TTL_MS, score);
+}
@@ -0,0 +1,374 @@
+/**
+ * OKX Client - Smart-money, wallet and candle endpoints
+ *
+ * Every OKX call of the pipeline goes through request():
+ * - Per-endpoint timeout
+ * - Retries with jittered exponential backoff on network errors, timeouts,
+ *   5xx, 429 (honours Retry-After) and OKX busy codes
+ * - One token bucket shared by all calls (replaces sleeps between requests)
+ * - Envelope check (code 0) + per-endpoint validation of `data`
+ *
+ * Failures are thrown as OkxError subclasses (see `retryable`):
+ *   OkxHttpError        non-2xx response (status)
+ *   OkxRateLimitError   429 / OKX rate-limit code after all retries
+ *   OkxTimeoutError     no response within the endpoint timeout
+ *   OkxApiError         envelope code != 0 (code, msg)
+ *   OkxResponseError    data does not have the expected shape
+ *
+ * OKX_RATE_LIMIT: requests per second across all endpoints (default 20, the
+ *   ceiling of the 30-50ms sleeps the scoring loops used before the bucket)
+ * OKX_MAX_RETRIES: retries per request (default 2)
+ */
+
+const BASE_URL = 'https://web3.okx.com';
+
+export const OKX_RATE_LIMIT = parseFloat(process.env.OKX_RATE_LIMIT) || 20;
+const MAX_RETRIES = parseInt(process.env.OKX_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.OKX_MAX_RETRIES, 10) : 2;
+const BACKOFF_BASE_MS = 400;
+const BACKOFF_MAX_MS = 5000;
+
+// Envelope codes worth retrying: service unavailable, rate limited, busy
+const RETRYABLE_CODES = new Set(['50001', '50011', '50013']);
+const RATE_LIMIT_CODES = new Set(['50011']);
+
+// ============================================================
+// ERRORS
+// ============================================================
+
+export class OkxError extends Error {
+  constructor(message, { endpoint, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'OkxError';
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+  }
+}
+
+export class OkxHttpError extends OkxError {
+  constructor(endpoint, status) {
+    super(`${endpoint}: HTTP ${status}`, { endpoint, retryable: status >= 500 });
+    this.name = 'OkxHttpError';
+    this.status = status;
+  }
+}
+
+export class OkxRateLimitError extends OkxError {
+  constructor(endpoint, retryAfterMs = null) {
+    super(`${endpoint}: rate limited`, { endpoint, retryable: true });
+    this.name = 'OkxRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class OkxTimeoutError extends OkxError {
+  constructor(endpoint, timeoutMs) {
+    super(`${endpoint}: no response after ${timeoutMs}ms`, { endpoint, retryable: true });
+    this.name = 'OkxTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class OkxApiError extends OkxError {
+  constructor(endpoint, code, msg) {
+    super(`${endpoint}: API error ${code}${msg ? ` (${msg})` : ''}`, { endpoint, retryable: RETRYABLE_CODES.has(String(code)) });
+    this.name = 'OkxApiError';
+    this.code = code;
+  }
+}
+
+export class OkxResponseError extends OkxError {
+  constructor(endpoint, problem) {
+    super(`${endpoint}: unexpected response, ${problem}`, { endpoint });
+    this.name = 'OkxResponseError';
+  }
+}
+
+// ============================================================
+// RATE LIMITER
+// ============================================================
+
+/**
+ * Token bucket: `rate` requests per second, bursts up to `rate`
+ * Runs on performance.now(): HTTP fixture replay moves Date.now() back.
+ */
+function createRateLimiter(rate) {
+  let tokens = rate;
+  let last = performance.now();
+  let pausedUntil = 0;
+
+  return {
+    async acquire() {
+      for (;;) {
+        const now = performance.now();
+        tokens = Math.min(rate, tokens + ((now - last) / 1000) * rate);
+        last = now;
+
+        const wait = Math.max(pausedUntil - now, tokens >= 1 ? 0 : ((1 - tokens) / rate) * 1000);
+        if (wait <= 0) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(wait);
+      }
+    },
+
+    // Hold every caller back (after a 429)
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, performance.now() + ms);
+    },
+  };
+}
+
+const limiter = createRateLimiter(OKX_RATE_LIMIT);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================
+// ENDPOINTS
+// ============================================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const ENDPOINTS = {
+  filterActivity: {
+    path: '/priapi/v1/dx/market/v2/smartmoney/signal/filter-activity-overview',
+    method: 'POST',
+    timeout: 10000,
+    validate: data => {
+      if (!isObject(data)) return 'data is not an object';
+      if (!Array.isArray(data.activityList)) return 'data.activityList is not an array';
+      const bad = data.activityList.findIndex(a => !a?.tokenKey || !a.batchId);
+      return bad >= 0 ? `activityList[${bad}] has no tokenKey/batchId` : null;
+    },
+  },
+  signalDetail: {
+    path: '/priapi/v1/dx/market/v2/smartmoney/signal-detail',
+    timeout: 8000,
+    validate: data => {
+      if (!isObject(data)) return 'data is not an object';
+      if (data.addresses !== undefined && data.addresses !== null && !Array.isArray(data.addresses)) {
+        return 'data.addresses is not an array';
+      }
+      const bad = (data.addresses || []).findIndex(w => !w?.walletAddress);
+      return bad >= 0 ? `addresses[${bad}] has no walletAddress` : null;
+    },
+  },
+  walletProfile: {
+    path: '/priapi/v1/dx/market/v2/pnl/wallet-profile/query/address/info',
+    timeout: 5000,
+    validate: data => (data === null || isObject(data) ? null : 'data is not an object'),
+  },
+  tradingHistory: {
+    path: '/priapi/v1/dx/market/v2/pnl/token-list',
+    timeout: 8000,
+    validate: data => {
+      if (!isObject(data)) return 'data is not an object';
+      return Array.isArray(data.tokenList) ? null : 'data.tokenList is not an array';
+    },
+  },
+  walletTrades: {
+    path: '/priapi/v1/dx/market/v2/trading-history/filter-list',
+    timeout: 8000,
+    validate: data => {
+      if (!isObject(data)) return 'data is not an object';
+      if (!Array.isArray(data.list)) return 'data.list is not an array';
+      const bad = data.list.findIndex(t => !isObject(t) || !t.timestamp || !t.tokenContractAddress);
+      return bad >= 0 ? `list[${bad}] has no timestamp/tokenContractAddress` : null;
+    },
+  },
+  candles: {
+    path: '/priapi/v5/dex/token/market/dex-token-hlc-candles',
+    timeout: 8000,
+    validate: data => {
+      if (data === null || data === undefined) return null;
+      if (!Array.isArray(data)) return 'data is not an array';
+      const bad = data.findIndex(c => !Array.isArray(c) || c.length < 5);
+      return bad >= 0 ? `candle ${bad} is not [ts, o, h, l, c]` : null;
+    },
+  },
+};
+
+// ============================================================
+// REQUESTS
+// ============================================================
+
+/**
+ * One attempt: rate limit, fetch with timeout, check envelope + shape
+ */
+async function attempt(name, endpoint, url, body) {
+  await limiter.acquire();
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), endpoint.timeout);
+  let res;
+  let json;
+  try {
+    res = await fetch(url, {
+      method: endpoint.method || 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+    if (res.status === 429) {
+      const retryAfter = parseFloat(res.headers.get('retry-after'));
+      throw new OkxRateLimitError(name, Number.isFinite(retryAfter) ? retryAfter * 1000 : null);
+    }
+    if (!res.ok) throw new OkxHttpError(name, res.status);
+    json = await res.json();
+  } catch (err) {
+    if (err instanceof OkxError) throw err;
+    if (err.name === 'AbortError') throw new OkxTimeoutError(name, endpoint.timeout);
+    if (err instanceof SyntaxError) throw new OkxResponseError(name, 'body is not JSON');
+    throw new OkxError(`${name}: ${err.message}`, { endpoint: name, retryable: true, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!isObject(json)) throw new OkxResponseError(name, 'body is not an object');
+  if (String(json.code) !== '0') {
+    if (RATE_LIMIT_CODES.has(String(json.code))) throw new OkxRateLimitError(name);
+    throw new OkxApiError(name, json.code, json.error_message || json.msg);
+  }
+
+  const problem = endpoint.validate(json.data);
+  if (problem) throw new OkxResponseError(name, problem);
+  return json.data;
+}
+
+/**
+ * Call an endpoint, retrying retryable failures
+ * @param {string} name - Key of ENDPOINTS
+ * @param {Object} params - Query parameters (t is added)
+ * @param {Object} body - JSON body (POST endpoints)
+ * @returns {Promise<*>} Validated `data` of the response
+ */
+async function request(name, params = {}, body = null) {
+  const endpoint = ENDPOINTS[name];
+  const query = new URLSearchParams({ ...params, t: Date.now() });
+  const url = `${BASE_URL}${endpoint.path}?${query}`;
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(name, endpoint, url, body);
+    } catch (err) {
+      if (!err.retryable || i >= MAX_RETRIES) throw err;
+
+      // Full jitter; a 429 also holds back every other caller
+      const backoff = Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** i);
+      const delay = err instanceof OkxRateLimitError ? Math.max(backoff, err.retryAfterMs || 0) : backoff;
+      if (err instanceof OkxRateLimitError) limiter.pause(delay);
+      console.log(`   ⏳ ${err.message}, retry ${i + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ============================================================
+// API
+// ============================================================
+
+/**
+ * Latest smart-money signal activity
+ * @returns {Promise<Object>} { activityList, ... }
+ */
+export async function fetchFilterActivity(chainId = 501, trend = '1', pageSize = 10) {
+  return request('filterActivity', {}, {
+    chainId,
+    trend,
+    signalLabelList: [1, 2, 3],
+    protocolIdList: [],
+    tokenMetricsFilter: {},
+    signalMetricsFilter: {},
+    pageSize,
+  });
+}
+
+/**
+ * Wallets of one signal
+ * @returns {Promise<Object>} { addresses: [{ walletAddress, ... }], ... }
+ */
+export async function fetchSignalDetail(chainId, tokenAddress, batchId, batchIndex) {
+  return request('signalDetail', { chainId, tokenContractAddress: tokenAddress, batchId, batchIndex });
+}
+
+/**
+ * KOL profile link of a wallet (data.t[0].e.kolTwitterLink)
+ * @returns {Promise<string|null>}
+ */
+export async function fetchWalletProfile(chainId, walletAddress) {
+  const data = await request('walletProfile', { chainId, walletAddress });
+  return data?.t?.[0]?.e?.kolTwitterLink || null;
+}
+
+/**
+ * Tokens a wallet traded, most recent first (paged by 20)
+ */
+export async function fetchTradingHistory(chainId, walletAddress, limit = 30) {
+  const allTokens = [];
+  let offset = 0;
+
+  while (allTokens.length < limit) {
+    const data = await request('tradingHistory', {
+      walletAddress,
+      chainId,
+      isAsc: false,
+      sortType: 2,
+      offset,
+      limit: 20,
+      filterRisk: false,
+      filterSmallBalance: false,
+      filterEmptyBalance: false,
+    });
+
+    allTokens.push(...data.tokenList);
+    if (!data.hasNext || allTokens.length >= limit) break;
+    offset = data.offset;
+  }
+
+  return allTokens.slice(0, limit);
+}
+
+/**
+ * A wallet's own trades across its tokens, most recent first
+ * (one request per wallet; group with tradesByToken() in entry-scoring.js)
+ * @returns {Promise<Array>} [{ token, time, type: 'buy' | 'sell', price, usd }]
+ *   (type '1' = buy, usd = trade size from volume, 0 if unknown; trades
+ *   without time or price are left out)
+ */
+export async function fetchWalletTrades(chainId, walletAddress, limit = 100) {
+  const data = await request('walletTrades', {
+    chainId,
+    userAddressList: walletAddress,
+    limit,
+  });
+
+  return data.list
+    .map(t => ({
+      token: t.tokenContractAddress,
+      time: parseInt(t.timestamp, 10),
+      type: String(t.type) === '1' ? 'buy' : 'sell',
+      price: parseFloat(t.price),
+      usd: parseFloat(t.volume) || 0,
+    }))
+    .filter(t => t.time > 0 && t.price > 0);
+}
+
+/**
+ * Price candles for a token
+ * @returns {Promise<Array>} [{ timestamp, open, high, low, close }]
+ */
+export async function fetchCandles(chainId, tokenAddress, limit = 300, bar = '15m') {
+  const data = await request('candles', { chainId, address: tokenAddress, bar, limit });
+
+  return (data || []).map(c => ({
+    timestamp: parseInt(c[0], 10),
+    open: parseFloat(c[1]),
+    high: parseFloat(c[2]),
+    low: parseFloat(c[3]),
+    close: parseFloat(c[4]),
+  }));
+}
@@ -4,14 +4,12 @@
  * Fetches current token prices from DexScreener API (free, no auth required)
  */
 
+import { CHAINS } from './chains.js';
+
 const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex/tokens/';
 
-const CHAIN_MAP = {
-  501: 'solana',
-  1: 'ethereum',
-  56: 'bsc',
-  8453: 'base',
-};
+// chainId → DexScreener chain slug (chains.js)
+const CHAIN_MAP = Object.fromEntries(Object.values(CHAINS).map(c => [c.id, c.dexscreener]));
 
 /**
  * Get current price for a token from DexScreener
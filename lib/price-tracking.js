@@ -0,0 +1,151 @@
+/**
+ * Price Tracking - Apply a price observation to a token record
+ *
+ * The per-token step of /api/update-prices, shared with the import replay
+ * (db-import.js) so a rebuilt DB tracks prices exactly like the cron:
+ * - Rug detection (liquidity < $1000)
+ * - ATH/ATL, current and peak multipliers
+ * - Journey flags (hitPeakAfterDip, dippedAfterPeak)
+ * - Archiving (50% drop from ATH, 7d for winners, 48h for losers) + finalizeToken()
+ */
+
+// Minimum liquidity to consider token not rugged (USD)
+export const MIN_LIQUIDITY_USD = 1000;
+
+// Only post updates for signals newer than this
+export const MAX_SIGNAL_AGE_MS = 48 * 60 * 60 * 1000; // 48 hours
+export const MAX_TRACKING_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days for winners
+
+/**
+ * Update a token with its current price
+ * @param {TelegramDBv5} db - Chain DB (token is saved back with updateToken)
+ * @param {string} addr - Token address
+ * @param {Object} token - Token record
+ * @param {Object} priceData - { priceUsd, liquidity } (liquidity null = unknown, no rug check)
+ * @param {number} now - Observation time (ms)
+ * @returns {Object|null} Update result for reporting, null if the price was not applied
+ */
+export function applyPriceUpdate(db, addr, token, priceData, now = Date.now()) {
+  if (!priceData || priceData.priceUsd <= 0) return null;
+
+  // Note: We still update archived tokens for ATH tracking (leaderboards)
+  // But we won't report or archive them again
+  const isArchived = token.archived || false;
+
+  const currentPrice = priceData.priceUsd;
+  const liquidity = priceData.liquidity || 0;
+
+  // Detect rugged tokens (liquidity dried up)
+  const isRugged = priceData.liquidity !== null && liquidity < MIN_LIQUIDITY_USD;
+  const wasRugged = token.rugged || false;
+  const newlyRugged = isRugged && !wasRugged;
+
+  // Update rugged status in token
+  if (isRugged) {
+    token.rugged = true;
+    token.ruggedAt = token.ruggedAt || now;
+    token.archived = true; // Archive rugged tokens immediately after reporting
+  }
+
+  // Entry price = first signal price (p0)
+  const entryPrice = token.p0 || 0;
+  if (entryPrice <= 0) return null;
+
+  // SANITY CHECK: Validate price is reasonable
+  // Reject prices that would create >10000x multipliers (likely API corruption)
+  const potentialMult = currentPrice / entryPrice;
+  if (potentialMult > 10000 || potentialMult < 0.0000001) {
+    console.log(`   ⚠️ SKIPPED ${token.sym}: Suspicious mult ${potentialMult.toExponential(2)} (price: ${currentPrice}, entry: ${entryPrice})`);
+    return null;
+  }
+
+  // Track ATH (all-time high) and ATL (all-time low) since signal
+  const previousATH = token.pPeak || entryPrice;
+  const previousATL = token.pLow || entryPrice;
+
+  const isNewATH = currentPrice > previousATH;
+  const isNewATL = currentPrice < previousATL;
+
+  // Update ATH/ATL if new extremes
+  if (isNewATH) {
+    token.pPeak = currentPrice;
+  }
+  if (isNewATL) {
+    token.pLow = currentPrice;
+  }
+
+  // Calculate current multiplier (current price vs entry)
+  const currentMultiplier = currentPrice / entryPrice;
+  const signalAge = now - (token.firstSeen || 0);
+
+  // Update token with current price
+  token.pNow = currentPrice;
+  token.mult = currentMultiplier;
+
+  // Update peak multiplier
+  if (isNewATH) {
+    token.peakMult = currentPrice / entryPrice;
+  }
+
+  // ============================================================
+  // JOURNEY TRACKING (for analytics, not displayed)
+  // ============================================================
+  const peakMult = token.peakMult || 1;
+  const lowMult = token.pLow ? (token.pLow / entryPrice) : 1;
+
+  // hitPeakAfterDip: Token went below entry (-35% or more) then recovered to peak above entry
+  // This indicates resilience - the token recovered from a significant dip
+  if (!token.hitPeakAfterDip && lowMult <= 0.65 && peakMult >= 1.0) {
+    token.hitPeakAfterDip = true;
+    console.log(`   📈 Journey: ${token.sym} recovered from ${((1-lowMult)*100).toFixed(0)}% dip to ${((peakMult-1)*100).toFixed(0)}% peak`);
+  }
+
+  // dippedAfterPeak: Token achieved 1.5x+ then fell below entry (pump and dump pattern)
+  if (!token.dippedAfterPeak && peakMult >= 1.5 && currentMultiplier < 1.0) {
+    token.dippedAfterPeak = true;
+    console.log(`   📉 Journey: ${token.sym} peaked at ${((peakMult-1)*100).toFixed(0)}% then dumped to ${((currentMultiplier-1)*100).toFixed(0)}%`);
+  }
+
+  // Archive Logic (only for non-archived tokens)
+  // 1. Hard Dump: 50% drop from ATH
+  const peakPrice = token.pPeak || entryPrice;
+  const dropFromPeak = (peakPrice - currentPrice) / peakPrice;
+  let justArchived = false;
+
+  if (!isArchived && dropFromPeak >= 0.5) {
+    token.archived = true;
+    justArchived = true;
+  }
+
+  // 2. Time Limit (only for non-archived tokens):
+  // - Winners (> entry): Track for 7 days
+  // - Losers (< entry): Track for 48 hours
+  const isWinner = currentMultiplier >= 1.0;
+  const maxAge = isWinner ? MAX_TRACKING_AGE_MS : MAX_SIGNAL_AGE_MS;
+
+  if (!isArchived && signalAge > maxAge) {
+    token.archived = true;
+    justArchived = true;
+  }
+
+  // Record final performance when archiving
+  if (justArchived) {
+    db.finalizeToken(token);
+  }
+
+  db.updateToken(addr, token);
+
+  return {
+    entryPrice,
+    currentPrice,
+    liquidity,
+    currentMultiplier,
+    signalAge,
+    isNewATH,
+    isNewATL,
+    isRugged,
+    newlyRugged,
+    isArchived,
+    justArchived,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Retention - Declarative prune/archive rules for chain DBs
+ *
+ * A policy lists rules per record type. The first rule whose `when`
+ * matches a record decides its fate; records no rule matches are kept.
+ *
+ *   { name: 'hall-of-fame', when: { peakMult: { gte: 5 } }, keep: true }   keep forever
+ *   { name: 'winner', when: { mult: { gte: 1 } }, maxAgeDays: 7 }          prune after 7d
+ *   { name: 'expired', maxAgeDays: 30, archive: true }                      archive + prune after 30d
+ *
+ * Age is measured from AGE_FIELDS (tokens: lastSig, wallets: lastSeen,
+ * recentSignals: time). Conditions test record fields plus derived
+ * metrics passed in by the caller (wallets: rankScore, stars).
+ * `archive` applies to tokens and wallets (pruned recentSignals stay in
+ * the signal log, see signal-log.js). Archived records stay queryable
+ * (see db-archive.js).
+ * Operators: gte, gt, lte, lt, eq, ne - a bare value means eq.
+ *
+ * RETENTION_POLICY (env, JSON) replaces the rules of a record type,
+ * for all chains or per chain:
+ *   { "tokens": [...], "sol": { "wallets": [...] } }
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RECORD_TYPES = ['tokens', 'wallets', 'recentSignals'];
+
+const AGE_FIELDS = {
+  tokens: 'lastSig',
+  wallets: 'lastSeen',
+  recentSignals: 'time',
+};
+
+export const DEFAULT_RETENTION_POLICY = {
+  tokens: [
+    { name: 'hall-of-fame', when: { peakMult: { gte: 5 }, rugged: { ne: true } }, keep: true },
+    { name: 'winner', when: { mult: { gte: 1 } }, maxAgeDays: 7, archive: true },
+    { name: 'expired', maxAgeDays: 30, archive: true },
+  ],
+  wallets: [
+    { name: 'starred', when: { stars: { gte: 2 } }, keep: true },
+    { name: 'ranked', when: { rankScore: { gte: 0.5 } }, keep: true },
+    { name: 'inactive', maxAgeDays: 7, archive: true },
+  ],
+  recentSignals: [
+    { name: 'window', maxAgeDays: 7 },
+  ],
+};
+
+const OPERATORS = {
+  eq: (v, x) => v === x,
+  ne: (v, x) => v !== x,
+  gte: (v, x) => (Number(v) || 0) >= x,
+  gt: (v, x) => (Number(v) || 0) > x,
+  lte: (v, x) => (Number(v) || 0) <= x,
+  lt: (v, x) => (Number(v) || 0) < x,
+};
+
+/**
+ * Get the retention policy for a chain (defaults + RETENTION_POLICY overrides)
+ */
+export function getRetentionPolicy(chain) {
+  const policy = { ...DEFAULT_RETENTION_POLICY };
+  if (!process.env.RETENTION_POLICY) return policy;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.RETENTION_POLICY);
+  } catch (err) {
+    throw new Error(`Invalid RETENTION_POLICY: ${err.message}`);
+  }
+
+  for (const source of [overrides, overrides[chain] || {}]) {
+    for (const type of RECORD_TYPES) {
+      if (source[type]) policy[type] = validateRules(type, source[type]);
+    }
+  }
+  return policy;
+}
+
+function validateRules(type, rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`RETENTION_POLICY.${type} must be an array of rules`);
+  }
+  for (const rule of rules) {
+    if (!rule.keep && !(rule.maxAgeDays >= 0)) {
+      throw new Error(`RETENTION_POLICY.${type}: rule needs keep or maxAgeDays (${JSON.stringify(rule)})`);
+    }
+    for (const cond of Object.values(rule.when || {})) {
+      const ops = cond !== null && typeof cond === 'object' ? Object.keys(cond) : [];
+      const unknown = ops.find(op => !OPERATORS[op]);
+      if (unknown) throw new Error(`RETENTION_POLICY.${type}: unknown operator ${unknown}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Does a record (+ derived metrics) satisfy a rule's conditions?
+ */
+export function matchesRule(record, rule) {
+  for (const [field, cond] of Object.entries(rule.when || {})) {
+    const value = record[field];
+    if (cond === null || typeof cond !== 'object') {
+      if (value !== cond) return false;
+      continue;
+    }
+    for (const [op, expected] of Object.entries(cond)) {
+      if (!OPERATORS[op](value, expected)) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Decide what happens to each record
+ * @param {Object} doc - Chain document
+ * @param {Object} policy - From getRetentionPolicy()
+ * @param {Object} options
+ * @param {number} options.now - Evaluation time (ms)
+ * @param {Object} options.derive - { [type]: (record) => extra fields for conditions }
+ * @returns {Object} { tokens: [...], wallets: [...], recentSignals: [...] } of
+ *   { key, action: 'prune' | 'archive', rule, ageDays } (kept records are not listed)
+ */
+export function planRetention(doc, policy, options = {}) {
+  const { now = Date.now(), derive = {} } = options;
+  const plan = {};
+
+  for (const type of RECORD_TYPES) {
+    const records = type === 'recentSignals'
+      ? (doc.recentSignals || []).map(s => [s.id, s])
+      : Object.entries(doc[type] || {});
+
+    plan[type] = [];
+    for (const [key, record] of records) {
+      const subject = derive[type] ? { ...record, ...derive[type](record) } : record;
+      const i = (policy[type] || []).findIndex(rule => matchesRule(subject, rule));
+      if (i < 0) continue;
+
+      const rule = policy[type][i];
+      if (rule.keep) continue;
+
+      const age = now - (Number(record[AGE_FIELDS[type]]) || 0);
+      if (age <= rule.maxAgeDays * DAY_MS) continue;
+
+      plan[type].push({
+        key,
+        action: rule.archive && type !== 'recentSignals' ? 'archive' : 'prune',
+        rule: rule.name || `#${i + 1}`,
+        ageDays: Math.floor(age / DAY_MS),
+      });
+    }
+  }
+
+  return plan;
+}
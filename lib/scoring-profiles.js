@@ -0,0 +1,152 @@
+/**
+ * Scoring Profiles - Named entry-scoring and wallet-ranking settings per chain
+ *
+ * A profile bundles:
+ * - entry:   Entry-scoring config (entry-scoring.js resolveScoring(): bands,
+ *            matrix, lookback/lookforward windows, historyLimit, maxTokens,
+ *            historyWindowMs)
+ * - ranking: Wallet rank weights (calcWalletRankScore() in telegram-db-v5.js)
+ *
+ * The built-in 'default' profile is the scoring the pipeline always used.
+ * SCORING_PROFILES_FILE (env, path to JSON) adds profiles, each an override
+ * of 'default', and picks one per chain (unlisted chains use "default"):
+ *   {
+ *     "default": "default",
+ *     "chains": { "sol": "tight" },
+ *     "profiles": {
+ *       "tight": {
+ *         "entry": { "afterBands": [15, 40], "matrix": { "rose_to": { "moon": 0 } } },
+ *         "ranking": { "weights": { "quality": 0.7, "consistency": 0.15, "recency": 0.15 } }
+ *       }
+ *     }
+ *   }
+ *
+ * Signals record the id of the profile that scored them (prof on token
+ * signals, recentSignals and the signal log), so stored scores stay
+ * comparable after the active profile changes.
+ */
+
+import fs from 'fs';
+import { DEFAULT_SCORING, resolveScoring } from './entry-scoring.js';
+import { getChain } from './chains.js';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export const DEFAULT_RANKING = {
+  // Share of the 0-100 rank score, sums to 1
+  weights: { quality: 0.60, consistency: 0.20, recency: 0.20 },
+  recencyDecay: 0.95, // Weight of a score per newer score after it
+  activeDays: 7,      // Recency falls to 0 this many days after lastSeen
+};
+
+const PROFILE_FIELDS = ['entry', 'ranking'];
+const RANK_WEIGHTS = Object.keys(DEFAULT_RANKING.weights);
+
+export const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, entry: DEFAULT_SCORING, ranking: DEFAULT_RANKING };
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Build ranking settings from overrides of DEFAULT_RANKING
+ * @throws {Error} On unknown fields or weights not summing to 1
+ */
+export function resolveRanking(overrides = {}) {
+  const unknown = Object.keys(overrides).filter(key => !(key in DEFAULT_RANKING));
+  if (unknown.length > 0) throw new Error(`Ranking: unknown field ${unknown.join(', ')}`);
+
+  const ranking = { ...DEFAULT_RANKING, ...overrides, weights: { ...DEFAULT_RANKING.weights, ...overrides.weights } };
+  for (const [key, weight] of Object.entries(ranking.weights)) {
+    if (!RANK_WEIGHTS.includes(key)) throw new Error(`Ranking: unknown weight ${key}`);
+    if (!(Number.isFinite(weight) && weight >= 0)) throw new Error(`Ranking: weights.${key} must be a number >= 0`);
+  }
+  const total = Object.values(ranking.weights).reduce((sum, w) => sum + w, 0);
+  if (Math.abs(total - 1) > 1e-6) throw new Error(`Ranking: weights must sum to 1 (got ${total})`);
+  if (!(ranking.recencyDecay > 0 && ranking.recencyDecay <= 1)) throw new Error('Ranking: recencyDecay must be in (0, 1]');
+  if (!(ranking.activeDays > 0)) throw new Error('Ranking: activeDays must be a positive number');
+  return ranking;
+}
+
+/**
+ * Parse and validate a profiles document
+ * @param {string} [json] - Contents of SCORING_PROFILES_FILE
+ * @returns {Object} { profiles: { id: profile }, chains: { key: id }, default: id }
+ */
+export function loadScoringProfiles(json) {
+  const result = { profiles: { [DEFAULT_PROFILE_ID]: DEFAULT_PROFILE }, chains: {}, default: DEFAULT_PROFILE_ID };
+  if (!json) return result;
+
+  let doc;
+  try {
+    doc = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Invalid scoring profiles: ${err.message}`);
+  }
+
+  for (const [id, entry] of Object.entries(doc.profiles || {})) {
+    if (id === DEFAULT_PROFILE_ID) throw new Error(`Scoring profile ${id}: the built-in profile cannot be redefined`);
+    const unknown = Object.keys(entry || {}).filter(key => !PROFILE_FIELDS.includes(key));
+    if (unknown.length > 0) throw new Error(`Scoring profile ${id}: unknown field ${unknown.join(', ')}`);
+    try {
+      result.profiles[id] = { id, entry: resolveScoring(entry.entry), ranking: resolveRanking(entry.ranking) };
+    } catch (err) {
+      throw new Error(`Scoring profile ${id}: ${err.message}`);
+    }
+  }
+
+  result.default = doc.default || DEFAULT_PROFILE_ID;
+  if (!result.profiles[result.default]) throw new Error(`Scoring profiles: unknown default profile ${result.default}`);
+  for (const [key, id] of Object.entries(doc.chains || {})) {
+    if (!getChain(key)) throw new Error(`Scoring profiles: unknown chain ${key}`);
+    if (!result.profiles[id]) throw new Error(`Scoring profiles: chain ${key} uses unknown profile ${id}`);
+    result.chains[getChain(key).key] = id;
+  }
+  return result;
+}
+
+// Parsed SCORING_PROFILES_FILE, re-read when the path changes
+let loaded = null;
+
+/**
+ * Profiles from SCORING_PROFILES_FILE (built-in default only when unset)
+ */
+export function getScoringProfiles() {
+  const file = process.env.SCORING_PROFILES_FILE || null;
+  if (loaded?.file !== file) {
+    let json = null;
+    if (file) {
+      try {
+        json = fs.readFileSync(file, 'utf8');
+      } catch (err) {
+        throw new Error(`Cannot read SCORING_PROFILES_FILE ${file}: ${err.message}`);
+      }
+    }
+    loaded = { file, profiles: loadScoringProfiles(json) };
+  }
+  return loaded.profiles;
+}
+
+// ============================================================
+// LOOKUP
+// ============================================================
+
+/**
+ * Active profile of a chain
+ * @param {string|number} chain - Chain key ('sol') or id (501)
+ * @returns {Object} { id, entry, ranking }
+ */
+export function getScoringProfile(chain, profiles = getScoringProfiles()) {
+  const key = getChain(chain)?.key;
+  return profiles.profiles[profiles.chains[key] || profiles.default];
+}
+
+/**
+ * Profile by id
+ * @throws {Error} On an unknown id
+ */
+export function getProfileById(id, profiles = getScoringProfiles()) {
+  const profile = profiles.profiles[id];
+  if (!profile) throw new Error(`Unknown scoring profile ${id} (expected ${Object.keys(profiles.profiles).join(', ')})`);
+  return profile;
+}
@@ -6,12 +6,7 @@
  * Normalizes data into a unified SecurityReport format.
  */
 
-const CHAIN_MAP = {
-  1: 'ethereum',
-  56: 'bsc',
-  8453: 'base',
-  501: 'solana'
-};
+import { getChain } from './chains.js';
 
 /**
  * @typedef {Object} SecurityReport
@@ -38,14 +33,14 @@ const CHAIN_MAP = {
  * @returns {Promise<SecurityReport>}
  */
 export async function fetchSecurity(chainId, tokenAddress) {
-  const chainName = CHAIN_MAP[chainId];
-  if (!chainName) return createUnknownReport();
+  const chain = getChain(chainId);
+  if (!chain || (chain.family === 'evm' && !chain.goplus)) return createUnknownReport();
 
   try {
-    if (chainId === 501) {
+    if (chain.family === 'svm') {
       return await fetchSvmSecurity(tokenAddress);
     } else {
-      return await fetchEvmSecurity(chainId, tokenAddress);
+      return await fetchEvmSecurity(chain.goplus, tokenAddress);
     }
   } catch (err) {
     console.error(`Security fetch failed for ${tokenAddress}: ${err.message}`);
@@ -80,8 +75,8 @@ async function fetchWithRetry(url, retries = 3) {
   throw new Error('Max retries exceeded');
 }
 
-async function fetchEvmSecurity(chainId, tokenAddress) {
-  const url = `https://api.gopluslabs.io/api/v1/token_security/${chainId}?contract_addresses=${tokenAddress}`;
+async function fetchEvmSecurity(goplusChainId, tokenAddress) {
+  const url = `https://api.gopluslabs.io/api/v1/token_security/${goplusChainId}?contract_addresses=${tokenAddress}`;
   
   try {
     const res = await fetchWithRetry(url);
@@ -0,0 +1,103 @@
+/**
+ * Signal Log - Append-only per-chain signal history
+ *
+ * token.signals keeps the last 20 entries and token.wallets 50 address
+ * prefixes; the log keeps every signal with its full wallet list. It is
+ * written next to the DB as numbered segment files in the chain channel:
+ *
+ *   sol-signals-000001.json   { chain, seq, entries: [...] }   (full, never rewritten)
+ *   sol-signals-000002.json   open segment, appended on save
+ *
+ * The segment index lives in the DB document (signalLog.segments) and is
+ * merged like the rest of the document (see db-merge.js).
+ *
+ * SIGNAL_LOG_SEGMENT_SIZE: entries per segment (default 2000)
+ */
+
+export const SEGMENT_SIZE = parseInt(process.env.SIGNAL_LOG_SEGMENT_SIZE, 10) || 2000;
+
+const SEGMENT_FILE_RE = /-signals-\d+\.json$/;
+
+/**
+ * Segment file name for a chain + sequence number
+ */
+export function segmentFileName(chain, seq) {
+  return `${chain}-signals-${String(seq).padStart(6, '0')}.json`;
+}
+
+/**
+ * Is this a signal log segment file?
+ */
+export function isSegmentFile(fileName) {
+  return SEGMENT_FILE_RE.test(fileName || '');
+}
+
+/**
+ * Build a log entry from a processed signal
+ * @param {Object} signal - Signal from processSignal() (index.js)
+ * @param {Array} walletDetails - Wallets with entryScore
+ * @param {number} avgScore - Signal average entry score
+ * @param {Object} security - Security check result ({ status })
+ */
+export function buildLogEntry(signal, walletDetails, avgScore, security) {
+  return {
+    id: `${signal.batchId}_${signal.batchIndex}`,
+    batchId: signal.batchId,
+    batchIndex: signal.batchIndex,
+    label: signal.signalLabel,
+    token: signal.tokenAddress,
+    sym: signal.tokenSymbol,
+    time: Number(signal.eventTime),
+    price: parseFloat(signal.priceAtSignal) || null,
+    mcap: parseFloat(signal.mcapAtSignal) || null,
+    avgScr: avgScore,
+    prof: signal.scoringProfile || null,
+    partial: signal.partialScores || null,
+    sec: security?.status || null,
+    wallets: walletDetails.map(w => ({
+      addr: w.walletAddress,
+      score: w.entryScore ?? null,
+    })),
+  };
+}
+
+/**
+ * Union of entry lists by id, oldest first
+ */
+export function mergeEntries(...lists) {
+  const byId = new Map();
+  for (const list of lists) {
+    for (const entry of list || []) {
+      if (!byId.has(entry.id)) byId.set(entry.id, entry);
+    }
+  }
+  return [...byId.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Index record for a segment file
+ */
+export function segmentRecord(seq, entries, ref) {
+  return {
+    seq,
+    messageId: ref.messageId,
+    fileId: ref.fileId,
+    fileUniqueId: ref.fileUniqueId,
+    count: entries.length,
+    from: entries[0]?.time || null,
+    to: entries[entries.length - 1]?.time || null,
+  };
+}
+
+/**
+ * Merge two segment indexes (the longer version of a segment wins,
+ * it has every entry the shorter one had)
+ */
+export function mergeSegmentIndex(local, remote) {
+  const bySeq = new Map();
+  for (const seg of [...(remote?.segments || []), ...(local?.segments || [])]) {
+    const existing = bySeq.get(seg.seq);
+    if (!existing || seg.count > existing.count) bySeq.set(seg.seq, seg);
+  }
+  return { segments: [...bySeq.values()].sort((a, b) => a.seq - b.seq) };
+}
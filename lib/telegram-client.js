@@ -0,0 +1,421 @@
+/**
+ * Telegram Client - Every Bot API call of the pipeline, API handlers and bots
+ *
+ * callTelegram() queues calls per chat so bursts (signal batches, leaderboard
+ * refreshes) stay under Telegram's limits instead of being dropped:
+ * - Per chat: one call at a time, >= 1s apart, and for groups/channels
+ *   (negative chat ids) at most TELEGRAM_CHAT_RATE per minute
+ * - All chats: at most TELEGRAM_GLOBAL_RATE calls per second
+ * - 429: holds the chat for `retry_after`, then retries; 5xx and network
+ *   errors retry with backoff (TELEGRAM_MAX_RETRIES)
+ * - A call that would wait longer than TELEGRAM_MAX_WAIT_MS is not sent
+ *   (Vercel time limit) and fails with error_code 429
+ *
+ * sendMessage() / sendPhoto() split text over 4096 characters and captions
+ * over 1024 into follow-up messages (HTML tags closed and reopened across
+ * parts). With `persist`, sends that still fail with a retryable error go
+ * to the retry list and are replayed by retryPendingSends(). The list lives
+ * in the store set with setRetryStore() (the leaderboard config in the
+ * archive channel, see LeaderboardManager.retryStore()); without one it
+ * falls back to TELEGRAM_RETRY_FILE, which only lasts as long as the instance.
+ *
+ * Failures are returned, not thrown: { ok: false, error_code, description }
+ * like the Bot API itself (network errors have error_code null).
+ */
+
+import { promises as fs } from 'fs';
+
+const API_BASE = 'https://api.telegram.org';
+
+const CHAT_RATE = parseFloat(process.env.TELEGRAM_CHAT_RATE) || 20;     // per minute, groups/channels
+const GLOBAL_RATE = parseFloat(process.env.TELEGRAM_GLOBAL_RATE) || 30; // per second
+const MAX_RETRIES = parseInt(process.env.TELEGRAM_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.TELEGRAM_MAX_RETRIES, 10) : 2;
+const MAX_WAIT_MS = parseInt(process.env.TELEGRAM_MAX_WAIT_MS, 10) || 20000;
+const REQUEST_TIMEOUT_MS = 15000;
+const BACKOFF_BASE_MS = 500;
+
+// Telegram: 1 message per second per chat (faster only if CHAT_RATE allows it)
+const CHAT_GAP_MS = Math.min(1000, 60000 / CHAT_RATE);
+
+export const MAX_MESSAGE_LENGTH = 4096;
+export const MAX_CAPTION_LENGTH = 1024;
+
+const RETRY_MAX_AGE_MS = 60 * 60 * 1000;
+const RETRY_MAX_ENTRIES = 100;
+
+// ============================================================
+// RATE LIMITS
+// ============================================================
+
+/**
+ * Delay before the next call may go out
+ * @param {Object} state - { sent: [timestamps], pausedUntil }
+ * @param {Object} limits - { gapMs, perWindow, windowMs }
+ * @returns {number} ms to wait (0 = now)
+ */
+export function nextSendDelay(state, now, { gapMs = 0, perWindow = Infinity, windowMs = 60000 } = {}) {
+  while (state.sent.length > 0 && state.sent[0] <= now - windowMs) state.sent.shift();
+
+  const last = state.sent.at(-1);
+  const gap = last !== undefined ? last + gapMs - now : 0;
+  const window = state.sent.length >= perWindow ? state.sent[state.sent.length - perWindow] + windowMs - now : 0;
+  return Math.max(0, gap, window, (state.pausedUntil || 0) - now);
+}
+
+const globalState = { sent: [], pausedUntil: 0 };
+const chats = new Map(); // chatId → { tail, sent, pausedUntil }
+
+function chatState(chatId) {
+  if (!chats.has(chatId)) chats.set(chatId, { tail: Promise.resolve(), sent: [], pausedUntil: 0 });
+  return chats.get(chatId);
+}
+
+function chatLimits(chatId) {
+  const isGroup = String(chatId).startsWith('-');
+  return { gapMs: CHAT_GAP_MS, perWindow: isGroup ? CHAT_RATE : Infinity, windowMs: 60000 };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================
+// REQUESTS
+// ============================================================
+
+function queueFull(waitMs) {
+  const retryAfter = Math.ceil(waitMs / 1000);
+  return { ok: false, error_code: 429, description: `Too Many Requests: queue wait ${retryAfter}s`, parameters: { retry_after: retryAfter } };
+}
+
+/**
+ * One HTTP call (JSON params or FormData)
+ */
+async function post(botToken, method, params) {
+  const isForm = params instanceof FormData;
+  try {
+    const res = await fetch(`${API_BASE}/bot${botToken}/${method}`, {
+      method: 'POST',
+      headers: isForm ? undefined : { 'Content-Type': 'application/json' },
+      body: isForm ? params : JSON.stringify(params),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    try {
+      return await res.json();
+    } catch {
+      return { ok: false, error_code: res.status, description: `HTTP ${res.status}` };
+    }
+  } catch (err) {
+    return { ok: false, error_code: null, description: err.name === 'TimeoutError' ? `no response after ${REQUEST_TIMEOUT_MS}ms` : err.message };
+  }
+}
+
+/**
+ * Whether a failed call may succeed later (rate limit, server or network error)
+ */
+export function isRetryable(result) {
+  return !result.ok && (result.error_code === null || result.error_code === undefined || result.error_code === 429 || result.error_code >= 500);
+}
+
+/**
+ * Call a Bot API method through the chat's queue
+ * @param {Object|FormData} params - Method parameters (chat_id selects the queue)
+ * @param {Object} options - { maxWaitMs }
+ * @returns {Promise<Object>} Bot API response ({ ok, result } or { ok: false, error_code, description })
+ */
+export async function callTelegram(botToken, method, params = {}, { maxWaitMs = MAX_WAIT_MS } = {}) {
+  const chatId = params instanceof FormData ? params.get('chat_id') : params.chat_id;
+  const deadline = Date.now() + maxWaitMs; // includes the time spent queued
+  if (chatId === undefined || chatId === null) return attempt(botToken, method, params, null, deadline);
+
+  // Chain onto the chat's queue: calls to one chat go out in order
+  const chat = chatState(String(chatId));
+  const run = chat.tail.then(() => attempt(botToken, method, params, chat, deadline, chatLimits(chatId)));
+  chat.tail = run.catch(() => {});
+  return run;
+}
+
+async function attempt(botToken, method, params, chat, deadline, limits) {
+  let retryAt = 0;
+  for (let i = 0; ; i++) {
+    const now = Date.now();
+    const wait = Math.max(
+      retryAt - now,
+      chat ? nextSendDelay(chat, now, limits) : 0,
+      nextSendDelay(globalState, now, { perWindow: GLOBAL_RATE, windowMs: 1000 }),
+    );
+    if (now + wait > deadline) return queueFull(wait);
+    if (wait > 0) await sleep(wait);
+
+    const sentAt = Date.now();
+    globalState.sent.push(sentAt);
+    if (chat) chat.sent.push(sentAt);
+
+    const result = await post(botToken, method, params);
+    if (result.ok || !isRetryable(result) || i >= MAX_RETRIES) return result;
+
+    // 429: hold the chat (or every call) for retry_after; else back off
+    const delay = result.error_code === 429
+      ? (result.parameters?.retry_after || 1) * 1000
+      : BACKOFF_BASE_MS * 2 ** i;
+    retryAt = Date.now() + delay;
+    if (result.error_code === 429) (chat || globalState).pausedUntil = retryAt;
+    if (retryAt > deadline) return result;
+    console.log(`   ⏳ Telegram ${method}: ${result.description}, retry ${i + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+  }
+}
+
+// ============================================================
+// SPLITTING
+// ============================================================
+
+const TAG_PATTERN = /<(\/?)([a-z-]+)(?:\s[^>]*)?>/gi;
+
+/**
+ * Split HTML text into parts of at most `limit` characters
+ * Splits at line breaks where possible; tags open at a split are closed at
+ * the end of the part and reopened at the start of the next one.
+ * (Lengths count markup, so parts are never over Telegram's visible-text limit.)
+ * @returns {string[]}
+ */
+export function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  if (text.length <= limit) return [text];
+
+  const parts = [];
+  let part = '';
+  let open = []; // Open tags at the end of `part`: [{ name, tag }]
+
+  const closing = tags => tags.slice().reverse().map(t => `</${t.name}>`).join('');
+  const reopen = tags => tags.map(t => t.tag).join('');
+  const flush = () => {
+    parts.push(part + closing(open));
+    part = reopen(open);
+  };
+
+  for (const line of pieces(text, limit)) {
+    const lineOpen = trackTags(open, line);
+    const room = limit - closing(lineOpen).length;
+    if (part.length + line.length > room && part.length > reopen(open).length) flush();
+    part += line;
+    open = lineOpen;
+  }
+  if (part) parts.push(part + closing(open));
+  return parts.filter(p => p.replace(TAG_PATTERN, '').trim().length > 0);
+}
+
+// Lines (newline kept); lines too long on their own are cut at a space
+function pieces(text, limit) {
+  const max = Math.floor(limit / 2); // leaves room for reopened tags
+  const out = [];
+  for (const line of text.split(/(?<=\n)/)) {
+    let rest = line;
+    while (rest.length > max) {
+      let cut = rest.lastIndexOf(' ', max);
+      if (cut <= 0) cut = max;
+      // Not inside a tag or an entity (&amp;): cut before it, or after it when it leads
+      const tagStart = rest.lastIndexOf('<', cut - 1);
+      if (tagStart > rest.lastIndexOf('>', cut - 1)) cut = tagStart || rest.indexOf('>') + 1 || max;
+      const entityStart = rest.lastIndexOf('&', cut - 1);
+      if (entityStart > rest.lastIndexOf(';', cut - 1)) cut = entityStart || rest.indexOf(';') + 1 || max;
+      out.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    out.push(rest);
+  }
+  return out;
+}
+
+// Open tags after appending `line`
+function trackTags(open, line) {
+  const tags = [...open];
+  for (const [tag, closing, name] of line.matchAll(TAG_PATTERN)) {
+    if (!closing) {
+      tags.push({ name: name.toLowerCase(), tag });
+    } else {
+      const i = tags.map(t => t.name).lastIndexOf(name.toLowerCase());
+      if (i >= 0) tags.splice(i, 1);
+    }
+  }
+  return tags;
+}
+
+// ============================================================
+// SENDING
+// ============================================================
+
+function messageParams(chatId, text, { replyTo = null, replyMarkup = null, topicId = null, preview = false } = {}) {
+  const params = { chat_id: chatId, text, parse_mode: 'HTML', disable_web_page_preview: !preview };
+  if (topicId) params.message_thread_id = topicId;
+  if (replyTo) {
+    params.reply_to_message_id = replyTo;
+    params.allow_sending_without_reply = true; // Don't fail if original deleted
+  }
+  if (replyMarkup) params.reply_markup = replyMarkup;
+  return params;
+}
+
+/**
+ * Keep unsent parts on the retry list (buttons stay on the last part)
+ */
+async function persistParts(chatId, parts, options) {
+  for (let i = 0; i < parts.length; i++) {
+    const last = i === parts.length - 1;
+    await addPendingSend('sendMessage', messageParams(chatId, parts[i], { ...options, replyMarkup: last ? options.replyMarkup : null }));
+  }
+}
+
+/**
+ * Send parts after the first one as replies to it (buttons on the last part)
+ */
+async function sendRest(botToken, chatId, parts, first, options) {
+  for (let i = 0; i < parts.length; i++) {
+    const last = i === parts.length - 1;
+    const result = await callTelegram(botToken, 'sendMessage', messageParams(chatId, parts[i], {
+      ...options,
+      replyTo: first.result.message_id,
+      replyMarkup: last ? options.replyMarkup : null,
+    }));
+    if (!result.ok) {
+      console.log(`   ⚠️ Telegram: part ${i + 2} of ${parts.length + 1} not sent (${result.description})`);
+      if (options.persist && isRetryable(result)) {
+        await persistParts(chatId, parts.slice(i), { ...options, replyTo: first.result.message_id });
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Send an HTML message, split into replies when over 4096 characters
+ * @param {Object} options - { replyTo, replyMarkup, topicId, preview, persist }
+ * @returns {Promise<Object>} Response for the first part
+ */
+export async function sendMessage(botToken, chatId, text, options = {}) {
+  const parts = splitMessage(text, MAX_MESSAGE_LENGTH);
+  const [head, ...rest] = parts;
+  const params = messageParams(chatId, head, rest.length > 0 ? { ...options, replyMarkup: null } : options);
+  const result = await callTelegram(botToken, 'sendMessage', params);
+
+  if (!result.ok) {
+    if (options.persist && isRetryable(result)) await persistParts(chatId, parts, options);
+    return result;
+  }
+  if (rest.length > 0) await sendRest(botToken, chatId, rest, result, options);
+  return result;
+}
+
+/**
+ * Send a photo with an HTML caption; caption over 1024 characters continues in replies
+ * @param {Buffer} photo - PNG
+ * @param {Object} options - { replyTo, replyMarkup, topicId, fileName, persist }
+ *   persist: a failed photo is kept as text messages (the caption)
+ */
+export async function sendPhoto(botToken, chatId, photo, caption = '', options = {}) {
+  const [head, ...rest] = caption ? splitMessage(caption, MAX_CAPTION_LENGTH) : [''];
+  const { replyTo, replyMarkup, topicId, fileName = 'chart.png' } = options;
+
+  const form = new FormData();
+  form.append('chat_id', chatId);
+  if (topicId) form.append('message_thread_id', topicId);
+  form.append('photo', new Blob([photo], { type: 'image/png' }), fileName);
+  if (head) {
+    form.append('caption', head);
+    form.append('parse_mode', 'HTML');
+  }
+  if (replyTo) {
+    form.append('reply_to_message_id', replyTo);
+    form.append('allow_sending_without_reply', 'true');
+  }
+  if (replyMarkup && rest.length === 0) form.append('reply_markup', JSON.stringify(replyMarkup));
+
+  const result = await callTelegram(botToken, 'sendPhoto', form);
+  if (!result.ok) {
+    if (options.persist && isRetryable(result) && caption) {
+      await persistParts(chatId, splitMessage(caption, MAX_MESSAGE_LENGTH), options);
+    }
+    return result;
+  }
+  if (rest.length > 0) await sendRest(botToken, chatId, splitMessage(rest.join(''), MAX_MESSAGE_LENGTH), result, options);
+  return result;
+}
+
+// ============================================================
+// RETRY LIST
+// ============================================================
+
+// { read, write } set by setRetryStore(), null = TELEGRAM_RETRY_FILE
+let retryStore = null;
+
+/**
+ * Keep the retry list in a durable store instead of TELEGRAM_RETRY_FILE
+ * @param {Object|null} store - { read(): Promise<Array>, write(entries): Promise }
+ */
+export function setRetryStore(store) {
+  retryStore = store;
+}
+
+function retryFile() {
+  return process.env.TELEGRAM_RETRY_FILE || '/tmp/telegram-retry.json';
+}
+
+async function readPendingSends() {
+  try {
+    const entries = retryStore ? await retryStore.read() : JSON.parse(await fs.readFile(retryFile(), 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+}
+
+async function writePendingSends(entries) {
+  try {
+    if (retryStore) await retryStore.write(entries);
+    else await fs.writeFile(retryFile(), JSON.stringify(entries));
+  } catch (err) {
+    console.log(`   ⚠️ Could not save Telegram retry list: ${err.message}`);
+  }
+}
+
+/**
+ * Keep a failed send for retryPendingSends() (newest RETRY_MAX_ENTRIES)
+ */
+export async function addPendingSend(method, params, now = Date.now()) {
+  if (!params) return;
+  const entries = await readPendingSends();
+  entries.push({ method, params, time: now });
+  await writePendingSends(entries.slice(-RETRY_MAX_ENTRIES));
+  console.log(`   📥 Telegram ${method} to ${params.chat_id} kept for retry (${Math.min(entries.length, RETRY_MAX_ENTRIES)} pending)`);
+}
+
+/**
+ * Send what is on the retry list, oldest first
+ * Entries older than maxAgeMs are dropped; retryable failures stay listed.
+ * @returns {Promise<Object>} { sent, dropped, pending }
+ */
+export async function retryPendingSends(botToken, { maxAgeMs = RETRY_MAX_AGE_MS, deadline = Infinity, now = Date.now() } = {}) {
+  const entries = await readPendingSends();
+  if (entries.length === 0) return { sent: 0, dropped: 0, pending: 0 };
+
+  const pending = [];
+  let sent = 0;
+  let dropped = 0;
+  for (const entry of entries) {
+    if (now - entry.time > maxAgeMs) {
+      dropped++;
+      continue;
+    }
+    if (Date.now() > deadline) {
+      pending.push(entry);
+      continue;
+    }
+
+    const result = await callTelegram(botToken, entry.method, entry.params);
+    if (result.ok) sent++;
+    else if (isRetryable(result)) pending.push(entry);
+    else dropped++;
+  }
+
+  await writePendingSends(pending);
+  console.log(`   📤 Telegram retry list: ${sent} sent, ${dropped} dropped, ${pending.length} pending`);
+  return { sent, dropped, pending: pending.length };
+}
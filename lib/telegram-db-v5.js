@@ -9,30 +9,76 @@
  * - Auto-migration from v4
  * - File-based storage with pinned document
  * - Efficient upload/download via Telegram API
+ * - Pluggable storage backend (DB_STORAGE=telegram|file|sqlite, see db-storage.js)
+ * - Splits into shards + manifest once the DB passes DB_SHARD_THRESHOLD_BYTES (see db-shards.js)
+ * - Brotli/gzip compressed documents, optional dictionary layout (see db-codec.js)
+ * - Schema validation on load/save (DB_VALIDATE=warn|strict|off, see db-schema.js)
+ * - Append-only signal log in segment files next to the DB (see signal-log.js)
+ * - Pruned records stay queryable in an indexed, chunked archive (see db-archive.js)
  * 
  * Channel Structure:
- * - index-{chain}: Database file storage (sol-db.json)
- * - archive: Leaderboard config + archived data
+ * - index-{chain}: Database file storage (sol-db.json) + signal log segments
+ * - archive: Leaderboard config + archive chunks/index + DB snapshots
+ *   + charts of dead letters (dead-letter.js)
  * 
  * Signal/Leaderboard Channels:
  * - PRIVATE: -1003474351030 (signals + pinned leaderboards)
  * - PUBLIC:  -1003627230339 (weekly summary + pinned leaderboards)
  */
 
+import { createStorage } from './db-storage.js';
+import { mergeDB } from './db-merge.js';
+import { encodeDocument, decodeDocument, formatBytes } from './db-codec.js';
+import { normalizeDump, migrate } from './db-migrate.js';
+import { getValidationMode, validateDocument, summarizeIssues } from './db-schema.js';
+import { getRetentionPolicy, planRetention } from './retention.js';
+import { CHAINS, CHAIN_KEYS, CHAIN_IDS, ENABLED_CHAINS } from './chains.js';
+import { callTelegram, isRetryable, addPendingSend } from './telegram-client.js';
+import { MAX_DEAD_LETTERS } from './dead-letter.js';
+import { DEFAULT_RANKING, getScoringProfile } from './scoring-profiles.js';
+import {
+  chunkFileName,
+  indexFileName,
+  emptyIndex,
+  splitIntoChunks,
+  addChunkToIndex,
+  findIndexedKey,
+} from './db-archive.js';
+import {
+  SEGMENT_SIZE,
+  segmentFileName,
+  segmentRecord,
+  mergeEntries,
+  mergeSegmentIndex,
+} from './signal-log.js';
+import {
+  SHARD_THRESHOLD_BYTES,
+  isManifestFile,
+  walletShardName,
+  allShardNames,
+  expandShardNames,
+  calcWalletShardCount,
+  buildShards,
+  applyShard,
+  mergeShard,
+} from './db-shards.js';
+
 const DAY_MS = 24 * 60 * 60 * 1000;
 
+// Snapshots kept per chain, by retention bucket
+export const SNAPSHOT_RETENTION = {
+  daily: 7,
+  weekly: 4,
+  manual: 10,
+};
+
 // ============================================================
 // CHANNEL CONFIGURATION
 // ============================================================
 
 export const CHANNELS = {
-  // Database storage (file-based)
-  db: {
-    sol: '-1003359608037',
-    eth: '-1003584605646',
-    bsc: '-1003672339048',
-    base: '-1003269677620',
-  },
+  // Database storage (file-based), per chain (chains.js)
+  db: Object.fromEntries(Object.values(CHAINS).map(c => [c.key, c.dbChannel])),
   // Archive + leaderboard config
   archive: '-1003645445736',
   // Signal output channels
@@ -40,24 +86,22 @@ export const CHANNELS = {
   public: null, // Disabled: '-1003627230339'
 };
 
-export const CHAIN_KEYS = {
-  501: 'sol',
-  1: 'eth',
-  56: 'bsc',
-  8453: 'base',
-};
-
-export const CHAIN_IDS = {
-  sol: 501,
-  eth: 1,
-  bsc: 56,
-  base: 8453,
-};
+export { CHAIN_KEYS, CHAIN_IDS };
 
 // ============================================================
 // RANKING ALGORITHMS
 // ============================================================
 
+/**
+ * Token performance multiplier used by the gains leaderboard
+ * If the token never pumped (peakMult ≈ 1) but is now down, show the loss
+ */
+export function calcPeakMult(token) {
+  const storedPeakMult = token.peakMult || (token.pPeak && token.p0 ? token.pPeak / token.p0 : 1);
+  const currentMult = token.mult || (token.pNow && token.p0 ? token.pNow / token.p0 : 1);
+  return storedPeakMult < 1.01 && currentMult < 1.0 ? currentMult : storedPeakMult;
+}
+
 /**
  * Calculate token trending score (0-1)
  * Used for Top 15 trending tokens leaderboard
@@ -109,8 +153,11 @@ export function calcTokenTrendingScore(token, now = Date.now()) {
  * - Confidence: Based on wallet's total entry count (more entries = more confidence)
  * - Recency: Newer entries weighted more (decay factor 0.95^age)
  * - Magnitude: Based on price movement after entry
+ *
+ * Weights, decay and the activity window come from the chain's scoring
+ * profile (scoring-profiles.js, DEFAULT_RANKING = the formula above).
  */
-export function calcWalletRankScore(wallet, tokenPeaks = {}) {
+export function calcWalletRankScore(wallet, tokenPeaks = {}, ranking = DEFAULT_RANKING) {
   const scores = wallet.scores || [];
   const entryCount = wallet.scnt || scores.length || 0;
   
@@ -118,7 +165,6 @@ export function calcWalletRankScore(wallet, tokenPeaks = {}) {
   
   // 1. Weighted Entry Score (60%)
   // Weight each score by recency (newest = highest weight)
-  const RECENCY_DECAY = 0.95;
   let weightedSum = 0;
   let totalWeight = 0;
   
@@ -126,7 +172,7 @@ export function calcWalletRankScore(wallet, tokenPeaks = {}) {
   const recentScores = scores.slice(-10);
   for (let i = 0; i < recentScores.length; i++) {
     const score = recentScores[i];
-    const recencyWeight = Math.pow(RECENCY_DECAY, recentScores.length - i - 1);
+    const recencyWeight = Math.pow(ranking.recencyDecay, recentScores.length - i - 1);
     // Confidence boost for wallets with more entries (sqrt diminishing returns)
     const confidenceWeight = Math.min(Math.sqrt(entryCount) / Math.sqrt(50), 1);
     const weight = recencyWeight * confidenceWeight;
@@ -148,16 +194,17 @@ export function calcWalletRankScore(wallet, tokenPeaks = {}) {
   const consistencyFactor = (wallet.consistency || 50) / 100;
   
   // 3. Recency (20%)
-  // How recently has this wallet been active? (within 7 days = full score)
+  // How recently has this wallet been active? (decays to 0 after activeDays)
   const lastSeen = wallet.lastSeen || 0;
   const daysSinceActive = (Date.now() - lastSeen) / (24 * 60 * 60 * 1000);
-  const recencyFactor = Math.max(0, 1 - (daysSinceActive / 7)); // 0 after 7 days
+  const recencyFactor = Math.max(0, 1 - (daysSinceActive / ranking.activeDays));
   
   // Final score (0-1) then scale to 0-100
+  const { weights } = ranking;
   const rawScore = (
-    qualityScore * 0.60 +
-    consistencyFactor * 0.20 +
-    recencyFactor * 0.20
+    qualityScore * weights.quality +
+    consistencyFactor * weights.consistency +
+    recencyFactor * weights.recency
   );
   
   // Return 0-100 integer
@@ -167,8 +214,8 @@ export function calcWalletRankScore(wallet, tokenPeaks = {}) {
 /**
  * Calculate wallet stars (0-3)
  */
-export function calcWalletStars(wallet, tokenPeaks = {}) {
-  const score = calcWalletRankScore(wallet, tokenPeaks);
+export function calcWalletStars(wallet, tokenPeaks = {}, ranking = DEFAULT_RANKING) {
+  const score = calcWalletRankScore(wallet, tokenPeaks, ranking);
   
   // Calculate win rate
   let wins = 0, total = 0;
@@ -207,105 +254,91 @@ export function calcWalletStars(wallet, tokenPeaks = {}) {
 // ============================================================
 
 export class TelegramDBv5 {
-  constructor(botToken, chainId) {
+  /**
+   * @param {string} botToken - Telegram bot token
+   * @param {number} chainId - OKX chain ID
+   * @param {Object} options
+   * @param {Object} options.storage - Storage adapter override (default: from DB_STORAGE)
+   * @param {Object} options.archiveStorage - Archive channel adapter override
+   */
+  constructor(botToken, chainId, options = {}) {
     this.botToken = botToken;
-    this.apiBase = `https://api.telegram.org/bot${botToken}`;
     this.chainId = chainId;
     this.chainKey = CHAIN_KEYS[chainId] || 'sol';
     this.dbChannel = CHANNELS.db[this.chainKey];
     this.archiveChannel = CHANNELS.archive;
+    this.storage = options.storage || createStorage(botToken, this.dbChannel, this.chainKey);
+    this.archiveStorage = options.archiveStorage || createStorage(botToken, this.archiveChannel, 'archive');
     
     // In-memory database
     this.db = null;
+    this.base = null;        // Copy of the document as loaded (merge base)
     this.fileId = null;
+    this.fileUniqueId = null;
     this.messageId = null;
     this.isDirty = false;
+    
+    // Sharded layout (null while the DB is a single file)
+    this.manifest = null;
+    this.loadedShards = new Set();
+    this.shardRefs = {}; // Shard versions our merge base was loaded from
+    
+    // Signal log (see signal-log.js)
+    this.pendingLog = [];          // Entries not written to a segment yet
+    this.logSegments = new Map();  // fileUniqueId → entries (download cache)
+    
+    // Archive (see db-archive.js)
+    this.archiveIndex = null;
+    this.archiveChunks = new Map(); // seq → chunk document
   }
 
   // ============================================================
-  // TELEGRAM API HELPERS
+  // FILE OPERATIONS
   // ============================================================
 
-  async api(method, params = {}) {
-    const res = await fetch(`${this.apiBase}/${method}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(params),
-    });
-    const json = await res.json();
-    if (!json.ok) throw new Error(`TG API ${method}: ${json.description}`);
-    return json.result;
+  /**
+   * Build document caption
+   */
+  fileCaption(data) {
+    return `📦 ${this.chainKey.toUpperCase()} DB | v${data.version} | ${new Date().toISOString()}`;
   }
 
-  async apiForm(method, formData) {
-    const res = await fetch(`${this.apiBase}/${method}`, {
-      method: 'POST',
-      body: formData,
-    });
-    const json = await res.json();
-    if (!json.ok) throw new Error(`TG API ${method}: ${json.description}`);
-    return json.result;
+  /**
+   * Encode a document for storage (compression + layout, see db-codec.js)
+   */
+  encodeFile(data, filename) {
+    const { buffer, rawBytes, compression, layout } = encodeDocument(data);
+    const change = rawBytes > 0 ? Math.round((buffer.length / rawBytes - 1) * 100) : 0;
+    console.log(`   🗜️ ${filename}: ${formatBytes(rawBytes)} → ${formatBytes(buffer.length)} (${compression}${layout === 'dict' ? '+dict' : ''}, ${change > 0 ? '+' : ''}${change}%)`);
+    return buffer;
   }
 
-  // ============================================================
-  // FILE OPERATIONS
-  // ============================================================
-
   /**
-   * Upload JSON data as file to Telegram
+   * Upload data as file to storage
+   * @param {Object|Buffer} data - Document, or a buffer from encodeFile()
    */
-  async uploadFile(data, filename) {
-    const jsonStr = JSON.stringify(data);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
-    
-    const formData = new FormData();
-    formData.append('chat_id', this.dbChannel);
-    formData.append('document', blob, filename);
-    formData.append('caption', `📦 ${this.chainKey.toUpperCase()} DB | v${data.version} | ${new Date().toISOString()}`);
-    
-    const result = await this.apiForm('sendDocument', formData);
-    return {
-      messageId: result.message_id,
-      fileId: result.document.file_id,
-    };
+  async uploadFile(data, filename, caption = this.fileCaption(data)) {
+    const buffer = Buffer.isBuffer(data) ? data : this.encodeFile(data, filename);
+    const result = await this.storage.upload(buffer, filename, caption);
+    return { ...result, bytes: buffer.length };
   }
 
   /**
    * Update existing file message
+   * @param {Object|Buffer} data - Document, or a buffer from encodeFile()
    */
-  async updateFile(messageId, data, filename) {
-    const jsonStr = JSON.stringify(data);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
-    
-    const formData = new FormData();
-    formData.append('chat_id', this.dbChannel);
-    formData.append('message_id', messageId);
-    formData.append('media', JSON.stringify({
-      type: 'document',
-      media: 'attach://document',
-      caption: `📦 ${this.chainKey.toUpperCase()} DB | v${data.version} | ${new Date().toISOString()}`,
-    }));
-    formData.append('document', blob, filename);
-    
-    const result = await this.apiForm('editMessageMedia', formData);
-    return {
-      messageId: result.message_id,
-      fileId: result.document.file_id,
-    };
+  async updateFile(messageId, data, filename, caption = this.fileCaption(data)) {
+    const buffer = Buffer.isBuffer(data) ? data : this.encodeFile(data, filename);
+    const result = await this.storage.update(messageId, buffer, filename, caption);
+    return { ...result, bytes: buffer.length };
   }
 
   /**
-   * Download file from Telegram
+   * Download file from storage (compressed or legacy plain JSON)
    */
   async downloadFile(fileId) {
-    // Get file path
-    const file = await this.api('getFile', { file_id: fileId });
-    const fileUrl = `https://api.telegram.org/file/bot${this.botToken}/${file.file_path}`;
-    
-    // Download content
-    const res = await fetch(fileUrl);
-    const text = await res.text();
-    return JSON.parse(text);
+    const buffer = await this.storage.download(fileId);
+    return decodeDocument(buffer);
   }
 
   /**
@@ -313,11 +346,7 @@ export class TelegramDBv5 {
    */
   async pinMessage(messageId) {
     try {
-      await this.api('pinChatMessage', {
-        chat_id: this.dbChannel,
-        message_id: messageId,
-        disable_notification: true,
-      });
+      await this.storage.pin(messageId);
     } catch (err) {
       console.log(`   ⚠️ Pin failed (non-fatal): ${err.message}`);
     }
@@ -335,6 +364,7 @@ export class TelegramDBv5 {
       chain: this.chainKey,
       chainId: this.chainId,
       version: 5,
+      rev: 0,              // Incremented on every save (optimistic concurrency)
       updatedAt: Date.now(),
       lastSigs: [],
       tokens: {},
@@ -344,33 +374,58 @@ export class TelegramDBv5 {
   }
 
   /**
-   * Load database from Telegram (or create new)
+   * Load database from storage (or create new)
+   * @param {Object} options
+   * @param {string[]} options.shards - Shards to load when the DB is sharded
+   *   (e.g. ['meta', 'tokens']; 'wallets' = all wallet partitions). Default: all.
    */
-  async load() {
+  async load(options = {}) {
     if (this.db) return this.db;
     
     console.log(`   📂 Loading ${this.chainKey} database...`);
     
     try {
-      // Get chat info to find pinned message
-      const chat = await this.api('getChat', { chat_id: this.dbChannel });
+      // Find pinned message
+      const pinned = await this.storage.getPinned();
+      
+      if (pinned?.fileId && isManifestFile(pinned.fileName)) {
+        // Sharded database: manifest first, then requested shards
+        this.messageId = pinned.messageId;
+        this.fileId = pinned.fileId;
+        this.fileUniqueId = pinned.fileUniqueId;
+        this.manifest = await this.downloadFile(this.fileId);
+        
+        this.db = {
+          ...this.getDefaultDB(),
+          rev: this.manifest.rev || 0,
+          updatedAt: this.manifest.updatedAt,
+        };
+        this.setBase();
+        
+        await this.loadShards(options.shards || allShardNames(this.manifest.walletShards));
+        console.log(`   ✅ Loaded ${this.loadedShards.size}/${Object.keys(this.manifest.shards).length} shards: ${Object.keys(this.db.tokens || {}).length} tokens, ${Object.keys(this.db.wallets || {}).length} wallets`);
+        this.validate('load');
+        return this.db;
+      }
       
-      if (chat.pinned_message?.document) {
+      if (pinned?.fileId) {
         // v5 file-based database exists
-        const doc = chat.pinned_message.document;
-        this.messageId = chat.pinned_message.message_id;
-        this.fileId = doc.file_id;
+        this.messageId = pinned.messageId;
+        this.fileId = pinned.fileId;
+        this.fileUniqueId = pinned.fileUniqueId;
         
-        console.log(`   📥 Downloading ${doc.file_name}...`);
+        console.log(`   📥 Downloading ${pinned.fileName}...`);
         this.db = await this.downloadFile(this.fileId);
+        this.setBase();
         console.log(`   ✅ Loaded: ${Object.keys(this.db.tokens || {}).length} tokens, ${Object.keys(this.db.wallets || {}).length} wallets`);
+        this.validate('load');
         return this.db;
       }
       
       // Check for v4 data to migrate
-      if (chat.pinned_message?.text) {
+      if (pinned?.text) {
         console.log(`   🔄 Found v4 data, migrating...`);
-        this.db = await this.migrateFromV4(chat.pinned_message);
+        this.db = await this.migrateFromV4(pinned);
         await this.save(true); // Force save migrated data
         return this.db;
       }
@@ -378,101 +433,144 @@ export class TelegramDBv5 {
       // Fresh start
       console.log(`   ℹ️ No existing database, starting fresh`);
       this.db = this.getDefaultDB();
+      this.setBase();
       return this.db;
       
     } catch (err) {
       console.log(`   ⚠️ Load error: ${err.message}, starting fresh`);
       this.db = this.getDefaultDB();
+      this.setBase();
       return this.db;
     }
   }
 
   /**
-   * Migrate from v4 (message-based) to v5 (file-based)
+   * Download shards that are not loaded yet (sharded DB only)
+   * @param {string[]} names - Shard names ('wallets' = all wallet partitions)
    */
-  async migrateFromV4(pinnedMessage) {
-    const db = this.getDefaultDB();
+  async loadShards(names) {
+    if (!this.manifest) return;
     
-    try {
-      const text = pinnedMessage.text || '';
-      const lines = text.split('\n');
-      
-      // Skip hash line
-      const jsonStr = lines.slice(1).join('\n');
-      const v4Data = JSON.parse(jsonStr);
+    const walletShards = this.manifest.walletShards;
+    for (const name of expandShardNames(names, walletShards)) {
+      if (this.loadedShards.has(name)) continue;
       
-      // Migrate lastSigs
-      db.lastSigs = v4Data.lastSigs || [];
-      
-      // Migrate trackedTokens → tokens
-      if (v4Data.trackedTokens) {
-        for (const [addr, token] of Object.entries(v4Data.trackedTokens)) {
-          db.tokens[addr] = {
-            sym: token.sym || token.symbol || '???',
-            p0: token.p0 || token.entryPrice || 0,
-            pNow: token.pNow || token.currentPrice || 0,
-            pPeak: token.pPeak || token.peakPrice || 0,
-            pLow: token.pLow || 0,
-            mult: token.mult || token.multiplier || 1,
-            peakMult: token.peakMult || token.mult || 1,
-            scnt: token.scnt || token.signalCount || 1,
-            avgScr: token.avgScr || token.avgScore || 0,
-            firstSeen: token.firstSeen || Date.now(),
-            lastSig: token.lastSig || token.lastSignal || Date.now(),
-            lastMsgId: token.lastMsgId || token.msgId || null,
-            rugged: token.rugged || false,
-            wallets: token.wallets || [],
-          };
-        }
-      }
-      
-      // Migrate tokenPeaks to token data
-      if (v4Data.tokenPeaks) {
-        for (const [addr, peak] of Object.entries(v4Data.tokenPeaks)) {
-          if (db.tokens[addr]) {
-            // Use Math.max to ensure we keep the highest peak
-            const currentPeak = db.tokens[addr].peakMult || 1;
-            db.tokens[addr].peakMult = Math.max(currentPeak, peak);
-          }
-        }
+      const ref = this.manifest.shards[name];
+      const data = ref ? await this.downloadFile(ref.fileId) : null;
+      applyShard(this.db, name, data, walletShards);
+      applyShard(this.base, name, structuredClone(data), walletShards);
+      this.loadedShards.add(name);
+      if (ref) this.shardRefs[name] = ref;
+    }
+  }
+
+  /**
+   * Make sure the wallet records for these addresses are loaded
+   */
+  async ensureWallets(addresses) {
+    if (!this.manifest) return;
+    
+    const names = new Set(addresses.map(addr => walletShardName(addr, this.manifest.walletShards)));
+    await this.loadShards([...names]);
+  }
+
+  /**
+   * Remember the current document as the merge base for the next save
+   */
+  setBase() {
+    this.base = structuredClone(this.db);
+  }
+
+  /**
+   * Compare-before-write: if the stored document moved since our load,
+   * re-load it and reapply our pending changes on top (see db-merge.js)
+   * @param {Object} pinned - Current pinned document pointer
+   * @returns {boolean} True if a merge happened
+   */
+  async mergeRemoteChanges(pinned) {
+    if (!pinned?.fileId || pinned.fileUniqueId === this.fileUniqueId) return false;
+    
+    const remote = await this.downloadFile(pinned.fileId);
+    this.messageId = pinned.messageId;
+    this.fileId = pinned.fileId;
+    this.fileUniqueId = pinned.fileUniqueId;
+    
+    const baseRev = this.base?.rev || 0;
+    if ((remote.rev || 0) === baseRev && remote.updatedAt === this.base?.updatedAt) return false;
+    
+    console.log(`   🔀 Revision moved (${baseRev} → ${remote.rev || 0}), merging changes...`);
+    this.db = mergeDB(this.base, this.db, remote);
+    this.db.rev = remote.rev || 0;
+    return true;
+  }
+
+  /**
+   * Migrate a pinned v4 index message to v5 (pipeline in db-migrate.js)
+   */
+  async migrateFromV4(pinnedMessage) {
+    try {
+      const legacy = normalizeDump(pinnedMessage.text || '', { chainId: this.chainId });
+      const { doc, steps } = migrate(legacy);
+      for (const step of steps) {
+        console.log(`   🔄 v${step.from} → v${step.to}: ${step.notes.join('; ')}`);
       }
       
-      console.log(`   ✅ Migrated ${Object.keys(db.tokens).length} tokens from v4`);
+      const db = { ...this.getDefaultDB(), ...doc, chain: this.chainKey, chainId: this.chainId };
+      console.log(`   ✅ Migrated ${Object.keys(db.tokens).length} tokens from v${legacy.version}`);
       return db;
       
     } catch (err) {
       console.log(`   ⚠️ Migration error: ${err.message}`);
-      return db;
+      return this.getDefaultDB();
     }
   }
 
   /**
-   * Save database to Telegram
+   * Check the document against the declared schema (see db-schema.js)
+   * Wallet/signal → token references are only checked once tokens are loaded.
+   * @param {string} stage - 'load' | 'save'
+   * @returns {Array} Issues found
+   */
+  validate(stage) {
+    const mode = getValidationMode();
+    if (mode === 'off' || !this.db) return [];
+    
+    const checkRefs = !this.manifest || this.loadedShards.has('tokens');
+    const issues = validateDocument(this.db, { checkRefs });
+    if (issues.length === 0) return issues;
+    
+    console.log(`   ⚠️ Schema check (${stage}): ${summarizeIssues(issues)} - run scripts/check-db.js ${this.chainKey}`);
+    if (mode === 'strict' && stage === 'save' && issues.some(i => i.level === 'error')) {
+      const first = issues.find(i => i.level === 'error');
+      throw new Error(`Schema validation failed: ${first.path} ${first.message}`);
+    }
+    return issues;
+  }
+
+  /**
+   * Save database to storage
    */
   async save(force = false) {
     if (!this.db) return;
     if (!force && !this.isDirty) return;
     
-    this.db.updatedAt = Date.now();
-    const filename = `${this.chainKey}-db.json`;
-    
     console.log(`   💾 Saving ${this.chainKey} database...`);
     
     try {
-      if (this.messageId) {
-        // Update existing
-        const result = await this.updateFile(this.messageId, this.db, filename);
-        this.fileId = result.fileId;
-        console.log(`   ✅ Updated: ${Object.keys(this.db.tokens).length} tokens`);
+      this.validate('save');
+      
+      const pinned = this.messageId ? await this.storage.getPinned() : null;
+      const sharded = pinned?.fileName ? isManifestFile(pinned.fileName) : Boolean(this.manifest);
+      
+      if (sharded) {
+        await this.saveSharded(pinned);
       } else {
-        // Create new
-        const result = await this.uploadFile(this.db, filename);
-        this.messageId = result.messageId;
-        this.fileId = result.fileId;
-        await this.pinMessage(this.messageId);
-        console.log(`   ✅ Created & pinned: ${Object.keys(this.db.tokens).length} tokens`);
+        // A restore can replace a sharded DB with a single file
+        this.manifest = null;
+        await this.saveSingle(pinned);
       }
       
+      this.setBase();
       this.isDirty = false;
     } catch (err) {
       console.error(`   ❌ Save error: ${err.message}`);
@@ -480,6 +578,275 @@ export class TelegramDBv5 {
     }
   }
 
+  /**
+   * Save as one document (switches to shards once it gets too big)
+   */
+  async saveSingle(pinned) {
+    const filename = `${this.chainKey}-db.json`;
+    
+    if (this.messageId) {
+      await this.mergeRemoteChanges(pinned);
+    }
+    await this.flushSignalLog();
+    this.db.rev = (this.db.rev || 0) + 1;
+    this.db.updatedAt = Date.now();
+    
+    // Threshold applies to the stored (encoded) size
+    const buffer = this.encodeFile(this.db, filename);
+    if (buffer.length > SHARD_THRESHOLD_BYTES) {
+      console.log(`   📦 DB is ${formatBytes(buffer.length)} stored, splitting into shards...`);
+      await this.convertToShards();
+      return;
+    }
+    
+    const caption = this.fileCaption(this.db);
+    if (this.messageId) {
+      // Update existing
+      const result = await this.updateFile(this.messageId, buffer, filename, caption);
+      this.fileId = result.fileId;
+      this.fileUniqueId = result.fileUniqueId;
+      console.log(`   ✅ Updated: ${Object.keys(this.db.tokens).length} tokens (rev ${this.db.rev})`);
+    } else {
+      // Create new
+      const result = await this.uploadFile(buffer, filename, caption);
+      this.messageId = result.messageId;
+      this.fileId = result.fileId;
+      this.fileUniqueId = result.fileUniqueId;
+      await this.pinMessage(this.messageId);
+      console.log(`   ✅ Created & pinned: ${Object.keys(this.db.tokens).length} tokens`);
+    }
+  }
+
+  /**
+   * Shard document caption
+   */
+  shardCaption(name) {
+    return `📦 ${this.chainKey.toUpperCase()} DB shard ${name} | ${new Date().toISOString()}`;
+  }
+
+  /**
+   * Build the manifest document
+   */
+  buildManifest(walletShards, shards, rev) {
+    return {
+      chain: this.chainKey,
+      chainId: this.chainId,
+      version: 5,
+      format: 'sharded',
+      rev,
+      updatedAt: Date.now(),
+      walletShards,
+      shards,
+    };
+  }
+
+  /**
+   * Split the single-file DB into shards and pin a new manifest
+   */
+  async convertToShards() {
+    const walletShards = calcWalletShardCount(this.db.wallets);
+    const shards = buildShards(this.db, walletShards);
+    const refs = {};
+    
+    for (const [name, data] of Object.entries(shards)) {
+      const result = await this.uploadFile(data, `${this.chainKey}-${name}.json`, this.shardCaption(name));
+      refs[name] = { messageId: result.messageId, fileId: result.fileId, fileUniqueId: result.fileUniqueId };
+    }
+    
+    this.manifest = this.buildManifest(walletShards, refs, this.db.rev);
+    const result = await this.uploadFile(this.manifest, `${this.chainKey}-manifest.json`);
+    this.messageId = result.messageId;
+    this.fileId = result.fileId;
+    this.fileUniqueId = result.fileUniqueId;
+    this.loadedShards = new Set(Object.keys(shards));
+    this.shardRefs = { ...refs };
+    await this.pinMessage(this.messageId);
+    
+    console.log(`   ✅ Sharded into ${Object.keys(shards).length} files (${walletShards} wallet partitions)`);
+  }
+
+  /**
+   * Save changed shards, merging any shard another writer changed since our load
+   */
+  async saveSharded(pinned) {
+    let remote = this.manifest;
+    if (pinned?.fileId && pinned.fileUniqueId !== this.fileUniqueId) {
+      remote = await this.downloadFile(pinned.fileId);
+      this.messageId = pinned.messageId;
+      this.fileId = pinned.fileId;
+      this.fileUniqueId = pinned.fileUniqueId;
+    }
+    
+    if (!this.manifest) {
+      // Another writer sharded the DB while we held a full single-file copy
+      console.log(`   🔀 DB was sharded by another writer, switching to shards...`);
+      this.loadedShards = new Set(allShardNames(remote.walletShards));
+    }
+    
+    // Segment index lives in meta: pick up segments another writer appended
+    const remoteMeta = remote.shards.meta;
+    if (this.pendingLog.length > 0 && remoteMeta && remoteMeta.fileUniqueId !== this.shardRefs.meta?.fileUniqueId) {
+      const meta = await this.downloadFile(remoteMeta.fileId);
+      this.db.signalLog = mergeSegmentIndex(this.db.signalLog, meta.signalLog);
+    }
+    await this.flushSignalLog();
+    
+    const walletShards = remote.walletShards;
+    const localShards = buildShards(this.db, walletShards, this.loadedShards);
+    const baseShards = buildShards(this.base, walletShards, this.loadedShards);
+    const refs = {};
+    
+    for (const [name, data] of Object.entries(localShards)) {
+      if (JSON.stringify(data) === JSON.stringify(baseShards[name])) continue;
+      
+      const remoteRef = remote.shards[name];
+      const baseRef = this.shardRefs[name];
+      let shard = data;
+      
+      if (remoteRef && remoteRef.fileUniqueId !== baseRef?.fileUniqueId) {
+        console.log(`   🔀 Shard ${name} changed remotely, merging...`);
+        const remoteShard = await this.downloadFile(remoteRef.fileId);
+        shard = mergeShard(baseShards[name], data, remoteShard);
+        applyShard(this.db, name, shard, walletShards);
+      }
+      
+      const filename = `${this.chainKey}-${name}.json`;
+      const result = remoteRef
+        ? await this.updateFile(remoteRef.messageId, shard, filename, this.shardCaption(name))
+        : await this.uploadFile(shard, filename, this.shardCaption(name));
+      refs[name] = { messageId: result.messageId, fileId: result.fileId, fileUniqueId: result.fileUniqueId };
+      this.shardRefs[name] = refs[name];
+      
+      if (result.bytes > SHARD_THRESHOLD_BYTES) {
+        console.log(`   ⚠️ Shard ${name} is over the shard threshold`);
+      }
+    }
+    
+    this.manifest = this.buildManifest(walletShards, { ...remote.shards, ...refs }, (remote.rev || 0) + 1);
+    this.db.rev = this.manifest.rev;
+    this.db.updatedAt = this.manifest.updatedAt;
+    
+    const result = await this.updateFile(this.messageId, this.manifest, `${this.chainKey}-manifest.json`);
+    this.fileId = result.fileId;
+    this.fileUniqueId = result.fileUniqueId;
+    console.log(`   ✅ Updated ${Object.keys(refs).length} shard(s) (rev ${this.manifest.rev})`);
+  }
+
+  // ============================================================
+  // SIGNAL LOG
+  // ============================================================
+
+  /**
+   * Queue a signal for the append-only log (written on save)
+   * @param {Object} entry - From buildLogEntry() (signal-log.js)
+   */
+  appendSignalLog(entry) {
+    if (!this.db) return;
+    this.pendingLog.push(entry);
+    this.isDirty = true;
+  }
+
+  /**
+   * Download a segment's entries (cached per file version)
+   */
+  async readSegment(segment) {
+    if (!this.logSegments.has(segment.fileUniqueId)) {
+      const data = await this.downloadFile(segment.fileId);
+      this.logSegments.set(segment.fileUniqueId, data.entries || []);
+    }
+    return this.logSegments.get(segment.fileUniqueId);
+  }
+
+  /**
+   * Append pending entries to the open segment, starting new segments when full
+   * Runs after the remote merge, so the index already points at the newest
+   * version of the open segment.
+   */
+  async flushSignalLog() {
+    if (this.pendingLog.length === 0) return;
+    
+    const segments = [...(this.db.signalLog?.segments || [])];
+    let open = segments[segments.length - 1];
+    let queue = this.pendingLog;
+    
+    if (open && open.count < SEGMENT_SIZE) {
+      const entries = mergeEntries(await this.readSegment(open), queue);
+      queue = entries.slice(SEGMENT_SIZE);
+      await this.writeSegment(segments, open.seq, entries.slice(0, SEGMENT_SIZE), open.messageId);
+    } else {
+      queue = mergeEntries(queue);
+    }
+    
+    while (queue.length > 0) {
+      const seq = (segments[segments.length - 1]?.seq || 0) + 1;
+      await this.writeSegment(segments, seq, queue.slice(0, SEGMENT_SIZE), null);
+      queue = queue.slice(SEGMENT_SIZE);
+    }
+    
+    console.log(`   📜 Signal log: +${this.pendingLog.length} (${segments.length} segments)`);
+    this.db.signalLog = { segments };
+    this.pendingLog = [];
+  }
+
+  /**
+   * Write one segment file and update its index record in `segments`
+   */
+  async writeSegment(segments, seq, entries, messageId) {
+    const filename = segmentFileName(this.chainKey, seq);
+    const data = { chain: this.chainKey, seq, entries };
+    const caption = `📜 ${this.chainKey.toUpperCase()} signal log #${seq} | ${entries.length} signals`;
+    const result = messageId
+      ? await this.updateFile(messageId, data, filename, caption)
+      : await this.uploadFile(data, filename, caption);
+    
+    this.logSegments.set(result.fileUniqueId, entries);
+    const record = segmentRecord(seq, entries, result);
+    const i = segments.findIndex(s => s.seq === seq);
+    if (i >= 0) segments[i] = record;
+    else segments.push(record);
+  }
+
+  /**
+   * All logged signals (oldest first), including ones not saved yet
+   * @param {Object} options
+   * @param {number} options.since - Skip signals before this time (ms)
+   */
+  async getSignalLog(options = {}) {
+    const { since = 0 } = options;
+    const segments = (this.db?.signalLog?.segments || []).filter(s => !s.to || s.to >= since);
+    
+    const lists = [];
+    for (const segment of segments) {
+      lists.push(await this.readSegment(segment));
+    }
+    return mergeEntries(...lists, this.pendingLog).filter(e => e.time >= since);
+  }
+
+  /**
+   * Every logged signal for a token (oldest first)
+   * Only reads segments that end after the token was first stored. firstSeen
+   * is processing time, so a day of slack covers signals OKX reported late.
+   */
+  async getTokenSignals(tokenAddress) {
+    const firstSeen = this.db?.tokens?.[tokenAddress]?.firstSeen || 0;
+    const entries = await this.getSignalLog({ since: Math.max(0, firstSeen - DAY_MS) });
+    return entries.filter(e => e.token === tokenAddress);
+  }
+
+  /**
+   * Every logged signal a wallet was part of (oldest first)
+   * Each result carries the wallet's own entry score as `walletScore`.
+   */
+  async getWalletSignals(walletAddress) {
+    const entries = await this.getSignalLog();
+    const result = [];
+    for (const entry of entries) {
+      const w = entry.wallets.find(w => w.addr === walletAddress);
+      if (w) result.push({ ...entry, walletScore: w.score });
+    }
+    return result;
+  }
+
   // ============================================================
   // DATA ACCESS METHODS
   // ============================================================
@@ -605,19 +972,48 @@ export class TelegramDBv5 {
     return this.db?.recentSignals || [];
   }
 
+  /**
+   * Get parked signal posts (see dead-letter.js)
+   */
+  getDeadLetters() {
+    return this.db?.deadLetters || [];
+  }
+
+  /**
+   * Park a failed signal post, or update a parked one (by id)
+   */
+  putDeadLetter(entry) {
+    if (!this.db) return;
+    
+    const others = (this.db.deadLetters || []).filter(e => e.id !== entry.id);
+    this.db.deadLetters = [...others, entry].slice(-MAX_DEAD_LETTERS);
+    this.isDirty = true;
+  }
+
+  /**
+   * Remove a parked signal post (sent or dropped)
+   */
+  removeDeadLetter(id) {
+    if (!this.db?.deadLetters) return;
+    
+    this.db.deadLetters = this.db.deadLetters.filter(e => e.id !== id);
+    this.isDirty = true;
+  }
+
   // ============================================================
   // STATS TRACKING
   // ============================================================
 
   /**
    * Initialize stats object if missing
+   * @param {number} time - Current time (ms)
    */
-  initStats() {
+  initStats(time = Date.now()) {
     if (!this.db) return;
     if (this.db.stats) return; // Already exists
     
-    const today = new Date().toISOString().slice(0, 10);
-    const weekStart = this.getWeekStart();
+    const today = new Date(time).toISOString().slice(0, 10);
+    const weekStart = this.getWeekStart(time);
     const month = today.slice(0, 7);
     
     this.db.stats = {
@@ -689,8 +1085,8 @@ export class TelegramDBv5 {
   /**
    * Get Monday of current week (ISO week)
    */
-  getWeekStart() {
-    const now = new Date();
+  getWeekStart(time = Date.now()) {
+    const now = new Date(time);
     const day = now.getUTCDay();
     const diff = now.getUTCDate() - day + (day === 0 ? -6 : 1);
     const monday = new Date(now.setUTCDate(diff));
@@ -801,13 +1197,14 @@ export class TelegramDBv5 {
 
   /**
    * Check and perform rollovers (call at start of update-prices)
+   * @param {number} time - Current time (ms)
    */
-  checkRollovers() {
-    this.initStats();
+  checkRollovers(time = Date.now()) {
+    this.initStats(time);
     const stats = this.db.stats;
-    const now = new Date();
+    const now = new Date(time);
     const today = now.toISOString().slice(0, 10);
-    const weekStart = this.getWeekStart();
+    const weekStart = this.getWeekStart(time);
     const month = today.slice(0, 7);
     
     // Daily rollover
@@ -924,10 +1321,11 @@ export class TelegramDBv5 {
    * Get gains leaderboard for a specific time period
    * Returns tokens sorted by peakMult with stats
    * 
-   * @param {string} period - Time period: '1h', '6h', '12h', '24h', '2d', '3d', '7d', '2w', '3w', '4w'
+   * @param {string} period - Time period: '1h', '6h', '12h', '24h', '2d', '3d', '7d', '2w', '3w', '4w', 'all'
    * @param {number} n - Max tokens to return
+   * @param {Object} archivedTokens - Pruned tokens to include (from getArchivedTokens())
    */
-  getGainsLeaderboard(period = '7d', n = 15) {
+  getGainsLeaderboard(period = '7d', n = 15, archivedTokens = {}) {
     const now = Date.now();
     
     // Parse period to milliseconds
@@ -949,14 +1347,12 @@ export class TelegramDBv5 {
     
     const cutoff = now - periodMs;
     
-    // Get all tokens within time period
-    const tokens = Object.entries(this.db?.tokens || {})
+    // Get all tokens within time period (live record wins over an archived one)
+    const tokens = Object.entries({ ...archivedTokens, ...this.db?.tokens })
       .map(([addr, token]) => {
-        const storedPeakMult = token.peakMult || (token.pPeak && token.p0 ? token.pPeak / token.p0 : 1);
         const currentMult = token.mult || (token.pNow && token.p0 ? token.pNow / token.p0 : 1);
-        // True performance: if token never pumped (peakMult ≈ 1) but is now down, show the loss
-        // peakMult reflects ATH, but for tokens that never had ATH > entry, show current reality
-        const peakMult = storedPeakMult < 1.01 && currentMult < 1.0 ? currentMult : storedPeakMult;
+        // True performance: peakMult reflects ATH, but for tokens that never had ATH > entry, show current reality
+        const peakMult = calcPeakMult(token);
         return {
           addr,
           sym: token.sym || 'UNKNOWN',
@@ -1025,14 +1421,15 @@ export class TelegramDBv5 {
    */
   getTopWallets(n = 15) {
     const tokenPeaks = this.getTokenPeaks();
+    const { ranking } = getScoringProfile(this.chainKey);
     const cutoff = Date.now() - 7 * DAY_MS;
     
     const wallets = Object.entries(this.db?.wallets || {})
       .map(([addr, wallet]) => ({
         addr,
         ...wallet,
-        rankScore: calcWalletRankScore(wallet, tokenPeaks),
-        stars: calcWalletStars(wallet, tokenPeaks),
+        rankScore: calcWalletRankScore(wallet, tokenPeaks, ranking),
+        stars: calcWalletStars(wallet, tokenPeaks, ranking),
       }))
       .filter(w => (w.lastSeen || 0) > cutoff)
       .sort((a, b) => b.rankScore - a.rankScore)
@@ -1056,99 +1453,283 @@ export class TelegramDBv5 {
   }
 
   /**
-   * Prune old data (called by cleanup cron)
-   * Returns pruned counts, optionally archives data before deletion
+   * Evaluate the retention policy (see retention.js) without changing anything
+   * @param {Object} policy - Default: getRetentionPolicy(chain)
+   * @returns {Object} Plan of records to prune/archive per record type
    */
-  pruneOldData(maxAgeDays = 30, shouldArchive = false) {
-    if (!this.db) return { tokens: 0, wallets: 0, signals: 0, archived: null };
-    
-    const cutoff = Date.now() - (maxAgeDays * DAY_MS);
-    let prunedTokens = 0, prunedWallets = 0, prunedSignals = 0;
-    const archived = shouldArchive ? { tokens: {}, wallets: {} } : null;
-    
-    // Prune tokens older than maxAgeDays with no recent signals
-    // EXCEPTION: Keep tokens that are currently winning (> 1.0x) for up to 7 days
-    const winnerCutoff = Date.now() - (7 * DAY_MS);
+  planRetention(policy = getRetentionPolicy(this.chainKey)) {
+    if (!this.db) return { tokens: [], wallets: [], recentSignals: [] };
     
-    for (const [addr, token] of Object.entries(this.db.tokens || {})) {
-      const isWinner = (token.mult || 0) >= 1.0;
-      const tokenCutoff = isWinner ? winnerCutoff : cutoff;
-      
-      if ((token.lastSig || 0) < tokenCutoff) {
-        if (archived) archived.tokens[addr] = token;
-        delete this.db.tokens[addr];
-        prunedTokens++;
-      }
-    }
+    const tokenPeaks = this.getTokenPeaks();
+    const { ranking } = getScoringProfile(this.chainKey);
+    return planRetention(this.db, policy, {
+      derive: {
+        wallets: (wallet) => ({
+          rankScore: calcWalletRankScore(wallet, tokenPeaks, ranking),
+          stars: calcWalletStars(wallet, tokenPeaks, ranking),
+        }),
+      },
+    });
+  }
+
+  /**
+   * Prune old data per the retention policy (called by cleanup cron)
+   * @param {Object} options
+   * @param {Object} options.policy - Retention policy (default: getRetentionPolicy(chain))
+   * @param {boolean} options.dryRun - Only report what would be pruned/archived
+   * @param {boolean} options.archiveAll - Archive every pruned record, not just archive rules
+   * @returns {{ tokens, wallets, signals, archived, plan }} Counts, records to archive, plan
+   */
+  pruneOldData(options = {}) {
+    const { policy, dryRun = false, archiveAll = false } = options;
+    const plan = this.planRetention(policy);
+    const result = {
+      tokens: plan.tokens.length,
+      wallets: plan.wallets.length,
+      signals: plan.recentSignals.length,
+      archived: null,
+      plan,
+    };
+    if (dryRun || !this.db) return result;
     
-    // Prune wallets not seen in 7 days (unless high score)
-    const walletCutoff = Date.now() - (7 * DAY_MS);
-    for (const [addr, wallet] of Object.entries(this.db.wallets || {})) {
-      const score = calcWalletRankScore(wallet, this.getTokenPeaks());
-      if ((wallet.lastSeen || 0) < walletCutoff && score < 0.5) {
-        if (archived) archived.wallets[addr] = wallet;
-        delete this.db.wallets[addr];
-        prunedWallets++;
+    const archived = { tokens: {}, wallets: {} };
+    for (const type of ['tokens', 'wallets']) {
+      for (const { key, action } of plan[type]) {
+        if (archiveAll || action === 'archive') archived[type][key] = this.db[type][key];
+        delete this.db[type][key];
       }
     }
     
-    // Prune recent signals older than 7 days
-    const signalCutoff = Date.now() - (7 * DAY_MS);
-    const beforeCount = (this.db.recentSignals || []).length;
-    this.db.recentSignals = (this.db.recentSignals || []).filter(s => s.time > signalCutoff);
-    prunedSignals = beforeCount - this.db.recentSignals.length;
+    const prunedIds = new Set(plan.recentSignals.map(p => p.key));
+    this.db.recentSignals = (this.db.recentSignals || []).filter(s => !prunedIds.has(s.id));
     
-    if (prunedTokens || prunedWallets || prunedSignals) {
+    if (result.tokens || result.wallets || result.signals) {
       this.isDirty = true;
     }
     
-    return { tokens: prunedTokens, wallets: prunedWallets, signals: prunedSignals, archived };
+    result.archived = archived;
+    return result;
   }
 
   /**
-   * Archive old data to separate file (for long-term storage)
-   * Call this before pruneOldData to save historical data
+   * Prune old data and archive every removed record (for long-term storage)
    */
-  async archiveOldData(maxAgeDays = 30) {
-    const { archived, tokens, wallets, signals } = this.pruneOldData(maxAgeDays, true);
+  async archiveOldData(options = {}) {
+    const { archived, tokens, wallets, signals } = this.pruneOldData({ ...options, archiveAll: true });
+    const { archivedTokens, archivedWallets } = await this.writeArchive(archived);
     
-    if (!archived || (Object.keys(archived.tokens).length === 0 && Object.keys(archived.wallets).length === 0)) {
+    return {
+      archivedTokens,
+      archivedWallets,
+      prunedTokens: tokens,
+      prunedWallets: wallets,
+      prunedSignals: signals,
+    };
+  }
+
+  // ============================================================
+  // ARCHIVE
+  // ============================================================
+
+  /**
+   * Load this chain's archive index (empty if nothing was archived yet)
+   */
+  async loadArchiveIndex() {
+    if (this.archiveIndex) return this.archiveIndex;
+    
+    const ref = this.db?.archiveIndex;
+    this.archiveIndex = ref?.fileId
+      ? decodeDocument(await this.archiveStorage.download(ref.fileId))
+      : emptyIndex(this.chainKey);
+    return this.archiveIndex;
+  }
+
+  /**
+   * Download an archive chunk (cached)
+   */
+  async readArchiveChunk(seq) {
+    if (!this.archiveChunks.has(seq)) {
+      const index = await this.loadArchiveIndex();
+      const chunk = index.chunks.find(c => c.seq === seq);
+      if (!chunk) throw new Error(`Archive chunk ${seq} not in index`);
+      this.archiveChunks.set(seq, decodeDocument(await this.archiveStorage.download(chunk.fileId)));
+    }
+    return this.archiveChunks.get(seq);
+  }
+
+  /**
+   * Upload pruned records as archive chunks and update the archive index
+   * Throws if an upload fails, so callers can skip saving the pruned DB.
+   * @param {Object} archived - { tokens, wallets } from pruneOldData()
+   */
+  async writeArchive(archived) {
+    const chunks = archived ? splitIntoChunks(archived) : [];
+    if (chunks.length === 0) {
       return { archivedTokens: 0, archivedWallets: 0 };
     }
     
-    // Save archived data to archive channel
-    const month = new Date().toISOString().slice(0, 7); // YYYY-MM
-    const filename = `${this.chainKey}-archive-${month}.json`;
+    const index = await this.loadArchiveIndex();
+    const archivedAt = Date.now();
+    const month = new Date(archivedAt).toISOString().slice(0, 7); // YYYY-MM
+    const chain = this.chainKey.toUpperCase();
     
-    const archiveData = {
-      chain: this.chainKey,
-      archivedAt: Date.now(),
-      month,
-      tokens: archived.tokens,
-      wallets: archived.wallets,
-    };
-    
-    try {
-      const blob = new Blob([JSON.stringify(archiveData, null, 2)], { type: 'application/json' });
-      const formData = new FormData();
-      formData.append('chat_id', CHANNELS.archive);
-      formData.append('document', blob, filename);
-      formData.append('caption', `📦 Archive: ${this.chainKey.toUpperCase()} ${month} | ${Object.keys(archived.tokens).length} tokens, ${Object.keys(archived.wallets).length} wallets`);
+    for (const chunk of chunks) {
+      const seq = (index.chunks[index.chunks.length - 1]?.seq || 0) + 1;
+      const filename = chunkFileName(this.chainKey, month, seq);
+      const doc = { chain: this.chainKey, month, seq, archivedAt, ...chunk };
+      const caption = `📦 Archive: ${chain} ${month} #${seq} | ${Object.keys(chunk.tokens).length} tokens, ${Object.keys(chunk.wallets).length} wallets`;
       
-      await fetch(`${this.apiBase}/sendDocument`, { method: 'POST', body: formData });
-      console.log(`   📦 Archived ${Object.keys(archived.tokens).length} tokens, ${Object.keys(archived.wallets).length} wallets to ${filename}`);
-    } catch (err) {
-      console.error(`   ⚠️ Archive failed: ${err.message}`);
+      const result = await this.archiveStorage.upload(this.encodeFile(doc, filename), filename, caption);
+      addChunkToIndex(index, chunk, { seq, month, archivedAt }, result);
+      this.archiveChunks.set(seq, doc);
     }
     
+    // Index: one document per chain, edited in place
+    const filename = indexFileName(this.chainKey);
+    const tokens = Object.keys(index.tokens).length;
+    const wallets = Object.keys(index.wallets).length;
+    const caption = `🗂️ Archive index: ${chain} | ${tokens} tokens, ${wallets} wallets, ${index.chunks.length} chunks`;
+    const buffer = this.encodeFile(index, filename);
+    const ref = this.db.archiveIndex?.messageId
+      ? await this.archiveStorage.update(this.db.archiveIndex.messageId, buffer, filename, caption)
+      : await this.archiveStorage.upload(buffer, filename, caption);
+    
+    this.db.archiveIndex = { messageId: ref.messageId, fileId: ref.fileId, chunks: index.chunks.length, tokens, wallets };
+    this.isDirty = true;
+    
+    const archivedTokens = chunks.reduce((sum, c) => sum + Object.keys(c.tokens).length, 0);
+    const archivedWallets = chunks.reduce((sum, c) => sum + Object.keys(c.wallets).length, 0);
+    console.log(`   📦 Archived ${archivedTokens} tokens, ${archivedWallets} wallets in ${chunks.length} chunk(s)`);
+    return { archivedTokens, archivedWallets };
+  }
+
+  /**
+   * Look up an archived record
+   * @param {string} type - 'tokens' | 'wallets'
+   * @returns {Object|null} { address, record, month, archivedAt }
+   */
+  async findArchived(type, address) {
+    if (!this.db?.archiveIndex) return null;
+    
+    const index = await this.loadArchiveIndex();
+    const key = findIndexedKey(index[type], address);
+    if (!key) return null;
+    
+    const chunk = await this.readArchiveChunk(index[type][key]);
+    const record = chunk[type]?.[key];
+    return record ? { address: key, record, month: chunk.month, archivedAt: chunk.archivedAt } : null;
+  }
+
+  /**
+   * Look up an archived token (e.g. /pnl for a token past retention)
+   */
+  async findArchivedToken(address) {
+    return this.findArchived('tokens', address);
+  }
+
+  /**
+   * Look up an archived wallet
+   */
+  async findArchivedWallet(address) {
+    return this.findArchived('wallets', address);
+  }
+
+  /**
+   * All archived tokens (newest archive of each address), e.g. for all-time stats
+   */
+  async getArchivedTokens() {
+    if (!this.db?.archiveIndex) return {};
+    
+    const index = await this.loadArchiveIndex();
+    const tokens = {};
+    for (const { seq } of index.chunks) {
+      const chunk = await this.readArchiveChunk(seq);
+      for (const [addr, token] of Object.entries(chunk.tokens || {})) {
+        if (index.tokens[addr] === seq) tokens[addr] = token;
+      }
+    }
+    return tokens;
+  }
+
+  // ============================================================
+  // SNAPSHOTS
+  // ============================================================
+
+  /**
+   * Post an immutable copy of the full DB to the archive channel
+   * (index + retention live in the leaderboard config, see LeaderboardManager)
+   * @param {string[]} kinds - Retention buckets ('daily', 'weekly', 'manual')
+   * @returns {Object} Snapshot index entry
+   */
+  async createSnapshot(kinds = ['manual']) {
+    if (!this.db) await this.load();
+    if (this.manifest) await this.loadShards(allShardNames(this.manifest.walletShards));
+    
+    const now = new Date();
+    const stamp = now.toISOString().slice(0, 16).replace(':', '-'); // YYYY-MM-DDTHH-mm
+    const filename = `${this.chainKey}-snapshot-${stamp}.json`;
+    const tokens = Object.keys(this.db.tokens || {}).length;
+    const wallets = Object.keys(this.db.wallets || {}).length;
+    const caption = `🗄️ Snapshot: ${this.chainKey.toUpperCase()} | ${kinds.join('+')} | rev ${this.db.rev || 0} | ${tokens} tokens, ${wallets} wallets`;
+    
+    const buffer = this.encodeFile(this.db, filename);
+    const result = await this.archiveStorage.upload(buffer, filename, caption);
+    console.log(`   🗄️ Snapshot ${filename} posted (${kinds.join('+')})`);
+    
     return {
-      archivedTokens: Object.keys(archived.tokens).length,
-      archivedWallets: Object.keys(archived.wallets).length,
-      prunedTokens: tokens,
-      prunedWallets: wallets,
-      prunedSignals: signals,
+      messageId: result.messageId,
+      fileId: result.fileId,
+      kinds,
+      day: now.toISOString().slice(0, 10),
+      week: this.getWeekStart(),
+      rev: this.db.rev || 0,
+      createdAt: now.getTime(),
+      tokens,
+      wallets,
+      bytes: buffer.length,
     };
   }
+
+  /**
+   * Download a snapshot document
+   */
+  async downloadSnapshot(entry) {
+    const buffer = await this.archiveStorage.download(entry.fileId);
+    return decodeDocument(buffer);
+  }
+
+  /**
+   * Restore a snapshot as the new pinned DB
+   * Writers that loaded the old head merge their pending changes on top of it.
+   * @param {Object} [snapshot] - Snapshot document if already downloaded
+   */
+  async restoreSnapshot(entry, snapshot = null) {
+    snapshot = snapshot || await this.downloadSnapshot(entry);
+    if (snapshot.chain && snapshot.chain !== this.chainKey) {
+      throw new Error(`Snapshot is for ${snapshot.chain}, not ${this.chainKey}`);
+    }
+    
+    // Keep rev monotonic so the restore is visible as a new revision
+    // The signal log is append-only: keep segments written after the snapshot
+    const currentRev = this.db?.rev || 0;
+    this.db = {
+      ...snapshot,
+      rev: Math.max(currentRev, snapshot.rev || 0),
+      signalLog: mergeSegmentIndex(this.db?.signalLog, snapshot.signalLog),
+      archiveIndex: this.db?.archiveIndex || snapshot.archiveIndex, // Archive only grows
+    };
+    this.messageId = null;
+    this.fileId = null;
+    this.fileUniqueId = null;
+    this.manifest = null;
+    this.loadedShards = new Set();
+    this.shardRefs = {};
+    this.setBase();
+    
+    await this.save(true);
+    console.log(`   ♻️ Restored ${this.chainKey} snapshot from ${new Date(entry.createdAt).toISOString()} (rev ${snapshot.rev || 0} → ${this.db.rev})`);
+    return this.db;
+  }
 }
 
 // ============================================================
@@ -1156,12 +1737,12 @@ export class TelegramDBv5 {
 // ============================================================
 
 // Chain emoji/hashtag mapping
-const CHAIN_TAGS = {
-  sol: { emoji: '🟣', tag: '#SOL', name: 'SOL' },
-  eth: { emoji: '🔷', tag: '#ETH', name: 'ETH' },
-  bsc: { emoji: '🔶', tag: '#BSC', name: 'BSC' },
-  base: { emoji: '🔵', tag: '#BASE', name: 'BASE' },
-};
+const CHAIN_TAGS = Object.fromEntries(Object.values(CHAINS).map(c => [
+  c.key, { emoji: c.emoji, tag: `#${c.name}`, name: c.name },
+]));
+
+// Leaderboard posts and edits kept for retryPendingSends() when they fail
+const RETRIED_METHODS = new Set(['sendMessage', 'editMessageText']);
 
 /**
  * Get score emoji based on avg score (-2 to +2)
@@ -1184,10 +1765,15 @@ function buildMsgLink(channelId, msgId) {
 }
 
 export class LeaderboardManager {
-  constructor(botToken) {
+  /**
+   * @param {string} botToken - Telegram bot token
+   * @param {Object} options
+   * @param {Object} options.storage - Config storage adapter override (default: from DB_STORAGE)
+   */
+  constructor(botToken, options = {}) {
     this.botToken = botToken;
-    this.apiBase = `https://api.telegram.org/bot${botToken}`;
     this.archiveChannel = CHANNELS.archive;
+    this.storage = options.storage || createStorage(botToken, this.archiveChannel, 'archive');
     this.privateChannel = CHANNELS.private;
     this.publicChannel = CHANNELS.public;
     
@@ -1195,14 +1781,16 @@ export class LeaderboardManager {
     this.config = null;
   }
 
+  // Queued per chat with 429 handling (lib/telegram-client.js); posts and
+  // edits that still fail with a retryable error go to the retry list
   async api(method, params = {}) {
-    const res = await fetch(`${this.apiBase}/${method}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(params),
-    });
-    const json = await res.json();
-    if (!json.ok) throw new Error(`TG API ${method}: ${json.description}`);
+    const json = await callTelegram(this.botToken, method, params);
+    if (!json.ok) {
+      const err = new Error(`TG API ${method}: ${json.description}`);
+      err.retryable = isRetryable(json);
+      if (err.retryable && RETRIED_METHODS.has(method)) await addPendingSend(method, params);
+      throw err;
+    }
     return json.result;
   }
 
@@ -1213,100 +1801,193 @@ export class LeaderboardManager {
     if (this.config) return this.config;
     
     try {
-      const chat = await this.api('getChat', { chat_id: this.archiveChannel });
-      
-      if (chat.pinned_message?.document) {
-        const file = await this.api('getFile', { file_id: chat.pinned_message.document.file_id });
-        const fileUrl = `https://api.telegram.org/file/bot${this.botToken}/${file.file_path}`;
-        const res = await fetch(fileUrl);
-        const data = await res.json();
-        
-        // Migrate from old format if needed
-        if (data.leaderboardIds && !data.leaderboards) {
-          console.log('   🔄 Migrating old leaderboard config format...');
-          data.leaderboards = data.leaderboardIds;
-          delete data.leaderboardIds;
-        }
-        
-        // Ensure summaries structure exists
-        if (!data.summaries) {
-          data.summaries = { private: null, public: null };
-        }
-        
+      const data = await this.fetchConfig();
+      if (data) {
         this.config = data;
         return this.config;
       }
     } catch (err) {
       console.log(`   ⚠️ Could not load config: ${err.message}`);
+      this.configLoadFailed = true;
     }
     
     // Initialize default config
     this.config = {
       leaderboards: {},  // { sol: { private: { wallets: msgId, tokens: msgId }, public: {...} } }
       summaries: { private: null, public: null },  // Pinned summary message IDs
+      snapshots: {},     // { sol: [snapshot entries, newest first] }
+      pendingSends: [],  // Telegram retry list (see retryStore())
       updatedAt: Date.now(),
     };
     return this.config;
   }
 
+  /**
+   * Download the pinned config (null when none is pinned yet), bypassing the
+   * cached copy; throws when the archive channel cannot be read
+   */
+  async fetchConfig() {
+    const pinned = await this.storage.getPinned();
+    if (!pinned?.fileId) return null;
+
+    const buffer = await this.storage.download(pinned.fileId);
+    const data = JSON.parse(buffer.toString('utf8'));
+    
+    // Migrate from old format if needed
+    if (data.leaderboardIds && !data.leaderboards) {
+      console.log('   🔄 Migrating old leaderboard config format...');
+      data.leaderboards = data.leaderboardIds;
+      delete data.leaderboardIds;
+    }
+    
+    // Ensure summaries structure exists
+    if (!data.summaries) {
+      data.summaries = { private: null, public: null };
+    }
+    
+    return data;
+  }
+
   /**
    * Save config to archive channel
+   * @param {Object} [config] - Document to save (default: the cached config)
    */
-  async saveConfig() {
-    if (!this.config) return;
+  async saveConfig(config = this.config) {
+    if (!config) return;
     
-    this.config.updatedAt = Date.now();
+    config.updatedAt = Date.now();
     
-    const blob = new Blob([JSON.stringify(this.config, null, 2)], { type: 'application/json' });
-    const formData = new FormData();
-    formData.append('chat_id', this.archiveChannel);
-    formData.append('document', blob, 'leaderboard-config.json');
-    formData.append('caption', `🏆 Leaderboard Config | ${new Date().toISOString()}`);
+    const buffer = Buffer.from(JSON.stringify(config, null, 2));
+    const caption = `🏆 Leaderboard Config | ${new Date().toISOString()}`;
     
     try {
-      const chat = await this.api('getChat', { chat_id: this.archiveChannel });
+      const pinned = await this.storage.getPinned();
       
-      if (chat.pinned_message?.document?.file_name === 'leaderboard-config.json') {
-        const updateForm = new FormData();
-        updateForm.append('chat_id', this.archiveChannel);
-        updateForm.append('message_id', chat.pinned_message.message_id);
-        updateForm.append('media', JSON.stringify({
-          type: 'document',
-          media: 'attach://document',
-          caption: `🏆 Leaderboard Config | ${new Date().toISOString()}`,
-        }));
-        updateForm.append('document', blob, 'leaderboard-config.json');
-        
-        const editRes = await fetch(`${this.apiBase}/editMessageMedia`, { method: 'POST', body: updateForm });
-        const editResult = await editRes.json();
-        if (!editResult.ok) {
-          console.log(`   ⚠️ Config edit failed: ${editResult.description}, sending new...`);
-          // Fall through to send new
-        } else {
+      if (pinned?.fileName === 'leaderboard-config.json') {
+        try {
+          await this.storage.update(pinned.messageId, buffer, 'leaderboard-config.json', caption);
           console.log(`   💾 Config updated`);
           return;
+        } catch (err) {
+          console.log(`   ⚠️ Config edit failed: ${err.message}, sending new...`);
+          // Fall through to send new
         }
       }
       
       // Send new config file
-      const res = await fetch(`${this.apiBase}/sendDocument`, { method: 'POST', body: formData });
-      const result = await res.json();
-      
-      if (result.ok) {
-        await this.api('pinChatMessage', {
-          chat_id: this.archiveChannel,
-          message_id: result.result.message_id,
-          disable_notification: true,
-        });
-        console.log(`   💾 Config saved & pinned`);
-      } else {
-        console.error(`   ❌ Config send failed: ${result.description}`);
-      }
+      const result = await this.storage.upload(buffer, 'leaderboard-config.json', caption);
+      await this.storage.pin(result.messageId);
+      console.log(`   💾 Config saved & pinned`);
     } catch (err) {
       console.error(`   ❌ Failed to save config: ${err.message}`);
     }
   }
 
+  /**
+   * Telegram retry list store for setRetryStore() (telegram-client.js)
+   * Failed sends are kept in this config so a later instance replays them.
+   * Both sides go to the pinned copy, not the cached one: a write re-reads
+   * the config and replaces only pendingSends, so leaderboard message IDs
+   * and snapshots saved by another instance in the meantime are kept.
+   * Nothing is saved while the config could not be loaded (the default
+   * config would replace the stored one).
+   */
+  retryStore() {
+    return {
+      read: async () => {
+        try {
+          return (await this.fetchConfig())?.pendingSends || [];
+        } catch (err) {
+          console.log(`   ⚠️ Could not read Telegram retry list: ${err.message}`);
+          return [];
+        }
+      },
+      write: async (entries) => {
+        await this.loadConfig();
+        if (this.configLoadFailed) throw new Error('leaderboard config not loaded');
+        const stored = (await this.fetchConfig()) || structuredClone(this.config);
+        stored.pendingSends = entries;
+        this.config.pendingSends = entries;
+        await this.saveConfig(stored);
+      },
+    };
+  }
+
+  // ============================================================
+  // DB SNAPSHOTS
+  // ============================================================
+
+  /**
+   * Snapshot index for a chain (newest first)
+   */
+  getSnapshots(chain) {
+    return this.config?.snapshots?.[chain] || [];
+  }
+
+  /**
+   * Add a snapshot to the index and rotate out expired ones
+   * Rotated snapshots are deleted from the archive channel (best effort).
+   */
+  async recordSnapshot(chain, entry) {
+    if (!this.config.snapshots) this.config.snapshots = {};
+    
+    const entries = [entry, ...this.getSnapshots(chain)];
+    const keep = new Set();
+    for (const [kind, limit] of Object.entries(SNAPSHOT_RETENTION)) {
+      entries.filter(e => e.kinds.includes(kind)).slice(0, limit).forEach(e => keep.add(e));
+    }
+    
+    this.config.snapshots[chain] = entries.filter(e => keep.has(e));
+    
+    for (const expired of entries.filter(e => !keep.has(e))) {
+      try {
+        await this.storage.remove(expired.messageId);
+        console.log(`   🗑️ Rotated ${chain.toUpperCase()} snapshot ${expired.day} (${expired.kinds.join('+')})`);
+      } catch (err) {
+        console.log(`   ⚠️ Could not delete snapshot ${expired.messageId}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Restore a chain DB from a snapshot, snapshotting the current DB first
+   * The target is downloaded before the safety snapshot is recorded: its
+   * rotation may delete the target (e.g. the oldest of 10 manual snapshots).
+   * @param {TelegramDBv5} db - Loaded chain DB
+   */
+  async restoreChainSnapshot(db, chain, entry) {
+    const snapshot = await db.downloadSnapshot(entry);
+    
+    await this.recordSnapshot(chain, await db.createSnapshot(['manual']));
+    await this.saveConfig();
+    
+    return db.restoreSnapshot(entry, snapshot);
+  }
+
+  /**
+   * Post daily/weekly snapshots that are due (called by cron)
+   */
+  async snapshotDBs(allChainDBs) {
+    const today = new Date().toISOString().slice(0, 10);
+    
+    for (const [chain, db] of Object.entries(allChainDBs)) {
+      if (!db?.db) continue;
+      
+      const snapshots = this.getSnapshots(chain);
+      const week = db.getWeekStart();
+      const kinds = [];
+      if (!snapshots.some(e => e.kinds.includes('daily') && e.day === today)) kinds.push('daily');
+      if (!snapshots.some(e => e.kinds.includes('weekly') && e.week === week)) kinds.push('weekly');
+      if (kinds.length === 0) continue;
+      
+      try {
+        await this.recordSnapshot(chain, await db.createSnapshot(kinds));
+      } catch (err) {
+        console.log(`   ⚠️ ${chain.toUpperCase()} snapshot failed: ${err.message}`);
+      }
+    }
+  }
+
   /**
    * Shorten wallet address
    */
@@ -1348,12 +2029,8 @@ export class LeaderboardManager {
       if (isPublic) {
         walletDisplay = shortAddr;
       } else {
-        const explorerUrl = chain === 'sol' 
-          ? `https://solscan.io/account/${w.addr}`
-          : chain === 'eth' ? `https://etherscan.io/address/${w.addr}`
-          : chain === 'bsc' ? `https://bscscan.com/address/${w.addr}`
-          : chain === 'base' ? `https://basescan.org/address/${w.addr}`
-          : null;
+        const explorer = CHAINS[chain]?.explorer;
+        const explorerUrl = explorer ? `${explorer.wallet}${w.addr}` : null;
         
         walletDisplay = explorerUrl 
           ? `<a href="${explorerUrl}">${shortAddr}</a>`
@@ -1448,7 +2125,7 @@ export class LeaderboardManager {
    */
   formatSummaryMessage(channelId, isPublic = false, topTokens = [], hallOfFameMsgId = null, stats = null) {
     const leaderboards = this.config?.leaderboards || {};
-    const chains = ['sol', 'eth', 'bsc', 'base'];
+    const chains = ENABLED_CHAINS;
     
     // Calculate sum of gains (Hybrid: <2x adds decimal part, >=2x adds full mult)
     const displayed = topTokens.slice(0, 25);
@@ -1611,6 +2288,11 @@ export class LeaderboardManager {
           console.log(`   ✏️ Message ${messageId} unchanged`);
           return messageId;
         }
+        // Outage: the edit is on the retry list, the message still exists
+        if (err.retryable) {
+          console.log(`   ⚠️ Edit of ${messageId} kept for retry (${err.message})`);
+          return messageId;
+        }
         // Message may have been deleted or can't be edited, send new
         console.log(`   ⚠️ Edit failed (${err.message}), sending new...`);
       }
@@ -1658,6 +2340,10 @@ export class LeaderboardManager {
           console.log(`   ✏️ Summary ${key} unchanged (msg ${messageId})`);
           return messageId;
         }
+        if (err.retryable) {
+          console.log(`   ⚠️ Summary ${key} edit kept for retry (${err.message})`);
+          return messageId;
+        }
         // Only create new message if the edit truly failed (message deleted, etc)
         console.log(`   ⚠️ Summary edit failed: ${err.message}, sending new...`);
       }
@@ -1727,7 +2413,7 @@ export class LeaderboardManager {
     if (!this.config.leaderboards) this.config.leaderboards = {};
     if (!this.config.summaries) this.config.summaries = { private: null, public: null };
     
-    const chains = ['sol', 'eth', 'bsc', 'base'];
+    const chains = ENABLED_CHAINS;
     const results = { tokens: 0, wallets: 0 };
     
     // Collect cross-chain tokens for summary (Top 25 across all chains)
@@ -1737,7 +2423,7 @@ export class LeaderboardManager {
     const stats = {
       totalGains: 0,
       badCalls: 0,
-      chainSums: { sol: 0, eth: 0, bsc: 0, base: 0 }
+      chainSums: Object.fromEntries(chains.map(c => [c, 0]))
     };
     
     // Update each chain's leaderboards
@@ -1866,6 +2552,9 @@ export class LeaderboardManager {
       console.log(`   ⚠️ Summary update failed: ${err.message}`);
     }
     
+    // Daily/weekly DB snapshots (index is stored in this config)
+    await this.snapshotDBs(allChainDBs);
+    
     // Save config
     await this.saveConfig();
     
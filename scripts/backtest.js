@@ -0,0 +1,207 @@
+/**
+ * Backtest entry scoring and posting thresholds on stored signals (lib/backtest.js)
+ *
+ * Usage:
+ *   node scripts/backtest.js sol --fetch                       # Fill the cache from OKX, run the current config
+ *   node scripts/backtest.js sol --configs backtest.json       # Compare configurations (cached data)
+ *   node scripts/backtest.js all --min-scores 0,0.25,0.5,1     # Threshold sweep with the current matrix
+ *   node scripts/backtest.js eth --days 14 --json              # Last 14 days, results as JSON
+ *
+ * --configs: JSON array of { name, minScore, minWallets, profile, beforeBands,
+ * afterBands, lookbackMs, lookforwardMs, historyLimit, maxTokens, historyWindowMs, matrix }
+ * (unset fields = the chain's active scoring profile, see SCORING_PROFILES_FILE).
+ * The current configuration is always the first row.
+ *
+ * Wallet trading histories, wallet trades and candles are cached
+ * under BACKTEST_CACHE_DIR (default .data/backtest/{chain}/history|trades|
+ * candles|outcome). --fetch only requests what is missing; without it,
+ * signals run on whatever is cached.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TelegramDBv5, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
+import { getStorageBackend } from '../lib/db-storage.js';
+import { fetchTradingHistory, fetchCandles, fetchWalletTrades } from '../lib/okx-client.js';
+import { selectRecentTokens, hasBuys, tradesByToken } from '../lib/entry-scoring.js';
+import { getScoringProfile } from '../lib/scoring-profiles.js';
+import {
+  resolveBacktestConfig, runBacktest, formatBacktestReport, CURRENT_CONFIG,
+} from '../lib/backtest.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const CACHE_DIR = process.env.BACKTEST_CACHE_DIR || path.join('.data', 'backtest');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getArg(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+// ============================================================
+// CACHE
+// ============================================================
+
+function cachePath(chain, kind, address) {
+  return path.join(CACHE_DIR, chain, kind, `${address}.json`);
+}
+
+function readCache(chain, kind, address) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath(chain, kind, address), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(chain, kind, address, data) {
+  const file = cachePath(chain, kind, address);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+/**
+ * Cached value, fetched (and cached) when missing and fetch is on
+ */
+async function cached(chain, kind, address, fetch, load) {
+  const hit = readCache(chain, kind, address);
+  if (hit || !fetch) return hit;
+  try {
+    const data = await load();
+    writeCache(chain, kind, address, data);
+    return data;
+  } catch (err) {
+    console.log(`   ⚠️ ${kind} ${address}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Trading histories and candles for the signals of one chain
+ * (enough history and candles for every configuration)
+ */
+async function loadMarketData(chain, signals, configs, fetch) {
+  const chainId = CHAIN_IDS[chain];
+  const history = {};
+  const candles = {};
+  const trades = {};
+  const outcomeCandles = {};
+
+  const wallets = [...new Set(signals.flatMap(s => s.wallets.map(w => w.addr)))];
+  const historyLimit = Math.max(...configs.map(c => c.scoring.historyLimit));
+  console.log(`   📋 ${signals.length} signals, ${wallets.length} wallets${fetch ? ' (fetching missing data)' : ''}`);
+
+  for (const addr of wallets) {
+    history[addr] = await cached(chain, 'history', addr, fetch, () => fetchTradingHistory(chainId, addr, historyLimit)) || [];
+  }
+
+  // Every history token a signal could score, per wallet (same requests as the pipeline)
+  const walletTokens = {};
+  for (const signal of signals) {
+    for (const { addr } of signal.wallets) {
+      walletTokens[addr] = walletTokens[addr] || new Set();
+      for (const { scoring } of configs) {
+        selectRecentTokens(history[addr], signal.time, scoring).filter(hasBuys).forEach(t => walletTokens[addr].add(t.tokenContractAddress));
+      }
+    }
+  }
+  const scoredTokens = new Set(Object.values(walletTokens).flatMap(tokens => [...tokens]));
+  for (const token of scoredTokens) {
+    candles[token] = await cached(chain, 'candles', token, fetch, () => fetchCandles(chainId, token)) || [];
+  }
+  for (const [addr, tokens] of Object.entries(walletTokens)) {
+    if (tokens.size === 0) continue;
+    trades[addr] = tradesByToken(await cached(chain, 'trades', addr, fetch, () => fetchWalletTrades(chainId, addr)));
+  }
+
+  for (const token of new Set(signals.map(s => s.token))) {
+    outcomeCandles[token] = await cached(chain, 'outcome', token, fetch, () => fetchCandles(chainId, token, 300, '1H')) || [];
+  }
+
+  const cachedHistories = wallets.filter(addr => history[addr].length > 0).length;
+  console.log(`   💾 Histories: ${cachedHistories}/${wallets.length}, candles: ${Object.values(candles).filter(c => c.length).length}/${scoredTokens.size}`);
+  return { history, candles, trades, outcomeCandles };
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function loadSpecs(args) {
+  const specs = [CURRENT_CONFIG];
+
+  const configFile = getArg(args, '--configs');
+  if (configFile) {
+    const entries = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error(`${configFile}: expected an array of configs`);
+    specs.push(...entries);
+  }
+
+  const minScores = getArg(args, '--min-scores');
+  if (minScores) {
+    for (const value of minScores.split(',').map(Number)) {
+      specs.push({ name: `minScore ${value}`, minScore: value });
+    }
+  }
+
+  return specs;
+}
+
+async function backtestChain(chain, { specs, since, fetch }) {
+  const profile = getScoringProfile(chain);
+  const configs = specs.map(spec => resolveBacktestConfig(spec, profile.entry));
+  console.log(`\n🧪 ${chain.toUpperCase()} (scoring profile: ${profile.id})`);
+
+  const db = new TelegramDBv5(BOT_TOKEN, CHAIN_IDS[chain]);
+  await db.load();
+
+  const signals = await db.getSignalLog({ since });
+  if (signals.length === 0) {
+    console.log('   ℹ️ No logged signals');
+    return null;
+  }
+
+  const tokens = { ...await db.getArchivedTokens(), ...db.getAllTokens() };
+  const market = await loadMarketData(chain, signals, configs, fetch);
+  return runBacktest({ signals, tokens, ...market }, configs);
+}
+
+async function backtest() {
+  const args = process.argv.slice(2);
+  const [chain] = args.filter((a, i) => !a.startsWith('--') && !args[i - 1]?.startsWith('--'));
+  const fetch = args.includes('--fetch');
+  const json = args.includes('--json');
+  const days = parseFloat(getArg(args, '--days'));
+
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
+    console.error('❌ Missing TELEGRAM_BOT_TOKEN');
+    process.exit(1);
+  }
+  if (!chain || (chain !== 'all' && !ENABLED_CHAINS.includes(chain))) {
+    console.error(`❌ Usage: node scripts/backtest.js <${ENABLED_CHAINS.join('|')}|all> [--fetch] [--configs file] [--min-scores a,b] [--days n] [--json]`);
+    process.exit(1);
+  }
+
+  const specs = loadSpecs(args);
+  const since = days > 0 ? Date.now() - days * DAY_MS : 0;
+
+  // DB/cache logs go to stderr so --json output stays clean for piping
+  if (json) console.log = (...msg) => console.error(...msg);
+
+  const report = {};
+  for (const c of chain === 'all' ? ENABLED_CHAINS : [chain]) {
+    const results = await backtestChain(c, { specs, since, fetch });
+    if (!results) continue;
+    report[c] = results;
+    if (!json) console.log(`\n${formatBacktestReport(results)}`);
+  }
+
+  if (json) process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  else console.log('\n✅ Done');
+}
+
+backtest().catch(err => {
+  console.error('❌ Backtest failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Check chain databases against the declared schema (lib/db-schema.js)
+ *
+ * Usage:
+ *   node scripts/check-db.js                 # Check all chains
+ *   node scripts/check-db.js sol             # Check SOL only
+ *   node scripts/check-db.js sol --verbose   # List every issue
+ *   node scripts/check-db.js sol --repair    # Fix what can be derived, save
+ *
+ * Repair recomputes multipliers/prices from the stored prices and signals,
+ * drops wallet refs to pruned tokens and de-duplicates signal lists.
+ * Records that cannot be fixed (no valid entry price, no id) are removed.
+ */
+
+import { TelegramDBv5, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
+import { getStorageBackend } from '../lib/db-storage.js';
+import { validateDocument, repairDocument, summarizeIssues } from '../lib/db-schema.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const MAX_LISTED = 20;
+
+function printIssues(issues, verbose) {
+  const listed = verbose ? issues : issues.slice(0, MAX_LISTED);
+  for (const issue of listed) {
+    const icon = issue.level === 'error' ? '❌' : '⚠️';
+    console.log(`   ${icon} ${issue.path}: ${issue.message}`);
+  }
+  if (listed.length < issues.length) {
+    console.log(`   ... ${issues.length - listed.length} more (--verbose to list all)`);
+  }
+}
+
+async function checkChain(chain, { repair, verbose }) {
+  console.log(`\n🔍 ${chain.toUpperCase()}`);
+
+  const db = new TelegramDBv5(BOT_TOKEN, CHAIN_IDS[chain]);
+  await db.load();
+
+  const issues = validateDocument(db.db);
+  if (issues.length === 0) {
+    console.log('   ✅ No issues');
+    return 0;
+  }
+
+  console.log(`   ${summarizeIssues(issues)}`);
+  printIssues(issues, verbose);
+
+  if (!repair) return issues.filter(i => i.level === 'error').length;
+
+  const { fixed, removed } = repairDocument(db.db);
+  const remaining = validateDocument(db.db);
+  console.log(`   🔧 Repaired: ${fixed} fields fixed, ${removed} records removed`);
+  if (remaining.length > 0) {
+    console.log(`   ⚠️ Still ${summarizeIssues(remaining)}`);
+    printIssues(remaining, verbose);
+  }
+
+  db.isDirty = true;
+  await db.save();
+  return remaining.filter(i => i.level === 'error').length;
+}
+
+async function checkDB() {
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const verbose = args.includes('--verbose');
+  const [chain] = args.filter(a => !a.startsWith('--'));
+
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
+    console.error('❌ Missing TELEGRAM_BOT_TOKEN');
+    process.exit(1);
+  }
+  if (chain && !ENABLED_CHAINS.includes(chain)) {
+    console.error(`❌ Unknown chain: ${chain} (expected ${ENABLED_CHAINS.join(', ')})`);
+    process.exit(1);
+  }
+
+  let errors = 0;
+  for (const c of chain ? [chain] : ENABLED_CHAINS) {
+    errors += await checkChain(c, { repair, verbose });
+  }
+
+  if (errors > 0) {
+    console.log(`\n❌ ${errors} errors${repair ? ' remain' : ' - re-run with --repair'}`);
+    process.exit(1);
+  }
+  console.log('\n✅ Done');
+}
+
+checkDB().catch(err => {
+  console.error('❌ Check failed:', err.message);
+  process.exit(1);
+});
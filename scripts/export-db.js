@@ -0,0 +1,62 @@
+/**
+ * Export chain DB records as CSV / NDJSON (same output as /api/export)
+ *
+ * Usage:
+ *   node scripts/export-db.js sol tokens                          # CSV to stdout
+ *   node scripts/export-db.js all wallets --format ndjson --out wallets.ndjson
+ *   node scripts/export-db.js sol tokens --columns addr,sym,peakMult --from 2026-01-01 --time-field lastSig
+ *   node scripts/export-db.js eth stats
+ *
+ * Types: tokens, wallets, signals, stats (see lib/db-export.js for columns)
+ */
+
+import fs from 'fs';
+import { getStorageBackend } from '../lib/db-storage.js';
+import { parseExportOptions, exportChains, formatHeader, formatRow } from '../lib/db-export.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+function getArg(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+async function exportDB() {
+  const args = process.argv.slice(2);
+  const [chain, type] = args.filter((a, i) => !a.startsWith('--') && !args[i - 1]?.startsWith('--'));
+  const outPath = getArg(args, '--out');
+
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
+    console.error('❌ Missing TELEGRAM_BOT_TOKEN');
+    process.exit(1);
+  }
+
+  const options = parseExportOptions({
+    chain,
+    type,
+    format: getArg(args, '--format'),
+    columns: getArg(args, '--columns'),
+    from: getArg(args, '--from'),
+    to: getArg(args, '--to'),
+    timeField: getArg(args, '--time-field'),
+  });
+
+  // DB load logs go to stderr so stdout stays clean for piping
+  console.log = (...msg) => console.error(...msg);
+  const out = outPath ? fs.createWriteStream(outPath) : process.stdout;
+
+  let rows = 0;
+  out.write(formatHeader(options.columns, options.format));
+  for await (const row of exportChains(BOT_TOKEN, options)) {
+    out.write(formatRow(row, options.columns, options.format));
+    rows++;
+  }
+
+  if (outPath) await new Promise(resolve => out.end(resolve));
+  console.error(`✅ Exported ${rows} ${options.type} rows${outPath ? ` to ${outPath}` : ''}`);
+}
+
+exportDB().catch(err => {
+  console.error('❌ Export failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,116 @@
+/**
+ * Rebuild a chain DB from historical signals (NDJSON, see lib/db-import.js)
+ *
+ * Usage:
+ *   node scripts/import-db.js signals.ndjson --chain sol                      # Dry run: replay + summary
+ *   node scripts/import-db.js signals.ndjson --chain sol --out sol-db.json    # Write the v5 document
+ *   node scripts/import-db.js signals.ndjson --chain sol --apply              # Replace the chain DB
+ *   cat signals.ndjson | node scripts/import-db.js - --chain sol --out sol-db.json
+ *
+ * Options:
+ *   --min-score N    Store signals with avgScore above N (default 0, as in monitorSignals)
+ *   --interval M     Simulated update-prices interval in minutes (default 15)
+ *   --until TIME     Run price updates up to TIME (ms or ISO date, default: now)
+ *   --verbose        Show the per-signal store/update logs
+ *
+ * --apply replaces the pinned document (rev keeps counting, the archive
+ * pointer is kept) and writes a new signal log; --out only writes the
+ * document. Point DB_STORAGE=file at a directory to seed a staging DB.
+ */
+
+import fs from 'fs';
+import { TelegramDBv5, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { getStorageBackend } from '../lib/db-storage.js';
+import { readImportRecords, replayRecords } from '../lib/db-import.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+function getArg(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
+}
+
+function parseTime(value) {
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid --until: ${value}`);
+  return ms;
+}
+
+async function importDB() {
+  const args = process.argv.slice(2);
+  const inputPath = args[0];
+  const chain = getArg(args, '--chain');
+  const outPath = getArg(args, '--out');
+  const apply = args.includes('--apply');
+  const verbose = args.includes('--verbose');
+  const minScore = getArg(args, '--min-score') !== null ? Number(getArg(args, '--min-score')) : 0;
+  const interval = (Number(getArg(args, '--interval')) || 15) * 60 * 1000;
+  const until = getArg(args, '--until') ? parseTime(getArg(args, '--until')) : Date.now();
+
+  if (!inputPath || (inputPath.startsWith('--') && inputPath !== '-') || !chain) {
+    console.error('Usage: node scripts/import-db.js <signals.ndjson|-> --chain <sol|eth|bsc|base> [--out file] [--apply] [--min-score N] [--interval M] [--until time] [--verbose]');
+    process.exit(1);
+  }
+  if (!CHAIN_IDS[chain]) {
+    console.error(`❌ Unknown chain: ${chain}`);
+    process.exit(1);
+  }
+  if (!Number.isFinite(minScore)) {
+    console.error('❌ --min-score must be a number');
+    process.exit(1);
+  }
+  if (apply && !BOT_TOKEN && getStorageBackend() === 'telegram') {
+    console.error('❌ Missing TELEGRAM_BOT_TOKEN');
+    process.exit(1);
+  }
+
+  const input = inputPath === '-' ? process.stdin : fs.createReadStream(inputPath);
+  const records = await readImportRecords(input);
+  console.log(`\n📥 Importing ${records.length} records into ${chain.toUpperCase()}`);
+
+  const db = new TelegramDBv5(BOT_TOKEN, CHAIN_IDS[chain]);
+  if (apply) {
+    // Replace the live document, keep rev monotonic (as restoreSnapshot does)
+    const live = await db.load();
+    db.db = { ...db.getDefaultDB(), rev: live.rev || 0 };
+    if (live.archiveIndex) db.db.archiveIndex = live.archiveIndex;
+  } else {
+    db.db = db.getDefaultDB();
+    db.setBase();
+  }
+
+  const log = console.log;
+  if (!verbose) console.log = () => {};
+  let result;
+  try {
+    result = await replayRecords(db, records, { minScore, interval, until });
+  } finally {
+    console.log = log;
+  }
+
+  const stats = db.getStats().lifetime;
+  const range = result.from ? `${new Date(result.from).toISOString()} → ${new Date(result.to).toISOString()}` : 'no records';
+  console.log(`   🕒 ${range}`);
+  console.log(`   💾 ${result.signals} signals stored, ${result.filtered} below min score, ${result.duplicates} duplicates, ${result.otherChain} other chain`);
+  console.log(`   💰 ${result.prices} price records, ${result.archived} tokens archived`);
+  console.log(`   📋 ${Object.keys(db.getAllTokens()).length} tokens, ${Object.keys(db.getAllWallets()).length} wallets, ${db.pendingLog.length} log entries`);
+  console.log(`   📊 Lifetime: ${stats.wins} wins, ${stats.losses} losses, ${stats.rugs} rugs`);
+
+  if (outPath) {
+    fs.writeFileSync(outPath, JSON.stringify(db.db, null, 2));
+    console.log(`   💾 Wrote ${outPath}`);
+  }
+
+  if (!apply) {
+    if (!outPath) console.log('\n   Dry run - re-run with --out or --apply');
+    return;
+  }
+
+  await db.save(true);
+  console.log('✅ Import applied');
+}
+
+importDB().catch(err => {
+  console.error('❌ Import failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+/**
+ * Migrate a legacy DB dump (v1-v4) into a v5 document
+ *
+ * Usage:
+ *   node scripts/migrate-db.js dump.json --chain sol                      # Dry run: steps + diff vs empty DB
+ *   node scripts/migrate-db.js dump.json --chain sol --out sol-db.json    # Write the v5 document
+ *   node scripts/migrate-db.js dump.json --chain sol --base sol-db.json   # Diff vs an exported v5 file
+ *   node scripts/migrate-db.js dump.json --chain sol --apply              # Merge into the live DB
+ *   node scripts/migrate-db.js dump.json --chain sol --apply --dry-run    # Diff vs the live DB only
+ *
+ * Dump formats are described in lib/db-migrate.js (normalizeDump). Applying
+ * only adds records the live DB does not have, so re-running is safe.
+ */
+
+import fs from 'fs';
+import { TelegramDBv5, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { getStorageBackend } from '../lib/db-storage.js';
+import {
+  normalizeDump,
+  migrate,
+  mergeIntoCurrent,
+  diffDocuments,
+  formatDiffReport,
+} from '../lib/db-migrate.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+function getArg(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : null;
+}
+
+async function migrateDB() {
+  const args = process.argv.slice(2);
+  const dumpPath = args[0];
+  const chain = getArg(args, '--chain');
+  const outPath = getArg(args, '--out');
+  const basePath = getArg(args, '--base');
+  const apply = args.includes('--apply');
+  const dryRun = args.includes('--dry-run');
+
+  if (!dumpPath || dumpPath.startsWith('--')) {
+    console.error('Usage: node scripts/migrate-db.js <dump.json> --chain <sol|eth|bsc|base> [--out file] [--base file] [--apply] [--dry-run]');
+    process.exit(1);
+  }
+  if (chain && !CHAIN_IDS[chain]) {
+    console.error(`❌ Unknown chain: ${chain}`);
+    process.exit(1);
+  }
+
+  // Migrate
+  const raw = fs.readFileSync(dumpPath, 'utf8');
+  let input;
+  try {
+    input = JSON.parse(raw);
+  } catch {
+    input = raw; // Pinned index message text
+  }
+
+  const legacy = normalizeDump(input, { chainId: chain ? CHAIN_IDS[chain] : null });
+  console.log(`\n🔄 Migrating ${dumpPath} (detected v${legacy.version})`);
+
+  const { doc, steps } = migrate(legacy);
+  if (steps.length === 0) console.log('   Already v5, nothing to migrate');
+  for (const step of steps) {
+    console.log(`   v${step.from} → v${step.to} ${step.name}: ${step.notes.join('; ')}`);
+  }
+
+  if (chain && doc.chain !== chain) {
+    console.log(`   ⚠️ Dump is for ${doc.chain}, using --chain ${chain}`);
+    doc.chain = chain;
+    doc.chainId = CHAIN_IDS[chain];
+  }
+
+  if (outPath) {
+    fs.writeFileSync(outPath, JSON.stringify(doc, null, 2));
+    console.log(`   💾 Wrote ${outPath}`);
+  }
+
+  // Diff against the target
+  let before = { tokens: {}, wallets: {}, lastSigs: [], recentSignals: [] };
+  let db = null;
+
+  if (apply) {
+    if (!chain) {
+      console.error('❌ --apply needs --chain');
+      process.exit(1);
+    }
+    if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
+      console.error('❌ Missing TELEGRAM_BOT_TOKEN');
+      process.exit(1);
+    }
+    db = new TelegramDBv5(BOT_TOKEN, CHAIN_IDS[chain]);
+    before = await db.load();
+  } else if (basePath) {
+    before = JSON.parse(fs.readFileSync(basePath, 'utf8'));
+  }
+
+  const after = mergeIntoCurrent(before, doc);
+  const target = apply ? `live ${chain.toUpperCase()} DB` : basePath || 'empty DB';
+  console.log(`\n📋 Diff vs ${target}:`);
+  for (const line of formatDiffReport(diffDocuments(before, after))) {
+    console.log(`   ${line}`);
+  }
+
+  if (!apply) return;
+  if (dryRun) {
+    console.log('\n   Dry run - re-run without --dry-run to apply');
+    return;
+  }
+
+  db.db = { ...db.db, ...after };
+  db.isDirty = true;
+  await db.save();
+  console.log('✅ Migration applied');
+}
+
+migrateDB().catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
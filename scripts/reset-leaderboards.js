@@ -1,5 +1,6 @@
 
 import { TelegramDBv5, LeaderboardManager, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
@@ -25,6 +26,8 @@ async function resetLeaderboards() {
   manager.config = {
     leaderboards: {},
     summaries: { private: null, public: null },
+    snapshots: manager.config.snapshots || {}, // Keep DB snapshot index
+    pendingSends: manager.config.pendingSends || [], // Keep the Telegram retry list
     updatedAt: Date.now(),
   };
   
@@ -35,7 +38,7 @@ async function resetLeaderboards() {
   
   // Trigger update
   const dbs = {};
-  const chains = ['sol', 'eth', 'bsc', 'base'];
+  const chains = ENABLED_CHAINS;
   
   for (const chain of chains) {
     console.log(`   📂 Loading ${chain.toUpperCase()} database...`);
@@ -0,0 +1,98 @@
+/**
+ * Restore a chain database from a snapshot
+ *
+ * Usage:
+ *   node scripts/restore-db.js                    # List snapshots for all chains
+ *   node scripts/restore-db.js sol                # List SOL snapshots
+ *   node scripts/restore-db.js sol --snapshot     # Take a manual SOL snapshot now
+ *   node scripts/restore-db.js sol 1234           # Preview restoring snapshot message 1234
+ *   node scripts/restore-db.js sol latest --yes   # Restore the newest snapshot
+ *
+ * Restoring first snapshots the current DB (kind 'manual'), then uploads the
+ * chosen snapshot as a new pinned DB file.
+ */
+
+import { TelegramDBv5, LeaderboardManager, CHAIN_IDS } from '../lib/telegram-db-v5.js';
+import { ENABLED_CHAINS } from '../lib/chains.js';
+import { getStorageBackend } from '../lib/db-storage.js';
+import { formatBytes } from '../lib/db-codec.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+function printSnapshots(chain, snapshots) {
+  console.log(`\n${chain.toUpperCase()} (${snapshots.length} snapshots)`);
+  if (snapshots.length === 0) {
+    console.log('   (none)');
+    return;
+  }
+  for (const s of snapshots) {
+    const time = new Date(s.createdAt).toISOString().replace('T', ' ').slice(0, 16);
+    console.log(`   ${String(s.messageId).padEnd(8)} ${time}  rev ${String(s.rev).padEnd(6)} ${s.tokens} tokens, ${s.wallets} wallets, ${formatBytes(s.bytes || 0)}  [${s.kinds.join('+')}]`);
+  }
+}
+
+async function restoreDB() {
+  const args = process.argv.slice(2);
+  const confirmed = args.includes('--yes');
+  const takeSnapshot = args.includes('--snapshot');
+  const [chain, snapshotId] = args.filter(a => !a.startsWith('--'));
+
+  if (!BOT_TOKEN && getStorageBackend() === 'telegram') {
+    console.error('❌ Missing TELEGRAM_BOT_TOKEN');
+    process.exit(1);
+  }
+  if (chain && !ENABLED_CHAINS.includes(chain)) {
+    console.error(`❌ Unknown chain: ${chain} (expected ${ENABLED_CHAINS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const manager = new LeaderboardManager(BOT_TOKEN);
+  await manager.loadConfig();
+
+  // List
+  if (!snapshotId && !takeSnapshot) {
+    for (const c of chain ? [chain] : ENABLED_CHAINS) {
+      printSnapshots(c, manager.getSnapshots(c));
+    }
+    return;
+  }
+
+  const db = new TelegramDBv5(BOT_TOKEN, CHAIN_IDS[chain]);
+  await db.load();
+
+  // Manual snapshot
+  if (takeSnapshot) {
+    await manager.recordSnapshot(chain, await db.createSnapshot(['manual']));
+    await manager.saveConfig();
+    console.log('✅ Snapshot saved');
+    return;
+  }
+
+  const snapshots = manager.getSnapshots(chain);
+  const entry = snapshotId === 'latest'
+    ? snapshots[0]
+    : snapshots.find(s => String(s.messageId) === snapshotId);
+  if (!entry) {
+    console.error(`❌ Snapshot ${snapshotId} not found for ${chain.toUpperCase()}`);
+    printSnapshots(chain, snapshots);
+    process.exit(1);
+  }
+
+  console.log(`\n♻️ Restore ${chain.toUpperCase()} snapshot ${entry.messageId}`);
+  console.log(`   Current:  rev ${db.db.rev || 0}, ${Object.keys(db.db.tokens || {}).length} tokens, ${Object.keys(db.db.wallets || {}).length} wallets`);
+  console.log(`   Snapshot: rev ${entry.rev}, ${entry.tokens} tokens, ${entry.wallets} wallets (${new Date(entry.createdAt).toISOString()})`);
+
+  if (!confirmed) {
+    console.log('\n   Dry run - re-run with --yes to restore');
+    return;
+  }
+
+  // Safety net: snapshot what we are about to replace (after downloading the target)
+  await manager.restoreChainSnapshot(db, chain, entry);
+  console.log('✅ Restore complete');
+}
+
+restoreDB().catch(err => {
+  console.error('❌ Restore failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,358 @@
+/**
+ * api/* handlers end to end: chain DBs in local file storage, Telegram and
+ * DexScreener replaced by stubFetch()
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  useTempStorage, stubFetch, telegramRoute, dexScreenerRoute, mockResponse, hasCanvas, makeSignal, makeWallet, HOUR_MS, DAY_MS,
+} from './helpers.js';
+
+// Read by the handlers at import
+const BOT_TOKEN = 'test-token';
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+process.env.EXPORT_API_KEY = 'export-key';
+process.env.DB_STORAGE = 'file';
+process.env.TELEGRAM_CHAT_RATE = '6000'; // No 1s/3s spacing between stubbed sends
+process.env.TELEGRAM_MAX_RETRIES = '0';   // Refused sends fail at once
+
+const { TelegramDBv5, LeaderboardManager } = await import('../lib/telegram-db-v5.js');
+const { default: updatePrices } = await import('../api/update-prices.js');
+const { default: updateLeaderboard } = await import('../api/update-leaderboard.js');
+const { default: cleanup } = await import('../api/cleanup.js');
+const { default: exportHandler } = await import('../api/export.js');
+const { default: health } = await import('../api/health.js');
+const { default: gains } = await import('../api/gains.js');
+const { buildDeadLetter } = await import('../lib/dead-letter.js');
+
+const SOL = 501;
+const now = Date.now();
+
+async function seedChain(chainId, { tokens = {}, wallets = {}, ...sections }) {
+  const db = new TelegramDBv5(BOT_TOKEN, chainId);
+  db.db = { ...db.getDefaultDB(), tokens, wallets, ...sections };
+  db.setBase();
+  await db.save(true);
+}
+
+async function loadChain(chainId) {
+  const db = new TelegramDBv5(BOT_TOKEN, chainId);
+  await db.load();
+  return db;
+}
+
+function token(sym, overrides = {}) {
+  return { sym, p0: 1, pNow: 1, pPeak: 1, pLow: 1, mult: 1, peakMult: 1, scnt: 1, firstSeen: now - HOUR_MS, lastSig: now - HOUR_MS, ...overrides };
+}
+
+let storage;
+let fetchStub;
+beforeEach(() => {
+  storage = useTempStorage();
+  process.env.TELEGRAM_RETRY_FILE = `${storage.dir}/telegram-retry.json`;
+  mock.method(console, 'log', () => {});
+});
+afterEach(() => {
+  fetchStub?.restore();
+  fetchStub = null;
+  mock.restoreAll();
+  storage.cleanup();
+});
+
+describe('GET /api/health', () => {
+  it('responds ok without caching', async () => {
+    const res = mockResponse();
+    await health({ query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ok, true);
+    assert.equal(res.headers['cache-control'], 'no-cache, no-store, must-revalidate');
+  });
+});
+
+describe('GET /api/update-prices', () => {
+  it('updates tracked tokens and posts one performance message', async () => {
+    await seedChain(SOL, {
+      tokens: {
+        PumpToken: token('PUMP', { lastMsgId: 42 }),
+        RugToken: token('RUG'),
+        Quiet: token('QUIET'),
+      },
+    });
+    fetchStub = stubFetch([
+      dexScreenerRoute({
+        PumpToken: { priceUsd: 2.5, liquidity: 80000 },
+        RugToken: { priceUsd: 0.9, liquidity: 200 },
+      }),
+      telegramRoute(),
+    ]);
+
+    const res = mockResponse();
+    await updatePrices({ query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ok, true);
+    assert.deepEqual(res.body.chains.SOL, { updated: 2, performers: 2 });
+    assert.equal(res.body.messageSent, true);
+
+    const sent = fetchStub.calls.filter(c => c.url.endsWith('/sendMessage'));
+    assert.equal(sent.length, 1);
+    const { text } = sent[0].body;
+    assert.match(text, /^🚨 <b>Signal Performance<\/b> \(2 tokens\)/);
+    assert.match(text, /📈 <b>Gains<\/b> \(1\) \+150% \(2\.5x\)/);
+    assert.match(text, /<code>🚀 \+150% \(2\.50x\)<\/code> #SOL <b><a href="https:\/\/t\.me\/c\/\d+\/42">PUMP<\/a><\/b>/);
+    assert.match(text, /<code>🪦 -100% \(0\.00x\)<\/code> #SOL <b>RUG<\/b>/);
+
+    const db = await loadChain(SOL);
+    assert.equal(db.getToken('PumpToken').peakMult, 2.5);
+    assert.equal(db.getToken('RugToken').rugged, true);
+    assert.equal(db.getToken('RugToken').archived, true);
+    assert.equal(db.getToken('Quiet').pNow, 1);
+  });
+
+  it('does not post when nothing moved', async () => {
+    await seedChain(SOL, { tokens: { Flat: token('FLAT') } });
+    fetchStub = stubFetch([dexScreenerRoute({ Flat: { priceUsd: 1, liquidity: 80000 } }), telegramRoute()]);
+
+    const res = mockResponse();
+    await updatePrices({ query: {} }, res);
+
+    assert.equal(res.body.totalUpdated, 1);
+    assert.equal(res.body.messageSent, false);
+    assert.equal(fetchStub.calls.filter(c => c.url.includes('api.telegram.org')).length, 0);
+  });
+});
+
+describe('GET /api/update-leaderboard', () => {
+  it('posts chain leaderboards, Hall of Fame and summary, then saves the config', async () => {
+    await seedChain(SOL, {
+      tokens: {
+        Moon: token('MOON', { peakMult: 6, mult: 4, scnt: 3 }),
+        Meh: token('MEH', { peakMult: 1.2, mult: 1.1 }),
+      },
+      wallets: {
+        WalletA1111111111: { scnt: 2, scores: [2, 1], avgScr: 1.5, consistency: 88, lastSeen: now, tokens: { Moon: {} } },
+      },
+    });
+    fetchStub = stubFetch([telegramRoute(500)]);
+
+    const res = mockResponse();
+    await updateLeaderboard({ query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.topTokens, 4);
+    assert.equal(res.body.topWallets, 4);
+
+    const texts = fetchStub.calls.filter(c => c.url.endsWith('/sendMessage')).map(c => c.body.text);
+    const solTokens = texts.find(t => t.startsWith('🟣 <b>SOL Token Leaderboard'));
+    assert.match(solTokens, /7D Top Gainers \(6\.2x\)/);
+    assert.match(solTokens, /<code> 1\. │ {3}6\.0x │ 🚨3 │ <\/code><b>MOON<\/b>/);
+    assert.match(texts.find(t => t.startsWith('🟣 <b>SOL 7D Wallet')), /Wall\.\.\.1111/);
+    assert.match(texts.find(t => t.startsWith('🏅')), /MOON/);
+    assert.match(texts.find(t => t.startsWith('<b>Leaderboards:')), /Bad Calls: 1/);
+
+    const config = await new LeaderboardManager(BOT_TOKEN).loadConfig();
+    assert.equal(typeof config.leaderboards.sol.private.tokens, 'number');
+    assert.ok(config.summaries.private);
+  });
+
+  it('edits the existing messages on the next run', async () => {
+    await seedChain(SOL, { tokens: { Moon: token('MOON', { peakMult: 3 }) } });
+    fetchStub = stubFetch([telegramRoute(500)]);
+    await updateLeaderboard({ query: {} }, mockResponse());
+    const firstSends = fetchStub.calls.filter(c => c.url.endsWith('/sendMessage')).length;
+
+    await updateLeaderboard({ query: {} }, mockResponse());
+
+    assert.equal(fetchStub.calls.filter(c => c.url.endsWith('/sendMessage')).length, firstSends);
+    assert.ok(fetchStub.calls.some(c => c.url.endsWith('/editMessageText')));
+  });
+
+  it('keeps edits Telegram refuses in the config for update-prices to replay', async () => {
+    await seedChain(SOL, { tokens: { Moon: token('MOON', { peakMult: 3 }) } });
+    fetchStub = stubFetch([telegramRoute(500)]);
+    await updateLeaderboard({ query: {} }, mockResponse());
+    fetchStub.restore();
+
+    fetchStub = stubFetch([
+      ['/editMessageText', () => ({ ok: false, error_code: 502, description: 'Bad Gateway' })],
+      telegramRoute(600),
+    ]);
+    await updateLeaderboard({ query: {} }, mockResponse());
+
+    assert.equal(fetchStub.calls.filter(c => c.url.endsWith('/sendMessage')).length, 0); // No second copy
+    const { pendingSends } = await new LeaderboardManager(BOT_TOKEN).loadConfig();
+    const edits = fetchStub.calls.filter(c => c.url.endsWith('/editMessageText')).length;
+    assert.ok(edits > 0);
+    assert.equal(pendingSends.length, edits);
+    fetchStub.restore();
+
+    fetchStub = stubFetch([dexScreenerRoute({ Moon: { priceUsd: 1, liquidity: 80000 } }), telegramRoute(700)]);
+    const res = mockResponse();
+    await updatePrices({ query: {} }, res);
+
+    assert.deepEqual(res.body.retried, { sent: edits, dropped: 0, pending: 0 });
+    assert.equal(fetchStub.calls.filter(c => c.url.endsWith('/editMessageText')).length, edits);
+    assert.deepEqual((await new LeaderboardManager(BOT_TOKEN).loadConfig()).pendingSends, []);
+  });
+});
+
+describe('POST /api/gains', () => {
+  it('keeps a reply Telegram refuses in the leaderboard config', async () => {
+    await seedChain(SOL, { tokens: { Moon: token('MOON', { peakMult: 3 }) } });
+    fetchStub = stubFetch([['api.telegram.org', () => ({ ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 0 } })]]);
+
+    const res = mockResponse();
+    await gains({ method: 'POST', body: { message: { text: '/gains sol', chat: { id: 77 }, message_id: 5 } } }, res);
+
+    assert.equal(res.statusCode, 200);
+    const { pendingSends } = await new LeaderboardManager(BOT_TOKEN).loadConfig();
+    assert.equal(pendingSends.length, 1);
+    assert.equal(pendingSends[0].params.chat_id, 77);
+    assert.equal(pendingSends[0].params.reply_to_message_id, 5);
+    assert.match(pendingSends[0].params.text, /MOON/);
+  });
+});
+
+describe('GET /api/cleanup', () => {
+  it('plans pruning without saving in dry-run mode', async () => {
+    await seedChain(SOL, {
+      tokens: {
+        Fresh: token('FRESH'),
+        Stale: token('STALE', { mult: 0.5, lastSig: now - 40 * DAY_MS }),
+      },
+    });
+
+    const res = mockResponse();
+    await cleanup({ query: { dryRun: 'true' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.dryRun, true);
+    assert.equal(res.body.pruned.tokens, 1);
+    assert.equal(res.body.pruned.archived, 1);
+    assert.ok((await loadChain(SOL)).getToken('Stale'));
+  });
+
+  it('archives and prunes expired records', async () => {
+    await seedChain(SOL, {
+      tokens: { Stale: token('STALE', { mult: 0.5, lastSig: now - 40 * DAY_MS }) },
+    });
+
+    const res = mockResponse();
+    await cleanup({ query: {} }, res);
+
+    assert.equal(res.body.pruned.tokens, 1);
+    const db = await loadChain(SOL);
+    assert.equal(db.getToken('Stale'), null);
+    assert.ok((await db.getArchivedTokens()).Stale);
+  });
+});
+
+describe('GET /api/export', () => {
+  it('requires the export key', async () => {
+    const res = mockResponse();
+    await exportHandler({ query: { chain: 'sol' }, headers: {} }, res);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('streams token records as CSV', async () => {
+    await seedChain(SOL, { tokens: { Moon: token('MOON', { peakMult: 3 }) } });
+
+    const res = mockResponse();
+    await exportHandler({
+      query: { chain: 'sol', columns: 'chain,addr,sym,peakMult' },
+      headers: { authorization: 'Bearer export-key' },
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+    assert.equal(res.text, 'chain,addr,sym,peakMult\nsol,Moon,MOON,3\n');
+    assert.equal(res.ended, true);
+  });
+
+  it('rejects unknown options', async () => {
+    const res = mockResponse();
+    await exportHandler({ query: { key: 'export-key', type: 'prices' }, headers: {} }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+// The poll handlers import index.js (chart generator → canvas native module)
+describe('GET /api/poll', { skip: !hasCanvas() && 'canvas native module not built' }, async () => {
+  it('requires the Telegram config', async () => {
+    delete process.env.TELEGRAM_CHAT_ID;
+    const { default: poll } = await import('../api/poll.js');
+
+    const res = mockResponse();
+    await poll({ query: {} }, res);
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error, 'Missing Telegram config');
+  });
+
+  it('rejects unknown and disabled chains', async () => {
+    const { default: poll } = await import('../api/poll.js');
+
+    for (const chain of ['doge', 'arb']) {
+      const res = mockResponse();
+      await poll({ query: { chain } }, res);
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.error, new RegExp(`Unknown chain: ${chain}`));
+    }
+  });
+});
+
+// Also imports index.js
+describe('GET /api/retry-failed', { skip: !hasCanvas() && 'canvas native module not built' }, async () => {
+  const CHAT = '-1001111111111';
+  const primary = { name: 'private', type: 'telegram', chatId: CHAT, topicId: null, format: 'full', primary: true, filters: {} };
+  const post = { messages: { full: '<b>parked</b>' }, buttons: { private: null, public: null }, payload: {} };
+
+  function parked(signal, overrides = {}) {
+    const wallets = [makeWallet('RetryWallet1111111', 1)];
+    return buildDeadLetter(signal, {
+      id: `${signal.batchId}-0`,
+      destinations: [primary],
+      post,
+      store: { signal, walletDetails: wallets, avgScore: 1, security: null, logWallets: wallets },
+      error: 'Bad Gateway',
+      ...overrides,
+    });
+  }
+
+  it('posts parked signals, records them and drops stale ones', async () => {
+    const { default: retryFailed } = await import('../api/retry-failed.js');
+    const signal = makeSignal({ tokenAddress: 'RetryToken111111111111111111111111111111111' });
+    const stale = makeSignal({ eventTime: now - 2 * HOUR_MS });
+    await seedChain(SOL, { deadLetters: [parked(signal), parked(stale)] });
+    fetchStub = stubFetch([telegramRoute(500)]);
+
+    const res = mockResponse();
+    await retryFailed({ query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.chains.SOL, { sent: 1, dropped: 1, pending: 0 });
+    assert.deepEqual(fetchStub.calls.map(c => c.body.text), ['<b>parked</b>']);
+
+    const db = await loadChain(SOL);
+    assert.deepEqual(db.getDeadLetters(), []);
+    assert.equal(db.getToken(signal.tokenAddress).lastMsgId, 500);
+    assert.ok(db.isSignalSeen(`${signal.batchId}_0`));
+  });
+
+  it('keeps posts that fail again, with one more attempt', async () => {
+    const { default: retryFailed } = await import('../api/retry-failed.js');
+    await seedChain(SOL, { deadLetters: [parked(makeSignal())] });
+    fetchStub = stubFetch([['api.telegram.org', () => ({ ok: false, error_code: 502, description: 'Bad Gateway' })]]);
+
+    const res = mockResponse();
+    await retryFailed({ query: {} }, res);
+
+    assert.deepEqual(res.body.chains.SOL, { sent: 0, dropped: 0, pending: 1 });
+    const [entry] = (await loadChain(SOL)).getDeadLetters();
+    assert.equal(entry.attempts, 1);
+    assert.ok(entry.store);
+  });
+});
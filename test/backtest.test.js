@@ -0,0 +1,150 @@
+/**
+ * Backtest: config validation, re-scoring wallets as of the signal time,
+ * signal outcomes and the per-config summary
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SCORING, resolveScoring } from '../lib/entry-scoring.js';
+import {
+  resolveBacktestConfig, rescoreWallet, signalOutcome, runBacktest, formatBacktestReport, CURRENT_CONFIG,
+} from '../lib/backtest.js';
+import { HOUR_MS } from './helpers.js';
+
+const T = Date.UTC(2026, 0, 15, 12);
+
+function candle(timestamp, low, high, close = (low + high) / 2) {
+  return { timestamp, open: close, high, low, close };
+}
+
+function traded(tokenContractAddress, latestTime, totalTxBuy = 3) {
+  return { tokenContractAddress, buyAvgPrice: '1', totalTxBuy, latestTime: String(latestTime) };
+}
+
+// Wallet W bought a flat chart that mooned (+2), wallet V one that dumped (-2)
+const history = {
+  W: [traded('Moon', T - HOUR_MS), traded('Later', T + HOUR_MS)],
+  V: [traded('Dump', T - HOUR_MS)],
+};
+const candles = {
+  Moon: [
+    candle(T - 3 * HOUR_MS, 1, 1, 1),
+    candle(T - 2 * HOUR_MS, 1, 1, 1),
+    candle(T - HOUR_MS, 1.2, 1.6, 1.5),
+    candle(T + HOUR_MS, 0.1, 0.2, 0.1), // After the signal: the pipeline could not see it
+  ],
+  Later: [candle(T + HOUR_MS, 1, 1, 1), candle(T + 2 * HOUR_MS, 0.1, 0.2, 0.1)],
+  Dump: [candle(T - 3 * HOUR_MS, 1, 1, 1), candle(T - 2 * HOUR_MS, 0.5, 0.6, 0.55)],
+};
+
+describe('resolveBacktestConfig', () => {
+  it('resolves scoring overrides on top of the defaults', () => {
+    const config = resolveBacktestConfig({ name: 'strict', minScore: 0.5, afterBands: [15, 40] });
+
+    assert.equal(config.minScore, 0.5);
+    assert.equal(config.minWallets, 1);
+    assert.deepEqual(config.scoring.afterBands, [15, 40]);
+    assert.deepEqual(config.scoring.matrix, DEFAULT_SCORING.matrix);
+  });
+
+  it('starts from the chain profile unless the config names one', () => {
+    const chainEntry = resolveScoring({ maxTokens: 3 });
+
+    assert.equal(resolveBacktestConfig(CURRENT_CONFIG, chainEntry).scoring.maxTokens, 3);
+    assert.equal(resolveBacktestConfig({ name: 'base', profile: 'default' }, chainEntry).scoring.maxTokens, 10);
+    assert.throws(() => resolveBacktestConfig({ name: 'x', profile: 'nope' }), /x: Unknown scoring profile nope/);
+  });
+
+  it('names the config in validation errors', () => {
+    assert.throws(() => resolveBacktestConfig({ minScore: 1 }), /missing name/);
+    assert.throws(() => resolveBacktestConfig({ name: 'x', minScore: '1' }), /x: minScore/);
+    assert.throws(() => resolveBacktestConfig({ name: 'x', minWallets: 0 }), /x: minWallets/);
+    assert.throws(() => resolveBacktestConfig({ name: 'x', matrix: { flat: { up: 1 } } }), /x: .*unknown after context/);
+  });
+});
+
+describe('rescoreWallet', () => {
+  it('ignores trades and candles after the signal time', () => {
+    assert.deepEqual(rescoreWallet(history.W, candles, T, DEFAULT_SCORING), { avgScore: 2, count: 3 });
+    assert.deepEqual(rescoreWallet(history.V, candles, T, DEFAULT_SCORING), { avgScore: -2, count: 3 });
+  });
+
+  it('scores cached wallet buys at their own time', () => {
+    // V bought after the dump, not before it
+    const trades = { Dump: [{ time: T - 2 * HOUR_MS, type: 'buy', price: 0.55, usd: 10 }] };
+    assert.deepEqual(rescoreWallet(history.V, candles, T, DEFAULT_SCORING, trades), { avgScore: 0, count: 3 });
+  });
+
+  it('returns no score without a history', () => {
+    assert.deepEqual(rescoreWallet(undefined, candles, T, DEFAULT_SCORING), { avgScore: 0, count: 0 });
+  });
+});
+
+describe('signalOutcome', () => {
+  const signal = { time: T, price: 1 };
+
+  it('takes the peak and rug check from candles inside the window', () => {
+    const outcome = signalOutcome(signal, [
+      candle(T - HOUR_MS, 0.1, 5), // Before the signal
+      candle(T + HOUR_MS, 0.9, 2.2),
+      candle(T + 2 * HOUR_MS, 0.2, 0.5),
+      candle(T + 72 * HOUR_MS, 1, 9), // After the window
+    ]);
+
+    assert.deepEqual(outcome, { peakMult: 2.2, rugged: true, source: 'candles' });
+  });
+
+  it('falls back to the DB peak and entry price', () => {
+    const token = { p0: 2, pPeak: 3, rugged: false };
+
+    assert.deepEqual(signalOutcome({ time: T, price: null }, [], token), { peakMult: 1.5, rugged: false, source: 'db' });
+    assert.equal(signalOutcome({ time: T, price: null }, []), null);
+  });
+});
+
+describe('runBacktest', () => {
+  const signals = [
+    { id: 'b1_0', token: 'TokX', time: T, price: 1, wallets: [{ addr: 'W' }] },
+    { id: 'b2_0', token: 'TokY', time: T, price: null, wallets: [{ addr: 'V' }] },
+  ];
+  const data = {
+    signals,
+    history,
+    candles,
+    outcomeCandles: { TokX: [candle(T + HOUR_MS, 0.9, 2.2)] },
+    tokens: { TokY: { p0: 1, pPeak: 1.3, rugged: true } },
+  };
+
+  it('reports posts and outcomes per config', () => {
+    const configs = [
+      CURRENT_CONFIG,
+      { name: 'lenient', minScore: -3 },
+      { name: 'forgive dumps', matrix: { flat: { dump: 1 } } },
+      { name: 'pairs', minWallets: 2 },
+    ].map(spec => resolveBacktestConfig(spec));
+
+    const [current, lenient, forgiving, pairs] = runBacktest(data, configs);
+
+    assert.deepEqual(current, {
+      name: 'current', minScore: 0, signals: 2, posted: 1, withOutcome: 1,
+      winRate: { 1.25: 1, 1.5: 1, 2: 1 }, medianPeak: 2.2, rugRate: 0,
+    });
+    assert.equal(lenient.posted, 2);
+    assert.deepEqual(lenient.winRate, { 1.25: 1, 1.5: 0.5, 2: 0.5 });
+    assert.equal(lenient.medianPeak, 1.75);
+    assert.equal(lenient.rugRate, 0.5);
+    assert.equal(forgiving.posted, 2);
+    assert.equal(pairs.posted, 0);
+    assert.equal(pairs.medianPeak, null);
+  });
+
+  it('formats one row per config', () => {
+    const results = runBacktest(data, [CURRENT_CONFIG, { name: 'pairs', minWallets: 2 }].map(spec => resolveBacktestConfig(spec)));
+    const lines = formatBacktestReport(results).split('\n');
+
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^Config\s+Posted\s+>=1.25x\s+>=1.5x\s+>=2x\s+Median\s+Rugs$/);
+    assert.match(lines[1], /^current\s+1\/2\s+100%\s+100%\s+100%\s+2\.20x\s+0%$/);
+    assert.match(lines[2], /^pairs\s+0\/2\s+-\s+-\s+-\s+-\s+-$/);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Chain registry: lookups, derived maps and CHAINS_JSON overrides
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHAINS, CHAIN_IDS, CHAIN_KEYS, ENABLED_CHAINS, buildRegistry, getChain, getEnabledChains,
+} from '../lib/chains.js';
+
+describe('chain registry', () => {
+  it('enables the four live chains in order', () => {
+    assert.deepEqual(ENABLED_CHAINS, ['sol', 'eth', 'bsc', 'base']);
+    assert.deepEqual(getEnabledChains().map(c => c.id), [501, 1, 56, 8453]);
+  });
+
+  it('maps keys and ids both ways, including disabled chains', () => {
+    assert.equal(CHAIN_IDS.base, 8453);
+    assert.equal(CHAIN_KEYS[42161], 'arb');
+    assert.equal(CHAINS.arb.enabled, false);
+  });
+
+  it('looks chains up by key or id', () => {
+    assert.equal(getChain('eth').explorer.wallet, 'https://etherscan.io/address/');
+    assert.equal(getChain(56).dexscreener, 'bsc');
+    assert.equal(getChain('8453').key, 'base');
+    assert.equal(getChain('nope'), null);
+    assert.equal(getChain(undefined), null);
+  });
+});
+
+describe('buildRegistry', () => {
+  const registry = {
+    sol: { id: 501, name: 'SOL', family: 'svm', dexscreener: 'solana', explorer: {}, dex: {}, theme: { color: '#fff' } },
+  };
+
+  it('applies defaults', () => {
+    const { sol } = buildRegistry(registry, '');
+    assert.equal(sol.key, 'sol');
+    assert.equal(sol.enabled, true);
+    assert.equal(sol.ens, false);
+    assert.deepEqual(sol.poll, { everyMin: 5, pageSize: 10 });
+  });
+
+  it('merges CHAINS_JSON overrides and new chains', () => {
+    const chains = buildRegistry(registry, JSON.stringify({
+      sol: { enabled: false, theme: { icon: 'x.png' } },
+      linea: { id: '59144', name: 'LINEA', family: 'evm', dexscreener: 'linea', goplus: '59144', explorer: {}, dex: {} },
+    }));
+
+    assert.equal(chains.sol.enabled, false);
+    assert.deepEqual(chains.sol.theme, { color: '#fff', bgGradient: ['#1a1a1a', '#101010'], icon: 'x.png' });
+    assert.equal(chains.linea.id, 59144);
+    assert.equal(chains.linea.enabled, true);
+    assert.equal(chains.linea.label, 'LINEA');
+    assert.equal(chains.linea.emoji, '🔗');
+  });
+
+  it('rejects invalid entries', () => {
+    assert.throws(() => buildRegistry(registry, '{'), /Invalid CHAINS_JSON/);
+    assert.throws(() => buildRegistry(registry, '{"x":{"name":"X"}}'), /Chain x: missing id, family, dexscreener, explorer, dex/);
+    assert.throws(
+      () => buildRegistry(registry, '{"x":{"id":501,"name":"X","family":"evm","dexscreener":"x","explorer":{},"dex":{}}}'),
+      /id 501 already used by sol/,
+    );
+    assert.throws(
+      () => buildRegistry(registry, '{"x":{"id":7,"name":"X","family":"move","dexscreener":"x","explorer":{},"dex":{}}}'),
+      /unknown family move/,
+    );
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * DB codec: encode/decode round-trips per compression and layout, legacy
+ * plain JSON documents and headers the decoder must refuse
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { encodeDocument, decodeDocument, getCodecOptions } from '../lib/db-codec.js';
+
+const TOK = 'TokAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAApump';
+const WAL_A = 'WalA1111aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const WAL_B = 'WalB2222bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+const doc = {
+  version: 5,
+  rev: 4,
+  lastSigs: ['b1_0'],
+  tokens: {
+    [TOK]: { sym: 'AAA', p0: 0.001, wallets: [WAL_A, WAL_B] },
+    Other: { sym: 'OTH', p0: 1 },
+  },
+  wallets: {
+    [WAL_A]: { scnt: 2, tags: ['kol'], tokens: { [TOK]: { entry: 0.001, score: 2 }, Other: { entry: 1, score: 0 } } },
+    [WAL_B]: { scnt: 1, tags: [] },
+  },
+  recentSignals: [],
+};
+
+describe('encodeDocument / decodeDocument', () => {
+  for (const compression of ['brotli', 'gzip', 'none']) {
+    for (const layout of ['plain', 'dict']) {
+      it(`round-trips ${compression} with the ${layout} layout`, () => {
+        const encoded = encodeDocument(doc, { compression, layout });
+
+        assert.equal(encoded.buffer.subarray(0, 4).toString(), 'SPDB');
+        assert.equal(encoded.compression, compression);
+        assert.equal(encoded.layout, layout);
+        assert.equal(encoded.rawBytes, Buffer.byteLength(JSON.stringify(doc)));
+        assert.deepEqual(decodeDocument(encoded.buffer), doc);
+      });
+    }
+  }
+
+  it('keeps wallet token order through the dictionary layout', () => {
+    const { buffer } = encodeDocument(doc, { compression: 'none', layout: 'dict' });
+    const stored = JSON.parse(buffer.subarray(7).toString('utf8'));
+
+    assert.deepEqual(stored.$dict, [WAL_A, WAL_B, TOK, 'Other']);
+    assert.deepEqual(stored.tokens[TOK].wallets, [0, 1]);
+    assert.deepEqual(Object.keys(decodeDocument(buffer).wallets[WAL_A].tokens), [TOK, 'Other']);
+  });
+
+  it('compresses below the raw JSON size', () => {
+    const large = { ...doc, tokens: Object.fromEntries(Array.from({ length: 200 }, (_, i) => [`${TOK}${i}`, doc.tokens[TOK]])) };
+    for (const compression of ['brotli', 'gzip']) {
+      const { buffer, rawBytes } = encodeDocument(large, { compression, layout: 'plain' });
+      assert.ok(buffer.length < rawBytes / 4, `${compression}: ${buffer.length} of ${rawBytes} bytes`);
+    }
+  });
+
+  it('reads legacy plain JSON documents as they are', () => {
+    assert.deepEqual(decodeDocument(Buffer.from(JSON.stringify(doc))), doc);
+    assert.deepEqual(decodeDocument(Buffer.from('{}')), {});
+    assert.throws(() => decodeDocument(zlib.gzipSync(JSON.stringify(doc))), SyntaxError);
+  });
+
+  it('refuses newer format versions and unknown compression ids', () => {
+    const { buffer } = encodeDocument(doc, { compression: 'none', layout: 'plain' });
+
+    const future = Buffer.from(buffer);
+    future[4] = 2;
+    assert.throws(() => decodeDocument(future), /Unsupported DB format version 2/);
+
+    const unknown = Buffer.from(buffer);
+    unknown[5] = 9;
+    assert.throws(() => decodeDocument(unknown), /Unknown DB compression id 9/);
+  });
+});
+
+describe('getCodecOptions', () => {
+  afterEach(() => {
+    delete process.env.DB_COMPRESSION;
+    delete process.env.DB_COMPACT_LAYOUT;
+  });
+
+  it('defaults to brotli with the plain layout and reads the env', () => {
+    delete process.env.DB_COMPRESSION;
+    delete process.env.DB_COMPACT_LAYOUT;
+    assert.deepEqual(getCodecOptions(), { compression: 'brotli', layout: 'plain' });
+
+    process.env.DB_COMPRESSION = 'GZIP';
+    process.env.DB_COMPACT_LAYOUT = 'true';
+    assert.deepEqual(getCodecOptions(), { compression: 'gzip', layout: 'dict' });
+
+    process.env.DB_COMPRESSION = 'zstd';
+    assert.throws(() => getCodecOptions(), /Unknown DB_COMPRESSION: zstd/);
+  });
+});
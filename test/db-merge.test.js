@@ -0,0 +1,129 @@
+/**
+ * DB merge: per-field strategies of the three-way merge and merge-on-conflict
+ * between two writers saving the same chain document
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeDB } from '../lib/db-merge.js';
+import { TelegramDBv5 } from '../lib/telegram-db-v5.js';
+import { useTempStorage, HOUR_MS } from './helpers.js';
+
+const now = Date.now();
+
+function doc(tokens = {}, wallets = {}, extra = {}) {
+  return { version: 5, rev: 1, tokens, wallets, lastSigs: [], recentSignals: [], ...extra };
+}
+
+describe('mergeDB', () => {
+  it('adds counter deltas to the remote value', () => {
+    const base = doc({ T: { scnt: 2 } }, { W: { scnt: 5, exits: 0 } });
+    const local = doc({ T: { scnt: 3 } }, { W: { scnt: 6, exits: 1 } });
+    const remote = doc({ T: { scnt: 4 } }, { W: { scnt: 7, exits: 0 } });
+
+    const merged = mergeDB(base, local, remote);
+
+    assert.equal(merged.tokens.T.scnt, 5);
+    assert.equal(merged.wallets.W.scnt, 8);
+    assert.equal(merged.wallets.W.exits, 1);
+  });
+
+  it('keeps the extremes of max/min fields', () => {
+    const base = doc({ T: { pPeak: 2, pLow: 1 } });
+    const local = doc({ T: { pPeak: 3, pLow: 0.8 } });
+    const remote = doc({ T: { pPeak: 4, pLow: 0.5 } });
+
+    assert.deepEqual(mergeDB(base, local, remote).tokens.T, { pPeak: 4, pLow: 0.5 });
+  });
+
+  it('unions wallet lists, tags and time-keyed signals', () => {
+    const base = doc({ T: { wallets: ['A'], signals: [{ time: 1 }] } }, { W: { tags: ['kol'] } });
+    const local = doc({ T: { wallets: ['A', 'B'], signals: [{ time: 1 }, { time: 3 }] } }, { W: { tags: ['kol', 'whale'] } });
+    const remote = doc({ T: { wallets: ['A', 'C'], signals: [{ time: 1 }, { time: 2 }] } }, { W: { tags: ['kol', 'sniper'] } });
+
+    const merged = mergeDB(base, local, remote);
+
+    assert.deepEqual(merged.tokens.T.wallets, ['A', 'C', 'B']);
+    assert.deepEqual(merged.tokens.T.signals.map(s => s.time), [1, 2, 3]);
+    assert.deepEqual(merged.wallets.W.tags, ['kol', 'sniper', 'whale']);
+  });
+
+  it('merges object fields per key', () => {
+    const base = doc({ T: { msgIds: { a: 1 } } }, { W: { tokens: { X: { scr: 1 } } } });
+    const local = doc({ T: { msgIds: { a: 1, b: 2 } } }, { W: { tokens: { X: { scr: 1 }, Y: { scr: 2 } } } });
+    const remote = doc({ T: { msgIds: { a: 1, c: 3 } } }, { W: { tokens: { X: { scr: 1 }, Z: { scr: -1 } } } });
+
+    const merged = mergeDB(base, local, remote);
+
+    assert.deepEqual(merged.tokens.T.msgIds, { a: 1, c: 3, b: 2 });
+    assert.deepEqual(Object.keys(merged.wallets.W.tokens).sort(), ['X', 'Y', 'Z']);
+  });
+
+  it('lets the last writer win on other fields and keeps untouched remote edits', () => {
+    const base = doc({ T: { pNow: 1, sym: 'OLD' }, U: { pNow: 1 } });
+    const local = doc({ T: { pNow: 2, sym: 'OLD' }, U: { pNow: 1 } });
+    const remote = doc({ T: { pNow: 3, sym: 'NEW' }, U: { pNow: 5 } });
+
+    const merged = mergeDB(base, local, remote);
+
+    assert.deepEqual(merged.tokens.T, { pNow: 2, sym: 'NEW' });
+    assert.deepEqual(merged.tokens.U, { pNow: 5 });
+  });
+
+  it('deletes locally pruned records unless the remote changed them', () => {
+    const base = doc({ Pruned: { pNow: 1 }, Touched: { pNow: 1 } });
+    const local = doc({});
+    const remote = doc({ Pruned: { pNow: 1 }, Touched: { pNow: 2 }, New: { pNow: 1 } });
+
+    assert.deepEqual(Object.keys(mergeDB(base, local, remote).tokens).sort(), ['New', 'Touched']);
+  });
+
+  it('merges seen signals and recent signals by id', () => {
+    const recent = (id, extra = {}) => ({ id, time: now - HOUR_MS, ...extra });
+    const base = doc({}, {}, { lastSigs: ['s1'], recentSignals: [recent('r1')] });
+    const local = doc({}, {}, { lastSigs: ['s2', 's1'], recentSignals: [recent('r1', { msgId: 9 }), recent('r2')] });
+    const remote = doc({}, {}, { lastSigs: ['s3', 's1'], recentSignals: [recent('r1'), recent('r3')] });
+
+    const merged = mergeDB(base, local, remote);
+
+    assert.deepEqual(merged.lastSigs, ['s2', 's3', 's1']);
+    assert.deepEqual(merged.recentSignals.map(s => s.id).sort(), ['r1', 'r2', 'r3']);
+    assert.equal(merged.recentSignals.find(s => s.id === 'r1').msgId, 9);
+  });
+});
+
+describe('TelegramDBv5.save() revision conflicts', () => {
+  let storage;
+  before(() => { storage = useTempStorage(); });
+  after(() => storage.cleanup());
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  async function open() {
+    const db = new TelegramDBv5(null, 501);
+    await db.load();
+    return db;
+  }
+
+  it('merges the second writer onto the first instead of overwriting it', async () => {
+    const seed = await open();
+    seed.db.tokens.T = { sym: 'TOK', scnt: 1, pPeak: 1, wallets: ['A'] };
+    await seed.save(true);
+
+    const poll = await open();
+    const prices = await open();
+    poll.db.tokens.T.scnt = 2;
+    poll.db.tokens.T.wallets.push('B');
+    poll.db.tokens.New = { sym: 'NEW', scnt: 1 };
+    prices.db.tokens.T.pPeak = 3;
+    prices.db.tokens.T.scnt = 2;
+
+    await poll.save(true);
+    await prices.save(true);
+
+    const stored = await open();
+    assert.equal(stored.db.rev, 3);
+    assert.deepEqual(stored.db.tokens.T, { sym: 'TOK', scnt: 3, pPeak: 3, wallets: ['A', 'B'] });
+    assert.equal(stored.db.tokens.New.sym, 'NEW');
+  });
+});
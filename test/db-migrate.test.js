@@ -0,0 +1,118 @@
+/**
+ * DB migration: one small dump per legacy format (v1 Telegram export, v2
+ * messages, v3 channel records, v4 pinned #main index) normalized and
+ * migrated to a v5 document
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { DAY_MS } from './helpers.js';
+import { normalizeDump, migrate, mergeIntoCurrent, CURRENT_VERSION } from '../lib/db-migrate.js';
+
+// Fixtures are dated relative to this instant
+const NOW = Date.UTC(2026, 0, 15, 12);
+const TOK_A = 'TokAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAApump';
+const TOK_B = 'TokBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBpump';
+const WAL_A = 'WalA1111aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const WAL_B = 'WalB2222bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+function loadDump(file) {
+  const raw = fs.readFileSync(new URL(`../fixtures/migrate/${file}`, import.meta.url), 'utf8');
+  return normalizeDump(file.endsWith('.json') ? JSON.parse(raw) : raw, { chainId: 501 });
+}
+
+function run(file) {
+  const legacy = loadDump(file);
+  const { doc, steps } = migrate(legacy);
+  return { legacy, doc, steps };
+}
+
+const recentA = { id: 'b1_0', token: TOK_A, sym: 'AAA', time: NOW - DAY_MS, price: 0.001, avgScr: 1.5, msgId: null };
+
+describe('migrate() fixture dumps', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+  afterEach(() => mock.timers.reset());
+
+  it('migrates a v1 Telegram Desktop export through every step', () => {
+    const { legacy, doc, steps } = run('v1-export.json');
+
+    assert.equal(legacy.version, 1);
+    assert.deepEqual(steps.map(s => `${s.from}>${s.to}`), ['1>2', '2>3', '3>4', '4>5']);
+    assert.equal(doc.version, CURRENT_VERSION);
+    assert.equal(doc.chain, 'sol');
+    assert.equal(doc.updatedAt, NOW);
+    assert.deepEqual(doc.lastSigs, ['b1_0', 'b0_0']);
+    assert.deepEqual(doc.tokens[TOK_A], {
+      sym: 'AAA', p0: 0.001, pNow: 0.001, pPeak: 0.003, pLow: 0.001, mult: 1, peakMult: 3,
+      scnt: 1, avgScr: 1.5, firstSeen: NOW - DAY_MS, lastSig: NOW - DAY_MS, lastMsgId: null,
+      rugged: false, wallets: [WAL_A, WAL_B], signals: [{ time: NOW - DAY_MS, price: 0.001, score: 1.5 }],
+    });
+    assert.equal(doc.tokens[TOK_B].avgScr, -0.5);
+    assert.deepEqual(doc.wallets[WAL_A], {
+      scnt: 2, avgScr: 0.5, consistency: 100, lastSeen: NOW - 10 * DAY_MS,
+      tags: [], scores: [-0.5, 1.5], tokens: {},
+    });
+    // b0_0 is ten days old: outside the 7d recent window
+    assert.deepEqual(doc.recentSignals, [recentA]);
+  });
+
+  it('migrates v2 messages with performance snapshots into peaks and wallet entries', () => {
+    const { legacy, doc, steps } = run('v2-messages.json');
+
+    assert.equal(legacy.version, 2);
+    assert.equal(steps.length, 3);
+    assert.deepEqual(doc.lastSigs, ['b1_0']);
+    assert.equal(doc.tokens[TOK_A].pPeak, 0.004);
+    assert.equal(doc.tokens[TOK_A].peakMult, 4);
+    assert.deepEqual(doc.wallets[WAL_A], {
+      scnt: 1, avgScr: 1.5, consistency: 100, lastSeen: NOW - DAY_MS,
+      tags: [], scores: [1.5], tokens: { [TOK_A]: { entry: 0.001, time: NOW - DAY_MS } },
+    });
+    assert.deepEqual(doc.recentSignals, [recentA]);
+  });
+
+  it('resolves v3 channel records keyed by address prefixes', () => {
+    const { legacy, doc } = run('v3-channels.json');
+
+    assert.equal(legacy.version, 3);
+    assert.deepEqual(Object.keys(doc.tokens), [TOK_A]);
+    assert.deepEqual(Object.keys(doc.wallets), [WAL_A]);
+    assert.equal(doc.tokens[TOK_A].pPeak, 0.002);
+    assert.equal(doc.wallets[WAL_A].consistency, 80);
+    assert.deepEqual(doc.wallets[WAL_A].tokens, { [TOK_A]: { entry: 0.001, time: NOW - DAY_MS } });
+    assert.deepEqual(doc.lastSigs, ['b1_0', 'b0_0']);
+  });
+
+  it('migrates the v4 pinned #main index with tracked tokens and peaks', () => {
+    const { legacy, doc, steps } = run('v4-main.txt');
+
+    assert.equal(legacy.version, 4);
+    assert.deepEqual(steps.map(s => s.from), [4]);
+    assert.deepEqual(doc.lastSigs, ['b2_0', 'b1_0', 'b0_0']);
+    // Tracked tokens only kept p0/pPeak: the entry price stands in for now/low
+    assert.deepEqual(doc.tokens[TOK_B], {
+      sym: 'BBB', p0: 0.5, pNow: 0.5, pPeak: 0.6, pLow: 0.5, mult: 1, peakMult: 1.2,
+      scnt: 1, avgScr: -0.5, firstSeen: NOW - 10 * DAY_MS, lastSig: NOW - 10 * DAY_MS,
+      lastMsgId: 101, rugged: false, wallets: [], signals: [],
+    });
+    assert.equal(doc.tokens[TOK_A].peakMult, 3.5); // From tokenPeaks
+    assert.equal(doc.tokens[TOK_A].firstSeen, NOW - 2 * DAY_MS);
+    assert.equal(doc.tokens[TOK_A].lastSig, NOW - DAY_MS);
+    assert.equal(doc.tokens[TOK_A].lastMsgId, 205);
+    assert.deepEqual(doc.wallets, {});
+  });
+
+  it('leaves a v5 document alone and merges a dump into it only once', () => {
+    const { doc } = run('v1-export.json');
+
+    const again = migrate(doc);
+    assert.deepEqual(again.steps, []);
+    assert.equal(again.doc, doc);
+
+    const once = mergeIntoCurrent(run('v4-main.txt').doc, doc);
+    assert.deepEqual(mergeIntoCurrent(once, doc), once);
+    assert.equal(once.tokens[TOK_A].lastMsgId, 205); // Existing records win
+    assert.deepEqual(Object.keys(once.wallets), [WAL_A]);
+  });
+});
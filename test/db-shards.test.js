@@ -0,0 +1,145 @@
+/**
+ * DB shards: partition count, split/apply, converting a large DB, partial
+ * loads, saving only changed shards and merging a shard two writers changed
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+
+// Read by db-shards.js / db-codec.js at import: shard a few KB of plain JSON
+process.env.DB_SHARD_THRESHOLD_BYTES = '4096';
+process.env.DB_COMPRESSION = 'none';
+
+const {
+  calcWalletShardCount, buildShards, applyShard, walletShardName, isManifestFile,
+} = await import('../lib/db-shards.js');
+const { TelegramDBv5 } = await import('../lib/telegram-db-v5.js');
+
+function makeWallets(count) {
+  const wallets = {};
+  for (let i = 0; i < count; i++) {
+    wallets[`Wallet${String(i).padStart(4, '0')}xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx`] = {
+      scnt: 1, avgScr: 0.5, tags: [], tokens: { Tok1: { scr: 0.5, t: 1 } },
+    };
+  }
+  return wallets;
+}
+
+describe('calcWalletShardCount', () => {
+  it('sizes partitions to the data, not to the threshold alone', () => {
+    const small = makeWallets(3);
+
+    assert.equal(calcWalletShardCount({}), 4);
+    assert.equal(calcWalletShardCount(small, 1), 4); // Tiny threshold, tiny data
+    const oneMb = { big: { blob: 'x'.repeat(1000 * 1024) } };
+    assert.equal(calcWalletShardCount(oneMb, 1), 16); // 64KB minimum per partition
+    assert.equal(calcWalletShardCount(oneMb, 1024 * 1024), 4);
+    assert.equal(calcWalletShardCount({ big: { blob: 'x'.repeat(3 * 1024 * 1024) } }, 1024 * 1024), 16);
+  });
+});
+
+describe('buildShards / applyShard', () => {
+  it('partitions wallets by address and rebuilds the document', () => {
+    const doc = { version: 5, lastSigs: ['a'], tokens: { T: { sym: 'T' } }, wallets: makeWallets(20), recentSignals: [], stats: null, rev: 3 };
+    const shards = buildShards(doc, 4);
+
+    assert.deepEqual(Object.keys(shards).sort(), ['meta', 'recentSignals', 'stats', 'tokens', 'wallets-0', 'wallets-1', 'wallets-2', 'wallets-3']);
+    assert.deepEqual(shards.meta, { version: 5, lastSigs: ['a'] });
+    for (const [name, shard] of Object.entries(shards).filter(([n]) => n.startsWith('wallets-'))) {
+      for (const addr of Object.keys(shard.wallets)) assert.equal(walletShardName(addr, 4), name);
+    }
+
+    const rebuilt = {};
+    for (const [name, data] of Object.entries(shards)) applyShard(rebuilt, name, data, 4);
+    assert.deepEqual(rebuilt.wallets, doc.wallets);
+    assert.deepEqual(rebuilt.tokens, doc.tokens);
+  });
+});
+
+describe('sharded TelegramDBv5', () => {
+  let storage;
+  const wallets = makeWallets(40);
+  const [first, second] = Object.keys(wallets);
+
+  before(async () => {
+    storage = useTempStorage();
+    mock.method(console, 'log', () => {});
+    const db = new TelegramDBv5(null, 501);
+    await db.load();
+    db.db.tokens = { Tok1: { sym: 'TOK', scnt: 1 } };
+    db.db.wallets = structuredClone(wallets);
+    await db.save(true);
+    mock.restoreAll();
+  });
+  after(() => storage.cleanup());
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  async function open(shards) {
+    const db = new TelegramDBv5(null, 501);
+    await db.load({ shards });
+    return db;
+  }
+
+  it('splits a DB over the threshold into a pinned manifest and shards', async () => {
+    const pinned = await (await open(['meta'])).storage.getPinned();
+    assert.ok(isManifestFile(pinned.fileName));
+
+    const full = await open();
+    assert.equal(full.manifest.walletShards, 4);
+    assert.deepEqual(full.db.wallets, wallets);
+    assert.deepEqual(full.db.tokens, { Tok1: { sym: 'TOK', scnt: 1 } });
+  });
+
+  it('loads only the requested shards and the wallet partitions it needs', async () => {
+    const db = await open(['meta', 'tokens']);
+    assert.equal(Object.keys(db.db.wallets).length, 0);
+    assert.equal(db.db.tokens.Tok1.sym, 'TOK');
+
+    await db.ensureWallets([first]);
+    const partition = walletShardName(first, db.manifest.walletShards);
+    assert.deepEqual([...db.loadedShards].sort(), ['meta', partition, 'tokens'].sort());
+    assert.deepEqual(db.db.wallets[first], wallets[first]);
+    assert.ok(Object.keys(db.db.wallets).every(addr => walletShardName(addr, 4) === partition));
+  });
+
+  it('saves only the shards that changed', async () => {
+    const db = await open(['meta', 'tokens']);
+    await db.ensureWallets([first]);
+    const before = structuredClone(db.manifest.shards);
+
+    db.db.wallets[first].scnt = 2;
+    await db.save(true);
+
+    const partition = walletShardName(first, 4);
+    const changed = Object.keys(before).filter(name => before[name].fileUniqueId !== db.manifest.shards[name].fileUniqueId);
+    assert.deepEqual(changed, [partition]);
+
+    const full = await open();
+    assert.equal(full.db.wallets[first].scnt, 2);
+    assert.equal(Object.keys(full.db.wallets).length, 40); // Unloaded partitions kept
+  });
+
+  it('merges a shard another writer saved in the meantime', async () => {
+    const a = await open(['meta', 'tokens']);
+    const b = await open(['meta', 'tokens']);
+    await a.ensureWallets([first, second]);
+    await b.ensureWallets([first, second]);
+    const scnt = a.db.wallets[first].scnt;
+
+    a.db.wallets[first].scnt += 1;
+    a.db.tokens.Tok1.scnt += 1;
+    b.db.wallets[first].scnt += 1;
+    b.db.wallets[second].tags = ['kol'];
+    b.db.tokens.Tok1.scnt += 1;
+    await a.save(true);
+    await b.save(true);
+
+    const full = await open();
+    assert.equal(full.db.wallets[first].scnt, scnt + 2);
+    assert.deepEqual(full.db.wallets[second].tags, ['kol']);
+    assert.equal(full.db.tokens.Tok1.scnt, 3);
+    assert.equal(full.db.rev, a.db.rev + 1);
+  });
+});
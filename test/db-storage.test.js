@@ -0,0 +1,111 @@
+/**
+ * DB storage adapters: the local file and SQLite backends against the same
+ * document-channel contract (pinned head, revisions by fileId, removal)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { LocalFileStorage, SqliteStorage } from '../lib/db-storage.js';
+import { TelegramDBv5 } from '../lib/telegram-db-v5.js';
+import { useTempStorage } from './helpers.js';
+
+const text = buffer => buffer.toString('utf8');
+
+const adapters = [
+  ['LocalFileStorage', dir => new LocalFileStorage(dir, 'sol')],
+  ['SqliteStorage', dir => new SqliteStorage(path.join(dir, 'signal-db.sqlite'), 'sol')],
+];
+
+for (const [name, create] of adapters) {
+  describe(name, () => {
+    let storage;
+    let adapter;
+    beforeEach(() => {
+      storage = useTempStorage();
+      adapter = create(storage.dir);
+    });
+    afterEach(() => storage.cleanup());
+
+    it('pins an uploaded document and moves its fileUniqueId on every update', async () => {
+      assert.equal(await adapter.getPinned(), null);
+
+      const first = await adapter.upload(Buffer.from('v1'), 'sol-db.json', 'caption');
+      await adapter.pin(first.messageId);
+      const pinned = await adapter.getPinned();
+      assert.deepEqual(
+        { messageId: pinned.messageId, fileId: pinned.fileId, fileName: pinned.fileName },
+        { messageId: first.messageId, fileId: first.fileId, fileName: 'sol-db.json' },
+      );
+
+      const second = await adapter.update(first.messageId, Buffer.from('v2'), 'sol-db.json', 'caption');
+      assert.equal(second.messageId, first.messageId);
+      assert.notEqual(second.fileUniqueId, first.fileUniqueId);
+      assert.equal((await adapter.getPinned()).fileUniqueId, second.fileUniqueId);
+      assert.equal(text(await adapter.download((await adapter.getPinned()).fileId)), 'v2');
+    });
+
+    it('downloads the revision a fileId names and keeps the one before the head', async () => {
+      const v1 = await adapter.upload(Buffer.from('v1'), 'sol-db.json');
+      const v2 = await adapter.update(v1.messageId, Buffer.from('v2'), 'sol-db.json');
+
+      assert.equal(text(await adapter.download(v1.fileId)), 'v1');
+      assert.equal(text(await adapter.download(v2.fileId)), 'v2');
+
+      const v3 = await adapter.update(v1.messageId, Buffer.from('v3'), 'sol-db.json');
+      assert.equal(text(await adapter.download(v2.fileId)), 'v2');
+      assert.equal(text(await adapter.download(v3.fileId)), 'v3');
+      await assert.rejects(adapter.download(v1.fileId));
+    });
+
+    it('removes documents but never the pinned head', async () => {
+      const head = await adapter.upload(Buffer.from('head'), 'sol-db.json');
+      const old = await adapter.upload(Buffer.from('old'), 'sol-db.json');
+      await adapter.pin(head.messageId);
+
+      await assert.rejects(adapter.remove(head.messageId), /is pinned/);
+      await adapter.remove(old.messageId);
+      await assert.rejects(adapter.download(old.fileId));
+      await assert.rejects(adapter.update(old.messageId, Buffer.from('x'), 'sol-db.json'), /not found/);
+      assert.equal(text(await adapter.download(head.fileId)), 'head');
+    });
+  });
+}
+
+describe('TelegramDBv5 on SQLite storage', () => {
+  let storage;
+  beforeEach(() => {
+    storage = useTempStorage();
+    process.env.DB_STORAGE = 'sqlite';
+    process.env.DB_SQLITE_PATH = path.join(storage.dir, 'signal-db.sqlite');
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.DB_SQLITE_PATH;
+    storage.cleanup();
+  });
+
+  async function open() {
+    const db = new TelegramDBv5(null, 501);
+    await db.load();
+    return db;
+  }
+
+  it('merges two writers that loaded the same revision', async () => {
+    const seed = await open();
+    seed.db.tokens.T = { sym: 'TOK', scnt: 1, pPeak: 1 };
+    await seed.save(true);
+
+    const poll = await open();
+    const prices = await open();
+    poll.db.tokens.T.scnt = 2;
+    prices.db.tokens.T.pPeak = 3;
+    await poll.save(true);
+    await prices.save(true);
+
+    const stored = await open();
+    assert.equal(stored.db.rev, 3);
+    assert.deepEqual(stored.db.tokens.T, { sym: 'TOK', scnt: 2, pPeak: 3 });
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * DB records: storeSignalData, signal log reads, price updates, finalizeToken,
+ * stats rollovers and snapshot restores
+ * (local file storage stands in for the Telegram channels)
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramDBv5, LeaderboardManager, SNAPSHOT_RETENTION } from '../lib/telegram-db-v5.js';
+import {
+  storeSignalData, getTokenSignalHistory, updateTokenMsgId, getTokenLastMsgId, updateDestinationMsgId, getDestinationMsgId,
+} from '../lib/db-integration-v5.js';
+import { applyPriceUpdate } from '../lib/price-tracking.js';
+import { useTempStorage, makeSignal, makeWallet, HOUR_MS, DAY_MS } from './helpers.js';
+
+const T0 = Date.UTC(2026, 0, 14, 12); // Wednesday
+
+function freshDB() {
+  const db = new TelegramDBv5(null, 501);
+  db.db = db.getDefaultDB();
+  db.setBase();
+  db.initStats(T0);
+  return db;
+}
+
+let storage;
+before(() => { storage = useTempStorage(); });
+after(() => storage.cleanup());
+beforeEach(() => mock.method(console, 'log', () => {}));
+afterEach(() => mock.restoreAll());
+
+describe('storeSignalData', () => {
+  const token = 'StoreToken111111111111111111111111111111111';
+
+  it('creates token, wallet, recent signal and log records', async () => {
+    const db = freshDB();
+    const now = Date.now(); // Recent signals only keep the last 7 days
+    const signal = makeSignal({ tokenAddress: token, eventTime: now, priceAtSignal: '0.001', mcapAtSignal: '50000' });
+    const wallets = [makeWallet('WalletA1111111111', 2), makeWallet('WalletB2222222222', 0)];
+
+    const result = await storeSignalData(db, signal, wallets, 1, { status: 'SAFE' }, wallets, now);
+
+    assert.equal(result.token, true);
+    assert.equal(result.wallets, 2);
+    assert.equal(db.isSignalSeen(`${signal.batchId}_${signal.batchIndex}`), true);
+
+    const stored = db.getToken(token);
+    assert.equal(stored.p0, 0.001);
+    assert.equal(stored.mc0, 50000);
+    assert.equal(stored.avgScr, 1);
+    assert.equal(stored.scnt, 1);
+    assert.equal(stored.firstSeen, now);
+    assert.equal(stored.sec, 'SAFE');
+    assert.deepEqual(stored.wallets, ['WalletA1', 'WalletB2']);
+
+    const wallet = db.getWallet('WalletA1111111111');
+    assert.deepEqual(wallet.scores, [2]);
+    assert.equal(wallet.lastSeen, now);
+    assert.deepEqual(wallet.tokens[token], { entry: 0.001, score: 2, time: now });
+
+    assert.equal(db.getRecentSignals()[0].token, token);
+    assert.equal(db.pendingLog.length, 1);
+    // Scores stay tied to the profile that produced them
+    assert.equal(stored.signals[0].prof, 'default');
+    assert.equal(db.getRecentSignals()[0].prof, 'default');
+    assert.equal(db.pendingLog[0].prof, 'default');
+    assert.equal(db.getStats().lifetime.totalSignals, 1);
+  });
+
+  it('updates repeat tokens and wallets with running averages', async () => {
+    const db = freshDB();
+    const first = makeSignal({ tokenAddress: token, eventTime: T0, priceAtSignal: '0.001' });
+    await storeSignalData(db, first, [makeWallet('WalletA1111111111', 2)], 2, null, undefined, T0);
+
+    const second = makeSignal({ tokenAddress: token, eventTime: T0 + HOUR_MS, priceAtSignal: '0.0008' });
+    const wallets = [makeWallet('WalletA1111111111', -2), makeWallet('WalletC3333333333', 1)];
+    await storeSignalData(db, second, wallets, -0.5, null, undefined, T0 + HOUR_MS);
+
+    const stored = db.getToken(token);
+    assert.equal(stored.scnt, 2);
+    assert.equal(stored.avgScr, 0.75);
+    assert.equal(stored.p0, 0.001);
+    assert.equal(stored.pLow, 0.0008);
+    assert.equal(stored.lastSig, T0 + HOUR_MS);
+    assert.equal(stored.signals.length, 2);
+    assert.deepEqual(stored.wallets, ['WalletA1', 'WalletC3']);
+
+    const wallet = db.getWallet('WalletA1111111111');
+    assert.equal(wallet.scnt, 2);
+    assert.equal(wallet.avgScr, 0);
+    assert.deepEqual(wallet.scores, [2, -2]);
+    assert.equal(wallet.consistency, 75);
+    assert.equal(wallet.lastSeen, T0 + HOUR_MS);
+  });
+
+  it('survives a save/load round trip through storage', async () => {
+    const db = freshDB();
+    const signal = makeSignal({ tokenAddress: token, eventTime: T0 });
+    await storeSignalData(db, signal, [makeWallet('WalletA1111111111', 1)], 1, { status: 'SAFE' }, undefined, T0);
+    await db.save(true);
+
+    const reloaded = new TelegramDBv5(null, 501);
+    await reloaded.load();
+    assert.deepEqual(reloaded.getToken(token), db.getToken(token));
+    assert.deepEqual(reloaded.getWallet('WalletA1111111111'), db.getWallet('WalletA1111111111'));
+    assert.equal(reloaded.isSignalSeen(`${signal.batchId}_${signal.batchIndex}`), true);
+  });
+
+  it('keeps reply message ids per destination', async () => {
+    const db = freshDB();
+    await storeSignalData(db, makeSignal({ tokenAddress: token, eventTime: T0 }), [makeWallet('WalletA1111111111', 1)], 1, null, undefined, T0);
+
+    await updateTokenMsgId(db, token, 10);
+    updateDestinationMsgId(db, token, 'sol-kol', 20);
+    updateDestinationMsgId(db, token, 'conviction', 30);
+    updateDestinationMsgId(db, token, 'sol-kol', 21);
+
+    assert.equal(getTokenLastMsgId(db, token), 10);
+    assert.deepEqual(db.getToken(token).msgIds, { 'sol-kol': 21, conviction: 30 });
+    assert.equal(getDestinationMsgId(db, token, 'conviction'), 30);
+    assert.equal(getDestinationMsgId(db, token, 'public'), null);
+    assert.equal(getDestinationMsgId(db, 'Untracked', 'sol-kol'), null);
+  });
+});
+
+describe('getTokenSignalHistory', () => {
+  const token = 'LogToken11111111111111111111111111111111111';
+  const entry = (id, time, tok = token) => ({ id, token: tok, time, price: 0.001, avgScr: 1, wallets: [] });
+
+  it('reads only the log segments written since the token was first seen', async () => {
+    const db = freshDB();
+    const segments = [];
+    await db.writeSegment(segments, 1, [entry('old', T0 - 30 * DAY_MS, 'Other'), entry('older', T0 - 20 * DAY_MS, 'Other')], null);
+    await db.writeSegment(segments, 2, [entry('first', T0 - HOUR_MS), entry('x', T0, 'Other'), entry('second', T0 + HOUR_MS)], null);
+    db.db.signalLog = { segments };
+    db.logSegments.clear();
+    db.db.tokens[token] = {
+      sym: 'LOG', scnt: 2, firstSeen: T0, signals: [{ time: T0 + HOUR_MS, price: 0.001, score: 1 }],
+    };
+    const download = mock.method(db, 'downloadFile');
+
+    const history = await getTokenSignalHistory(db, token);
+
+    assert.deepEqual(history.map(s => s.time), [T0 - HOUR_MS, T0 + HOUR_MS]);
+    assert.deepEqual(download.mock.calls.map(c => c.arguments[0]), [segments[1].fileId]);
+  });
+});
+
+describe('applyPriceUpdate', () => {
+  function tracked(overrides = {}) {
+    return { sym: 'TRK', p0: 1, pNow: 1, pPeak: 1, pLow: 1, mult: 1, peakMult: 1, firstSeen: T0, ...overrides };
+  }
+
+  it('tracks new highs and lows', () => {
+    const db = freshDB();
+    const token = tracked();
+
+    const up = applyPriceUpdate(db, 'Trk', token, { priceUsd: 1.8, liquidity: 50000 }, T0 + HOUR_MS);
+    assert.equal(up.isNewATH, true);
+    assert.equal(up.currentMultiplier, 1.8);
+    assert.equal(token.peakMult, 1.8);
+
+    const down = applyPriceUpdate(db, 'Trk', token, { priceUsd: 1.2, liquidity: 50000 }, T0 + 2 * HOUR_MS);
+    assert.equal(down.isNewATH, false);
+    assert.equal(down.justArchived, false);
+    assert.equal(token.pPeak, 1.8);
+    assert.equal(token.mult, 1.2);
+    assert.equal(db.getToken('Trk').pNow, 1.2);
+  });
+
+  it('archives and finalizes on a 50% drop from the peak', () => {
+    const db = freshDB();
+    const token = tracked({ pPeak: 3, peakMult: 3 });
+
+    const update = applyPriceUpdate(db, 'Trk', token, { priceUsd: 1.4, liquidity: 50000 }, T0 + HOUR_MS);
+
+    assert.equal(update.justArchived, true);
+    assert.equal(token.archived, true);
+    assert.equal(db.getStats().lifetime.wins, 1);
+    assert.equal(db.getStats().lifetime.peaked2x, 1);
+  });
+
+  it('flags rugs when liquidity dries up, not when it is unknown', () => {
+    const db = freshDB();
+    const rugged = tracked();
+    const update = applyPriceUpdate(db, 'Rug', rugged, { priceUsd: 0.9, liquidity: 500 }, T0 + HOUR_MS);
+    assert.equal(update.newlyRugged, true);
+    assert.equal(rugged.rugged, true);
+    assert.equal(rugged.ruggedAt, T0 + HOUR_MS);
+    assert.equal(rugged.archived, true);
+
+    const unknown = tracked();
+    assert.equal(applyPriceUpdate(db, 'Unk', unknown, { priceUsd: 0.9, liquidity: null }, T0 + HOUR_MS).isRugged, false);
+  });
+
+  it('archives losers after 48h and winners after 7d', () => {
+    const db = freshDB();
+    const loser = tracked();
+    assert.equal(applyPriceUpdate(db, 'L', loser, { priceUsd: 0.9, liquidity: 50000 }, T0 + 49 * HOUR_MS).justArchived, true);
+
+    const winner = tracked();
+    assert.equal(applyPriceUpdate(db, 'W', winner, { priceUsd: 1.1, liquidity: 50000 }, T0 + 3 * DAY_MS).justArchived, false);
+    assert.equal(applyPriceUpdate(db, 'W', winner, { priceUsd: 1.1, liquidity: 50000 }, T0 + 8 * DAY_MS).justArchived, true);
+  });
+
+  it('sets journey flags', () => {
+    const db = freshDB();
+    const dipper = tracked();
+    applyPriceUpdate(db, 'D', dipper, { priceUsd: 0.6, liquidity: 50000 }, T0 + HOUR_MS);
+    assert.equal(dipper.hitPeakAfterDip, true);
+
+    const dumper = tracked({ pPeak: 1.6, peakMult: 1.6 });
+    applyPriceUpdate(db, 'P', dumper, { priceUsd: 0.9, liquidity: 50000 }, T0 + HOUR_MS);
+    assert.equal(dumper.dippedAfterPeak, true);
+  });
+
+  it('skips missing and implausible prices', () => {
+    const db = freshDB();
+    assert.equal(applyPriceUpdate(db, 'X', tracked(), undefined, T0), null);
+    assert.equal(applyPriceUpdate(db, 'X', tracked(), { priceUsd: 0, liquidity: 50000 }, T0), null);
+    assert.equal(applyPriceUpdate(db, 'X', tracked(), { priceUsd: 20000, liquidity: 50000 }, T0), null);
+    assert.equal(applyPriceUpdate(db, 'X', tracked({ p0: 0 }), { priceUsd: 1, liquidity: 50000 }, T0), null);
+  });
+});
+
+describe('finalizeToken', () => {
+  it('records wins by peak tier', () => {
+    const db = freshDB();
+    for (const peakMult of [1.2, 1.5, 2.5, 6, 12]) db.finalizeToken({ peakMult });
+
+    const { lifetime, daily } = db.getStats();
+    assert.equal(lifetime.wins, 5);
+    assert.equal(lifetime.peaked1_5x, 1);
+    assert.equal(lifetime.peaked2x, 1);
+    assert.equal(lifetime.peaked5x, 1);
+    assert.equal(lifetime.peaked10x, 1);
+    assert.equal(Math.round(lifetime.totalPeakGainsPct), 20 + 50 + 150 + 500 + 1100);
+    assert.equal(daily.wins, 5);
+  });
+
+  it('caps losses at the -35% stop loss and counts rugs', () => {
+    const db = freshDB();
+    db.finalizeToken({ peakMult: 0.2 });
+    db.finalizeToken({ peakMult: 0.9, rugged: true });
+
+    const { lifetime, weekly } = db.getStats();
+    assert.equal(lifetime.losses, 2);
+    assert.equal(lifetime.totalLossesPct, -70);
+    assert.equal(lifetime.rugs, 1);
+    assert.equal(weekly.lossesPct, -70);
+  });
+});
+
+describe('checkRollovers', () => {
+  it('rolls daily, weekly and monthly stats into history', () => {
+    const db = freshDB();
+    db.finalizeToken({ peakMult: 2 });
+
+    db.checkRollovers(T0 + 2 * HOUR_MS);
+    assert.equal(db.getStats().history.daily.length, 0);
+
+    db.checkRollovers(T0 + DAY_MS); // Thursday
+    let stats = db.getStats();
+    assert.equal(stats.daily.date, '2026-01-15');
+    assert.equal(stats.daily.wins, 0);
+    assert.equal(stats.history.daily[0].date, '2026-01-14');
+    assert.equal(stats.history.daily[0].wins, 1);
+    assert.equal(stats.weekly.wins, 1);
+
+    db.checkRollovers(Date.UTC(2026, 0, 19, 1)); // Monday
+    stats = db.getStats();
+    assert.equal(stats.weekly.weekStart, '2026-01-19');
+    assert.equal(stats.history.weekly[0].weekStart, '2026-01-12');
+    assert.equal(stats.history.weekly[0].wins, 1);
+    assert.equal(stats.monthly.wins, 1);
+
+    db.checkRollovers(Date.UTC(2026, 1, 2));
+    stats = db.getStats();
+    assert.equal(stats.monthly.month, '2026-02');
+    assert.equal(stats.history.monthly[0].wins, 1);
+    assert.equal(stats.lifetime.wins, 1);
+  });
+
+  it('keeps 7 days of daily history', () => {
+    const db = freshDB();
+    for (let day = 1; day <= 10; day++) db.checkRollovers(T0 + day * DAY_MS);
+
+    const { history } = db.getStats();
+    assert.equal(history.daily.length, 7);
+    assert.equal(history.daily[0].date, '2026-01-23');
+  });
+
+  it('uses ISO weeks starting on Monday', () => {
+    const db = freshDB();
+    assert.equal(db.getWeekStart(Date.UTC(2026, 0, 18)), '2026-01-12'); // Sunday
+    assert.equal(db.getWeekStart(Date.UTC(2026, 0, 19)), '2026-01-19');
+  });
+});
+
+describe('restoreChainSnapshot', () => {
+  it('restores the oldest manual snapshot even though the safety snapshot rotates it out', async () => {
+    const manager = new LeaderboardManager(null);
+    await manager.loadConfig();
+    const db = new TelegramDBv5(null, 56);
+    await db.load();
+
+    db.db.tokens.T = { sym: 'V1' };
+    await db.save(true);
+    await manager.recordSnapshot('bsc', await db.createSnapshot(['manual']));
+    db.db.tokens.T.sym = 'V2';
+    await db.save(true);
+    for (let i = 1; i < SNAPSHOT_RETENTION.manual; i++) {
+      await manager.recordSnapshot('bsc', await db.createSnapshot(['manual']));
+    }
+    const oldest = manager.getSnapshots('bsc').at(-1);
+
+    await manager.restoreChainSnapshot(db, 'bsc', oldest);
+
+    const reloaded = new TelegramDBv5(null, 56);
+    await reloaded.load();
+    assert.equal(reloaded.db.tokens.T.sym, 'V1');
+    const snapshots = manager.getSnapshots('bsc');
+    assert.equal(snapshots.length, SNAPSHOT_RETENTION.manual);
+    assert.ok(!snapshots.includes(oldest));
+  });
+});
+
+describe('LeaderboardManager.retryStore', () => {
+  it('keeps the Telegram retry list in the config, never over a config it could not load', async () => {
+    const manager = new LeaderboardManager(null);
+    await manager.retryStore().write([{ method: 'sendMessage', params: { chat_id: 1, text: 'x' }, time: 1 }]);
+
+    assert.deepEqual(await new LeaderboardManager(null).retryStore().read(), [
+      { method: 'sendMessage', params: { chat_id: 1, text: 'x' }, time: 1 },
+    ]);
+
+    const broken = new LeaderboardManager(null, {
+      storage: { getPinned: async () => { throw new Error('down'); } },
+    });
+    assert.deepEqual(await broken.retryStore().read(), []);
+    await assert.rejects(broken.retryStore().write([]), /config not loaded/);
+  });
+
+  it('replaces only the retry list, keeping leaderboard IDs saved since the config was loaded', async () => {
+    const prices = new LeaderboardManager(null);
+    await prices.loadConfig();
+
+    const leaderboard = new LeaderboardManager(null);
+    const config = await leaderboard.loadConfig();
+    config.leaderboards = { sol: { private: { wallets: 11, tokens: 12 } } };
+    config.snapshots = { sol: [{ messageId: 21, time: T0 }] };
+    await leaderboard.saveConfig();
+
+    const entry = { method: 'editMessageText', params: { chat_id: 1, message_id: 5, text: 'y' }, time: 2 };
+    await prices.retryStore().write([entry]);
+
+    const stored = await new LeaderboardManager(null).loadConfig();
+    assert.deepEqual(stored.leaderboards, { sol: { private: { wallets: 11, tokens: 12 } } });
+    assert.deepEqual(stored.snapshots, { sol: [{ messageId: 21, time: T0 }] });
+    assert.deepEqual(stored.pendingSends, [entry]);
+    assert.deepEqual(await leaderboard.retryStore().read(), [entry]); // Not its cached copy
+  });
+});
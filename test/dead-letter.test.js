@@ -0,0 +1,124 @@
+/**
+ * Dead letters: entries for failed signal posts, age/attempt limits,
+ * parked charts (local file storage) and concurrent-save merges
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramDBv5 } from '../lib/telegram-db-v5.js';
+import { mergeDB } from '../lib/db-merge.js';
+import {
+  buildDeadLetter, planDeadLetters, parkChart, loadChart, dropChart, MAX_DEAD_LETTERS,
+} from '../lib/dead-letter.js';
+import { useTempStorage, makeSignal, HOUR_MS } from './helpers.js';
+
+const now = Date.now();
+const MIN_MS = 60 * 1000;
+
+function freshDB() {
+  const db = new TelegramDBv5(null, 501);
+  db.db = db.getDefaultDB();
+  db.setBase();
+  return db;
+}
+
+function letter(id, overrides = {}) {
+  return { id, token: 'Tok', sym: 'TOK', signalTime: now, parkedAt: now, attempts: 0, destinations: [], ...overrides };
+}
+
+let storage;
+beforeEach(() => {
+  storage = useTempStorage();
+  mock.method(console, 'log', () => {});
+});
+afterEach(() => {
+  mock.restoreAll();
+  storage.cleanup();
+});
+
+describe('buildDeadLetter', () => {
+  it('keeps the failed destinations and only the messages they need', () => {
+    const signal = makeSignal({ eventTime: String(now - 5 * MIN_MS) });
+    const kol = { name: 'kol', type: 'telegram', chatId: '-1002', format: 'compact' };
+    const post = {
+      messages: { full: 'full text', redacted: 'redacted text', compact: 'compact text' },
+      buttons: { private: { inline_keyboard: [] }, public: { inline_keyboard: [] } },
+      payload: { signalId: '1-0' },
+    };
+
+    const entry = buildDeadLetter(signal, {
+      id: '1-0', destinations: [kol], post, replyTo: { kol: 9 }, error: 'Bad Gateway', now,
+    });
+
+    assert.equal(entry.token, signal.tokenAddress);
+    assert.equal(entry.signalTime, now - 5 * MIN_MS);
+    assert.equal(entry.attempts, 0);
+    assert.deepEqual(entry.destinations, [kol]);
+    assert.deepEqual(entry.post.messages, { compact: 'compact text' });
+    assert.deepEqual(entry.post.payload, post.payload);
+    assert.deepEqual(entry.replyTo, { kol: 9 });
+    assert.equal(entry.store, null);
+    assert.equal(entry.chart, null);
+  });
+});
+
+describe('planDeadLetters', () => {
+  it('drops entries past the age or attempt limit', () => {
+    const fresh = letter('fresh', { signalTime: now - 10 * MIN_MS, attempts: 2 });
+    const stale = letter('stale', { signalTime: now - HOUR_MS });
+    const tired = letter('tired', { attempts: 5 });
+
+    const { due, expired } = planDeadLetters([fresh, stale, tired], now, { maxAgeMs: 30 * MIN_MS, maxAttempts: 5 });
+
+    assert.deepEqual(due, [fresh]);
+    assert.deepEqual(expired, [{ entry: stale, reason: '60m old' }, { entry: tired, reason: '5 attempts' }]);
+  });
+});
+
+describe('DB dead letters', () => {
+  it('replaces entries by id and keeps the newest', () => {
+    const db = freshDB();
+    db.putDeadLetter(letter('a'));
+    db.putDeadLetter(letter('b'));
+    db.putDeadLetter(letter('a', { attempts: 1 }));
+
+    assert.deepEqual(db.getDeadLetters().map(e => [e.id, e.attempts]), [['b', 0], ['a', 1]]);
+
+    for (let i = 0; i < MAX_DEAD_LETTERS; i++) db.putDeadLetter(letter(`x${i}`));
+    assert.equal(db.getDeadLetters().length, MAX_DEAD_LETTERS);
+    assert.equal(db.getDeadLetters()[0].id, 'x0');
+
+    db.removeDeadLetter('x0');
+    assert.equal(db.getDeadLetters().some(e => e.id === 'x0'), false);
+  });
+
+  it('merges concurrent saves by id', () => {
+    const base = { ...freshDB().db, deadLetters: [letter('a', { parkedAt: 1 }), letter('b', { parkedAt: 2 })] };
+    // We replayed a (sent) and retried b; the poll parked c meanwhile
+    const local = { ...base, deadLetters: [letter('b', { parkedAt: 2, attempts: 1 })] };
+    const remote = { ...base, deadLetters: [...base.deadLetters, letter('c', { parkedAt: 3 })] };
+
+    const merged = mergeDB(base, local, remote);
+
+    assert.deepEqual(merged.deadLetters.map(e => [e.id, e.attempts]), [['b', 1], ['c', 0]]);
+  });
+});
+
+describe('parked charts', () => {
+  it('stores, loads and deletes the chart in the archive channel', async () => {
+    const db = freshDB();
+    const chart = await parkChart(db, '1-0', Buffer.from('png'));
+
+    assert.ok(chart.messageId);
+    assert.equal((await loadChart(db, chart)).toString(), 'png');
+
+    await dropChart(db, chart);
+    assert.equal(await loadChart(db, chart), null);
+  });
+
+  it('falls back to text when there is no chart', async () => {
+    const db = freshDB();
+    assert.equal(await parkChart(db, '1-0', null), null);
+    assert.equal(await loadChart(db, null), null);
+  });
+});
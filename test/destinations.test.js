@@ -0,0 +1,121 @@
+/**
+ * Signal routing: DESTINATIONS_JSON loading, signal facts and per-destination filters
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDestinations, signalFacts, matchDestination, routeSignal } from '../lib/destinations.js';
+import { makeSignal, HOUR_MS } from './helpers.js';
+
+const CHAT = '-1001111111111';
+const now = Date.now();
+
+describe('loadDestinations', () => {
+  it('defaults to the poll chat as the primary full destination', () => {
+    const [dest, ...rest] = loadDestinations({ chatId: CHAT }, '');
+
+    assert.equal(rest.length, 0);
+    assert.equal(dest.name, 'private');
+    assert.equal(dest.chatId, CHAT);
+    assert.equal(dest.format, 'full');
+    assert.equal(dest.primary, true);
+  });
+
+  it('applies defaults to DESTINATIONS_JSON entries', () => {
+    const [main, kol, hook] = loadDestinations({ chatId: CHAT }, JSON.stringify([
+      { name: 'main', primary: true },
+      { name: 'sol-kol', chatId: '-1002', topicId: 7, format: 'compact', filters: { chains: ['sol'], labels: ['kol'] } },
+      { name: 'hook', type: 'webhook', url: 'https://example.com/hook' },
+    ]));
+
+    assert.equal(main.chatId, CHAT);
+    assert.equal(main.type, 'telegram');
+    assert.equal(kol.topicId, 7);
+    assert.equal(kol.primary, false);
+    assert.deepEqual(kol.filters, { chains: ['sol'], labels: ['kol'] });
+    assert.equal(hook.format, 'full');
+    assert.deepEqual(hook.filters, {});
+  });
+
+  it('rejects invalid entries', () => {
+    const load = entries => () => loadDestinations({ chatId: CHAT }, JSON.stringify(entries));
+
+    assert.throws(() => loadDestinations({}, '['), /Invalid DESTINATIONS_JSON/);
+    assert.throws(load({ name: 'x' }), /expected an array/);
+    assert.throws(load([{ format: 'full' }]), /missing name/);
+    assert.throws(load([{ name: 'x' }, { name: 'x' }]), /x: duplicate name/);
+    assert.throws(load([{ name: 'a', primary: true }, { name: 'b', primary: true }]), /only one destination can be primary/);
+    assert.throws(load([{ name: 'x', type: 'email' }]), /unknown type email/);
+    assert.throws(load([{ name: 'x', format: 'tiny' }]), /unknown format tiny/);
+    assert.throws(load([{ name: 'x', type: 'webhook' }]), /x: missing url/);
+    assert.throws(load([{ name: 'x', type: 'webhook', url: 'https://x', primary: true }]), /webhooks cannot be primary/);
+    assert.throws(load([{ name: 'x', filters: { minMcp: 1 } }]), /unknown filter minMcp/);
+    assert.throws(load([{ name: 'x', filters: { minScore: '1' } }]), /minScore must be a number/);
+    assert.throws(load([{ name: 'x', filters: { chains: 'sol' } }]), /chains must be an array/);
+    assert.throws(load([{ name: 'x', filters: { chains: ['doge'] } }]), /unknown chain doge/);
+    assert.throws(load([{ name: 'x', filters: { labels: ['degen'] } }]), /unknown label degen/);
+    assert.throws(() => loadDestinations({}, '[{"name":"x"}]'), /x: missing chatId/);
+  });
+});
+
+describe('signalFacts', () => {
+  it('collects chain, label, score, security, mcap and age', () => {
+    const signal = makeSignal({ chainId: 8453, signalLabel: '2', mcapAtSignal: '250000', tokenAgeRaw: now - 3 * HOUR_MS });
+    const facts = signalFacts(signal, { avgScore: 1.2, walletCount: 4, security: { status: 'RISK' }, now });
+
+    assert.deepEqual(facts, {
+      chain: 'base', label: 'kol', avgScore: 1.2, walletCount: 4, security: 'RISK', mcap: 250000, ageHours: 3, isLoss: false,
+    });
+  });
+
+  it('marks missing security and age as unknown', () => {
+    const facts = signalFacts(makeSignal());
+    assert.equal(facts.security, 'UNKNOWN');
+    assert.equal(facts.ageHours, null);
+  });
+});
+
+describe('matchDestination', () => {
+  const facts = {
+    chain: 'sol', label: 'smart_money', avgScore: 0.8, walletCount: 3, security: 'SAFE', mcap: 120000, ageHours: 5, isLoss: false,
+  };
+  const dest = filters => ({ name: 'd', filters });
+
+  it('takes everything without filters', () => {
+    assert.equal(matchDestination({ name: 'd' }, facts), null);
+    assert.equal(matchDestination(dest({}), facts), null);
+  });
+
+  it('explains which filter skipped the signal', () => {
+    assert.equal(matchDestination(dest({ chains: ['eth', 'base'] }), facts), 'chain sol');
+    assert.equal(matchDestination(dest({ labels: ['kol'] }), facts), 'label smart_money');
+    assert.equal(matchDestination(dest({ minScore: 1 }), facts), 'avgScore 0.80 < 1');
+    assert.equal(matchDestination(dest({ minWallets: 5 }), facts), '3 wallet(s) < 5');
+    assert.equal(matchDestination(dest({ security: ['RISK'] }), facts), 'security SAFE');
+    assert.equal(matchDestination(dest({ minMcap: 200000 }), facts), 'mcap 120000 < 200000');
+    assert.equal(matchDestination(dest({ maxMcap: 100000 }), facts), 'mcap 120000 > 100000');
+    assert.equal(matchDestination(dest({ minAgeHours: 6 }), facts), 'age 5.0h < 6h');
+    assert.equal(matchDestination(dest({ maxAgeHours: 1 }), facts), 'age 5.0h > 1h');
+    assert.equal(matchDestination(dest({ maxAgeHours: 24 }), { ...facts, ageHours: null }), 'token age unknown');
+    assert.equal(matchDestination(dest({ skipLosses: true }), { ...facts, isLoss: true }), 'loss signal');
+  });
+
+  it('passes when every filter holds (bounds inclusive)', () => {
+    const filters = {
+      chains: ['sol'], labels: ['smart_money', 'whale'], minScore: 0.8, minWallets: 3, security: ['SAFE', 'UNKNOWN'],
+      minMcap: 120000, maxMcap: 120000, minAgeHours: 5, maxAgeHours: 5, skipLosses: true,
+    };
+    assert.equal(matchDestination(dest(filters), facts), null);
+  });
+});
+
+describe('routeSignal', () => {
+  it('splits destinations into matched and skipped', () => {
+    const all = { name: 'all', filters: {} };
+    const kol = { name: 'kol', filters: { labels: ['kol'] } };
+    const { matched, skipped } = routeSignal([all, kol], { label: 'whale' });
+
+    assert.deepEqual(matched, [all]);
+    assert.deepEqual(skipped, [{ dest: kol, reason: 'label whale' }]);
+  });
+});
@@ -0,0 +1,404 @@
+/**
+ * Entry scoring: before/after classification, the score matrix, wallet
+ * trades (recorded OKX response), wallet scoring against a stubbed OKX and
+ * the parallel wallet batch
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubFetch, HOUR_MS, DAY_MS } from './helpers.js';
+
+// Read by okx-client.js at import: fail fast instead of backing off
+process.env.OKX_MAX_RETRIES = '0';
+process.env.OKX_RATE_LIMIT = '100';
+process.env.MARKET_CACHE_DIR = 'off';
+
+const {
+  classifyBefore, classifyAfter, scoreBuy, scoreEntry, scoreTokenEntry, scoreWalletEntries, scoreWalletBatch, resolveScoring,
+  tradesByToken, DEFAULT_SCORING, LOOKBACK_MS, LOOKFORWARD_MS,
+} = await import('../lib/entry-scoring.js');
+const { OkxRateLimitError, fetchWalletTrades } = await import('../lib/okx-client.js');
+const { installHttpFixtures, uninstallHttpFixtures } = await import('../lib/http-fixtures.js');
+const { clearMarketCache } = await import('../lib/market-cache.js');
+
+const T = Date.UTC(2026, 0, 15, 12);
+
+function candle(timestamp, low, high, close = (low + high) / 2) {
+  return { timestamp, open: close, high, low, close };
+}
+
+describe('classifyBefore', () => {
+  it('classifies the move into the entry price', () => {
+    assert.equal(classifyBefore(1, 0.5, 1), 'pumped_to');
+    assert.equal(classifyBefore(1, 0.85, 1), 'rose_to');
+    assert.equal(classifyBefore(1, 1, 2), 'dumped_to');
+    assert.equal(classifyBefore(1, 1, 1.2), 'fell_to');
+    assert.equal(classifyBefore(1, 0.95, 1.05), 'flat');
+  });
+
+  it('picks the larger move when the range spans both ways', () => {
+    assert.equal(classifyBefore(1, 0.5, 1.2), 'pumped_to');
+    assert.equal(classifyBefore(1, 0.9, 2), 'dumped_to');
+  });
+});
+
+describe('classifyAfter', () => {
+  it('classifies the move after the entry price', () => {
+    assert.equal(classifyAfter(1, 1, 1.5), 'moon');
+    assert.equal(classifyAfter(1, 0.95, 1.15), 'pump');
+    assert.equal(classifyAfter(1, 0.7, 1.1), 'dump');
+    assert.equal(classifyAfter(1, 0.85, 1.05), 'dip');
+    assert.equal(classifyAfter(1, 0.95, 1.05), 'flat');
+  });
+});
+
+describe('scoreBuy', () => {
+  it('pins the before/after matrix', () => {
+    const after = ['moon', 'pump', 'flat', 'dip', 'dump'];
+    const matrix = Object.fromEntries(
+      ['dumped_to', 'fell_to', 'flat', 'rose_to', 'pumped_to'].map(before => [
+        before, after.map(a => scoreBuy(before, a)),
+      ])
+    );
+    assert.deepEqual(matrix, {
+      dumped_to: [2, 1, 0, -1, -2],
+      fell_to: [2, 1, 0, -1, -2],
+      flat: [2, 1, 0, -1, -2],
+      rose_to: [1, 0, -1, -2, -2],
+      pumped_to: [0, -1, -1, -2, -2],
+    });
+  });
+
+  it('scores unknown contexts as neutral', () => {
+    assert.equal(scoreBuy('sideways', 'moon'), 0);
+    assert.equal(scoreBuy('flat', 'sideways'), 0);
+  });
+});
+
+describe('scoreEntry', () => {
+  it('rewards buying a dip that moons', () => {
+    const candles = [
+      candle(T - 2 * HOUR_MS, 1.8, 2),
+      candle(T, 1, 1),
+      candle(T + 2 * HOUR_MS, 1.2, 1.6),
+    ];
+    assert.equal(scoreEntry(1, T, candles), 2);
+  });
+
+  it('punishes buying a pump that dumps', () => {
+    const candles = [
+      candle(T - 2 * HOUR_MS, 0.5, 0.6),
+      candle(T, 1, 1),
+      candle(T + 2 * HOUR_MS, 0.4, 0.9),
+    ];
+    assert.equal(scoreEntry(1, T, candles), -2);
+  });
+
+  it('ignores candles outside the lookback/lookforward windows', () => {
+    const candles = [
+      candle(T - LOOKBACK_MS - HOUR_MS, 0.1, 0.2),
+      candle(T, 1, 1),
+      candle(T + LOOKFORWARD_MS + HOUR_MS, 5, 10),
+    ];
+    assert.equal(scoreEntry(1, T, candles), 0);
+  });
+
+  it('is neutral without candles', () => {
+    assert.equal(scoreEntry(1, T, []), 0);
+  });
+});
+
+describe('scoreTokenEntry', () => {
+  const token = { tokenContractAddress: 'Tok', buyAvgPrice: '1', totalTxBuy: 3 };
+  // Flat, pump to 2, back to 1, dump
+  const candles = [
+    candle(T - 4 * HOUR_MS, 0.95, 1.05, 1.02),
+    candle(T - 3 * HOUR_MS, 1.9, 2.1, 2),
+    candle(T - 2 * HOUR_MS, 0.95, 1.05, 1),
+    candle(T - HOUR_MS, 0.4, 0.5, 0.45),
+  ];
+
+  it('scores each buy at its own time, weighted by size', () => {
+    const trades = [
+      { time: T - 4 * HOUR_MS, type: 'buy', price: 1.02, usd: 300 },  // Before the pump: +2
+      { time: T - 3 * HOUR_MS, type: 'sell', price: 2, usd: 500 },
+      { time: T - 2 * HOUR_MS, type: 'buy', price: 1, usd: 100 },     // After it, then dumped: -2
+    ];
+
+    assert.deepEqual(scoreTokenEntry(token, candles, undefined, trades), { score: 1, weight: 3, source: 'trades' });
+  });
+
+  it('falls back to the buy average on the nearest close', () => {
+    // Lands on the post-pump candle: the early buy reads as buying a dump that kept dumping
+    assert.deepEqual(scoreTokenEntry(token, candles), { score: -2, weight: 3, source: 'heuristic' });
+  });
+
+  it('does not guess buys outside the candles', () => {
+    const trades = [{ time: T - 10 * HOUR_MS, type: 'buy', price: 1, usd: 100 }];
+    assert.equal(scoreTokenEntry(token, candles, undefined, trades), null);
+  });
+});
+
+describe('resolveScoring', () => {
+  it('merges overrides into the default config per matrix cell', () => {
+    const scoring = resolveScoring({ beforeBands: [5, 15], matrix: { pumped_to: { moon: 1 } } });
+
+    assert.deepEqual(scoring.beforeBands, [5, 15]);
+    assert.deepEqual(scoring.afterBands, DEFAULT_SCORING.afterBands);
+    assert.equal(scoring.matrix.pumped_to.moon, 1);
+    assert.equal(scoring.matrix.pumped_to.dump, -2);
+    assert.equal(DEFAULT_SCORING.matrix.pumped_to.moon, 0);
+    // 1 -> 1.08 is a rise at 5/15 bands, flat at the default 10/25
+    assert.equal(classifyBefore(1.08, 1, 1.08, scoring.beforeBands), 'rose_to');
+    assert.equal(classifyBefore(1.08, 1, 1.08), 'flat');
+  });
+
+  it('rejects unknown fields, contexts and malformed values', () => {
+    assert.throws(() => resolveScoring({ bands: [1, 2] }), /unknown field bands/);
+    assert.throws(() => resolveScoring({ matrix: { bought_to: { moon: 1 } } }), /unknown before context/);
+    assert.throws(() => resolveScoring({ matrix: { flat: { moon: 'x' } } }), /must be a number/);
+    assert.throws(() => resolveScoring({ afterBands: [30, 10] }), /afterBands/);
+    assert.throws(() => resolveScoring({ lookbackMs: 0 }), /lookbackMs/);
+    assert.throws(() => resolveScoring({ maxTokens: 2.5 }), /maxTokens/);
+    assert.throws(() => resolveScoring({ historyLimit: 0 }), /historyLimit/);
+    assert.throws(() => resolveScoring({ maxTokens: 20 }), /cannot exceed historyLimit \(15\)/);
+  });
+});
+
+describe('fetchWalletTrades', () => {
+  const wallet = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+  const dip = 'DipToKen1111111111111111111111111111111pump';
+  const other = 'OtherTok2222222222222222222222222222222pump';
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    installHttpFixtures({
+      mode: 'replay',
+      file: new URL('../fixtures/http/okx-wallet-trades.json', import.meta.url).pathname,
+    });
+  });
+  afterEach(() => {
+    uninstallHttpFixtures();
+    mock.restoreAll();
+  });
+
+  it('maps the filter-list response (type 1 = buy, volume = USD size) and groups it by token', async () => {
+    const trades = await fetchWalletTrades(501, wallet);
+
+    // The trade without a price is left out
+    assert.equal(trades.length, 4);
+    assert.deepEqual(trades[0], { token: dip, time: T + 3 * HOUR_MS, type: 'sell', price: 0.00153, usd: 183.6 });
+    assert.deepEqual(tradesByToken(trades), {
+      [dip]: [
+        { time: T + 3 * HOUR_MS, type: 'sell', price: 0.00153, usd: 183.6 },
+        { time: T + HOUR_MS, type: 'buy', price: 0.0015, usd: 120 },
+        { time: T, type: 'buy', price: 0.001, usd: 40 },
+      ],
+      [other]: [{ time: T + 2 * HOUR_MS, type: 'buy', price: 0.042, usd: 84 }],
+    });
+  });
+});
+
+describe('scoreWalletEntries', () => {
+  let fetchStub;
+  const now = Date.now();
+
+  const history = ['/pnl/token-list', () => ({
+    code: '0',
+    data: {
+      hasNext: false,
+      tokenList: [
+        { tokenContractAddress: 'DipToken', buyAvgPrice: '1', totalTxBuy: 3, latestTime: String(now - HOUR_MS) },
+        { tokenContractAddress: 'SoldOnly', buyAvgPrice: '1', totalTxBuy: 0, latestTime: String(now - HOUR_MS) },
+        { tokenContractAddress: 'OldToken', buyAvgPrice: '1', totalTxBuy: 9, latestTime: String(now - 8 * DAY_MS) },
+      ],
+    },
+  })];
+
+  const candles = ['dex-token-hlc-candles', () => ({
+    code: '0',
+    data: [
+      [String(T - HOUR_MS), '1', '1', '1', '1'],
+      [String(T), '1', '1', '1', '1'],
+      [String(T + HOUR_MS), '1', '1.6', '1.2', '1.5'],
+    ],
+  })];
+
+  beforeEach(() => {
+    clearMarketCache();
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => {
+    fetchStub?.restore();
+    mock.restoreAll();
+  });
+
+  it('scores recent buys, weighted by buy count (max 5)', async () => {
+    fetchStub = stubFetch([history, candles]);
+
+    const result = await scoreWalletEntries('Wallet1', 501);
+
+    assert.deepEqual(result, { avgScore: 2, count: 3 });
+    const candleCalls = fetchStub.calls.filter(c => c.url.includes('candles'));
+    assert.equal(candleCalls.length, 1);
+    assert.match(candleCalls[0].url, /address=DipToken/);
+  });
+
+  it('uses the history window, fetch size and token count of the scoring config', async () => {
+    fetchStub = stubFetch([history, candles]);
+
+    const wide = await scoreWalletEntries('Wallet1', 501, resolveScoring({ historyWindowMs: 9 * DAY_MS }));
+    const single = await scoreWalletEntries('Wallet1', 501, resolveScoring({ maxTokens: 1 }));
+    const short = await scoreWalletEntries('Wallet1', 501, resolveScoring({ historyWindowMs: 9 * DAY_MS, historyLimit: 2, maxTokens: 2 }));
+
+    // OldToken (8d) now counts, with 5 of its 9 buys
+    assert.deepEqual(wide, { avgScore: 2, count: 8 });
+    assert.deepEqual(single, { avgScore: 2, count: 3 });
+    // ...unless it is not among the tokens fetched
+    assert.deepEqual(short, { avgScore: 2, count: 3 });
+  });
+
+  it('scores the wallet\'s own buys when its trades are available', async () => {
+    fetchStub = stubFetch([history, candles, ['trading-history/filter-list', () => ({
+      code: '0',
+      data: { list: [{ tokenContractAddress: 'DipToken', timestamp: String(T + HOUR_MS), type: '1', price: '1.5', volume: '50' }] },
+    })]]);
+
+    // Bought the top of the +50% candle, not the start
+    assert.deepEqual(await scoreWalletEntries('Wallet1', 501), { avgScore: -1, count: 3 });
+    const tradeCall = fetchStub.calls.find(c => c.url.includes('filter-list'));
+    assert.doesNotMatch(tradeCall.url, /tokenContractAddress/);
+    assert.match(tradeCall.url, /userAddressList=Wallet1/);
+  });
+
+  it('fetches one trades list per wallet, not one per token', async () => {
+    fetchStub = stubFetch([history, candles, ['trading-history/filter-list', () => ({
+      code: '0',
+      data: { list: [{ tokenContractAddress: 'DipToken', timestamp: String(T + HOUR_MS), type: '1', price: '1.5', volume: '50' }] },
+    })]]);
+
+    // DipToken scores its own buy (-1, 3 buys), OldToken has no trades in the list: heuristic (+2, 5 buys)
+    const result = await scoreWalletEntries('Wallet1', 501, resolveScoring({ historyWindowMs: 9 * DAY_MS }));
+
+    assert.deepEqual(result, { avgScore: (-1 * 3 + 2 * 5) / 8, count: 8 });
+    assert.equal(fetchStub.calls.filter(c => c.url.includes('filter-list')).length, 1);
+    assert.equal(fetchStub.calls.filter(c => c.url.includes('candles')).length, 2);
+  });
+
+  it('skips tokens whose candles fail', async () => {
+    fetchStub = stubFetch([history, ['dex-token-hlc-candles', () => ({ code: '1', msg: 'bad token' })]]);
+
+    assert.deepEqual(await scoreWalletEntries('Wallet1', 501), { avgScore: 0, count: 0 });
+  });
+
+  it('stops on rate limits', async () => {
+    fetchStub = stubFetch([history, ['dex-token-hlc-candles', () => new Response('', { status: 429 })]]);
+
+    await assert.rejects(scoreWalletEntries('Wallet1', 501), OkxRateLimitError);
+  });
+
+  it('starts no more requests once aborted and returns no partial score', async () => {
+    const controller = new AbortController();
+    fetchStub = stubFetch([history, ['dex-token-hlc-candles', () => {
+      controller.abort(new Error('scoring time limit'));
+      return candles[1]();
+    }], ['trading-history/filter-list', () => ({ code: '0', data: { list: [] } })]]);
+
+    await assert.rejects(
+      scoreWalletEntries('Wallet1', 501, resolveScoring({ historyWindowMs: 9 * DAY_MS }), { signal: controller.signal }),
+      /scoring time limit/,
+    );
+    // DipToken's candles were in flight; OldToken's were never requested
+    assert.equal(fetchStub.calls.filter(c => c.url.includes('candles')).length, 1);
+  });
+
+  it('returns no score without recent trades', async () => {
+    fetchStub = stubFetch([['/pnl/token-list', () => ({ code: '0', data: { hasNext: false, tokenList: [] } })]]);
+
+    assert.deepEqual(await scoreWalletEntries('Wallet1', 501), { avgScore: 0, count: 0 });
+  });
+});
+
+describe('scoreWalletBatch', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => mock.method(console, 'error', () => {}));
+  afterEach(() => mock.restoreAll());
+
+  it('scores wallets in parallel within the budget, spare budget to tokens', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const tokenSlots = [];
+    const score = async (address, tokens) => {
+      tokenSlots.push(tokens);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await wait(5);
+      inFlight--;
+      return { avgScore: address.length, count: 1 };
+    };
+
+    const five = await scoreWalletBatch(['a', 'bb', 'ccc', 'dddd', 'eeeee'], score, { concurrency: 2 });
+    assert.equal(maxInFlight, 2);
+    assert.equal(five.stopped, null);
+    assert.deepEqual([...five.scores.keys()].sort(), ['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+    assert.deepEqual(five.scores.get('ccc'), { avgScore: 3, count: 1 });
+
+    tokenSlots.length = 0;
+    await scoreWalletBatch(['a', 'b'], score, { concurrency: 6 });
+    assert.deepEqual(tokenSlots, [3, 3]);
+  });
+
+  it('keeps the wallets scored by the deadline', async () => {
+    const delays = { fast: 5, slow: 500, queued: 5 };
+    const started = [];
+    const score = async (address) => {
+      started.push(address);
+      await wait(delays[address]);
+      return { avgScore: 1, count: 1 };
+    };
+
+    const { scores, stopped } = await scoreWalletBatch(['slow', 'fast', 'queued'], score, {
+      concurrency: 1, deadline: Date.now() + 50,
+    });
+
+    assert.equal(stopped, 'time limit');
+    assert.deepEqual(started, ['slow']);
+    assert.equal(scores.size, 0);
+
+    const fastFirst = await scoreWalletBatch(['fast', 'slow', 'queued'], score, { concurrency: 2, deadline: Date.now() + 50 });
+    assert.deepEqual([...fastFirst.scores.keys()], ['fast', 'queued']);
+    assert.equal(fastFirst.stopped, 'time limit');
+  });
+
+  it('aborts the wallets it cuts off at the deadline', async () => {
+    const signals = {};
+    const score = async (address, tokens, signal) => {
+      signals[address] = signal;
+      await wait(address === 'slow' ? 200 : 5);
+      return { avgScore: 1, count: 1 };
+    };
+
+    await scoreWalletBatch(['fast', 'slow'], score, { concurrency: 2, deadline: Date.now() + 50 });
+
+    assert.equal(signals.slow.aborted, true);
+  });
+
+  it('stops on rate limits and skips wallets that fail otherwise', async () => {
+    const calls = [];
+    const score = async (address) => {
+      calls.push(address);
+      if (address === 'limited') throw new OkxRateLimitError('walletTradingHistory');
+      if (address === 'broken') throw new Error('bad wallet');
+      return { avgScore: 1, count: 2 };
+    };
+
+    const limited = await scoreWalletBatch(['ok', 'limited', 'never'], score, { concurrency: 1 });
+    assert.equal(limited.stopped, 'rate limit');
+    assert.deepEqual(calls, ['ok', 'limited']);
+    assert.deepEqual([...limited.scores.keys()], ['ok']);
+
+    const broken = await scoreWalletBatch(['broken', 'ok'], score, { concurrency: 1 });
+    assert.equal(broken.stopped, null);
+    assert.deepEqual([...broken.scores.keys()], ['ok']);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Exit tracking: sell-side activity matched to signal wallets and recorded,
+ * and the exit poll (processExits) against a stubbed OKX and Telegram
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { stubFetch, telegramRoute, hasCanvas, makeWallet, HOUR_MS } from './helpers.js';
+
+// Read at import: no per-chat spacing between stubbed sends, no retries
+process.env.TELEGRAM_CHAT_RATE = '6000';
+process.env.TELEGRAM_MAX_RETRIES = '0';
+process.env.TELEGRAM_RETRY_FILE = path.join(os.tmpdir(), `exit-tracking-retry-${process.pid}.json`);
+process.env.OKX_MAX_RETRIES = '0';
+
+const { TelegramDBv5 } = await import('../lib/telegram-db-v5.js');
+const { matchWalletExits, recordWalletExits } = await import('../lib/exit-tracking.js');
+
+const T0 = Date.UTC(2026, 0, 14, 12);
+const TOKEN = 'ExitToken11111111111111111111111111111111111';
+
+let db;
+beforeEach(() => {
+  db = new TelegramDBv5(null, 501, { storage: {}, archiveStorage: {} });
+  db.db = db.getDefaultDB();
+  db.db.tokens = {
+    [TOKEN]: { sym: 'EXIT', p0: 0.001, scnt: 2, lastMsgId: 77, wallets: ['WalletA1', 'WalletB2', 'WalletC3'] },
+  };
+  db.db.wallets = {
+    WalletA1111111111: { scnt: 1, scores: [2], tokens: { [TOKEN]: { entry: 0.001, score: 2, time: T0 } } },
+    WalletB2222222222: { scnt: 1, scores: [0], tokens: { [TOKEN]: { entry: 0.002, score: 0, time: T0 } } },
+    WalletC3333333333: { scnt: 1, scores: [1], tokens: { Other: { entry: 1, score: 1, time: T0 } } },
+  };
+});
+
+describe('matchWalletExits', () => {
+  it('matches signal wallets among the sellers, best multiple first', () => {
+    const sellers = [
+      makeWallet('WalletB2222222222'),
+      makeWallet('WalletA1111111111'),
+      makeWallet('WalletC3333333333'),
+      makeWallet('Stranger999999999'),
+    ];
+
+    const exits = matchWalletExits(db, TOKEN, sellers, '0.003');
+
+    assert.deepEqual(exits.map(e => [e.walletAddress, e.entry, e.score, e.exitMult]), [
+      ['WalletA1111111111', 0.001, 2, 3],
+      ['WalletB2222222222', 0.002, 0, 1.5],
+    ]);
+    assert.equal(exits[0].seller, sellers[1]);
+  });
+
+  it('falls back to the token entry price', () => {
+    db.db.wallets.WalletA1111111111.tokens[TOKEN].entry = 0;
+    const [exit] = matchWalletExits(db, TOKEN, [makeWallet('WalletA1111111111')], 0.0005);
+    assert.equal(exit.exitMult, 0.5);
+  });
+
+  it('ignores untracked tokens and missing prices', () => {
+    const sellers = [makeWallet('WalletA1111111111')];
+    assert.deepEqual(matchWalletExits(db, 'Untracked', sellers, 1), []);
+    assert.deepEqual(matchWalletExits(db, TOKEN, sellers, '0'), []);
+    assert.deepEqual(matchWalletExits(db, TOKEN, sellers, undefined), []);
+  });
+});
+
+describe('recordWalletExits', () => {
+  it('records the exit on the wallet token entry once', () => {
+    const sellers = [makeWallet('WalletA1111111111')];
+    const exits = matchWalletExits(db, TOKEN, sellers, '0.003');
+
+    recordWalletExits(db, TOKEN, exits, '0.003', T0 + HOUR_MS);
+
+    const wallet = db.getWallet('WalletA1111111111');
+    assert.equal(wallet.exits, 1);
+    assert.equal(wallet.scnt, 1);
+    assert.deepEqual(wallet.tokens[TOKEN], {
+      entry: 0.001, score: 2, time: T0, exit: 0.003, exitMult: 3, exitTime: T0 + HOUR_MS,
+    });
+    assert.equal(db.isDirty, true);
+
+    // Later partial sells are not reported again
+    assert.deepEqual(matchWalletExits(db, TOKEN, sellers, '0.004'), []);
+  });
+});
+
+// processExits lives in index.js (chart generator → canvas native module)
+describe('processExits', { skip: !hasCanvas() && 'canvas native module not built' }, async () => {
+  const { processExits } = await import('../index.js');
+  const CHAT = '-1001111111111';
+  let fetchStub;
+
+  const activity = { id: 9, batchId: '42', batchIndex: 1, tokenKey: `501!@#${TOKEN}`, price: '0.003', eventTime: String(T0 + HOUR_MS) };
+  const okxRoutes = [
+    ['filter-activity-overview', () => ({ code: '0', data: { activityList: [activity] } })],
+    ['signal-detail', () => ({ code: '0', data: { addresses: [makeWallet('WalletA1111111111')] } })],
+  ];
+  const poll = seenSignals => processExits(db, {
+    chainId: 501, pageSize: 5, botToken: 'test-token', chatId: CHAT, seenSignals, deadline: Infinity,
+  });
+
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => {
+    fetchStub?.restore();
+    mock.restoreAll();
+  });
+
+  it('replies in the token thread and persists the exit so a cold start skips it', async () => {
+    fetchStub = stubFetch([...okxRoutes, telegramRoute(500)]);
+
+    assert.equal(await poll(new Set()), 1);
+    const [send] = fetchStub.calls.filter(c => c.url.includes('api.telegram.org'));
+    assert.equal(send.body.chat_id, CHAT);
+    assert.equal(send.body.reply_to_message_id, 77);
+    assert.match(send.body.text, /1 of 3 signal wallets sold │ now <b>3\.00x<\/b>/);
+    assert.equal(db.getWallet('WalletA1111111111').exits, 1);
+    assert.equal(db.isSignalSeen('exit-42-1'), true);
+
+    // Next invocation: seen signals come from the DB only
+    fetchStub.calls.length = 0;
+    assert.equal(await poll(new Set(db.getSeenSignals())), 0);
+    assert.deepEqual(fetchStub.calls.map(c => new URL(c.url).pathname).filter(p => !p.includes('filter-activity')), []);
+  });
+
+  it('does not persist an exit whose alert failed', async () => {
+    fetchStub = stubFetch([...okxRoutes, ['api.telegram.org', () => new Response(
+      JSON.stringify({ ok: false, error_code: 400, description: 'Bad Request: chat not found' }), { status: 400 },
+    )]]);
+
+    assert.equal(await poll(new Set()), 0);
+    assert.equal(db.isSignalSeen('exit-42-1'), false);
+    assert.equal(db.getWallet('WalletA1111111111').exits, undefined);
+  });
+
+  it('retries a failed alert on the next poll of the same warm instance', async () => {
+    let failures = 1;
+    fetchStub = stubFetch([...okxRoutes, ['api.telegram.org', () => (failures-- > 0
+      ? new Response(JSON.stringify({ ok: false, error_code: 400, description: 'Bad Request: chat not found' }), { status: 400 })
+      : { ok: true, result: { message_id: 501 } })]]);
+    const seenSignals = new Set();
+
+    assert.equal(await poll(seenSignals), 0);
+    assert.equal(seenSignals.has('exit-42-1'), false);
+
+    assert.equal(await poll(seenSignals), 1);
+    assert.equal(seenSignals.has('exit-42-1'), true);
+    assert.equal(db.isSignalSeen('exit-42-1'), true);
+    assert.equal(db.getWallet('WalletA1111111111').exits, 1);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Telegram message formatters: leaderboards, summary, Hall of Fame and
+ * the signal and exit alert messages
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LeaderboardManager, CHANNELS } from '../lib/telegram-db-v5.js';
+import { hasCanvas, makeSignal, makeWallet } from './helpers.js';
+
+const manager = new LeaderboardManager('test-token', { storage: {} });
+const channel = CHANNELS.private;
+const channelPath = String(channel).replace(/^-100/, '');
+
+describe('formatChainWalletLeaderboard', () => {
+  const wallets = [
+    { addr: 'So1anaWa11etAddre55xyz9', avgPeak: 1.46, winRate: 100, avgScr: 2, scnt: 1 },
+    { addr: 'Another1Wa11etAddressQ7', avgPeak: 0.8, winRate: 25, avgScr: -1, scnt: 4 },
+  ];
+
+  it('links wallets to the explorer in the private channel', () => {
+    const msg = manager.formatChainWalletLeaderboard('sol', wallets, channel, false);
+    const lines = msg.split('\n');
+
+    assert.equal(lines[0], '🟣 <b>SOL 7D Wallet Leaderboard</b>');
+    assert.equal(lines[2], '<code>1. │ +46% │ 100% │ 🔵 +2.00 (1) │ </code><a href="https://solscan.io/account/So1anaWa11etAddre55xyz9">So1a...xyz9</a>');
+    assert.equal(lines[3], '<code>2. │ -20% │ 25% │ 🟠 -1.00 (4) │ </code><a href="https://solscan.io/account/Another1Wa11etAddressQ7">Anot...ssQ7</a>');
+    assert.match(msg, /Tap wallet to view on explorer/);
+  });
+
+  it('shows short addresses only in the public channel', () => {
+    const msg = manager.formatChainWalletLeaderboard('eth', wallets, channel, true);
+
+    assert.match(msg, /│ <\/code>So1a\.\.\.xyz9\n/);
+    assert.doesNotMatch(msg, /href/);
+  });
+
+  it('handles an empty leaderboard', () => {
+    assert.match(manager.formatChainWalletLeaderboard('bsc', [], channel), /No wallets tracked yet/);
+  });
+});
+
+describe('formatChainTokenLeaderboard', () => {
+  const tokens7d = [
+    { sym: 'AAA', peakMult: 18.4, scnt: 2, lastMsgId: 5, publicMsgId: 9 },
+    { sym: 'BBB', peakMult: 1.5 },
+    { sym: 'CCC', peakMult: 0.7 },
+  ];
+
+  it('ranks by peak and sums gains (<2x adds the gain, >=2x the multiple)', () => {
+    const msg = manager.formatChainTokenLeaderboard('sol', tokens7d, tokens7d.slice(1, 2), channel, false);
+    const lines = msg.split('\n');
+
+    assert.equal(lines[3], '📅 <b>7D Top Gainers (18.9x)</b>');
+    assert.equal(lines[4], `<code> 1. │    18x │ 🚨2 │ </code><a href="https://t.me/c/${channelPath}/5">AAA</a>`);
+    assert.equal(lines[5], '<code> 2. │   1.5x │ 🚨1 │ </code><b>BBB</b>');
+    assert.equal(lines[6], '<code> 3. │   0.7x │ 🚨1 │ </code><b>CCC</b>');
+    assert.match(msg, /🔥 <b>1D Hot Movers \(0\.5x\)<\/b>/);
+  });
+
+  it('links public messages in the public channel', () => {
+    const msg = manager.formatChainTokenLeaderboard('sol', tokens7d, [], '-1009999999999', true);
+
+    assert.match(msg, /href="https:\/\/t\.me\/c\/9999999999\/9">AAA/);
+    assert.match(msg, /No 1D movers yet/);
+  });
+});
+
+describe('formatSummaryMessage', () => {
+  it('lists cross-chain gainers, totals and chain leaderboard links', () => {
+    const summary = new LeaderboardManager('test-token', { storage: {} });
+    summary.config = { leaderboards: { sol: { private: { tokens: 21, wallets: 22 } } } };
+    const top = [
+      { sym: 'AAA', peakMult: 3, chain: 'sol', chainEmoji: '🟣', lastMsgId: 7 },
+      { sym: 'BBB', peakMult: 1.25, chain: 'eth', chainEmoji: '🔷' },
+    ];
+    const stats = { totalGains: 1234, badCalls: 12, chainSums: { sol: 3, eth: 0.25 } };
+
+    const msg = summary.formatSummaryMessage(channel, false, top, 30, stats);
+
+    assert.match(msg, /🏆 <b>Top 25 Gainers - 7D \(3\.3x\)<\/b>/);
+    assert.match(msg, new RegExp(`<code> 1\\. 🟣 │   3\\.0x │ </code><a href="https://t.me/c/${channelPath}/7">AAA</a>`));
+    assert.match(msg, /<code> 2\. 🔷 │ {3}1\.3x │ <\/code><b>BBB<\/b>/);
+    assert.match(msg, new RegExp(`Hall of Fame: <a href="https://t.me/c/${channelPath}/30">`));
+    assert.match(msg, /Total Gains: x1\.2K/);
+    assert.match(msg, /🟣 x3 │ 🔷 x0 │ 🔶 x0 │ 🔵 x0/);
+    assert.match(msg, /Bad Calls: 12/);
+    assert.match(msg, new RegExp(`🟣 <code>SOL  : </code><a href="https://t.me/c/${channelPath}/21">Tokens</a> │ <a href="https://t.me/c/${channelPath}/22">Wallets</a>`));
+    assert.match(msg, /🔷 <code>ETH  : <\/code>Tokens │ Wallets/);
+  });
+
+  it('handles no gainers and no stats', () => {
+    const msg = manager.formatSummaryMessage(channel, true);
+    assert.match(msg, /No gainers tracked yet/);
+    assert.doesNotMatch(msg, /Total Gains/);
+  });
+});
+
+describe('formatHallOfFame', () => {
+  it('sums and lists the best gainers', () => {
+    const msg = manager.formatHallOfFame(channel, true, [
+      { sym: 'BIG', peakMult: 42, chainEmoji: '🔶', publicMsgId: 3 },
+      { sym: 'MID', peakMult: 2.5 },
+    ]);
+
+    assert.match(msg, /🏅 <b>Hall of Fame \(44\.5x\)<\/b>/);
+    assert.match(msg, /<code> 1\. 🔶 │ {4}42x │ <\/code><b>BIG<\/b>/);
+    assert.match(msg, /<code> 2\. 🔗 │ {3}2\.5x │ <\/code><b>MID<\/b>/);
+  });
+});
+
+// index.js pulls in the chart generator (canvas native module)
+describe('formatSignalMessage', { skip: !hasCanvas() && 'canvas native module not built' }, async () => {
+  const { formatSignalMessage } = await import('../index.js');
+
+  const signal = makeSignal({ tokenName: 'Cats & <Dogs>', tokenSymbol: 'CAD', maxPctGain: '181.7' });
+  const wallets = [
+    makeWallet('WalletA1111111111xyzA', 2),
+    makeWallet('WalletB2222222222xyzB', 0, {
+      addressInfo: { kolAddress: true, twitterHandle: '@alice' },
+    }),
+  ];
+
+  it('formats a new-token signal', () => {
+    const msg = formatSignalMessage(signal, wallets, { security: { status: 'SAFE', riskScore: 10 } });
+    const lines = msg.split('\n');
+
+    assert.equal(lines[0], '#SOL 🆕 <b>Smart Money Signal</b> 🟢 1.00 | Momentum');
+    assert.equal(lines[2], '2 new wallets (2 total) │ up <b>+181.7%</b>');
+    assert.equal(lines[3], '🔵⚪️');
+    assert.match(msg, /<a href="https:\/\/solscan\.io\/token\/TokenAddr1+">Cats &amp; &lt;Dogs&gt;<\/a><\/b> \(\$CAD\)/);
+    assert.match(msg, /Risk : 10\/100 ✅\nAge {2}: 2h\nMCap : \$100\.0K\nVol {2}: \$25\.0K/);
+    assert.match(msg, /<a href="https:\/\/solscan\.io\/account\/WalletA1111111111xyzA">Wallet\.\.\.xyzA<\/a> 🔵 \+2\.00\n/);
+    assert.match(msg, /<code>PnL \+\$1\.3K │ ROI \+42\.1% │ WR 55%<\/code>/);
+    assert.match(msg, /⚪️ \+0\.00 🎤 <a href="https:\/\/x\.com\/alice">@alice<\/a>/);
+    assert.match(msg, new RegExp(`<a href="https://t.me/#${signal.batchId}-0">`));
+  });
+
+  it('marks repeat signals and price moves since the first signal', () => {
+    const msg = formatSignalMessage(signal, wallets.slice(0, 1), {
+      tokenHistory: { signalCount: 2, firstPrice: 0.0005 },
+      walletCategories: { newWallets: wallets.slice(0, 1), repeatWallets: [wallets[1]], totalUnique: 2 },
+    });
+
+    assert.match(msg.split('\n')[0], /^#SOL 🚨 /);
+    assert.match(msg, /1 new wallet \(2 total\) │ up <b>\+181\.7%<\/b> │ 🔄x3/);
+    assert.match(msg, /\(\$CAD\) │ 📈\+100\.0%/);
+  });
+});
+
+describe('formatCompactSignalMessage', { skip: !hasCanvas() && 'canvas native module not built' }, async () => {
+  const { formatCompactSignalMessage } = await import('../index.js');
+
+  it('fits a signal into three lines', () => {
+    const signal = makeSignal({ signalLabel: '2', tokenSymbol: 'A&B', mcapAtSignal: '1250000', maxPctGain: '-12.5' });
+    const wallets = [makeWallet('WalletA1111111111xyzA', 1.5), makeWallet('WalletB2222222222xyzB', 0.5)];
+
+    const lines = formatCompactSignalMessage(signal, wallets).split('\n');
+
+    assert.equal(lines[0], `#SOL 🆕 <b>Influencers</b> 🟢 1.00 │ <b><a href="https://solscan.io/token/${signal.tokenAddress}">$A&amp;B</a></b>`);
+    assert.equal(lines[1], '2 wallets │ MCap $1.3M │ Age 2h │ down -12.5%');
+    assert.equal(lines[2], `<code>${signal.tokenAddress}</code>`);
+  });
+});
+
+describe('formatExitAlert', { skip: !hasCanvas() && 'canvas native module not built' }, async () => {
+  const { formatExitAlert } = await import('../index.js');
+
+  it('lists the exiting signal wallets and their multiples', () => {
+    const exitSignal = { chainId: 501, chainName: 'SOL', batchId: '42', batchIndex: 1, price: '0.003' };
+    const token = { sym: 'A&B', p0: 0.001, wallets: ['WalletA1', 'WalletB2', 'WalletC3'] };
+    const exits = [
+      { walletAddress: 'WalletA1111111111xyzA', score: 2, exitMult: 3 },
+      { walletAddress: 'WalletB2222222222xyzB', exitMult: 1.5 },
+    ];
+
+    const lines = formatExitAlert(exitSignal, token, exits).split('\n');
+
+    assert.equal(lines[0], '#SOL 🚪 <b>Smart Money Exit</b> │ $A&amp;B');
+    assert.equal(lines[2], '2 of 3 signal wallets sold │ now <b>3.00x</b>');
+    assert.equal(lines[4], '<a href="https://solscan.io/account/WalletA1111111111xyzA">Wallet...xyzA</a> 🔵 +2.00 │ sold at <b>3.00x</b>');
+    assert.equal(lines[5], '<a href="https://solscan.io/account/WalletB2222222222xyzB">Wallet...xyzB</a> │ sold at <b>1.50x</b>');
+    assert.match(lines.at(-1), /<a href="https:\/\/t\.me\/#42-1">/);
+  });
+
+  it('shows ENS names and leaves out the multiple without an entry price', () => {
+    const exitSignal = { chainId: 1, chainName: 'ETH', batchId: '7', batchIndex: 0, price: '2' };
+    const exits = [{ walletAddress: '0xabc0000000000000000000000000000000000def', seller: { ensName: 'whale.eth' }, score: -1, exitMult: 0.5 }];
+
+    const lines = formatExitAlert(exitSignal, { sym: 'ETHX' }, exits).split('\n');
+
+    assert.equal(lines[2], '1 of 1 signal wallet sold');
+    assert.equal(lines[4], '<a href="https://etherscan.io/address/0xabc0000000000000000000000000000000000def">whale.eth</a> 🟠 -1.00 │ sold at <b>0.50x</b>');
+  });
+});
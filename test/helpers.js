@@ -0,0 +1,214 @@
+/**
+ * Test Helpers - Local stand-ins for Telegram and the data providers
+ *
+ * - useTempStorage(): DB_STORAGE=file under a temp dir (replaces the
+ *   Telegram DB/archive channels, see lib/db-storage.js)
+ * - stubFetch(): replaces global fetch() with route handlers and records
+ *   every call (Telegram Bot API, DexScreener, OKX, RugCheck)
+ * - mockResponse(): minimal Vercel/Express response for api/* handlers
+ * - makeSignal() / makeWallet(): records in the shape processSignal() builds
+ * - hasCanvas(): index.js (poll pipeline, signal formatter) needs the canvas
+ *   native module for charts; its tests are skipped where it is not built
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+export const HOUR_MS = 60 * 60 * 1000;
+export const DAY_MS = 24 * HOUR_MS;
+
+// ============================================================
+// STORAGE
+// ============================================================
+
+/**
+ * Point DB_STORAGE at a fresh temp directory
+ * @returns {{ dir: string, cleanup: Function }}
+ */
+export function useTempStorage() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-pipeline-test-'));
+  process.env.DB_STORAGE = 'file';
+  process.env.DB_STORAGE_PATH = dir;
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Whether the canvas native module loads (required by index.js)
+ */
+export function hasCanvas() {
+  try {
+    createRequire(import.meta.url)('canvas');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================
+// FETCH
+// ============================================================
+
+/**
+ * Replace global fetch() with route handlers
+ * @param {Array} routes - [pattern (RegExp | URL substring), handler(url, init, body)]
+ *   The handler returns a Response, or any value to send as JSON (200).
+ *   Unmatched requests throw, so tests never reach the network.
+ * @returns {{ calls: Array, restore: Function }} calls: { method, url, body }
+ */
+export function stubFetch(routes) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+    const method = (init.method || 'GET').toUpperCase();
+    let body = init.body;
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); } catch { /* keep text */ }
+    }
+    calls.push({ method, url, body });
+
+    const route = routes.find(([pattern]) => (
+      pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)
+    ));
+    if (!route) throw new Error(`Unexpected fetch: ${method} ${url}`);
+
+    const result = await route[1](url, init, body);
+    return result instanceof Response
+      ? result
+      : new Response(JSON.stringify(result), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+
+  return {
+    calls,
+    restore: () => { globalThis.fetch = realFetch; },
+  };
+}
+
+/**
+ * Telegram Bot API stand-in: every method succeeds with a new message_id
+ */
+export function telegramRoute(firstMessageId = 1000) {
+  let messageId = firstMessageId;
+  return ['api.telegram.org', () => ({ ok: true, result: { message_id: messageId++ } })];
+}
+
+/**
+ * DexScreener stand-in
+ * @param {Object} pairs - { tokenAddress: { priceUsd, liquidity, chainId = 'solana' } }
+ */
+export function dexScreenerRoute(pairs) {
+  return ['api.dexscreener.com', (url) => {
+    const addresses = decodeURIComponent(url.split('/tokens/')[1] || '').split(',');
+    return {
+      pairs: addresses
+        .filter(addr => pairs[addr])
+        .map(addr => ({
+          chainId: pairs[addr].chainId || 'solana',
+          baseToken: { address: addr },
+          priceUsd: String(pairs[addr].priceUsd),
+          liquidity: { usd: pairs[addr].liquidity },
+          volume: { h24: 0 },
+          priceChange: { h24: 0 },
+        })),
+    };
+  }];
+}
+
+// ============================================================
+// API HANDLERS
+// ============================================================
+
+/**
+ * Response object for api/* handlers
+ * After the handler: statusCode, headers, body (json) and text (write/end)
+ */
+export function mockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    text: '',
+    headersSent: false,
+    ended: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      res.headersSent = true;
+      res.ended = true;
+      return res;
+    },
+    write(chunk) {
+      res.text += chunk;
+      res.headersSent = true;
+      return true;
+    },
+    end(chunk) {
+      if (chunk) res.text += chunk;
+      res.headersSent = true;
+      res.ended = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+let batchSeq = 1000;
+
+/**
+ * Signal in the shape processSignal() builds (Solana by default)
+ */
+export function makeSignal(overrides = {}) {
+  const batchId = String(batchSeq++);
+  return {
+    signalId: batchId,
+    batchId,
+    batchIndex: 0,
+    eventTime: Date.now(),
+    signalLabel: '1',
+    chainId: 501,
+    chainName: 'SOL',
+    tokenAddress: 'TokenAddr1111111111111111111111111111111111',
+    tokenName: 'Test Token',
+    tokenSymbol: 'TEST',
+    tokenAge: '2h',
+    priceAtSignal: '0.001',
+    mcapAtSignal: '100000',
+    volumeInSignal: '25000',
+    maxMultiplier: '0',
+    maxPctGain: '0',
+    scoringProfile: 'default',
+    ...overrides,
+  };
+}
+
+/**
+ * Wallet detail in the shape of the OKX signal-detail response (+ entryScore)
+ */
+export function makeWallet(walletAddress, entryScore, overrides = {}) {
+  return {
+    walletAddress,
+    entryScore,
+    pnl7d: '1250.5',
+    roi: '42.1',
+    winRate: '55',
+    addressInfo: {},
+    ...overrides,
+  };
+}
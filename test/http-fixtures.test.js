@@ -0,0 +1,104 @@
+/**
+ * HTTP fixtures: a poll replayed from fixtures/http/poll-sol.json through
+ * monitorSignals() against file storage (OKX, RugCheck, DexScreener and
+ * Telegram answered by the recording)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTempStorage, hasCanvas } from './helpers.js';
+
+// Read at import: no disk cache, no spacing between sends, no retries
+process.env.MARKET_CACHE_DIR = 'off';
+process.env.TELEGRAM_CHAT_RATE = '6000';
+process.env.TELEGRAM_MAX_RETRIES = '0';
+process.env.TELEGRAM_RETRY_FILE = path.join(os.tmpdir(), `http-fixtures-retry-${process.pid}.json`);
+process.env.OKX_MAX_RETRIES = '0';
+
+const { installHttpFixtures, uninstallHttpFixtures } = await import('../lib/http-fixtures.js');
+const { TelegramDBv5 } = await import('../lib/telegram-db-v5.js');
+
+const FIXTURE = new URL('../fixtures/http/poll-sol.json', import.meta.url).pathname;
+const CHAT = '-1001234567890';
+const TOKEN = 'PoLLFixt9c2rXQ8sWmV1nZkT4wYbHd7eJgAqR5uSpump';
+const WAL_A = '5tMmPnRq8vXz3KcYhB2wDfGjLsN7aU4eQ9rT6yHkCxV1';
+const WAL_B = 'Ar9QwE2tYuP5sDfG8hJkL3zXcV7bN4mQ6wErT1yUiRp2';
+
+// saveSignalId() dedup file: a previous run must not mark the signal seen
+const LAST_SIGNALS = '/tmp/last-signal-SOL.txt';
+
+// The poll pipeline imports index.js (chart generator → canvas native module)
+describe('monitorSignals() replay', { skip: !hasCanvas() && 'canvas native module not built' }, () => {
+  let storage;
+  let lastSignals;
+  let sends;
+
+  beforeEach(() => {
+    storage = useTempStorage();
+    lastSignals = fs.existsSync(LAST_SIGNALS) ? fs.readFileSync(LAST_SIGNALS, 'utf8') : null;
+    fs.rmSync(LAST_SIGNALS, { force: true });
+    mock.method(console, 'log', () => {});
+
+    installHttpFixtures({ mode: 'replay', file: FIXTURE });
+    // Keep the Telegram text posts on their way to the recording
+    const replay = globalThis.fetch;
+    sends = [];
+    globalThis.fetch = (input, init = {}) => {
+      if (String(input).endsWith('/sendMessage')) sends.push(JSON.parse(init.body));
+      return replay(input, init);
+    };
+  });
+  afterEach(() => {
+    uninstallHttpFixtures();
+    mock.restoreAll();
+    storage.cleanup();
+    if (lastSignals === null) fs.rmSync(LAST_SIGNALS, { force: true });
+    else fs.writeFileSync(LAST_SIGNALS, lastSignals);
+  });
+
+  it('scores, posts and stores the recorded signal', async () => {
+    const { monitorSignals } = await import('../index.js');
+
+    const result = await monitorSignals({ chainId: 501, pageSize: 5, botToken: 'test-token', chatId: CHAT, useDB: true });
+
+    assert.equal(result.newSignals, 1);
+    assert.equal(result.parked, 0);
+
+    // Wallet A: trades (flat → moon, +2); wallet B: buy average (flat → pump, +1)
+    assert.equal(sends.length, 1);
+    const [{ chat_id: chatId, text }] = sends;
+    assert.equal(chatId, CHAT);
+    assert.match(text, /^#SOL 🆕 <b>.* Signal<\/b> \S+ 1\.50 \|/);
+    assert.match(text, /2 new wallets \(2 total\) │ up <b>\+80/);
+    assert.match(text, /Poll Fixture<\/a><\/b> \(\$FIXT\)/);
+    assert.ok(text.includes(`<code>${TOKEN}</code>`));
+    assert.match(text, /Risk : 12\/100 ✅/);
+
+    const db = new TelegramDBv5('test-token', 501);
+    await db.load();
+    assert.equal(db.isSignalSeen('7731_0'), true);
+    const token = db.getToken(TOKEN);
+    assert.equal(token.sym, 'FIXT');
+    assert.equal(token.p0, 0.0012); // OKX price kept: DexScreener is within 10%
+    assert.equal(token.avgScr, 1.5);
+    assert.equal(token.sec, 'SAFE');
+    assert.equal(token.lastMsgId, 4242);
+    assert.deepEqual(token.wallets, [WAL_A.slice(0, 8), WAL_B.slice(0, 8)]);
+    assert.deepEqual(db.getWallet(WAL_A).scores, [2]);
+    assert.deepEqual(db.getWallet(WAL_B).scores, [1]);
+    assert.equal(db.getWallet(WAL_B).tokens[TOKEN].entry, 0.0012);
+
+    const log = await db.getSignalLog();
+    assert.equal(log.length, 1);
+    assert.deepEqual(
+      { id: log[0].id, token: log[0].token, sym: log[0].sym, avgScr: log[0].avgScr, sec: log[0].sec, wallets: log[0].wallets },
+      {
+        id: '7731_0', token: TOKEN, sym: 'FIXT', avgScr: 1.5, sec: 'SAFE',
+        wallets: [{ addr: WAL_A, score: 2 }, { addr: WAL_B, score: 1 }],
+      },
+    );
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Market cache: memory and disk layers, TTLs, candle freshness tiers and
+ * shared loads
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HOUR_MS, DAY_MS } from './helpers.js';
+import {
+  cached, clearMarketCache, getMarketCacheStats, barMs, candleTtl,
+} from '../lib/market-cache.js';
+
+const T = Date.UTC(2026, 0, 15, 12);
+const MIN_MS = 60 * 1000;
+
+function counter(value) {
+  const load = async () => {
+    load.calls++;
+    return value;
+  };
+  load.calls = 0;
+  return load;
+}
+
+describe('cached', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-cache-'));
+
+  before(() => { process.env.MARKET_CACHE_DIR = dir; });
+  beforeEach(() => clearMarketCache());
+  after(() => {
+    delete process.env.MARKET_CACHE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads once and serves hits until the TTL runs out', async () => {
+    const load = counter([1, 2]);
+
+    assert.deepEqual(await cached('a', () => HOUR_MS, load, T), [1, 2]);
+    assert.deepEqual(await cached('a', () => HOUR_MS, load, T + HOUR_MS - 1), [1, 2]);
+    assert.equal(load.calls, 1);
+    assert.deepEqual(getMarketCacheStats(), { hits: 1, misses: 1, entries: 1 });
+
+    await cached('a', () => HOUR_MS, load, T + HOUR_MS);
+    assert.equal(load.calls, 2);
+  });
+
+  it('reads the disk layer after the memory layer is gone', async () => {
+    const load = counter({ price: 1 });
+    await cached('b', () => HOUR_MS, load, T);
+
+    clearMarketCache();
+    assert.deepEqual(await cached('b', () => HOUR_MS, load, T), { price: 1 });
+    assert.equal(load.calls, 1);
+    assert.equal(getMarketCacheStats().hits, 1);
+  });
+
+  it('does not cache failures or values with a zero TTL', async () => {
+    const failing = async () => { throw new Error('down'); };
+    await assert.rejects(cached('c', () => HOUR_MS, failing, T), /down/);
+
+    const load = counter([]);
+    await cached('c', () => 0, load, T);
+    await cached('c', () => 0, load, T);
+    assert.equal(load.calls, 2);
+  });
+
+  it('shares one load between concurrent misses', async () => {
+    const load = counter('x');
+
+    const results = await Promise.all([1, 2, 3].map(() => cached('d', () => HOUR_MS, load, T)));
+
+    assert.deepEqual(results, ['x', 'x', 'x']);
+    assert.equal(load.calls, 1);
+  });
+});
+
+describe('candleTtl', () => {
+  const candles = newest => [{ timestamp: newest - 15 * MIN_MS }, { timestamp: newest }];
+
+  it('refetches live charts within the bar and dead ones after hours', () => {
+    assert.equal(candleTtl(candles(T - 5 * MIN_MS), '15m', T), 5 * MIN_MS);
+    assert.equal(candleTtl(candles(T - 2 * HOUR_MS), '15m', T), 15 * MIN_MS);
+    assert.equal(candleTtl(candles(T - 2 * DAY_MS), '15m', T), 6 * HOUR_MS);
+    assert.equal(candleTtl(candles(T - 30 * MIN_MS), '1H', T), 20 * MIN_MS);
+  });
+
+  it('does not cache empty charts', () => {
+    assert.equal(candleTtl([], '15m', T), 0);
+  });
+});
+
+describe('barMs', () => {
+  it('parses OKX bar sizes', () => {
+    assert.equal(barMs('15m'), 15 * MIN_MS);
+    assert.equal(barMs('1H'), HOUR_MS);
+    assert.equal(barMs('1D'), DAY_MS);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * OKX client: retries and backoff, Retry-After, the shared token bucket,
+ * envelope codes mapped to OkxError subclasses and response validation
+ * (against a stubbed fetch)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubFetch } from './helpers.js';
+
+// Read at import: two retries, the default 20 requests per second
+process.env.OKX_MAX_RETRIES = '2';
+delete process.env.OKX_RATE_LIMIT;
+
+const {
+  fetchFilterActivity, fetchSignalDetail, fetchWalletTrades,
+  OkxError, OkxHttpError, OkxRateLimitError, OkxApiError, OkxResponseError, OKX_RATE_LIMIT,
+} = await import('../lib/okx-client.js');
+
+const ok = data => ({ code: '0', data });
+const detail = ok({ addresses: [{ walletAddress: 'WalletA1111111111' }] });
+const status = (code, headers = {}) => new Response('{}', { status: code, headers });
+
+let fetchStub;
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(Math, 'random', () => 0); // No backoff jitter: retries run at once
+});
+afterEach(() => {
+  fetchStub?.restore();
+  mock.restoreAll();
+});
+
+// Answers the signal-detail endpoint with each response in turn
+function respond(...responses) {
+  fetchStub = stubFetch([['signal-detail', () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  }]]);
+}
+
+const fetchDetail = () => fetchSignalDetail(501, 'Token', '42', 0);
+
+describe('request retries', () => {
+  it('retries 5xx, network errors and busy codes, then returns the data', async () => {
+    respond(status(503), new TypeError('fetch failed'), ok({ addresses: [] }));
+    assert.deepEqual(await fetchDetail(), { addresses: [] });
+    assert.equal(fetchStub.calls.length, 3);
+
+    respond({ code: '50013', msg: 'busy' }, detail);
+    assert.deepEqual(await fetchDetail(), detail.data);
+    assert.equal(fetchStub.calls.length, 2);
+  });
+
+  it('gives up after OKX_MAX_RETRIES with the last error', async () => {
+    respond(status(502), status(500), status(503));
+    await assert.rejects(fetchDetail(), err => {
+      assert.ok(err instanceof OkxHttpError);
+      assert.equal(err.status, 503);
+      assert.equal(err.retryable, true);
+      assert.equal(err.endpoint, 'signalDetail');
+      return true;
+    });
+    assert.equal(fetchStub.calls.length, 3);
+
+    respond(new TypeError('fetch failed'), new TypeError('fetch failed'), new TypeError('socket hang up'));
+    await assert.rejects(fetchDetail(), err => err instanceof OkxError && /socket hang up/.test(err.message) && err.cause instanceof TypeError);
+  });
+
+  it('does not retry client errors', async () => {
+    respond(status(404));
+    await assert.rejects(fetchDetail(), err => err instanceof OkxHttpError && err.status === 404 && !err.retryable);
+    assert.equal(fetchStub.calls.length, 1);
+  });
+
+  it('waits Retry-After before retrying a 429 and keeps it on the final error', async () => {
+    respond(status(429, { 'retry-after': '0.2' }), detail);
+    const start = performance.now();
+    assert.deepEqual(await fetchDetail(), detail.data);
+    assert.ok(performance.now() - start >= 190);
+    assert.equal(fetchStub.calls.length, 2);
+
+    respond(status(429), status(429), status(429, { 'retry-after': '0.01' }));
+    await assert.rejects(fetchDetail(), err => err instanceof OkxRateLimitError && err.retryAfterMs === 10 && err.retryable);
+    assert.equal(fetchStub.calls.length, 3);
+  });
+});
+
+describe('envelope codes', () => {
+  it('maps code != 0 to OkxApiError, rate-limit codes to OkxRateLimitError', async () => {
+    respond({ code: '51000', msg: 'Parameter chainId error' });
+    await assert.rejects(fetchDetail(), err => {
+      assert.ok(err instanceof OkxApiError);
+      assert.equal(err.code, '51000');
+      assert.equal(err.retryable, false);
+      assert.match(err.message, /signalDetail: API error 51000 \(Parameter chainId error\)/);
+      return true;
+    });
+    assert.equal(fetchStub.calls.length, 1);
+
+    respond({ code: '50011' }, { code: '50011' }, { code: '50011' });
+    await assert.rejects(fetchDetail(), OkxRateLimitError);
+    assert.equal(fetchStub.calls.length, 3);
+
+    respond({ code: '50001', error_message: 'Service unavailable' }, { code: '50001' }, { code: '50001', error_message: 'Service unavailable' });
+    await assert.rejects(fetchDetail(), err => err instanceof OkxApiError && err.retryable && /Service unavailable/.test(err.message));
+  });
+});
+
+describe('response validation', () => {
+  it('rejects bodies and data of the wrong shape without retrying', async () => {
+    const cases = [
+      [new Response('<html>', { status: 200 }), /body is not JSON/],
+      [[1, 2], /body is not an object/],
+      [ok({ addresses: 'none' }), /data\.addresses is not an array/],
+      [ok({ addresses: [{ walletAddress: 'A' }, {}] }), /addresses\[1\] has no walletAddress/],
+    ];
+    for (const [response, message] of cases) {
+      respond(response);
+      await assert.rejects(fetchDetail(), err => err instanceof OkxResponseError && !err.retryable && message.test(err.message));
+      assert.equal(fetchStub.calls.length, 1);
+    }
+
+    fetchStub.restore();
+    fetchStub = stubFetch([['filter-activity', () => ok({ activityList: [{ tokenKey: '501!@#T' }] })]]);
+    await assert.rejects(fetchFilterActivity(501, '1', 5), /activityList\[0\] has no tokenKey\/batchId/);
+  });
+
+  it('maps wallet trades and drops rows without a time or price', async () => {
+    fetchStub = stubFetch([['trading-history/filter-list', () => ok({
+      list: [
+        { tokenContractAddress: 'T1', timestamp: '1000', type: '1', price: '0.002', volume: '150' },
+        { tokenContractAddress: 'T2', timestamp: '900', type: 2, price: '0.5' },
+        { tokenContractAddress: 'T3', timestamp: '800', type: '1', price: '0' },
+      ],
+    })]]);
+
+    assert.deepEqual(await fetchWalletTrades(501, 'WalletA1111111111'), [
+      { token: 'T1', time: 1000, type: 'buy', price: 0.002, usd: 150 },
+      { token: 'T2', time: 900, type: 'sell', price: 0.5, usd: 0 },
+    ]);
+  });
+});
+
+describe('token bucket', () => {
+  it('spaces calls past the burst at OKX_RATE_LIMIT per second', async () => {
+    fetchStub = stubFetch([['signal-detail', () => detail]]);
+    const calls = OKX_RATE_LIMIT + 5;
+
+    const start = performance.now();
+    await Promise.all(Array.from({ length: calls }, fetchDetail));
+    const elapsed = performance.now() - start;
+
+    // At most a full bucket goes out at once; the rest wait for refills
+    assert.equal(fetchStub.calls.length, calls);
+    assert.ok(elapsed >= ((calls - OKX_RATE_LIMIT) / OKX_RATE_LIMIT) * 1000 - 10, `${calls} calls took ${elapsed}ms`);
+  });
+});
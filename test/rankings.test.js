@@ -0,0 +1,163 @@
+/**
+ * Ranking formulas: these values feed the leaderboards, so they are pinned
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TelegramDBv5, calcPeakMult, calcTokenTrendingScore, calcWalletRankScore, calcWalletStars,
+} from '../lib/telegram-db-v5.js';
+import { resolveRanking } from '../lib/scoring-profiles.js';
+import { HOUR_MS, DAY_MS } from './helpers.js';
+
+describe('calcPeakMult', () => {
+  it('uses the stored peak, else pPeak / p0', () => {
+    assert.equal(calcPeakMult({ peakMult: 3, mult: 0.5 }), 3);
+    assert.equal(calcPeakMult({ p0: 2, pPeak: 5 }), 2.5);
+    assert.equal(calcPeakMult({}), 1);
+  });
+
+  it('shows the loss for tokens that never pumped', () => {
+    assert.equal(calcPeakMult({ peakMult: 1, mult: 0.4 }), 0.4);
+    assert.equal(calcPeakMult({ p0: 1, pPeak: 1, pNow: 0.25 }), 0.25);
+    assert.equal(calcPeakMult({ peakMult: 1.2, mult: 0.4 }), 1.2);
+  });
+});
+
+describe('calcTokenTrendingScore', () => {
+  const now = Date.UTC(2026, 0, 15);
+
+  it('scores a hot token at the maximum', () => {
+    const token = { lastSig: now, scnt: 5, peakMult: 2, wallets: ['a', 'b', 'c'], avgScr: 2 };
+    assert.equal(calcTokenTrendingScore(token, now), 1);
+  });
+
+  it('weights recency, momentum, performance, wallets and quality', () => {
+    const token = { lastSig: now - 12 * HOUR_MS, scnt: 2, peakMult: 1.5, wallets: ['a', 'b'], avgScr: 1 };
+    // 0.75*0.30 + 0.4*0.25 + 0.75*0.20 + 0.667*0.15 + 0.75*0.10
+    assert.equal(calcTokenTrendingScore(token, now), 0.65);
+  });
+
+  it('scores stale losers low and penalizes rugs', () => {
+    const stale = { lastSig: now - 3 * DAY_MS, scnt: 1, mult: 0.5 };
+    assert.equal(calcTokenTrendingScore(stale, now), 0.2);
+
+    const rugged = { lastSig: now, scnt: 5, peakMult: 2, wallets: ['a', 'b', 'c'], avgScr: 2, rugged: true };
+    assert.equal(calcTokenTrendingScore(rugged, now), 0.1);
+  });
+});
+
+describe('calcWalletRankScore', () => {
+  it('is 0 for wallets without entries', () => {
+    assert.equal(calcWalletRankScore({}), 0);
+  });
+
+  it('scores a consistent, active +2 wallet at 100', () => {
+    const wallet = { scnt: 3, scores: [2, 2, 2], consistency: 100, lastSeen: Date.now() };
+    assert.equal(calcWalletRankScore(wallet), 100);
+  });
+
+  it('weights newer scores more', () => {
+    const base = { scnt: 2, consistency: 20, lastSeen: 0 };
+    // Quality only differs: newest +2 beats newest -2
+    assert.equal(calcWalletRankScore({ ...base, scores: [-2, 2] }), 35);
+    assert.equal(calcWalletRankScore({ ...base, scores: [2, -2] }), 33);
+  });
+
+  it('falls back to avgScr and default consistency', () => {
+    const wallet = { scnt: 5, avgScr: -2, lastSeen: 0 };
+    assert.equal(calcWalletRankScore(wallet), 10);
+  });
+
+  it('decays recency over 7 days', () => {
+    const wallet = { scnt: 1, scores: [0], consistency: 100 };
+    assert.equal(calcWalletRankScore({ ...wallet, lastSeen: Date.now() - 3.5 * DAY_MS }), 60);
+    assert.equal(calcWalletRankScore({ ...wallet, lastSeen: Date.now() - 8 * DAY_MS }), 50);
+  });
+
+  it('applies the weights and activity window of a ranking profile', () => {
+    const wallet = { scnt: 1, scores: [0], consistency: 100, lastSeen: Date.now() - 3.5 * DAY_MS };
+
+    assert.equal(calcWalletRankScore(wallet, {}, resolveRanking({ weights: { quality: 1, consistency: 0, recency: 0 } })), 50);
+    assert.equal(calcWalletRankScore(wallet, {}, resolveRanking({ activeDays: 14 })), 65);
+  });
+});
+
+describe('calcWalletStars', () => {
+  const active = { scnt: 3, scores: [1, 1, 1], consistency: 100, lastSeen: Date.now() };
+
+  it('rates by rank score, win rate and average peak', () => {
+    const wallet = { ...active, tokens: { A: {}, B: {}, C: {} } };
+    assert.equal(calcWalletStars(wallet, { A: 3, B: 2, C: 1.3 }), 3);
+    assert.equal(calcWalletStars(wallet, { A: 1.3, B: 1.3, C: 1 }), 2);
+    assert.equal(calcWalletStars(wallet, { A: 1, B: 1, C: 1 }), 1);
+  });
+
+  it('compares the 0-100 rank score against fractional thresholds', () => {
+    // Any wallet with entries clears the score > 0.3 bar
+    assert.equal(calcWalletStars({ scnt: 1, avgScr: -2, lastSeen: 0 }, {}), 1);
+    assert.equal(calcWalletStars({}, {}), 0);
+  });
+
+  it('ignores tokens without a known peak', () => {
+    const wallet = { ...active, tokens: { A: {}, Unknown: {} } };
+    assert.equal(calcWalletStars(wallet, { A: 2 }), 3);
+  });
+});
+
+describe('getGainsLeaderboard', () => {
+  let db;
+  const now = Date.now();
+
+  beforeEach(() => {
+    db = new TelegramDBv5(null, 501, { storage: {}, archiveStorage: {} });
+    db.db = db.getDefaultDB();
+    db.db.tokens = {
+      Moon: { sym: 'MOON', p0: 1, peakMult: 3, mult: 2, firstSeen: now - HOUR_MS, scnt: 2, lastMsgId: 11 },
+      Meh: { sym: 'MEH', p0: 1, peakMult: 1.3, mult: 1.1, firstSeen: now - 2 * DAY_MS },
+      Dud: { sym: 'DUD', p0: 1, pPeak: 1, pNow: 0.5, firstSeen: now - 3 * DAY_MS, rugged: true },
+      Old: { sym: 'OLD', p0: 1, peakMult: 10, firstSeen: now - 10 * DAY_MS },
+    };
+  });
+
+  it('ranks tokens of the period by peak and computes stats', () => {
+    const archived = {
+      Arch: { sym: 'ARCH', p0: 1, peakMult: 1.6, firstSeen: now - 3 * HOUR_MS },
+      Moon: { sym: 'MOON', p0: 1, peakMult: 1.1, firstSeen: now - HOUR_MS },
+    };
+
+    const board = db.getGainsLeaderboard('7d', 15, archived);
+
+    assert.deepEqual(board.tokens.map(t => [t.sym, t.peakMult]), [
+      ['MOON', 3], ['ARCH', 1.6], ['MEH', 1.3], ['DUD', 0.5],
+    ]);
+    assert.deepEqual(board.stats, {
+      total: 4,
+      winners: 3,
+      moonshots: 1,
+      rugged: 1,
+      hitRate: 75,
+      moonshotRate: 25,
+      medianMult: 1.6,
+      avgMult: 1.6,
+    });
+    assert.equal(board.tokens[0].msgId, 11);
+  });
+
+  it('filters by period and limits the list', () => {
+    assert.deepEqual(db.getGainsLeaderboard('24h').tokens.map(t => t.sym), ['MOON']);
+    assert.deepEqual(db.getGainsLeaderboard('all', 2).tokens.map(t => t.sym), ['OLD', 'MOON']);
+    assert.equal(db.getGainsLeaderboard('all', 2).stats.total, 4);
+  });
+
+  it('falls back to 7 days for unknown periods', () => {
+    assert.equal(db.getGainsLeaderboard('5y').periodMs, 7 * DAY_MS);
+  });
+
+  it('reports neutral stats for an empty period', () => {
+    db.db.tokens = {};
+    assert.deepEqual(db.getGainsLeaderboard('7d').stats, {
+      total: 0, winners: 0, moonshots: 0, rugged: 0, hitRate: 0, moonshotRate: 0, medianMult: 1, avgMult: 1,
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Scoring profiles: profile file validation, per-chain selection and
+ * SCORING_PROFILES_FILE loading
+ */
+
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_SCORING } from '../lib/entry-scoring.js';
+import {
+  loadScoringProfiles, getScoringProfiles, getScoringProfile, getProfileById, resolveRanking,
+  DEFAULT_PROFILE, DEFAULT_RANKING,
+} from '../lib/scoring-profiles.js';
+
+const TIGHT = {
+  default: 'default',
+  chains: { sol: 'tight' },
+  profiles: {
+    tight: {
+      entry: { afterBands: [15, 40], maxTokens: 15, matrix: { rose_to: { moon: 0 } } },
+      ranking: { weights: { quality: 0.7, consistency: 0.15, recency: 0.15 } },
+    },
+  },
+};
+
+describe('loadScoringProfiles', () => {
+  it('has only the built-in profile without a file', () => {
+    const profiles = loadScoringProfiles(null);
+
+    assert.deepEqual(Object.keys(profiles.profiles), ['default']);
+    assert.equal(getScoringProfile('sol', profiles), DEFAULT_PROFILE);
+    assert.equal(DEFAULT_PROFILE.entry, DEFAULT_SCORING);
+    // The original scoring: 15 history tokens fetched, the newest 10 recent ones scored
+    assert.equal(DEFAULT_SCORING.historyLimit, 15);
+    assert.equal(DEFAULT_SCORING.maxTokens, 10);
+  });
+
+  it('builds profiles on the defaults and selects them per chain', () => {
+    const profiles = loadScoringProfiles(JSON.stringify(TIGHT));
+    const sol = getScoringProfile(501, profiles);
+
+    assert.equal(sol.id, 'tight');
+    assert.deepEqual(sol.entry.afterBands, [15, 40]);
+    assert.deepEqual(sol.entry.beforeBands, DEFAULT_SCORING.beforeBands);
+    assert.equal(sol.entry.maxTokens, 15);
+    assert.equal(sol.entry.matrix.rose_to.moon, 0);
+    assert.equal(sol.entry.matrix.rose_to.pump, 0);
+    assert.equal(sol.ranking.weights.quality, 0.7);
+    assert.equal(sol.ranking.recencyDecay, DEFAULT_RANKING.recencyDecay);
+    assert.equal(getScoringProfile('eth', profiles).id, 'default');
+  });
+
+  it('rejects unknown chains, profiles and fields', () => {
+    const load = doc => () => loadScoringProfiles(JSON.stringify(doc));
+
+    assert.throws(load({ chains: { sol: 'missing' } }), /chain sol uses unknown profile missing/);
+    assert.throws(load({ chains: { nochain: 'default' } }), /unknown chain nochain/);
+    assert.throws(load({ default: 'missing' }), /unknown default profile/);
+    assert.throws(load({ profiles: { default: {} } }), /cannot be redefined/);
+    assert.throws(load({ profiles: { x: { weights: {} } } }), /Scoring profile x: unknown field weights/);
+    assert.throws(load({ profiles: { x: { entry: { lookbackMs: -1 } } } }), /Scoring profile x: .*lookbackMs/);
+    assert.throws(() => loadScoringProfiles('{'), /Invalid scoring profiles/);
+  });
+});
+
+describe('resolveRanking', () => {
+  it('requires weights that sum to 1', () => {
+    assert.throws(() => resolveRanking({ weights: { quality: 0.9 } }), /sum to 1/);
+    assert.throws(() => resolveRanking({ weights: { volume: 0 } }), /unknown weight volume/);
+    assert.throws(() => resolveRanking({ recencyDecay: 1.5 }), /recencyDecay/);
+    assert.deepEqual(resolveRanking({}), DEFAULT_RANKING);
+  });
+});
+
+describe('SCORING_PROFILES_FILE', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-profiles-'));
+  const file = path.join(dir, 'profiles.json');
+
+  afterEach(() => {
+    delete process.env.SCORING_PROFILES_FILE;
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('loads profiles from the file and re-reads when the path changes', () => {
+    fs.writeFileSync(file, JSON.stringify(TIGHT));
+    process.env.SCORING_PROFILES_FILE = file;
+
+    assert.equal(getScoringProfile('sol').id, 'tight');
+    assert.equal(getProfileById('tight').entry.maxTokens, 15);
+
+    delete process.env.SCORING_PROFILES_FILE;
+    assert.equal(getScoringProfile('sol').id, 'default');
+    assert.throws(() => getProfileById('tight'), /Unknown scoring profile tight/);
+  });
+
+  it('fails loudly on a missing file', () => {
+    process.env.SCORING_PROFILES_FILE = path.join(dir, 'missing.json');
+    assert.throws(() => getScoringProfiles(), /Cannot read SCORING_PROFILES_FILE/);
+  });
+});
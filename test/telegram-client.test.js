@@ -0,0 +1,212 @@
+/**
+ * Telegram client: rate-limit delays, HTML splitting, 429 retries and the
+ * persisted retry list (Telegram replaced by stubFetch())
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useTempStorage, stubFetch, telegramRoute } from './helpers.js';
+
+// Read at import: no per-chat spacing between stubbed calls
+process.env.TELEGRAM_CHAT_RATE = '6000';
+const {
+  nextSendDelay, splitMessage, callTelegram, sendMessage, sendPhoto, retryPendingSends, isRetryable, setRetryStore,
+} = await import('../lib/telegram-client.js');
+
+const BOT = 'test-token';
+const CHAT = '-1001234567890';
+
+let storage;
+let fetchStub;
+beforeEach(() => {
+  storage = useTempStorage();
+  process.env.TELEGRAM_RETRY_FILE = `${storage.dir}/telegram-retry.json`;
+  mock.method(console, 'log', () => {});
+});
+afterEach(() => {
+  fetchStub?.restore();
+  fetchStub = null;
+  mock.restoreAll();
+  storage.cleanup();
+});
+
+function pendingSends() {
+  try {
+    return JSON.parse(fs.readFileSync(process.env.TELEGRAM_RETRY_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+describe('nextSendDelay', () => {
+  const limits = { gapMs: 1000, perWindow: 3, windowMs: 60000 };
+
+  it('spaces calls by the gap', () => {
+    assert.equal(nextSendDelay({ sent: [] }, 5000, limits), 0);
+    assert.equal(nextSendDelay({ sent: [4600] }, 5000, limits), 600);
+  });
+
+  it('waits for the oldest call to leave a full window', () => {
+    const state = { sent: [1000, 2000, 3000] };
+    assert.equal(nextSendDelay(state, 10000, limits), 51000);
+    assert.equal(nextSendDelay(state, 61500, limits), 0);
+    assert.deepEqual(state.sent, [2000, 3000]);
+  });
+
+  it('honours a pause (retry_after)', () => {
+    assert.equal(nextSendDelay({ sent: [], pausedUntil: 8000 }, 5000, limits), 3000);
+  });
+});
+
+describe('splitMessage', () => {
+  it('keeps short text whole', () => {
+    assert.deepEqual(splitMessage('<b>hi</b>', 10), ['<b>hi</b>']);
+  });
+
+  it('splits at line breaks and carries open tags over', () => {
+    const text = `<b>Title</b>\n<code>${Array.from({ length: 6 }, (_, i) => `row ${i}`).join('\n')}</code>\nend`;
+    const parts = splitMessage(text, 40);
+
+    assert.ok(parts.every(p => p.length <= 40));
+    assert.deepEqual(parts, ['<b>Title</b>\n<code>row 0\nrow 1\n</code>', '<code>row 2\nrow 3\nrow 4\nrow 5</code>\nend']);
+  });
+
+  it('cuts long lines at spaces, never inside tags or entities', () => {
+    const parts = splitMessage(`${'a'.repeat(20)} <a href="https://x.io">link</a> ${'b'.repeat(15)}&amp;${'c'.repeat(30)}`, 40);
+
+    assert.ok(parts.every(p => p.length <= 40));
+    assert.ok(parts.every(p => (p.match(/</g) || []).length === (p.match(/>/g) || []).length));
+    assert.ok(parts.every(p => !/&[a-z]*$/.test(p)));
+    assert.equal(parts.join('').replace(/<\/?a[^>]*>/g, ''), `${'a'.repeat(20)} link ${'b'.repeat(15)}&amp;${'c'.repeat(30)}`);
+  });
+});
+
+describe('callTelegram', () => {
+  it('retries after retry_after on 429', async () => {
+    let calls = 0;
+    fetchStub = stubFetch([['api.telegram.org', () => (
+      ++calls === 1
+        ? { ok: false, error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } }
+        : { ok: true, result: { message_id: 7 } }
+    )]]);
+
+    const started = Date.now();
+    const result = await callTelegram(BOT, 'sendMessage', { chat_id: CHAT, text: 'hi' });
+
+    assert.equal(result.ok, true);
+    assert.equal(fetchStub.calls.length, 2);
+    assert.ok(Date.now() - started >= 1000);
+  });
+
+  it('returns client errors without retrying', async () => {
+    fetchStub = stubFetch([['api.telegram.org', () => ({ ok: false, error_code: 400, description: 'Bad Request: chat not found' })]]);
+
+    const result = await callTelegram(BOT, 'sendMessage', { chat_id: CHAT, text: 'hi' });
+
+    assert.equal(result.ok, false);
+    assert.equal(isRetryable(result), false);
+    assert.equal(fetchStub.calls.length, 1);
+  });
+
+  it('gives up when the wait exceeds maxWaitMs', async () => {
+    fetchStub = stubFetch([['api.telegram.org', () => (
+      { ok: false, error_code: 429, description: 'Too Many Requests: retry after 30', parameters: { retry_after: 30 } }
+    )]]);
+
+    const result = await callTelegram(BOT, 'sendMessage', { chat_id: '-1009', text: 'hi' }, { maxWaitMs: 2000 });
+
+    assert.equal(result.error_code, 429);
+    assert.equal(fetchStub.calls.length, 1);
+
+    // The chat stays paused for everyone queued behind it
+    const next = await callTelegram(BOT, 'sendMessage', { chat_id: '-1009', text: 'again' }, { maxWaitMs: 2000 });
+    assert.match(next.description, /queue wait/);
+    assert.equal(fetchStub.calls.length, 1);
+  });
+
+  it('keeps calls to one chat in order', async () => {
+    fetchStub = stubFetch([['api.telegram.org', async (url, init, body) => {
+      await new Promise(r => setTimeout(r, body.text === 'first' ? 30 : 0));
+      return { ok: true, result: { message_id: 1 } };
+    }]]);
+
+    await Promise.all(['first', 'second', 'third'].map(text => callTelegram(BOT, 'sendMessage', { chat_id: CHAT, text })));
+
+    assert.deepEqual(fetchStub.calls.map(c => c.body.text), ['first', 'second', 'third']);
+  });
+});
+
+describe('sendMessage / sendPhoto', () => {
+  it('sends long text as a chain of replies with the buttons on the last part', async () => {
+    fetchStub = stubFetch([telegramRoute(100)]);
+    const text = Array.from({ length: 400 }, (_, i) => `<b>line ${i}</b> ${'x'.repeat(10)}`).join('\n');
+    const buttons = { inline_keyboard: [[{ text: 'Open', url: 'https://x.io' }]] };
+
+    const result = await sendMessage(BOT, CHAT, text, { replyTo: 42, replyMarkup: buttons });
+
+    const bodies = fetchStub.calls.map(c => c.body);
+    assert.equal(result.result.message_id, 100);
+    assert.ok(bodies.length > 1);
+    assert.ok(bodies.every(b => b.text.length <= 4096));
+    assert.equal(bodies[0].reply_to_message_id, 42);
+    assert.ok(bodies.slice(1).every(b => b.reply_to_message_id === 100));
+    assert.ok(bodies.slice(0, -1).every(b => !b.reply_markup));
+    assert.deepEqual(bodies.at(-1).reply_markup, buttons);
+  });
+
+  it('continues a long caption in a reply to the photo', async () => {
+    fetchStub = stubFetch([telegramRoute(200)]);
+
+    await sendPhoto(BOT, CHAT, Buffer.from('png'), `${'a '.repeat(400)}\n${'b '.repeat(400)}`);
+
+    assert.ok(fetchStub.calls[0].url.endsWith('/sendPhoto'));
+    assert.ok(fetchStub.calls[0].body.get('caption').length <= 1024);
+    assert.equal(fetchStub.calls[1].body.reply_to_message_id, 200);
+  });
+});
+
+describe('retry list', () => {
+  it('keeps retryable failures of persisted sends and replays them', async () => {
+    fetchStub = stubFetch([['api.telegram.org', () => ({ ok: false, error_code: 502, description: 'Bad Gateway' })]]);
+    await sendMessage(BOT, CHAT, 'kept', { persist: true });
+    await sendMessage(BOT, CHAT, 'not kept');
+    fetchStub.restore();
+
+    assert.deepEqual(pendingSends().map(e => e.params.text), ['kept']);
+
+    fetchStub = stubFetch([telegramRoute()]);
+    assert.deepEqual(await retryPendingSends(BOT), { sent: 1, dropped: 0, pending: 0 });
+    assert.equal(fetchStub.calls[0].body.text, 'kept');
+    assert.deepEqual(pendingSends(), []);
+  });
+
+  it('keeps the list in the store set with setRetryStore() instead of the file', async () => {
+    let stored = [];
+    setRetryStore({ read: async () => stored, write: async (entries) => { stored = entries; } });
+    try {
+      fetchStub = stubFetch([['api.telegram.org', () => ({ ok: false, error_code: 502, description: 'Bad Gateway' })]]);
+      await sendPhoto(BOT, CHAT, Buffer.from('png'), 'card caption', { persist: true });
+      fetchStub.restore();
+
+      assert.deepEqual(stored.map(e => [e.method, e.params.text]), [['sendMessage', 'card caption']]);
+      assert.deepEqual(pendingSends(), []);
+
+      fetchStub = stubFetch([telegramRoute()]);
+      assert.deepEqual(await retryPendingSends(BOT), { sent: 1, dropped: 0, pending: 0 });
+      assert.deepEqual(stored, []);
+    } finally {
+      setRetryStore(null);
+    }
+  });
+
+  it('drops entries past the age limit', async () => {
+    fs.writeFileSync(process.env.TELEGRAM_RETRY_FILE, JSON.stringify([
+      { method: 'sendMessage', params: { chat_id: CHAT, text: 'stale' }, time: Date.now() - 2 * 60 * 60 * 1000 },
+    ]));
+    fetchStub = stubFetch([telegramRoute()]);
+
+    assert.deepEqual(await retryPendingSends(BOT), { sent: 0, dropped: 1, pending: 0 });
+    assert.equal(fetchStub.calls.length, 0);
+  });
+});